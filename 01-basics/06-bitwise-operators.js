@@ -1,43 +1,92 @@
 /**
  * File: 06-bitwise-operators.js
  * Description:Demonstrating bitwise operations on 32-bit signed integers in JavaScript
+ * The binary comments are printed by `formatBits` and `explainBitwise` from 12-bit-flags.js,
+ * so the lesson runner checks them like any other output.
  * Author: Unais Shaikh
  * Date: 2025-05-15
  */
 
-let a = 5; // Binary: 00000000000000000000000000000101
-let b = 3; // Binary: 00000000000000000000000000000011
+import { explainBitwise, formatBits } from "./12-bit-flags.js";
+import { isMain } from "../tools/is-main.js";
 
-// Bitwise AND (&): 1 only if both bits are 1
-console.log("a & b =", a & b); // 1  (binary: 0001)
+export function runDemo() {
+  let a = 5;
+  let b = 3;
+  console.log("a =", formatBits(a)); // Output: a = 00000000000000000000000000000101
+  console.log("b =", formatBits(b)); // Output: b = 00000000000000000000000000000011
 
-// Bitwise OR (|): 1 if at least one bit is 1
-console.log("a | b =", a | b); // 7  (binary: 0111)
+  // The small examples below show the lowest 8 bits; the other 24 are copies of the sign bit.
 
-// Bitwise XOR (^): 1 if bits are different
-console.log("a ^ b =", a ^ b); // 6  (binary: 0110)
+  // Bitwise AND (&): 1 only if both bits are 1
+  console.log("a & b =", a & b); // Output: a & b = 1
+  console.log(explainBitwise(a, "&", b, { width: 8 }).text);
+  // Output:
+  //    5  00000101
+  // &  3  00000011
+  // =  1  00000001
 
-// Bitwise NOT (~): Inverts all bits, returns two's complement (-(x + 1))
-console.log("~a =", ~a); // -6 (because ~5 === -(5 + 1))
+  // Bitwise OR (|): 1 if at least one bit is 1
+  console.log("a | b =", a | b); // Output: a | b = 7
+  console.log(explainBitwise(a, "|", b, { width: 8 }).text);
+  // Output:
+  //    5  00000101
+  // |  3  00000011
+  // =  7  00000111
 
-// -----------------------------------------------------
+  // Bitwise XOR (^): 1 if bits are different
+  console.log("a ^ b =", a ^ b); // Output: a ^ b = 6
+  console.log(explainBitwise(a, "^", b, { width: 8 }).text);
+  // Output:
+  //    5  00000101
+  // ^  3  00000011
+  // =  6  00000110
 
-// Left Shift (<<): Shift bits left, fills right with 0s (multiplies by 2^n)
-let x = 5;
-console.log("x << 1 =", x << 1); // 10 (5 * 2)
-console.log("x << 2 =", x << 2); // 20 (5 * 4)
+  // Bitwise NOT (~): Inverts all bits, returns two's complement (-(x + 1))
+  console.log("~a =", ~a); // Output: ~a = -6 (because ~5 === -(5 + 1))
+  console.log(explainBitwise(a, "~", undefined, { width: 8 }).text);
+  // Output:
+  // ~  5  00000101
+  // = -6  11111010
 
-// -----------------------------------------------------
+  // -----------------------------------------------------
 
-// Right Shift (>>): Shift bits right, keeps sign bit (divides by 2^n rounding down)
-let y = 10;
-console.log("y >> 1 =", y >> 1); // 5  (10 / 2)
-console.log("y >> 2 =", y >> 2); // 2  (10 / 4)
+  // Left Shift (<<): Shift bits left, fills right with 0s (multiplies by 2^n)
+  let x = 5;
+  console.log("x << 1 =", x << 1); // Output: x << 1 = 10 (5 * 2)
+  console.log("x << 2 =", x << 2); // Output: x << 2 = 20 (5 * 4)
+  console.log(explainBitwise(x, "<<", 2, { width: 8 }).text);
+  // Output:
+  //     5  00000101
+  // <<  2
+  // =  20  00010100
 
-// -----------------------------------------------------
+  // -----------------------------------------------------
 
-// Unsigned Right Shift (>>>): Shift bits right, fills left with 0s (no sign preservation)
-// Negative numbers become large positive numbers
-let z = -5;
-console.log("z >>> 1 =", z >>> 1);
-// 2147483645 (unsigned shift converts signed negative number to large positive)
+  // Right Shift (>>): Shift bits right, keeps sign bit (divides by 2^n rounding down)
+  let y = 10;
+  console.log("y >> 1 =", y >> 1); // Output: y >> 1 = 5 (10 / 2)
+  console.log("y >> 2 =", y >> 2); // Output: y >> 2 = 2 (10 / 4)
+  console.log(explainBitwise(-y, ">>", 2, { width: 8 }).text);
+  // Output:
+  //    -10  11110110
+  // >>   2
+  // =   -3  11111101
+
+  // -----------------------------------------------------
+
+  // Unsigned Right Shift (>>>): Shift bits right, fills left with 0s (no sign preservation)
+  // Negative numbers become large positive numbers
+  let z = -5;
+  console.log("z >>> 1 =", z >>> 1); // Output: z >>> 1 = 2147483645 (unsigned shift converts signed negative number to large positive)
+  console.log(explainBitwise(z, ">>>", 1).text);
+  // Output:
+  //             -5  11111111111111111111111111111011
+  // >>>          1
+  // =   2147483645  01111111111111111111111111111101
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -5,81 +5,90 @@
  * Date: 2025-05-15
  */
 
-// =============================
-// Nullish Coalescing Operator (??)
-// =============================
+import { isMain } from "../tools/is-main.js";
 
-// This operator is used to return the first value that is NOT null or undefined.
-// Syntax: a ?? b --> returns a if it's not null/undefined, otherwise returns b
+export function runDemo() {
+  // =============================
+  // Nullish Coalescing Operator (??)
+  // =============================
 
-// Example 1: Using ?? with undefined
-let user;
-console.log(user ?? "Anonymous"); // Output: "Anonymous" (because user is undefined)
+  // This operator is used to return the first value that is NOT null or undefined.
+  // Syntax: a ?? b --> returns a if it's not null/undefined, otherwise returns b
 
-// Example 2: Using ?? with a defined value
-user = "John";
-console.log(user ?? "Anonymous"); // Output: "John"
+  // Example 1: Using ?? with undefined
+  let user;
+  console.log(user ?? "Anonymous"); // Output: "Anonymous" (because user is undefined)
 
-// Example 3: Chain of ?? operators
-let firstName = null;
-let lastName = null;
-let nickName = "Supercoder";
+  // Example 2: Using ?? with a defined value
+  user = "John";
+  console.log(user ?? "Anonymous"); // Output: "John"
 
-console.log(firstName ?? lastName ?? nickName ?? "Anonymous"); // Output: "Supercoder"
+  // Example 3: Chain of ?? operators
+  let firstName = null;
+  let lastName = null;
+  let nickName = "Supercoder";
 
-// =============================
-// Comparison with || (OR) Operator
-// =============================
+  console.log(firstName ?? lastName ?? nickName ?? "Anonymous"); // Output: "Supercoder"
 
-// || returns the first *truthy* value
-// ?? returns the first *defined* value (not null/undefined)
+  // =============================
+  // Comparison with || (OR) Operator
+  // =============================
 
-let height = 0;
-console.log(height || 100); // Output: 100 (0 is falsy)
-console.log(height ?? 100); // Output: 0   (0 is not null/undefined)
+  // || returns the first *truthy* value
+  // ?? returns the first *defined* value (not null/undefined)
 
-// This shows why ?? is useful when 0, '', or false are valid values we want to keep
+  let height = 0;
+  console.log(height || 100); // Output: 100 (0 is falsy)
+  console.log(height ?? 100); // Output: 0   (0 is not null/undefined)
 
-// =============================
-// Precedence
-// =============================
+  // This shows why ?? is useful when 0, '', or false are valid values we want to keep
 
-// ?? has low precedence, so parentheses are needed in expressions
+  // =============================
+  // Precedence
+  // =============================
 
-let h = null;
-let w = null;
+  // ?? has low precedence, so parentheses are needed in expressions
 
-// Correct usage with parentheses
-let area = (h ?? 100) * (w ?? 50);
-console.log(area); // Output: 5000
+  let h = null;
+  let w = null;
 
-// Incorrect usage without parentheses (would lead to confusion or errors)
-// let area = h ?? 100 * w ?? 50; // This is interpreted as: h ?? (100 * w) ?? 50
+  // Correct usage with parentheses
+  let area = (h ?? 100) * (w ?? 50);
+  console.log(area); // Output: 5000
 
-// =============================
-// Mixing ?? with && or ||
-// =============================
+  // Incorrect usage without parentheses (would lead to confusion or errors)
+  // let area = h ?? 100 * w ?? 50; // This is interpreted as: h ?? (100 * w) ?? 50
 
-// JavaScript throws a syntax error when ?? is used with || or && without parentheses
+  // =============================
+  // Mixing ?? with && or ||
+  // =============================
 
-// let x = 1 && 2 ?? 3; // Syntax Error
+  // JavaScript throws a syntax error when ?? is used with || or && without parentheses
 
-// Correct usage with parentheses
-let x = (1 && 2) ?? 3;
-console.log(x); // Output: 2
+  // let x = 1 && 2 ?? 3; // Syntax Error
 
-// =============================
-// Summary
-// =============================
+  // Correct usage with parentheses
+  let x = (1 && 2) ?? 3;
+  console.log(x); // Output: 2
 
-// Use ?? when you want to provide a fallback only for null or undefined
-// It's very useful for assigning default values
+  // =============================
+  // Summary
+  // =============================
 
-let inputHeight = null;
-let finalHeight = inputHeight ?? 100;
-console.log(finalHeight); // Output: 100
+  // Use ?? when you want to provide a fallback only for null or undefined
+  // It's very useful for assigning default values
 
-// Not affected by other falsy values like 0, '', false etc.
-let inputWidth = 0;
-let finalWidth = inputWidth ?? 50;
-console.log(finalWidth); // Output: 0
+  let inputHeight = null;
+  let finalHeight = inputHeight ?? 100;
+  console.log(finalHeight); // Output: 100
+
+  // Not affected by other falsy values like 0, '', false etc.
+  let inputWidth = 0;
+  let finalWidth = inputWidth ?? 50;
+  console.log(finalWidth); // Output: 0
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -1,111 +1,219 @@
 /**
  * File: 09-conditionals.js
  * Description: Demonstrates JavaScript conditionals including if, else if, else, and ternary operators with examples.
+ * The questions are asked through the input layer of 10-user-input.js: `prompt` in a browser,
+ * `readline` in a terminal, and the sample answers below everywhere else (e.g. the lesson runner).
+ * Run `node 01-basics/09-conditionals.js --answers answers.json` to answer from a JSON array instead.
  * Author: Unais Shaikh
  * Date: 2025-05-15
  */
 
-// Example 1: Simple if statement
-let year = prompt(
-  "In which year was ECMAScript-2015 specification published?",
-  ""
-);
+import { Input, interactiveSource, isInteractive, loadAnswers, scriptedSource } from "./10-user-input.js";
+import { isMain } from "../tools/is-main.js";
 
-if (year == 2015) {
-  console.log("That's correct!");
-  console.log("You're so smart!");
-}
+// The answers used when nobody can type (the "// Output:" comments below assume them)
+export const SAMPLE_ANSWERS = ["2015", "2014", "twenty", "2016", "20", "", "Netscape", "2015", "Microsoft"];
 
-// Example 2: Boolean conversion and falsy/truthy values
-if (0) {
-  // falsy
-  console.log("This will not run");
-}
+// =========================================================================
+// Table-driven conditionals
+// =========================================================================
 
-if (1) {
-  // truthy
-  console.log("This will run");
-}
-
-// Example 3: Using a pre-evaluated boolean
-let cond = year == 2015;
-if (cond) {
-  console.log("Condition is true");
+/**
+ * A chain of `?` or `else if` checks the same value against thresholds in order.
+ * The same logic as data: the first row whose `below` is greater than the age wins.
+ * New age groups are a new row, not a new branch, and the table can be tested on its own.
+ */
+export const AGE_GREETINGS = [
+  { below: 3, message: "Hi, baby!" },
+  { below: 18, message: "Hello!" },
+  { below: 100, message: "Greetings!" },
+  { below: Infinity, message: "What an unusual age!" },
+];
+
+/** The `message` of the first row of `table` with `age < row.below`. */
+export function greetingForAge(age, table = AGE_GREETINGS) {
+  return table.find((row) => age < row.below).message;
 }
 
-// Example 4: if..else
-year = prompt(
-  "In which year was the ECMAScript-2015 specification published?",
-  ""
-);
+/**
+ * The quiz questions of Examples 1-8 as data. `type` picks the `Input` method,
+ * and `check(reply)` returns the feedback and whether the reply is correct.
+ */
+export const QUIZ = [
+  {
+    question: "In which year was the ECMAScript-2015 specification published?",
+    type: "number",
+    check(year) {
+      if (year < 2015) return { correct: false, feedback: "Too early..." };
+      if (year > 2015) return { correct: false, feedback: "Too late" };
+      return { correct: true, feedback: "Exactly!" };
+    },
+  },
+  {
+    question: "Which company created JavaScript?",
+    type: "text",
+    // Compared case-insensitively: "netscape" is as right as "Netscape"
+    check(company) {
+      const correct = company.toLowerCase() === "netscape";
+      return { correct, feedback: correct ? "Right!" : "Wrong." };
+    },
+  },
+];
 
-if (year == 2015) {
-  console.log("You guessed it right!");
-} else {
-  console.log("How can you be so wrong?");
+/**
+ * Asks every question of `quiz` and checks the replies.
+ * @param {Input} input
+ * @returns {Promise<{ score: number, results: Array<{ question: string, reply: any, correct: boolean, feedback: string }> }>}
+ */
+export async function runQuiz(input, quiz = QUIZ) {
+  const results = [];
+  for (const { question, type, check } of quiz) {
+    const reply = type === "number" ? await input.number(question) : await input.text(question, { required: true });
+    results.push({ question, reply, ...check(reply) });
+  }
+  return { score: results.filter((result) => result.correct).length, results };
 }
 
-// Example 5: else if
-year = prompt(
-  "In which year was the ECMAScript-2015 specification published?",
-  ""
-);
-
-if (year < 2015) {
-  console.log("Too early...");
-} else if (year > 2015) {
-  console.log("Too late");
-} else {
-  console.log("Exactly!");
+/** Interactive input where someone can answer, the sample answers otherwise. */
+function defaultInput() {
+  return new Input(isInteractive() ? interactiveSource() : scriptedSource(SAMPLE_ANSWERS));
 }
 
-// Example 6: Conditional (ternary) operator
-let age = prompt("How old are you?", "");
-let accessAllowed = age > 18 ? true : false;
-console.log(accessAllowed);
-
-// Even shorter version
-accessAllowed = age > 18;
-console.log(accessAllowed);
-
-// Example 7: Multiple '?'
-age = prompt("age?", 18);
-
-let message =
-  age < 3
-    ? "Hi, baby!"
-    : age < 18
-    ? "Hello!"
-    : age < 100
-    ? "Greetings!"
-    : "What an unusual age!";
-
-console.log(message);
-
-// Equivalent using if..else
-if (age < 3) {
-  message = "Hi, baby!";
-} else if (age < 18) {
-  message = "Hello!";
-} else if (age < 100) {
-  message = "Greetings!";
-} else {
-  message = "What an unusual age!";
+/**
+ * @param {Input} [input] - Where the answers come from; see 10-user-input.js.
+ */
+export async function runDemo(input = defaultInput()) {
+  try {
+    await conditionalsExamples(input);
+  } finally {
+    input.close();
+  }
 }
 
-console.log(message);
-
-// Example 8: Non-traditional use of '?'
-// Not recommended — less readable than if..else
-let company = prompt("Which company created JavaScript?", "");
-
-company == "Netscape" ? console.log("Right!") : console.log("Wrong.");
-
-// Recommended: Use if..else instead
-if (company == "Netscape") {
-  console.log("Right!");
-} else {
-  console.log("Wrong.");
+async function conditionalsExamples(input) {
+  // Example 1: Simple if statement
+  // `prompt` returns a string, so the browser-only version compared with `year == 2015`.
+  // `input.number` parses the answer (and re-asks on text like "twenty"), so strict `===` works.
+  let year = await input.number("In which year was ECMAScript-2015 specification published?");
+
+  if (year === 2015) {
+    console.log("That's correct!"); // Output: That's correct!
+    console.log("You're so smart!"); // Output: You're so smart!
+  }
+
+  // Example 2: Boolean conversion and falsy/truthy values
+  if (0) {
+    // falsy
+    console.log("This will not run");
+  }
+
+  if (1) {
+    // truthy
+    console.log("This will run"); // Output: This will run
+  }
+
+  // Example 3: Using a pre-evaluated boolean
+  let cond = year === 2015;
+  if (cond) {
+    console.log("Condition is true"); // Output: Condition is true
+  }
+
+  // Example 4: if..else
+  year = await input.number("In which year was the ECMAScript-2015 specification published?");
+
+  if (year === 2015) {
+    console.log("You guessed it right!");
+  } else {
+    console.log("How can you be so wrong?"); // Output: How can you be so wrong?
+  }
+
+  // Example 5: else if
+  year = await input.number("In which year was the ECMAScript-2015 specification published?");
+
+  if (year < 2015) {
+    console.log("Too early...");
+  } else if (year > 2015) {
+    console.log("Too late"); // Output: Too late
+  } else {
+    console.log("Exactly!");
+  }
+
+  // Example 6: Conditional (ternary) operator
+  let age = await input.number("How old are you?", { min: 0 });
+  let accessAllowed = age > 18 ? true : false;
+  console.log(accessAllowed); // Output: true
+
+  // Even shorter version
+  accessAllowed = age > 18;
+  console.log(accessAllowed); // Output: true
+
+  // Example 7: Multiple '?'
+  age = await input.number("age?", { min: 0, default: 18 });
+
+  let message =
+    age < 3
+      ? "Hi, baby!"
+      : age < 18
+      ? "Hello!"
+      : age < 100
+      ? "Greetings!"
+      : "What an unusual age!";
+
+  console.log(message); // Output: Greetings!
+
+  // Equivalent using if..else
+  if (age < 3) {
+    message = "Hi, baby!";
+  } else if (age < 18) {
+    message = "Hello!";
+  } else if (age < 100) {
+    message = "Greetings!";
+  } else {
+    message = "What an unusual age!";
+  }
+
+  console.log(message); // Output: Greetings!
+
+  // Equivalent using a lookup table (AGE_GREETINGS above)
+  console.log(greetingForAge(age)); // Output: Greetings!
+
+  // Example 8: Non-traditional use of '?'
+  // Not recommended — less readable than if..else
+  let company = await input.text("Which company created JavaScript?");
+
+  company == "Netscape" ? console.log("Right!") : console.log("Wrong."); // Output: Right!
+
+  // Recommended: Use if..else instead
+  if (company == "Netscape") {
+    console.log("Right!"); // Output: Right!
+  } else {
+    console.log("Wrong.");
+  }
+
+  // Example 9: The same rules as data, easy to test without any input
+  console.log([1, 12, 42, 120].map((age) => greetingForAge(age))); // Output: [ 'Hi, baby!', 'Hello!', 'Greetings!', 'What an unusual age!' ]
+  console.log(QUIZ[0].check(2014).feedback, QUIZ[1].check("netscape").feedback); // Output: Too early... Right!
+
+  // Example 10: The quiz from the table
+  const { score, results } = await runQuiz(input);
+  for (const { reply, feedback } of results) {
+    console.log(`${reply}: ${feedback}`);
+  }
+  console.log(`Score: ${score}/${results.length}`);
+  // Output:
+  // 2015: Exactly!
+  // Microsoft: Wrong.
+  // Score: 1/2
 }
 
 // End of Tutorial
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  const index = process.argv.indexOf("--answers");
+  if (index === -1) {
+    runDemo();
+  } else {
+    runDemo(new Input(scriptedSource(await loadAnswers(process.argv[index + 1]))));
+  }
+}
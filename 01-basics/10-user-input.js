@@ -0,0 +1,370 @@
+/**
+ * File: 10-user-input.js
+ * Description: A small input layer for lessons that ask the user questions.
+ * `prompt()` only exists in browsers, so 09-conditionals.js used to crash under
+ * Node.js. Here the question-asking is split from where the answers come from:
+ * an `Input` asks typed questions (number, yes/no, choice, text) and re-asks on
+ * invalid answers, while a *source* supplies the raw text: `prompt` in a browser,
+ * `readline` in a terminal, or a list of scripted answers (an array or a JSON
+ * file) in tests and the lesson runner.
+ * Date: 2026-10-19
+ */
+
+import { AppError } from "../11-error-handling/02-app-error.js";
+import { err, ok } from "../11-error-handling/05-result.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Sources: Where Answers Come From
+// =========================================================================
+
+/**
+ * **A source is an object with one method:**
+ * -   `ask(question, defaultValue)` returns a promise of the raw answer text,
+ * or `null` when the user cancels (the browser's Cancel button, Ctrl+D in a terminal).
+ * -   `close()` is optional and releases the terminal, if the source holds one.
+ *
+ * Sources know nothing about types or validation; that is the job of `Input`
+ * (section 3). So the same quiz runs in a browser, in a terminal and in a test.
+ */
+
+/**
+ * Thrown when a question cannot be answered: the user cancelled, gave an
+ * invalid answer too many times (`INPUT_INVALID`), or scripted answers ran out.
+ */
+export class InputError extends AppError {
+  static code = "INPUT_INVALID";
+  static status = 400;
+  static {
+    AppError.register(this);
+  }
+}
+
+/**
+ * Asks with the browser's `prompt(question, default)`, which blocks and returns
+ * a string, or `null` on Cancel.
+ * @param {(question: string, defaultValue?: string) => string|null} [promptFn]
+ */
+export function promptSource(promptFn = globalThis.prompt) {
+  if (typeof promptFn !== "function") {
+    throw new TypeError("promptSource needs a prompt function (globalThis.prompt is missing)");
+  }
+  return {
+    async ask(question, defaultValue) {
+      return promptFn(question, defaultValue === undefined ? "" : String(defaultValue));
+    },
+  };
+}
+
+/**
+ * Asks in a terminal with `node:readline/promises`. The interface is created on
+ * the first question, so creating the source has no side effects; call `close()`
+ * when done, or the open stdin keeps the process alive.
+ * @param {{ input?: NodeJS.ReadableStream, output?: NodeJS.WritableStream }} [streams]
+ */
+export function readlineSource({ input = process.stdin, output = process.stdout } = {}) {
+  let readline = null;
+  let closed = false;
+
+  async function open() {
+    if (!readline) {
+      const { createInterface } = await import("node:readline/promises");
+      readline = createInterface({ input, output });
+      readline.once("close", () => {
+        closed = true;
+      });
+    }
+    return readline;
+  }
+
+  return {
+    async ask(question, defaultValue) {
+      if (closed) return null;
+      const rl = await open();
+      const hint = defaultValue === undefined ? "" : ` (${defaultValue})`;
+      // Ctrl+D closes the interface while a question is pending; answer null, like prompt's Cancel
+      return new Promise((resolve, reject) => {
+        const onClose = () => resolve(null);
+        rl.once("close", onClose);
+        rl.question(`${question}${hint} `).then(
+          (answer) => {
+            rl.off("close", onClose);
+            resolve(answer);
+          },
+          (error) => (closed ? resolve(null) : reject(error))
+        );
+      });
+    },
+    close() {
+      readline?.close();
+    },
+  };
+}
+
+/**
+ * Answers questions from a list, in order: the source for tests and for
+ * running a lesson without a terminal. Numbers and booleans are converted to
+ * text, `null` means "cancel". Running out of answers throws, so a test fails
+ * loudly instead of hanging on a question nobody answers.
+ * @param {Array<string|number|boolean|null>} answers
+ * @param {{ echo?: (question: string, answer: string|null) => void }} [options] -
+ * `echo` is called for every question, e.g. to print a transcript.
+ */
+export function scriptedSource(answers, { echo } = {}) {
+  if (!Array.isArray(answers)) {
+    throw new TypeError("scriptedSource expects an array of answers");
+  }
+  const queue = [...answers];
+  const asked = [];
+  return {
+    async ask(question) {
+      if (queue.length === 0) {
+        throw new InputError(`No scripted answer left for "${question}"`, { code: "INPUT_EXHAUSTED" });
+      }
+      const next = queue.shift();
+      const answer = next === null ? null : String(next);
+      asked.push({ question, answer });
+      echo?.(question, answer);
+      return answer;
+    },
+    /** Every question asked so far, with the answer given. */
+    get asked() {
+      return [...asked];
+    },
+    get remaining() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * Reads scripted answers from a JSON file holding an array, e.g. `["2015", "Netscape"]`.
+ * @param {string | URL} path
+ * @returns {Promise<Array<string|number|boolean|null>>}
+ */
+export async function loadAnswers(path) {
+  const { readFile } = await import("node:fs/promises");
+  let answers;
+  try {
+    answers = JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw new InputError(`Cannot read answers from ${path}: ${error.message}`, { code: "INPUT_ANSWERS", cause: error });
+  }
+  if (!Array.isArray(answers)) {
+    throw new InputError(`${path} must hold a JSON array of answers`, { code: "INPUT_ANSWERS" });
+  }
+  return answers;
+}
+
+/** True where someone can answer: a browser with `prompt`, or a terminal on stdin. */
+export function isInteractive() {
+  return typeof globalThis.prompt === "function" || Boolean(globalThis.process?.stdin?.isTTY);
+}
+
+/**
+ * The interactive source for the current environment: `prompt` in a browser,
+ * `readline` in a terminal. Throws where nobody can answer (CI, a pipe), so
+ * the caller decides what to use instead, usually `scriptedSource`.
+ */
+export function interactiveSource() {
+  if (typeof globalThis.prompt === "function") return promptSource();
+  if (globalThis.process?.stdin?.isTTY) return readlineSource();
+  throw new InputError("No interactive input here (no prompt() and stdin is not a terminal); use scripted answers", {
+    code: "INPUT_UNAVAILABLE",
+  });
+}
+
+// =========================================================================
+// 2. Parsers: Text In, Result Out
+// =========================================================================
+
+/**
+ * **Parsers** turn the raw text into a typed value. They return a `Result`
+ * (11-error-handling/05-result.js) instead of throwing: `Ok(value)`, or
+ * `Err(message)` with a message meant for the person answering, which `Input`
+ * shows when it asks again. They are plain functions, so they are easy to test.
+ */
+
+/**
+ * @param {string} text
+ * @param {{ min?: number, max?: number, integer?: boolean }} [rules]
+ * @returns {import("../11-error-handling/05-result.js").Result}
+ */
+export function parseNumber(text, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  const trimmed = text.trim();
+  if (trimmed === "") return err("Please enter a number.");
+  // Number("") and Number(" ") are 0, and Number("0x10") is 16: only plain decimals count here
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(trimmed)) return err(`"${trimmed}" is not a number.`);
+  const value = Number(trimmed);
+  if (integer && !Number.isInteger(value)) return err(`${trimmed} is not a whole number.`);
+  if (value < min || value > max) {
+    const range = max === Infinity ? `at least ${min}` : min === -Infinity ? `at most ${max}` : `between ${min} and ${max}`;
+    return err(`Please enter a number ${range}.`);
+  }
+  return ok(value);
+}
+
+const YES = new Set(["y", "yes", "true", "1"]);
+const NO = new Set(["n", "no", "false", "0"]);
+
+/** "y", "yes", "true" and "1" are yes; "n", "no", "false" and "0" are no (any case). */
+export function parseYesNo(text) {
+  const word = text.trim().toLowerCase();
+  if (YES.has(word)) return ok(true);
+  if (NO.has(word)) return ok(false);
+  return err("Please answer yes or no.");
+}
+
+/**
+ * Accepts a choice by name (any case) or by its 1-based position in the list.
+ * @param {string} text
+ * @param {string[]} choices
+ * @returns {import("../11-error-handling/05-result.js").Result} `Ok` with the choice as spelled in `choices`.
+ */
+export function parseChoice(text, choices) {
+  const word = text.trim().toLowerCase();
+  const byName = choices.find((choice) => choice.toLowerCase() === word);
+  if (byName !== undefined) return ok(byName);
+  const position = Number(word);
+  if (Number.isInteger(position) && position >= 1 && position <= choices.length) {
+    return ok(choices[position - 1]);
+  }
+  return err(`Please choose one of: ${choices.join(", ")}.`);
+}
+
+/** Any text; with `required`, blank answers are rejected. The result is trimmed. */
+export function parseText(text, { required = false } = {}) {
+  const trimmed = text.trim();
+  return required && trimmed === "" ? err("Please enter an answer.") : ok(trimmed);
+}
+
+// =========================================================================
+// 3. Input: Typed Questions With Re-asking
+// =========================================================================
+
+/**
+ * **How `Input` asks a question:**
+ * 1.  Ask the source. An empty answer (or Cancel) picks the default, if there is one.
+ * 2.  Parse the answer. On `Err`, ask again with the parser's message in front
+ * of the question, up to `maxAttempts` times, then throw `InputError`.
+ * 3.  Cancel without a default throws `InputError` with code `INPUT_CANCELLED`.
+ */
+export class Input {
+  #source;
+  #maxAttempts;
+
+  /**
+   * @param {{ ask: Function, close?: Function }} source - See section 1.
+   * @param {{ maxAttempts?: number }} [options]
+   */
+  constructor(source, { maxAttempts = 3 } = {}) {
+    if (typeof source?.ask !== "function") {
+      throw new TypeError("Input needs a source with an ask(question, defaultValue) method");
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new RangeError("maxAttempts must be a positive integer");
+    }
+    this.#source = source;
+    this.#maxAttempts = maxAttempts;
+  }
+
+  get source() {
+    return this.#source;
+  }
+
+  /**
+   * Asks until `parser` accepts the answer.
+   * @param {string} question
+   * @param {(text: string) => import("../11-error-handling/05-result.js").Result} parser
+   * @param {{ default?: any }} [options] - Returned as is for an empty or cancelled answer.
+   * @returns {Promise<any>}
+   */
+  async ask(question, parser, { default: defaultValue } = {}) {
+    let prefix = "";
+    for (let attempt = 1; attempt <= this.#maxAttempts; attempt++) {
+      const answer = await this.#source.ask(prefix + question, defaultValue);
+      if ((answer === null || answer.trim() === "") && defaultValue !== undefined) {
+        return defaultValue;
+      }
+      if (answer === null) {
+        throw new InputError(`Cancelled: "${question}"`, { code: "INPUT_CANCELLED" });
+      }
+      const result = parser(answer);
+      if (result.isOk) return result.unwrap();
+      prefix = `${result.unwrapErr()} `;
+    }
+    throw new InputError(`No valid answer to "${question}" after ${this.#maxAttempts} attempts (${prefix.trim()})`);
+  }
+
+  /** @param {{ min?: number, max?: number, integer?: boolean, default?: number }} [options] */
+  number(question, { default: defaultValue, ...rules } = {}) {
+    return this.ask(question, (text) => parseNumber(text, rules), { default: defaultValue });
+  }
+
+  /** @param {{ default?: boolean }} [options] */
+  yesNo(question, options = {}) {
+    return this.ask(question, parseYesNo, options);
+  }
+
+  /**
+   * @param {string[]} choices
+   * @param {{ default?: string }} [options]
+   */
+  choice(question, choices, options = {}) {
+    return this.ask(`${question} [${choices.join("/")}]`, (text) => parseChoice(text, choices), options);
+  }
+
+  /** @param {{ required?: boolean, default?: string }} [options] */
+  text(question, { default: defaultValue, required = false } = {}) {
+    return this.ask(question, (text) => parseText(text, { required }), { default: defaultValue });
+  }
+
+  close() {
+    this.#source.close?.();
+  }
+}
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export async function runDemo() {
+  // Example 1: parsers are plain functions returning Results
+  console.log(parseNumber(" 42 ")); // Output: Ok(42)
+  console.log(parseNumber("").unwrapErr(), "|", parseNumber("0x10").unwrapErr()); // Output: Please enter a number. | "0x10" is not a number.
+  console.log(parseYesNo("Yes").unwrap(), parseChoice("2", ["red", "green"]).unwrap()); // Output: true green
+
+  // Example 2: scripted answers; invalid ones are re-asked with the reason in front
+  const source = scriptedSource(["abc", "150", "42", "", "maybe", "n", "GREEN"]);
+  const input = new Input(source);
+  const age = await input.number("How old are you?", { integer: true, min: 0, max: 120 });
+  const country = await input.text("Country?", { default: "India" });
+  const subscribe = await input.yesNo("Subscribe?");
+  const color = await input.choice("Favorite color?", ["red", "green", "blue"]);
+  console.log(age, country, subscribe, color); // Output: 42 India false green
+  console.log(source.asked[1].question); // Output: "abc" is not a number. How old are you?
+  console.log(source.asked[2].question); // Output: Please enter a number between 0 and 120. How old are you?
+
+  // Example 3: failures are InputErrors with a code
+  const failures = [
+    () => new Input(scriptedSource(["x", "maybe"]), { maxAttempts: 2 }).yesNo("Continue?"),
+    () => new Input(scriptedSource([null])).number("Year?"),
+    () => new Input(scriptedSource([])).text("Name?"),
+  ];
+  for (const attempt of failures) {
+    try {
+      await attempt();
+    } catch (error) {
+      console.log(error.name, error.code);
+    }
+  }
+  // Output:
+  // InputError INPUT_INVALID
+  // InputError INPUT_CANCELLED
+  // InputError INPUT_EXHAUSTED
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,664 @@
+/**
+ * File: 11-abstract-operations.js
+ * Description: The ECMAScript specification algorithms behind `==`, `===`,
+ * `includes`, `Number(value)` and `String(value)`, written step by step:
+ * IsLooselyEqual, IsStrictlyEqual, SameValueZero, ToPrimitive, ToNumber and
+ * ToString. Each one returns its result together with a trace of the steps it
+ * took, so the outcomes listed in 02-type-conversion.js, 03-type-conversion.js
+ * and 05-comparision-operators.js can be explained instead of memorized.
+ * Run it with two literals to see the traces: `node 01-basics/11-abstract-operations.js "[]" "false"`.
+ * Date: 2026-10-19
+ */
+
+import { ParseError, parse } from "../05-javascript-execution/01-tokenizer-and-parser.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Reading the Specification
+// =========================================================================
+
+/**
+ * **How the spec describes operators:**
+ * -   `x == y` is defined as `IsLooselyEqual(x, y)`, `x === y` as
+ * `IsStrictlyEqual(x, y)`. Array `includes`, `Map` and `Set` use `SameValueZero`.
+ * -   These are *abstract operations*: numbered steps in the ECMAScript
+ * specification (ECMA-262), not functions you can call. The step numbers in
+ * the traces below are the ones in the specification.
+ * -   `Type(x)` is one of Undefined, Null, Boolean, String, Symbol, Number,
+ * BigInt or Object (functions are Objects; `typeof null` is "object" but
+ * Type(null) is Null).
+ * -   `?` in front of a call means "may throw": ToPrimitive throws a TypeError
+ * when an object cannot be converted, and ToNumber does for Symbols and BigInts.
+ *
+ * Each exported function returns `{ result, trace }`. A trace is a list of
+ * `{ kind, operation, step, text, depth }` entries: `"call"` when an operation
+ * starts, `"step"` for the step that decided what happens next, and
+ * `"return"` with the result. `formatSteps(trace)` prints it as an outline.
+ * When an operation throws, the error carries the trace so far as `error.trace`.
+ */
+
+/** Type(x) from the specification. */
+export function specType(value) {
+  if (value === null) return "Null";
+  switch (typeof value) {
+    case "undefined":
+      return "Undefined";
+    case "boolean":
+      return "Boolean";
+    case "string":
+      return "String";
+    case "symbol":
+      return "Symbol";
+    case "number":
+      return "Number";
+    case "bigint":
+      return "BigInt";
+    default:
+      return "Object"; // "object" and "function"
+  }
+}
+
+const isObject = (value) => specType(value) === "Object";
+
+/** A short, literal-like description of a value for traces: `"4"`, `-0`, `10n`, `[1, 2]`, `{ valueOf() }`. */
+export function describeValue(value, depth = 0) {
+  switch (specType(value)) {
+    case "String":
+      return JSON.stringify(value);
+    case "Number":
+      return Object.is(value, -0) ? "-0" : String(value);
+    case "BigInt":
+      return `${value}n`;
+    case "Symbol":
+      return value.toString();
+    case "Object":
+      break;
+    default:
+      return String(value);
+  }
+  if (typeof value === "function") return `function ${value.name || "(anonymous)"}`;
+  if (depth > 0) return Array.isArray(value) ? "[…]" : "{…}";
+  if (Array.isArray(value)) return `[${value.map((item) => describeValue(item, depth + 1)).join(", ")}]`;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? "Invalid Date" : `Date(${value.toISOString()})`;
+  for (const Wrapper of [Number, String, Boolean]) {
+    if (value instanceof Wrapper) return `[${Wrapper.name}: ${describeValue(value.valueOf())}]`;
+  }
+  const entries = Reflect.ownKeys(value).map((key) => {
+    const name = typeof key === "symbol" ? `[${key.description}]` : key;
+    return typeof value[key] === "function" ? `${name}()` : `${name}: ${describeValue(value[key], depth + 1)}`;
+  });
+  return entries.length === 0 ? "{}" : `{ ${entries.join(", ")} }`;
+}
+
+/** Collects the trace entries while the algorithms run. */
+class Trace {
+  entries = [];
+  #depth = 0;
+
+  /** Runs `body` as a nested operation: a "call" entry, its steps one level deeper, then a "return" entry. */
+  call(operation, args, body) {
+    this.entries.push({ kind: "call", operation, step: null, text: `${operation}(${args.join(", ")})`, depth: this.#depth });
+    this.#depth++;
+    try {
+      const result = body();
+      this.entries.push({ kind: "return", operation, step: null, text: describeValue(result), depth: this.#depth });
+      return result;
+    } finally {
+      this.#depth--;
+    }
+  }
+
+  step(operation, step, text) {
+    this.entries.push({ kind: "step", operation, step, text, depth: this.#depth });
+  }
+
+  /** Records the step that ends an operation and returns its result. */
+  answer(operation, step, text, result) {
+    this.step(operation, step, text);
+    return result;
+  }
+}
+
+/** Wraps an algorithm `(trace, ...args) => result` as `(...args) => { result, trace }`. */
+function traced(algorithm) {
+  return (...args) => {
+    const trace = new Trace();
+    try {
+      return { result: algorithm(trace, ...args), trace: trace.entries };
+    } catch (error) {
+      if (error instanceof Error && error.trace === undefined) error.trace = trace.entries;
+      throw error;
+    }
+  };
+}
+
+const show = describeValue;
+
+// =========================================================================
+// 2. Equality: IsStrictlyEqual, SameValueZero, IsLooselyEqual
+// =========================================================================
+
+function numberEqual(t, x, y) {
+  return t.call("Number::equal", [show(x), show(y)], () => {
+    const op = "Number::equal";
+    if (Number.isNaN(x)) return t.answer(op, 1, "x is NaN: return false", false);
+    if (Number.isNaN(y)) return t.answer(op, 2, "y is NaN: return false", false);
+    if (Object.is(x, y)) return t.answer(op, 3, "x is y: return true", true);
+    if (Object.is(x, 0) && Object.is(y, -0)) return t.answer(op, 4, "x is +0 and y is -0: return true", true);
+    if (Object.is(x, -0) && Object.is(y, 0)) return t.answer(op, 5, "x is -0 and y is +0: return true", true);
+    return t.answer(op, 6, "Return false", false);
+  });
+}
+
+function numberSameValueZero(t, x, y) {
+  return t.call("Number::sameValueZero", [show(x), show(y)], () => {
+    const op = "Number::sameValueZero";
+    if (Number.isNaN(x) && Number.isNaN(y)) return t.answer(op, 1, "x and y are both NaN: return true", true);
+    if (Object.is(x, 0) && Object.is(y, -0)) return t.answer(op, 2, "x is +0 and y is -0: return true", true);
+    if (Object.is(x, -0) && Object.is(y, 0)) return t.answer(op, 3, "x is -0 and y is +0: return true", true);
+    if (Object.is(x, y)) return t.answer(op, 4, "x is y: return true", true);
+    return t.answer(op, 5, "Return false", false);
+  });
+}
+
+function sameValueNonNumber(t, x, y) {
+  return t.call("SameValueNonNumber", [show(x), show(y)], () => {
+    const op = "SameValueNonNumber";
+    if (x === null || x === undefined) return t.answer(op, 2, `x is ${x}: return true`, true);
+    if (typeof x === "bigint") {
+      const result = x === y;
+      return t.answer(op, 3, `x is a BigInt: BigInt::equal(x, y) is ${result}`, result);
+    }
+    if (typeof x === "string") {
+      const result = x === y;
+      return t.answer(op, 4, `x is a String: the code units are ${result ? "the same" : "not the same"}: return ${result}`, result);
+    }
+    if (typeof x === "boolean") {
+      const result = x === y;
+      return t.answer(op, 5, `x is a Boolean: ${result ? "both are" : "not both"} ${x}: return ${result}`, result);
+    }
+    const result = x === y;
+    return t.answer(op, 7, `Symbols and Objects compare by identity: ${result ? "the same" : "different"} ${specType(x)}: return ${result}`, result);
+  });
+}
+
+function strictlyEqual(t, x, y) {
+  return t.call("IsStrictlyEqual", [show(x), show(y)], () => {
+    const op = "IsStrictlyEqual";
+    if (specType(x) !== specType(y)) {
+      return t.answer(op, 1, `Type(x) is ${specType(x)} but Type(y) is ${specType(y)}: return false`, false);
+    }
+    if (typeof x === "number") {
+      t.step(op, 2, "x is a Number: return Number::equal(x, y)");
+      return numberEqual(t, x, y);
+    }
+    t.step(op, 3, "Return SameValueNonNumber(x, y)");
+    return sameValueNonNumber(t, x, y);
+  });
+}
+
+function sameValueZeroAlgorithm(t, x, y) {
+  return t.call("SameValueZero", [show(x), show(y)], () => {
+    const op = "SameValueZero";
+    if (specType(x) !== specType(y)) {
+      return t.answer(op, 1, `Type(x) is ${specType(x)} but Type(y) is ${specType(y)}: return false`, false);
+    }
+    if (typeof x === "number") {
+      t.step(op, 2, "x is a Number: return Number::sameValueZero(x, y)");
+      return numberSameValueZero(t, x, y);
+    }
+    t.step(op, 3, "Return SameValueNonNumber(x, y)");
+    return sameValueNonNumber(t, x, y);
+  });
+}
+
+/** StringToBigInt: the BigInt() function runs this exact algorithm, so a failure there means "undefined". */
+function stringToBigInt(t, text) {
+  return t.call("StringToBigInt", [show(text)], () => {
+    try {
+      const value = BigInt(text);
+      t.step("StringToBigInt", 3, `${show(text)} is a StringIntegerLiteral: return ${show(value)}`);
+      return value;
+    } catch {
+      t.step("StringToBigInt", 2, `${show(text)} is not a StringIntegerLiteral: return undefined`);
+      return undefined;
+    }
+  });
+}
+
+const PRIMITIVE_TYPES = new Set(["String", "Number", "BigInt", "Symbol"]);
+
+function looselyEqual(t, x, y) {
+  return t.call("IsLooselyEqual", [show(x), show(y)], () => {
+    const op = "IsLooselyEqual";
+    const typeX = specType(x);
+    const typeY = specType(y);
+    if (typeX === typeY) {
+      t.step(op, 1, `Type(x) and Type(y) are both ${typeX}: return IsStrictlyEqual(x, y)`);
+      return strictlyEqual(t, x, y);
+    }
+    if (x === null && y === undefined) return t.answer(op, 2, "x is null and y is undefined: return true", true);
+    if (x === undefined && y === null) return t.answer(op, 3, "x is undefined and y is null: return true", true);
+    // Step 4 is about document.all ([[IsHTMLDDA]]), a browser legacy object that plain values never are
+    if (typeX === "Number" && typeY === "String") {
+      t.step(op, 5, "x is a Number and y is a String: return IsLooselyEqual(x, ToNumber(y))");
+      return looselyEqual(t, x, toNumberAlgorithm(t, y));
+    }
+    if (typeX === "String" && typeY === "Number") {
+      t.step(op, 6, "x is a String and y is a Number: return IsLooselyEqual(ToNumber(x), y)");
+      return looselyEqual(t, toNumberAlgorithm(t, x), y);
+    }
+    if (typeX === "BigInt" && typeY === "String") {
+      t.step(op, 7, "x is a BigInt and y is a String: let n be StringToBigInt(y)");
+      const n = stringToBigInt(t, y);
+      if (n === undefined) return t.answer(op, "7.b", "n is undefined: return false", false);
+      t.step(op, "7.c", "Return IsLooselyEqual(x, n)");
+      return looselyEqual(t, x, n);
+    }
+    if (typeX === "String" && typeY === "BigInt") {
+      t.step(op, 8, "x is a String and y is a BigInt: return IsLooselyEqual(y, x)");
+      return looselyEqual(t, y, x);
+    }
+    if (typeX === "Boolean") {
+      t.step(op, 9, "x is a Boolean: return IsLooselyEqual(ToNumber(x), y)");
+      return looselyEqual(t, toNumberAlgorithm(t, x), y);
+    }
+    if (typeY === "Boolean") {
+      t.step(op, 10, "y is a Boolean: return IsLooselyEqual(x, ToNumber(y))");
+      return looselyEqual(t, x, toNumberAlgorithm(t, y));
+    }
+    if (PRIMITIVE_TYPES.has(typeX) && typeY === "Object") {
+      t.step(op, 11, `x is a ${typeX} and y is an Object: return IsLooselyEqual(x, ToPrimitive(y))`);
+      return looselyEqual(t, x, toPrimitiveAlgorithm(t, y));
+    }
+    if (typeX === "Object" && PRIMITIVE_TYPES.has(typeY)) {
+      t.step(op, 12, `x is an Object and y is a ${typeY}: return IsLooselyEqual(ToPrimitive(x), y)`);
+      return looselyEqual(t, toPrimitiveAlgorithm(t, x), y);
+    }
+    if ((typeX === "BigInt" && typeY === "Number") || (typeX === "Number" && typeY === "BigInt")) {
+      const number = typeX === "Number" ? x : y;
+      if (!Number.isFinite(number)) {
+        return t.answer(op, "13.a", `${show(number)} is not finite: return false`, false);
+      }
+      // Compare the mathematical values: 1n == 1 but 1n != 1.5 (BigInt(1.5) would throw)
+      const result = Number.isInteger(number) && BigInt(number) === (typeX === "BigInt" ? x : y);
+      return t.answer(op, "13.b", `ℝ(x) ${result ? "=" : "≠"} ℝ(y): return ${result}`, result);
+    }
+    return t.answer(op, 14, `Type(x) is ${typeX} and Type(y) is ${typeY}: return false`, false);
+  });
+}
+
+// =========================================================================
+// 3. Conversions: ToPrimitive, ToNumber, ToString
+// =========================================================================
+
+function ordinaryToPrimitive(t, object, hint) {
+  return t.call("OrdinaryToPrimitive", [show(object), hint], () => {
+    const op = "OrdinaryToPrimitive";
+    const methodNames = hint === "string" ? ["toString", "valueOf"] : ["valueOf", "toString"];
+    t.step(op, hint === "string" ? 1 : 2, `hint is ${hint}: try ${methodNames.join(", then ")}`);
+    for (const name of methodNames) {
+      const method = object[name];
+      if (typeof method !== "function") {
+        t.step(op, "3.b", `${name} is not callable: skip it`);
+        continue;
+      }
+      const result = method.call(object);
+      if (!isObject(result)) {
+        t.step(op, "3.b.ii", `${name}() returned ${show(result)}, a primitive: return it`);
+        return result;
+      }
+      t.step(op, "3.b.ii", `${name}() returned an Object: try the next method`);
+    }
+    t.step(op, 4, "No method returned a primitive: throw a TypeError");
+    throw new TypeError(`Cannot convert ${show(object)} to a primitive value`);
+  });
+}
+
+/** @param {"string"|"number"} [preferredType] */
+function toPrimitiveAlgorithm(t, input, preferredType) {
+  const args = preferredType === undefined ? [show(input)] : [show(input), preferredType];
+  return t.call("ToPrimitive", args, () => {
+    const op = "ToPrimitive";
+    if (!isObject(input)) return t.answer(op, 2, "input is not an Object: return input", input);
+    const exoticToPrim = input[Symbol.toPrimitive];
+    if (exoticToPrim !== undefined && exoticToPrim !== null) {
+      if (typeof exoticToPrim !== "function") {
+        t.step(op, "1.a", "input[Symbol.toPrimitive] is not callable: throw a TypeError");
+        throw new TypeError("Symbol.toPrimitive is not a function");
+      }
+      const hint = preferredType ?? "default";
+      const result = exoticToPrim.call(input, hint);
+      if (isObject(result)) {
+        t.step(op, "1.b.vi", `input[Symbol.toPrimitive]("${hint}") returned an Object: throw a TypeError`);
+        throw new TypeError("Cannot convert object to primitive value");
+      }
+      t.step(op, "1.b.v", `input[Symbol.toPrimitive]("${hint}") returned ${show(result)}: return it`);
+      return result;
+    }
+    t.step(op, "1.c", `No Symbol.toPrimitive method: return OrdinaryToPrimitive(input, ${preferredType ?? "number"})`);
+    return ordinaryToPrimitive(t, input, preferredType ?? "number");
+  });
+}
+
+// A StringNumericLiteral without the surrounding whitespace: decimal (with sign, fraction,
+// exponent or Infinity) or unsigned 0b / 0o / 0x. Numeric separators (1_000) are not allowed.
+const STRING_NUMERIC_LITERAL =
+  /^(?:[+-]?(?:Infinity|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|0[bB][01]+|0[oO][0-7]+|0[xX][\dA-Fa-f]+)$/;
+
+function stringToNumber(t, text) {
+  return t.call("StringToNumber", [show(text)], () => {
+    const op = "StringToNumber";
+    // trim() removes exactly StrWhiteSpaceChar: WhiteSpace and LineTerminator code points
+    const literal = text.trim();
+    if (literal === "") return t.answer(op, 4, "Only white space (StrWhiteSpace): return 0", 0);
+    if (!STRING_NUMERIC_LITERAL.test(literal)) {
+      return t.answer(op, 3, `${show(literal)} is not a StringNumericLiteral: return NaN`, NaN);
+    }
+    // The grammar is checked above; the built-in does the rounding to the nearest Number value
+    const value = Number(literal);
+    return t.answer(op, 4, `${show(literal)} is a StringNumericLiteral: return its value, ${show(value)}`, value);
+  });
+}
+
+function toNumberAlgorithm(t, argument) {
+  return t.call("ToNumber", [show(argument)], () => {
+    const op = "ToNumber";
+    switch (specType(argument)) {
+      case "Number":
+        return t.answer(op, 1, "argument is a Number: return it", argument);
+      case "Symbol":
+      case "BigInt":
+        t.step(op, 2, `argument is a ${specType(argument)}: throw a TypeError`);
+        throw new TypeError(`Cannot convert a ${specType(argument)} value to a number`);
+      case "Undefined":
+        return t.answer(op, 3, "argument is undefined: return NaN", NaN);
+      case "Null":
+        return t.answer(op, 4, "argument is null: return +0", 0);
+      case "Boolean":
+        if (argument) return t.answer(op, 5, "argument is true: return 1", 1);
+        return t.answer(op, 4, "argument is false: return +0", 0);
+      case "String":
+        t.step(op, 6, "argument is a String: return StringToNumber(argument)");
+        return stringToNumber(t, argument);
+      default: {
+        t.step(op, 8, "argument is an Object: let primValue be ToPrimitive(argument, number)");
+        const primValue = toPrimitiveAlgorithm(t, argument, "number");
+        t.step(op, 10, "Return ToNumber(primValue)");
+        return toNumberAlgorithm(t, primValue);
+      }
+    }
+  });
+}
+
+function toStringAlgorithm(t, argument) {
+  return t.call("ToString", [show(argument)], () => {
+    const op = "ToString";
+    switch (specType(argument)) {
+      case "String":
+        return t.answer(op, 1, "argument is a String: return it", argument);
+      case "Symbol":
+        t.step(op, 2, "argument is a Symbol: throw a TypeError");
+        throw new TypeError("Cannot convert a Symbol value to a string");
+      case "Undefined":
+        return t.answer(op, 3, 'argument is undefined: return "undefined"', "undefined");
+      case "Null":
+        return t.answer(op, 4, 'argument is null: return "null"', "null");
+      case "Boolean":
+        if (argument) return t.answer(op, 5, 'argument is true: return "true"', "true");
+        return t.answer(op, 6, 'argument is false: return "false"', "false");
+      case "Number": {
+        // Number::toString prints the shortest digits that round-trip, and "0" for both zeros
+        const text = String(argument);
+        return t.answer(op, 7, `argument is a Number: Number::toString gives ${show(text)}`, text);
+      }
+      case "BigInt": {
+        const text = String(argument);
+        return t.answer(op, 8, `argument is a BigInt: BigInt::toString gives ${show(text)}`, text);
+      }
+      default: {
+        t.step(op, 10, "argument is an Object: let primValue be ToPrimitive(argument, string)");
+        const primValue = toPrimitiveAlgorithm(t, argument, "string");
+        t.step(op, 12, "Return ToString(primValue)");
+        return toStringAlgorithm(t, primValue);
+      }
+    }
+  });
+}
+
+// =========================================================================
+// 4. Public API and Trace Output
+// =========================================================================
+
+/** `x == y`. @returns {{ result: boolean, trace: object[] }} */
+export const isLooselyEqual = traced(looselyEqual);
+
+/** `x === y`. @returns {{ result: boolean, trace: object[] }} */
+export const isStrictlyEqual = traced(strictlyEqual);
+
+/** `[x].includes(y)`, Map keys and Set members. @returns {{ result: boolean, trace: object[] }} */
+export const sameValueZero = traced(sameValueZeroAlgorithm);
+
+/**
+ * @param {any} input
+ * @param {"string"|"number"} [preferredType] - Left out, the hint is "default".
+ * @returns {{ result: any, trace: object[] }}
+ */
+export const toPrimitive = traced(toPrimitiveAlgorithm);
+
+/** `Number(value)` for everything but BigInts (which `Number()` converts and ToNumber rejects). */
+export const toNumber = traced(toNumberAlgorithm);
+
+/** `String(value)` for everything but Symbols (which `String()` describes and ToString rejects). */
+export const toString = traced(toStringAlgorithm);
+
+/**
+ * Renders a trace as an indented outline: calls, then their numbered steps, then `→ result`.
+ * @param {object[]} trace
+ * @returns {string}
+ */
+export function formatSteps(trace) {
+  return trace
+    .map(({ kind, step, text, depth }) => {
+      const indent = "  ".repeat(depth);
+      if (kind === "call") return indent + text;
+      if (kind === "return") return `${indent}→ ${text}`;
+      return `${indent}${step}. ${text}`;
+    })
+    .join("\n");
+}
+
+// =========================================================================
+// 5. Literals From the Command Line
+// =========================================================================
+
+const GLOBALS = { undefined, NaN, Infinity };
+const CONSTRUCTORS = { Date, Number, String, Boolean, Object, Array };
+
+/**
+ * Turns the text of a literal into a value, using the parser from
+ * 05-javascript-execution/01-tokenizer-and-parser.js: numbers, strings, `true`,
+ * `null`, `undefined`, `NaN`, BigInts (`10n`), arrays, objects, `-x` / `+x` / `!x`,
+ * `Symbol("s")`, `new Date(0)` / `new Number(1)` & co, and methods that return a
+ * literal, such as `{ valueOf() { return 42 } }`. Nothing else is evaluated.
+ * @param {string} text
+ * @returns {any}
+ * @throws {ParseError}
+ */
+export function parseLiteral(text) {
+  const bigint = /^\s*(-?)(\d+)n\s*$/.exec(text);
+  if (bigint) return BigInt(bigint[1] + bigint[2]);
+  const source = `(${text})`; // So that `{ ... }` is an object, not a block
+  const program = parse(source);
+  if (program.body.length !== 1 || program.body[0].type !== "ExpressionStatement") {
+    throw new ParseError("Expected a single literal", { line: 1, column: 1 });
+  }
+  return evaluateLiteral(program.body[0].expression, source);
+}
+
+function evaluateLiteral(node, source) {
+  const fail = (message) => {
+    const column = node.start - source.lastIndexOf("\n", node.start - 1);
+    throw new ParseError(`${message}: ${source.slice(node.start, node.end)}`, { line: node.line, column: Math.max(column - 1, 1) });
+  };
+  const evaluate = (child) => evaluateLiteral(child, source);
+  switch (node.type) {
+    case "Literal":
+      return node.value;
+    case "Identifier":
+      if (Object.hasOwn(GLOBALS, node.name)) return GLOBALS[node.name];
+      return fail("Not a literal");
+    case "UnaryExpression": {
+      const argument = evaluate(node.argument);
+      if (node.operator === "-") return -argument;
+      if (node.operator === "+") return +argument;
+      if (node.operator === "!") return !argument;
+      return fail(`Unsupported operator ${node.operator}`);
+    }
+    case "ArrayExpression":
+      return node.elements.map(evaluate);
+    case "ObjectExpression":
+      return Object.fromEntries(node.properties.map(({ key, value }) => [key, evaluate(value)]));
+    case "FunctionExpression":
+    case "ArrowFunctionExpression": {
+      const statements = node.expression ? null : node.body.body;
+      if (statements && (statements.length !== 1 || statements[0].type !== "ReturnStatement")) {
+        return fail("Only functions that return a literal are supported");
+      }
+      const returned = node.expression ? node.body : statements[0].argument;
+      const result = returned ? evaluate(returned) : undefined;
+      // Objects are rebuilt on every call, like a real `return {}` would
+      return { [node.id ?? "function"]: () => (isObject(result) ? evaluate(returned) : result) }[node.id ?? "function"];
+    }
+    case "CallExpression":
+      if (node.callee.type === "Identifier" && node.callee.name === "Symbol" && node.arguments.length <= 1) {
+        return Symbol(...node.arguments.map(evaluate));
+      }
+      return fail("Only Symbol(...) can be called");
+    case "NewExpression":
+      if (node.callee.type === "Identifier" && Object.hasOwn(CONSTRUCTORS, node.callee.name)) {
+        return new CONSTRUCTORS[node.callee.name](...node.arguments.map(evaluate));
+      }
+      return fail("Unsupported constructor");
+    default:
+      return fail("Not a literal");
+  }
+}
+
+/**
+ * The report printed by the command line: the traces of `x == y`, `x === y` and
+ * SameValueZero, each checked against what the engine itself answers.
+ * @param {string} leftText
+ * @param {string} rightText
+ * @returns {string}
+ */
+export function explainComparison(leftText, rightText) {
+  const x = parseLiteral(leftText);
+  const y = parseLiteral(rightText);
+  const checks = [
+    ["==", isLooselyEqual, () => x == y],
+    ["===", isStrictlyEqual, () => x === y],
+    ["SameValueZero", sameValueZero, () => [x].includes(y)],
+  ];
+  const sections = checks.map(([label, operation, engine]) => {
+    let outcome;
+    try {
+      const { result, trace } = operation(x, y);
+      const agrees = result === engine() ? "the engine agrees" : "the engine DISAGREES";
+      outcome = `${formatSteps(trace)}\n= ${result} (${agrees})`;
+    } catch (error) {
+      outcome = `${formatSteps(error.trace ?? [])}\n= throws ${error.name}: ${error.message}`;
+    }
+    return `${leftText} ${label === "SameValueZero" ? "SameValueZero" : label} ${rightText}\n${outcome}`;
+  });
+  return sections.join("\n\n");
+}
+
+// =========================================================================
+// 6. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: results agree with the operators
+  console.log(isLooselyEqual(4, "4").result, isLooselyEqual(null, 0).result, isLooselyEqual(null, undefined).result); // Output: true false true
+  console.log(isStrictlyEqual(NaN, NaN).result, sameValueZero(NaN, NaN).result, isStrictlyEqual(0, -0).result); // Output: false true true
+  console.log(toNumber("  42  ").result, toNumber("0x1F").result, toNumber("1_000").result, toNumber([]).result); // Output: 42 31 NaN 0
+  console.log(JSON.stringify(toString([1, [2, 3]]).result), toString(-0).result); // Output: "1,2,3" 0
+
+  // Example 2: why is [] == false true?
+  console.log(formatSteps(isLooselyEqual([], false).trace));
+  // Output:
+  // IsLooselyEqual([], false)
+  //   10. y is a Boolean: return IsLooselyEqual(x, ToNumber(y))
+  //   ToNumber(false)
+  //     4. argument is false: return +0
+  //     → 0
+  //   IsLooselyEqual([], 0)
+  //     12. x is an Object and y is a Number: return IsLooselyEqual(ToPrimitive(x), y)
+  //     ToPrimitive([])
+  //       1.c. No Symbol.toPrimitive method: return OrdinaryToPrimitive(input, number)
+  //       OrdinaryToPrimitive([], number)
+  //         2. hint is number: try valueOf, then toString
+  //         3.b.ii. valueOf() returned an Object: try the next method
+  //         3.b.ii. toString() returned "", a primitive: return it
+  //         → ""
+  //       → ""
+  //     IsLooselyEqual("", 0)
+  //       6. x is a String and y is a Number: return IsLooselyEqual(ToNumber(x), y)
+  //       ToNumber("")
+  //         6. argument is a String: return StringToNumber(argument)
+  //         StringToNumber("")
+  //           4. Only white space (StrWhiteSpace): return 0
+  //           → 0
+  //         → 0
+  //       IsLooselyEqual(0, 0)
+  //         1. Type(x) and Type(y) are both Number: return IsStrictlyEqual(x, y)
+  //         IsStrictlyEqual(0, 0)
+  //           2. x is a Number: return Number::equal(x, y)
+  //           Number::equal(0, 0)
+  //             3. x is y: return true
+  //             → true
+  //           → true
+  //         → true
+  //       → true
+  //     → true
+  //   → true
+
+  // Example 3: Symbol.toPrimitive sees the hint; Dates prefer strings for "default"
+  const price = {
+    [Symbol.toPrimitive](hint) {
+      return hint === "number" ? 9.99 : `$${9.99}`;
+    },
+  };
+  console.log(toNumber(price).result, toString(price).result, isLooselyEqual(price, "$9.99").result); // Output: 9.99 $9.99 true
+  const epoch = new Date(0);
+  console.log(toPrimitive(epoch).result === epoch.toString(), toPrimitive(epoch, "number").result); // Output: true 0
+
+  // Example 4: errors carry the trace up to the throw
+  try {
+    toNumber({ valueOf: () => ({}), toString: () => ({}) });
+  } catch (error) {
+    console.log(error.name, "-", error.trace.at(-1).text); // Output: TypeError - No method returned a primitive: throw a TypeError
+  }
+
+  // Example 5: what the command line prints for `node 01-basics/11-abstract-operations.js '"1"' true`
+  console.log(explainComparison('"1"', "true").split("\n").filter((line) => line.startsWith("=")).join(" | ")); // Output: = true (the engine agrees) | = false (the engine agrees) | = false (the engine agrees)
+}
+
+// With two literals, explain how they compare; without arguments, run the demo
+if (isMain(import.meta.url)) {
+  const literals = process.argv.slice(2);
+  if (literals.length === 0) {
+    runDemo();
+  } else if (literals.length === 2) {
+    try {
+      console.log(explainComparison(literals[0], literals[1]));
+    } catch (error) {
+      console.error(`${error.name}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  } else {
+    console.error('Usage: node 01-basics/11-abstract-operations.js <literal> <literal>   e.g. "[]" "false"');
+    process.exitCode = 2;
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * File: 12-bit-flags.js
+ * Description: Tools built on the bitwise operators of 06-bitwise-operators.js.
+ * `formatBits` shows the two's-complement bits of a number (or BigInt) at any
+ * width, and `explainBitwise` lines up the operands and result of every bitwise
+ * operator bit by bit, so the lesson's binary comments are generated and checked
+ * instead of hand-written. `BitFlags` packs named on/off flags (such as
+ * permissions) into one integer: a Number for up to 32 flags, a BigInt beyond.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Two's Complement
+// =========================================================================
+
+/**
+ * **How integers are stored in bits:**
+ * -   The bitwise operators first convert their operands to 32-bit integers
+ * (ToInt32; `>>>` uses ToUint32) and convert the result back to a Number.
+ * -   **Two's complement:** a negative number `-n` is stored as the bits of
+ * `2^32 - n`. The leftmost bit is the sign bit: `-1` is all ones, `-6` is
+ * `11111...1010`. That is why `~x === -(x + 1)`: flipping every bit of `x`
+ * gives `2^32 - 1 - x`, which reads back as `-x - 1`.
+ * -   **Unsigned:** the same 32 bits read without a sign bit. `>>>` returns
+ * its result that way, so `-5 >>> 1` is a large positive number.
+ * -   BigInts have no fixed width; `BigInt.asIntN(width, n)` and
+ * `BigInt.asUintN(width, n)` wrap them to one.
+ */
+
+/** The default width: 32 bits for Numbers (like the operators), 64 for BigInts. */
+const defaultWidth = (value) => (typeof value === "bigint" ? 64 : 32);
+
+/**
+ * The `width` lowest bits of `value` in two's complement, most significant first.
+ * @param {number|bigint} value - An integer that fits in `width` bits.
+ * @param {{ width?: number, signed?: boolean }} [options] - `signed: false`
+ * reads the bits as an unsigned number, so the range is 0 to 2^width - 1
+ * instead of -2^(width-1) to 2^(width-1) - 1.
+ * @returns {string}
+ */
+export function formatBits(value, { width = defaultWidth(value), signed = true } = {}) {
+  if (!Number.isInteger(width) || width < 1) {
+    throw new RangeError(`width must be a positive integer, got ${width}`);
+  }
+  if (typeof value !== "bigint" && !Number.isInteger(value)) {
+    throw new TypeError(`formatBits expects an integer or a BigInt, got ${value}`);
+  }
+  const big = BigInt(value);
+  const bits = BigInt(width);
+  const [min, max] = signed ? [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n] : [0n, (1n << bits) - 1n];
+  if (big < min || big > max) {
+    throw new RangeError(`${value} does not fit in ${width} ${signed ? "signed" : "unsigned"} bits (${min} to ${max})`);
+  }
+  return BigInt.asUintN(width, big).toString(2).padStart(width, "0");
+}
+
+const BINARY = {
+  "&": (a, b) => a & b,
+  "|": (a, b) => a | b,
+  "^": (a, b) => a ^ b,
+  "<<": (a, b) => a << b,
+  ">>": (a, b) => a >> b,
+  ">>>": (a, b) => a >>> b,
+};
+const SHIFTS = new Set(["<<", ">>", ">>>"]);
+
+/**
+ * Runs a bitwise operator and lines up the bits of its operands and result.
+ * For shifts, the right operand is the shift count and has no bits row.
+ * @example
+ * explainBitwise(5, "&", 3, { width: 8 }).text
+ * //    5  00000101
+ * // &  3  00000011
+ * // =  1  00000001
+ * @param {number|bigint} left
+ * @param {"&"|"|"|"^"|"~"|"<<"|">>"|">>>"} operator - `"~"` takes no right operand.
+ * @param {number|bigint} [right]
+ * @param {{ width?: number }} [options] - Every row must fit; `>>>` results are shown unsigned.
+ * @returns {{ result: number|bigint, text: string }}
+ */
+export function explainBitwise(left, operator, right, { width = defaultWidth(left) } = {}) {
+  let rows;
+  let result;
+  if (operator === "~") {
+    result = ~left;
+    rows = [["~", left, true], ["=", result, true]];
+  } else if (Object.hasOwn(BINARY, operator)) {
+    result = BINARY[operator](left, right);
+    rows = [["", left, true], [operator, right, !SHIFTS.has(operator)], ["=", result, true]];
+  } else {
+    throw new RangeError(`Unknown bitwise operator "${operator}"`);
+  }
+  const labelWidth = Math.max(...rows.map(([label]) => label.length));
+  const valueWidth = Math.max(...rows.map(([, value]) => String(value).length));
+  const text = rows
+    .map(([label, value, withBits]) => {
+      const head = `${label.padEnd(labelWidth)} ${String(value).padStart(valueWidth)}`;
+      const signed = !(operator === ">>>" && label === "=");
+      return withBits ? `${head}  ${formatBits(value, { width, signed })}` : head;
+    })
+    .join("\n");
+  return { result, text };
+}
+
+// =========================================================================
+// 2. Bit Flags
+// =========================================================================
+
+/**
+ * **Flags in one integer:**
+ * -   Each flag owns one bit: the first flag is `1` (`1 << 0`), the second `2`,
+ * the third `4`, and so on. A set of flags is the OR of its bits, so
+ * `read | write` is `0b011` and "does it have write?" is `(value & 2) !== 0`.
+ * -   Sets are cheap to store and send (one number), and union / intersection
+ * are single operators.
+ * -   A Number holds 32 usable bits (the bitwise operators work on 32-bit
+ * integers), so up to 32 flags are stored as a Number, kept unsigned with
+ * `>>> 0` because flag 32 is the sign bit. With more flags the value is a BigInt.
+ *
+ * `BitFlags.define(name, flagNames)` creates a class for one kind of flag set.
+ * Its instances are immutable, like Money in 10-classes/07-money.js: every
+ * change returns a new set.
+ */
+
+const specs = new WeakMap(); // defined class -> { bits: Map<name, bit>, wide, all }
+
+/** Base class of every class made by `BitFlags.define`. */
+export class BitFlags {
+  #value;
+
+  /**
+   * Creates a flag-set class.
+   * @param {string} name - The class name, e.g. "Permission".
+   * @param {string[]} flagNames - One bit per name, in order.
+   * @returns {typeof BitFlags}
+   */
+  static define(name, flagNames) {
+    if (!Array.isArray(flagNames) || flagNames.length === 0) {
+      throw new TypeError("BitFlags.define needs a non-empty array of flag names");
+    }
+    for (const [index, flag] of flagNames.entries()) {
+      if (typeof flag !== "string" || !/^[A-Za-z_$][\w$]*$/.test(flag)) {
+        throw new TypeError(`Flag names must be identifiers, got ${JSON.stringify(flag)}`);
+      }
+      if (flagNames.indexOf(flag) !== index) throw new TypeError(`Duplicate flag "${flag}"`);
+    }
+    const wide = flagNames.length > 32;
+    const bits = new Map(flagNames.map((flag, index) => [flag, wide ? 1n << BigInt(index) : (1 << index) >>> 0]));
+    const all = [...bits.values()].reduce((sum, bit) => (wide ? sum | bit : (sum | bit) >>> 0), wide ? 0n : 0);
+    const FlagSet = { [name]: class extends BitFlags {} }[name];
+    specs.set(FlagSet, { bits, wide, all });
+    FlagSet.flags = Object.freeze(Object.fromEntries(bits));
+    return FlagSet;
+  }
+
+  static #spec(FlagSet) {
+    const spec = specs.get(FlagSet);
+    if (!spec) throw new TypeError("Use BitFlags.define(name, flagNames) to create a flag-set class");
+    return spec;
+  }
+
+  /** Prefer the factories `of`, `none`, `all`, `fromValue` and `parse`. */
+  constructor(value) {
+    const { wide, all } = BitFlags.#spec(new.target);
+    if (wide ? typeof value !== "bigint" || value < 0n : !Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+      throw new TypeError(`${new.target.name} value must be a ${wide ? "non-negative BigInt" : "32-bit unsigned integer"}`);
+    }
+    const unknown = wide ? value & ~all : (value & ~all) >>> 0;
+    if (unknown !== (wide ? 0n : 0)) {
+      throw new RangeError(`${new.target.name} value ${value} has unknown bits: ${formatBits(unknown, { signed: false })}`);
+    }
+    this.#value = value;
+    Object.freeze(this);
+  }
+
+  /** The set holding exactly `flagNames`. */
+  static of(...flagNames) {
+    return new this(BitFlags.#combine(this, flagNames));
+  }
+
+  static none() {
+    return new this(BitFlags.#spec(this).wide ? 0n : 0);
+  }
+
+  static all() {
+    return new this(BitFlags.#spec(this).all);
+  }
+
+  /**
+   * Rebuilds a set from `value` / `toJSON()`: a Number, a BigInt, or the decimal string used for BigInts in JSON.
+   * Bits without a flag are rejected.
+   */
+  static fromValue(value) {
+    const { wide } = BitFlags.#spec(this);
+    if (wide && typeof value !== "bigint") return new this(BigInt(value));
+    if (!wide && typeof value === "string") return new this(Number(value));
+    return new this(value);
+  }
+
+  /** The inverse of `toString()`: `"read|write"`; an empty string is the empty set. */
+  static parse(text) {
+    const names = text.split("|").map((part) => part.trim()).filter(Boolean);
+    return this.of(...names);
+  }
+
+  /** The OR of the bits of `flagNames`; unknown names throw a RangeError. */
+  static #combine(FlagSet, flagNames) {
+    const { bits, wide } = BitFlags.#spec(FlagSet);
+    let value = wide ? 0n : 0;
+    for (const flag of flagNames) {
+      if (!bits.has(flag)) {
+        throw new RangeError(`Unknown ${FlagSet.name} flag "${flag}" (known: ${[...bits.keys()].join(", ")})`);
+      }
+      value = wide ? value | bits.get(flag) : (value | bits.get(flag)) >>> 0;
+    }
+    return value;
+  }
+
+  /** Applies `operation(value, mask)` and wraps the result in a new set of the same class. */
+  #with(mask, operation) {
+    const { wide } = BitFlags.#spec(this.constructor);
+    const result = operation(this.#value, mask);
+    return new this.constructor(wide ? result : result >>> 0);
+  }
+
+  /** Flag names, or another set of the same class, as a bit mask. */
+  #maskOf(flags) {
+    if (flags.length === 1 && flags[0] instanceof BitFlags) {
+      if (flags[0].constructor !== this.constructor) {
+        throw new TypeError(`Cannot combine ${this.constructor.name} with ${flags[0].constructor.name}`);
+      }
+      return flags[0].#value;
+    }
+    return BitFlags.#combine(this.constructor, flags);
+  }
+
+  /** The raw integer: a Number for up to 32 flags, otherwise a BigInt. */
+  get value() {
+    return this.#value;
+  }
+
+  /** The names of the flags that are set, in definition order. */
+  get names() {
+    const { bits, wide } = BitFlags.#spec(this.constructor);
+    return [...bits].filter(([, bit]) => (this.#value & bit) !== (wide ? 0n : 0)).map(([flag]) => flag);
+  }
+
+  get size() {
+    return this.names.length;
+  }
+
+  /** True when every one of `flags` is set (names, or another set). */
+  has(...flags) {
+    const mask = this.#maskOf(flags);
+    const { wide } = BitFlags.#spec(this.constructor);
+    return (wide ? this.#value & mask : (this.#value & mask) >>> 0) === mask;
+  }
+
+  /** True when at least one of `flags` is set. */
+  hasAny(...flags) {
+    const { wide } = BitFlags.#spec(this.constructor);
+    return (this.#value & this.#maskOf(flags)) !== (wide ? 0n : 0);
+  }
+
+  set(...flags) {
+    return this.#with(this.#maskOf(flags), (value, mask) => value | mask);
+  }
+
+  clear(...flags) {
+    return this.#with(this.#maskOf(flags), (value, mask) => value & ~mask);
+  }
+
+  toggle(...flags) {
+    return this.#with(this.#maskOf(flags), (value, mask) => value ^ mask);
+  }
+
+  /** Flags set in either; the same as `set(other)`. */
+  union(other) {
+    return this.set(other);
+  }
+
+  /** Flags set in both. */
+  intersect(other) {
+    return this.#with(this.#maskOf([other]), (value, mask) => value & mask);
+  }
+
+  equals(other) {
+    return other instanceof BitFlags && other.constructor === this.constructor && other.#value === this.#value;
+  }
+
+  /** `"read|write"`, or `""` for the empty set. */
+  toString() {
+    return this.names.join("|");
+  }
+
+  /** A Number, or a decimal string for BigInt sets (JSON has no BigInts). */
+  toJSON() {
+    return typeof this.#value === "bigint" ? this.#value.toString() : this.#value;
+  }
+
+  valueOf() {
+    return this.#value;
+  }
+
+  /** Makes `console.log(flags)` print `Permission(read|write)` in Node.js. */
+  [Symbol.for("nodejs.util.inspect.custom")]() {
+    return `${this.constructor.name}(${this.toString()})`;
+  }
+}
+
+// =========================================================================
+// 3. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: two's complement at different widths
+  console.log(formatBits(5), formatBits(-6, { width: 8 })); // Output: 00000000000000000000000000000101 11111010
+  console.log(formatBits(255, { width: 8, signed: false }), formatBits(-1n, { width: 4 })); // Output: 11111111 1111
+  try {
+    formatBits(200, { width: 8 });
+  } catch (error) {
+    console.log(error.message); // Output: 200 does not fit in 8 signed bits (-128 to 127)
+  }
+
+  // Example 2: every operator, bit by bit
+  console.log(explainBitwise(5, "^", 3, { width: 8 }).text);
+  // Output:
+  //    5  00000101
+  // ^  3  00000011
+  // =  6  00000110
+  console.log(explainBitwise(-5, ">>>", 28).text);
+  // Output:
+  //      -5  11111111111111111111111111111011
+  // >>>  28
+  // =    15  00000000000000000000000000001111
+
+  // Example 3: permission flags
+  const Permission = BitFlags.define("Permission", ["read", "write", "delete", "share"]);
+  const editor = Permission.of("read", "write");
+  console.log(editor, editor.value, formatBits(editor.value, { width: 4, signed: false })); // Output: Permission(read|write) 3 0011
+  console.log(editor.has("write"), editor.has("write", "delete"), editor.hasAny("write", "delete")); // Output: true false true
+  const admin = editor.set("delete", "share");
+  console.log(String(admin), String(admin.clear("delete").toggle("read"))); // Output: read|write|delete|share write|share
+  console.log(String(editor.intersect(Permission.parse("write|share"))), editor.union(Permission.of("share")).value); // Output: write 11
+  console.log(Permission.fromValue(JSON.parse(JSON.stringify(admin))).equals(admin)); // Output: true
+
+  // Example 4: more than 32 flags switch to BigInt
+  const Feature = BitFlags.define("Feature", Array.from({ length: 40 }, (_, index) => `f${index}`));
+  const features = Feature.of("f0", "f39");
+  console.log(typeof features.value, features.value, JSON.stringify(features)); // Output: bigint 549755813889n "549755813889"
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,448 @@
+/**
+ * File: 13-rule-engine.js
+ * Description: A small boolean rule language built on 07-logical-operators.js:
+ * `&&`, `||`, `!`, `??`, comparisons, literals and variables such as
+ * `isLoggedIn && hasPremiumAccess`. Rules are parsed from a string (with the
+ * parser from 05-javascript-execution/01-tokenizer-and-parser.js) or from JSON,
+ * and evaluating one returns its value together with a trace of which operands
+ * were evaluated and which were skipped by short-circuiting.
+ * Date: 2026-10-19
+ */
+
+import { describeValue } from "./11-abstract-operations.js";
+import { ParseError, parse } from "../05-javascript-execution/01-tokenizer-and-parser.js";
+import { AppError } from "../11-error-handling/02-app-error.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Rules as Data
+// =========================================================================
+
+/**
+ * **Why a rule language:**
+ * -   Conditions like `hour < 10 || hour > 18 || isWeekend` are code: changing
+ * them means a release. Feature gates, office hours or discount conditions
+ * are often kept as data instead (in a config file or a database) and
+ * evaluated against the current values.
+ * -   The rules are expressions, not programs: no calls, no assignments, no
+ * loops. Evaluating one can only read the variables it is given.
+ * -   The operators behave exactly like JavaScript's, including returning an
+ * operand rather than a boolean: `firstName || nickName` gives a name.
+ *
+ * **Two formats for the same tree:**
+ * -   Text: `user.plan === "pro" && !isBanned`.
+ * -   JSON, one operator per object: `{ "&&": [{ "===": [{ "var": "user.plan" }, "pro"] }, { "!": { "var": "isBanned" } }] }`.
+ * `&&`, `||` and `??` take two or more operands, comparisons exactly two,
+ * `!` one; `{ "var": "a.b" }` reads a variable; `{ "$undefined": true }` is
+ * `undefined`, which JSON has no literal for; everything else is a literal.
+ * As in JavaScript, text rules need parentheses around `&&` / `||` next to
+ * `??`: `a ?? b || c` is a ParseError, `a ?? (b || c)` is not.
+ * `rule.toJSON()` and `rule.toString()` convert between the two.
+ *
+ * **The trace:** `rule.evaluate(variables)` returns `{ value, trace }`. The
+ * trace lists every operator and variable in evaluation order as
+ * `{ text, depth, evaluated, value }`; operands that short-circuiting never
+ * reached have `evaluated: false` and a `reason` instead of a value. When
+ * evaluating throws, the entries it was inside have `threw: true`.
+ */
+
+/**
+ * Thrown for invalid JSON rules (RULE_INVALID) and when evaluating fails:
+ * a missing variable (RULE_UNKNOWN_VARIABLE) or reading a property of
+ * `null` / `undefined` (RULE_EVALUATION). Syntax errors in text rules are
+ * ParseErrors with a line and column.
+ */
+export class RuleError extends AppError {
+  static code = "RULE_INVALID";
+  static status = 400;
+  static {
+    AppError.register(this);
+  }
+}
+
+const LOGICAL = new Set(["&&", "||", "??"]);
+const COMPARISONS = {
+  "===": (a, b) => a === b,
+  "!==": (a, b) => a !== b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+};
+
+// Same binding powers as the parser; a child with a lower one needs parentheses
+const PRECEDENCE = { "??": 1, "||": 2, "&&": 3, "===": 4, "!==": 4, "==": 4, "!=": 4, "<": 5, ">": 5, "<=": 5, ">=": 5 };
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// =========================================================================
+// 2. Parsing
+// =========================================================================
+
+// A rule tree has five node types:
+// { type: "Literal", value }, { type: "Variable", path: ["user", "plan"] },
+// { type: "Not", argument }, { type: "Logical" | "Comparison", operator, left, right }
+
+/** Converts a parser AST into a rule tree, rejecting everything a rule may not contain. */
+function fromAst(node, source) {
+  const fail = (message) => {
+    const column = node.start - source.lastIndexOf("\n", node.start - 1);
+    throw new ParseError(`${message}: ${source.slice(node.start, node.end)}`, { line: node.line, column });
+  };
+  switch (node.type) {
+    case "Literal":
+      return { type: "Literal", value: node.value };
+    case "Identifier":
+      // `undefined` is a global variable in JavaScript, but rules have no globals
+      if (node.name === "undefined") return { type: "Literal", value: undefined };
+      return { type: "Variable", path: [node.name] };
+    case "MemberExpression": {
+      if (node.computed) return fail("Use a.b instead of a[b] in rules");
+      const object = fromAst(node.object, source);
+      if (object.type !== "Variable") return fail("Only variables have properties in rules");
+      return { type: "Variable", path: [...object.path, node.property.name] };
+    }
+    case "UnaryExpression":
+      if (node.operator === "!") return { type: "Not", argument: fromAst(node.argument, source) };
+      if (node.operator === "-" && node.argument.type === "Literal" && typeof node.argument.value === "number") {
+        return { type: "Literal", value: -node.argument.value };
+      }
+      return fail(`Unsupported operator ${node.operator}`);
+    case "LogicalExpression":
+    case "BinaryExpression": {
+      const type = LOGICAL.has(node.operator) ? "Logical" : "Comparison";
+      if (type === "Comparison" && !Object.hasOwn(COMPARISONS, node.operator)) {
+        return fail(`Unsupported operator ${node.operator}`);
+      }
+      return { type, operator: node.operator, left: fromAst(node.left, source), right: fromAst(node.right, source) };
+    }
+    default:
+      return fail("Not allowed in a rule");
+  }
+}
+
+/** Converts a JSON rule into a rule tree; `where` is the JSON path used in error messages. */
+function fromJson(json, where = "$") {
+  const fail = (message, path = where) => {
+    throw new RuleError(`${message} at ${path}`, { code: "RULE_INVALID" });
+  };
+  if (json === null || ["string", "number", "boolean"].includes(typeof json)) {
+    return { type: "Literal", value: json };
+  }
+  if (typeof json !== "object" || Array.isArray(json)) return fail("Expected a literal or an operator object");
+  const keys = Object.keys(json);
+  if (keys.length !== 1) return fail(`Expected one operator, got ${keys.length ? keys.join(", ") : "none"}`);
+  const [operator] = keys;
+  const operand = json[operator];
+  const at = `${where}[${JSON.stringify(operator)}]`;
+
+  if (operator === "var") {
+    if (typeof operand !== "string" || !operand.split(".").every((part) => IDENTIFIER.test(part))) {
+      return fail(`"var" needs a name like "user.plan"`, at);
+    }
+    return { type: "Variable", path: operand.split(".") };
+  }
+  if (operator === "$undefined") {
+    if (operand !== true) return fail(`"$undefined" needs the value true`, at);
+    return { type: "Literal", value: undefined };
+  }
+  if (operator === "!") return { type: "Not", argument: fromJson(operand, at) };
+
+  const isLogical = LOGICAL.has(operator);
+  if (!isLogical && !Object.hasOwn(COMPARISONS, operator)) return fail(`Unknown operator ${JSON.stringify(operator)}`);
+  if (!Array.isArray(operand) || operand.length < 2 || (!isLogical && operand.length !== 2)) {
+    return fail(`${JSON.stringify(operator)} needs an array of ${isLogical ? "two or more" : "two"} operands`, at);
+  }
+  // a && b && c is (a && b) && c, as in JavaScript
+  return operand
+    .map((item, index) => fromJson(item, `${at}[${index}]`))
+    .reduce((left, right) => ({ type: isLogical ? "Logical" : "Comparison", operator, left, right }));
+}
+
+// =========================================================================
+// 3. Printing
+// =========================================================================
+
+const precedenceOf = (node) => (node.type === "Logical" || node.type === "Comparison" ? PRECEDENCE[node.operator] : Infinity);
+
+/** The rule as source text, with parentheses only where they are needed. */
+function toText(node) {
+  switch (node.type) {
+    case "Literal":
+      return typeof node.value === "string" ? JSON.stringify(node.value) : describeValue(node.value);
+    case "Variable":
+      return node.path.join(".");
+    case "Not":
+      return `!${wrap(node.argument, precedenceOf(node.argument) === Infinity)}`;
+    default: {
+      const precedence = PRECEDENCE[node.operator];
+      // JavaScript rejects ?? mixed with && or || without parentheses
+      const mixesNullish = (child) =>
+        child.type === "Logical" && child.operator !== node.operator && (child.operator === "??" || node.operator === "??");
+      const left = wrap(node.left, precedenceOf(node.left) >= precedence && !mixesNullish(node.left));
+      const right = wrap(node.right, precedenceOf(node.right) > precedence && !mixesNullish(node.right));
+      return `${left} ${node.operator} ${right}`;
+    }
+  }
+}
+
+const wrap = (node, bare) => (bare ? toText(node) : `(${toText(node)})`);
+
+/** The rule as JSON; chains of the same logical operator become one operand list. */
+function toJson(node) {
+  switch (node.type) {
+    case "Literal":
+      return node.value === undefined ? { $undefined: true } : node.value;
+    case "Variable":
+      return { var: node.path.join(".") };
+    case "Not":
+      return { "!": toJson(node.argument) };
+    case "Comparison":
+      return { [node.operator]: [toJson(node.left), toJson(node.right)] };
+    default: {
+      const operands = [];
+      let current = node;
+      for (; current.type === "Logical" && current.operator === node.operator; current = current.left) {
+        operands.unshift(toJson(current.right));
+      }
+      return { [node.operator]: [toJson(current), ...operands] };
+    }
+  }
+}
+
+// =========================================================================
+// 4. Evaluating
+// =========================================================================
+
+/** Evaluates `node`, adding one trace entry for every operator and variable it reaches. */
+function evaluateNode(node, variables, trace, depth) {
+  if (node.type === "Literal") return node.value;
+
+  const entry = { text: toText(node), depth, evaluated: true, value: undefined };
+  trace.push(entry);
+  const evaluate = (child) => evaluateNode(child, variables, trace, depth + 1);
+
+  try {
+    switch (node.type) {
+      case "Variable":
+        entry.value = readVariable(node.path, variables);
+        break;
+      case "Not":
+        entry.value = !evaluate(node.argument);
+        break;
+      case "Comparison":
+        entry.value = COMPARISONS[node.operator](evaluate(node.left), evaluate(node.right));
+        break;
+      case "Logical": {
+        const left = evaluate(node.left);
+        const reason = {
+          "&&": !left && `${toText(node.left)} is falsy`,
+          "||": left && `${toText(node.left)} is truthy`,
+          "??": left !== null && left !== undefined && `${toText(node.left)} is not null or undefined`,
+        }[node.operator];
+        if (reason) {
+          skip(node.right, reason, trace, depth + 1);
+          entry.value = left;
+        } else {
+          entry.value = evaluate(node.right);
+        }
+        break;
+      }
+    }
+  } catch (error) {
+    entry.threw = true; // Marks every operator the error passed through
+    throw error;
+  }
+  return entry.value;
+}
+
+/** Records an operand that short-circuiting never evaluated (literals are left out, as in the rest of the trace). */
+function skip(node, reason, trace, depth) {
+  if (node.type !== "Literal") trace.push({ text: toText(node), depth, evaluated: false, reason });
+}
+
+/** Looks up `a.b.c`: own properties only, so a rule cannot reach `constructor` or `__proto__`. */
+function readVariable(path, variables) {
+  const [name, ...properties] = path;
+  if (!Object.hasOwn(variables, name)) {
+    throw new RuleError(`Unknown variable "${name}"`, { code: "RULE_UNKNOWN_VARIABLE" });
+  }
+  let value = variables[name];
+  properties.forEach((property, index) => {
+    if (value === null || value === undefined) {
+      const object = path.slice(0, index + 1).join(".");
+      throw new RuleError(`Cannot read "${property}" of ${value} (${object})`, { code: "RULE_EVALUATION" });
+    }
+    value = Object.hasOwn(Object(value), property) ? value[property] : undefined;
+  });
+  return value;
+}
+
+/**
+ * A parsed rule. Immutable; create one with `Rule.parse` or `Rule.fromJSON`.
+ * @example
+ * const premium = Rule.parse("isLoggedIn && hasPremiumAccess");
+ * premium.test({ isLoggedIn: true, hasPremiumAccess: false }); // false
+ */
+export class Rule {
+  #tree;
+
+  constructor(tree) {
+    this.#tree = tree;
+    Object.freeze(this);
+  }
+
+  /**
+   * @param {string} text - e.g. `hour < 10 || hour > 18 || isWeekend`.
+   * @returns {Rule}
+   * @throws {ParseError} For syntax errors and anything that is not allowed in a rule (calls, assignments, ...).
+   */
+  static parse(text) {
+    const program = parse(text);
+    if (program.body.length !== 1 || program.body[0].type !== "ExpressionStatement") {
+      throw new ParseError("Expected a single expression", { line: 1, column: 1 });
+    }
+    return new Rule(fromAst(program.body[0].expression, text));
+  }
+
+  /**
+   * @param {string|object|number|boolean|null} json - A JSON rule, or its text.
+   * @returns {Rule}
+   * @throws {RuleError}
+   */
+  static fromJSON(json) {
+    if (typeof json === "string") {
+      try {
+        json = JSON.parse(json);
+      } catch (error) {
+        throw new RuleError(`Rule is not valid JSON: ${error.message}`, { cause: error });
+      }
+    }
+    return new Rule(fromJson(json));
+  }
+
+  /** The names of the top-level variables the rule can read, in order of appearance. */
+  get variables() {
+    const names = new Set();
+    const visit = (node) => {
+      if (node.type === "Variable") names.add(node.path[0]);
+      for (const child of [node.argument, node.left, node.right]) if (child) visit(child);
+    };
+    visit(this.#tree);
+    return [...names];
+  }
+
+  /**
+   * Evaluates the rule with JavaScript's semantics.
+   * @param {object} [variables] - The values of the rule's variables.
+   * @returns {{ value: any, trace: Array<{ text: string, depth: number, evaluated: boolean, value?: any, reason?: string, threw?: boolean }> }}
+   * @throws {RuleError} With the trace so far as `error.trace`.
+   */
+  evaluate(variables = {}) {
+    const trace = [];
+    try {
+      return { value: evaluateNode(this.#tree, variables, trace, 0), trace };
+    } catch (error) {
+      if (error instanceof RuleError) error.trace = trace;
+      throw error;
+    }
+  }
+
+  /** The value converted to a boolean, for gates: `if (rule.test(user)) ...`. */
+  test(variables) {
+    return Boolean(this.evaluate(variables).value);
+  }
+
+  toString() {
+    return toText(this.#tree);
+  }
+
+  toJSON() {
+    return toJson(this.#tree);
+  }
+}
+
+/**
+ * Renders a trace as an indented outline: `text → value` for evaluated
+ * operands (`text → throws` on the way to an error), `text (skipped: reason)`
+ * for short-circuited ones.
+ * @param {object[]} trace
+ * @returns {string}
+ */
+export function formatRuleTrace(trace) {
+  return trace
+    .map(({ text, depth, evaluated, value, reason, threw }) => {
+      const indent = "  ".repeat(depth);
+      if (!evaluated) return `${indent}${text} (skipped: ${reason})`;
+      return `${indent}${text} → ${threw ? "throws" : describeValue(value)}`;
+    })
+    .join("\n");
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: a feature gate; the second operand is never looked at
+  const premium = Rule.parse("isLoggedIn && hasPremiumAccess");
+  const { value, trace } = premium.evaluate({ isLoggedIn: false, hasPremiumAccess: true });
+  console.log(value, premium.test({ isLoggedIn: true, hasPremiumAccess: true })); // Output: false true
+  console.log(formatRuleTrace(trace));
+  // Output:
+  // isLoggedIn && hasPremiumAccess → false
+  //   isLoggedIn → false
+  //   hasPremiumAccess (skipped: isLoggedIn is falsy)
+
+  // Example 2: || and ?? return an operand, not a boolean
+  const displayName = Rule.parse('firstName || lastName || nickName || "Anonymous"');
+  console.log(displayName.evaluate({ firstName: "", lastName: "", nickName: "SuperCoder" }).value); // Output: SuperCoder
+  const retries = Rule.parse("settings.retries ?? 3");
+  console.log(retries.evaluate({ settings: { retries: 0 } }).value, retries.evaluate({ settings: {} }).value); // Output: 0 3
+  const nickname = Rule.parse("nickname ?? undefined");
+  console.log(nickname.evaluate({ nickname: null }).value, JSON.stringify(nickname.toJSON())); // Output: undefined {"??":[{"var":"nickname"},{"$undefined":true}]}
+
+  // Example 3: the same rule from JSON, and back
+  const officeClosed = Rule.fromJSON({ "||": [{ "<": [{ var: "hour" }, 10] }, { ">": [{ var: "hour" }, 18] }, { var: "isWeekend" }] });
+  console.log(String(officeClosed)); // Output: hour < 10 || hour > 18 || isWeekend
+  console.log(JSON.stringify(Rule.parse("!(a && b) ?? c").toJSON())); // Output: {"??":[{"!":{"&&":[{"var":"a"},{"var":"b"}]}},{"var":"c"}]}
+  console.log(formatRuleTrace(officeClosed.evaluate({ hour: 9, isWeekend: false }).trace));
+  // Output:
+  // hour < 10 || hour > 18 || isWeekend → true
+  //   hour < 10 || hour > 18 → true
+  //     hour < 10 → true
+  //       hour → 9
+  //     hour > 18 (skipped: hour < 10 is truthy)
+  //   isWeekend (skipped: hour < 10 || hour > 18 is truthy)
+
+  // Example 4: && as a guard, and the errors
+  const proUser = Rule.parse('user && user.plan === "pro"');
+  console.log(proUser.evaluate({ user: null }).value, proUser.variables); // Output: null [ 'user' ]
+  for (const attempt of [
+    () => Rule.parse('user.plan === "pro"').evaluate({ user: null }),
+    () => premium.evaluate({ isLoggedIn: true }),
+    () => Rule.parse("deleteAccount()"),
+    () => Rule.parse("a ?? b || c"),
+    () => Rule.parse("a) || (b"),
+    () => Rule.fromJSON({ "&&": [true] }),
+  ]) {
+    try {
+      attempt();
+    } catch (error) {
+      console.log(`${error.code ?? error.name}: ${error.message}`);
+    }
+  }
+  // Output:
+  // RULE_EVALUATION: Cannot read "plan" of null (user)
+  // RULE_UNKNOWN_VARIABLE: Unknown variable "hasPremiumAccess"
+  // ParseError: Not allowed in a rule: deleteAccount() (1:1)
+  // ParseError: Cannot mix "??" and "||" without parentheses (1:8)
+  // ParseError: Expected ";", found ")" (1:2)
+  // RULE_INVALID: "&&" needs an array of two or more operands at $["&&"]
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -5,149 +5,158 @@
  * Date: 2025-05-15
  */
 
-// ============================
-// Setup: Sample Array
-// ============================
+import { isMain } from "../tools/is-main.js";
 
-const programmingLanguages = [
-  "JavaScript",
-  "Python",
-  "C++",
-  "Java",
-  "Go",
-  "Rust",
-];
+export function runDemo() {
+  // ============================
+  // Setup: Sample Array
+  // ============================
 
-console.log("Original:", programmingLanguages);
+  const programmingLanguages = [
+    "JavaScript",
+    "Python",
+    "C++",
+    "Java",
+    "Go",
+    "Rust",
+  ];
 
-// ============================
-// 1️⃣ slice() - Returns a shallow copy of a portion of an array
-// ============================
+  console.log("Original:", programmingLanguages);
 
-const popularLanguages = programmingLanguages.slice(0, 3); // First 3 languages
-console.log("Popular Languages (slice):", popularLanguages);
+  // ============================
+  // 1️⃣ slice() - Returns a shallow copy of a portion of an array
+  // ============================
 
-// ============================
-// 2️⃣ splice() - Changes the content of an array by removing/replacing elements
-// ============================
+  const popularLanguages = programmingLanguages.slice(0, 3); // First 3 languages
+  console.log("Popular Languages (slice):", popularLanguages);
 
-const updatedLanguages = [...programmingLanguages]; // Copy to avoid mutation
-updatedLanguages.splice(2, 1, "TypeScript"); // Replace 'C++' with 'TypeScript'
-console.log("Updated (splice):", updatedLanguages);
+  // ============================
+  // 2️⃣ splice() - Changes the content of an array by removing/replacing elements
+  // ============================
 
-// ============================
-// 3️⃣ push() - Adds elements to the end
-// ============================
+  const updatedLanguages = [...programmingLanguages]; // Copy to avoid mutation
+  updatedLanguages.splice(2, 1, "TypeScript"); // Replace 'C++' with 'TypeScript'
+  console.log("Updated (splice):", updatedLanguages);
 
-programmingLanguages.push("Kotlin");
-console.log("After push:", programmingLanguages);
+  // ============================
+  // 3️⃣ push() - Adds elements to the end
+  // ============================
 
-// ============================
-// 4️⃣ pop() - Removes the last element
-// ============================
+  programmingLanguages.push("Kotlin");
+  console.log("After push:", programmingLanguages);
 
-const lastRemoved = programmingLanguages.pop();
-console.log("After pop:", programmingLanguages);
-console.log("Popped item:", lastRemoved);
+  // ============================
+  // 4️⃣ pop() - Removes the last element
+  // ============================
 
-// ============================
-// 5️⃣ unshift() - Adds elements to the beginning
-// ============================
+  const lastRemoved = programmingLanguages.pop();
+  console.log("After pop:", programmingLanguages);
+  console.log("Popped item:", lastRemoved);
 
-programmingLanguages.unshift("Swift");
-console.log("After unshift:", programmingLanguages);
+  // ============================
+  // 5️⃣ unshift() - Adds elements to the beginning
+  // ============================
 
-// ============================
-// 6️⃣ shift() - Removes the first element
-// ============================
+  programmingLanguages.unshift("Swift");
+  console.log("After unshift:", programmingLanguages);
 
-const firstRemoved = programmingLanguages.shift();
-console.log("After shift:", programmingLanguages);
-console.log("Shifted item:", firstRemoved);
+  // ============================
+  // 6️⃣ shift() - Removes the first element
+  // ============================
 
-// ============================
-// 7️⃣ indexOf() - Finds the index of an element
-// ============================
+  const firstRemoved = programmingLanguages.shift();
+  console.log("After shift:", programmingLanguages);
+  console.log("Shifted item:", firstRemoved);
 
-const index = programmingLanguages.indexOf("Java");
-console.log("Index of Java:", index);
+  // ============================
+  // 7️⃣ indexOf() - Finds the index of an element
+  // ============================
 
-// ============================
-// 8️⃣ includes() - Checks if an item exists
-// ============================
+  const index = programmingLanguages.indexOf("Java");
+  console.log("Index of Java:", index);
 
-const hasRust = programmingLanguages.includes("Rust");
-console.log("Contains Rust:", hasRust);
+  // ============================
+  // 8️⃣ includes() - Checks if an item exists
+  // ============================
 
-// ============================
-// 9️⃣ join() - Joins all elements into a string
-// ============================
+  const hasRust = programmingLanguages.includes("Rust");
+  console.log("Contains Rust:", hasRust);
 
-const joinedString = programmingLanguages.join(", ");
-console.log("Joined as string:", joinedString);
+  // ============================
+  // 9️⃣ join() - Joins all elements into a string
+  // ============================
 
-// ============================
-// 🔟 reverse() - Reverses the array in place (non-destructive here)
-// ============================
+  const joinedString = programmingLanguages.join(", ");
+  console.log("Joined as string:", joinedString);
 
-const reversed = [...programmingLanguages].reverse();
-console.log("Reversed order:", reversed);
+  // ============================
+  // 🔟 reverse() - Reverses the array in place (non-destructive here)
+  // ============================
 
-// ============================
-// 1️⃣1️⃣ sort() - Sorts elements alphabetically (mutates original)
-// ============================
+  const reversed = [...programmingLanguages].reverse();
+  console.log("Reversed order:", reversed);
 
-const sortedLanguages = [...programmingLanguages].sort();
-console.log("Sorted:", sortedLanguages);
+  // ============================
+  // 1️⃣1️⃣ sort() - Sorts elements alphabetically (mutates original)
+  // ============================
 
-// ============================
-// 1️⃣2️⃣ filter() - Returns elements that match a condition
-// ============================
+  const sortedLanguages = [...programmingLanguages].sort();
+  console.log("Sorted:", sortedLanguages);
 
-const shortNames = programmingLanguages.filter((lang) => lang.length <= 4);
-console.log("Short names (≤ 4 letters):", shortNames);
+  // ============================
+  // 1️⃣2️⃣ filter() - Returns elements that match a condition
+  // ============================
 
-// ============================
-// 1️⃣3️⃣ map() - Transforms elements and returns a new array
-// ============================
+  const shortNames = programmingLanguages.filter((lang) => lang.length <= 4);
+  console.log("Short names (≤ 4 letters):", shortNames);
 
-const upperCaseLanguages = programmingLanguages.map((lang) =>
-  lang.toUpperCase()
-);
-console.log("Uppercase:", upperCaseLanguages);
+  // ============================
+  // 1️⃣3️⃣ map() - Transforms elements and returns a new array
+  // ============================
 
-// ============================
-// 1️⃣4️⃣ forEach() - Executes a function for each element (no return)
-// ============================
+  const upperCaseLanguages = programmingLanguages.map((lang) =>
+    lang.toUpperCase()
+  );
+  console.log("Uppercase:", upperCaseLanguages);
 
-console.log("Languages list:");
-programmingLanguages.forEach((lang, index) => {
-  console.log(`${index + 1}. ${lang}`);
-});
+  // ============================
+  // 1️⃣4️⃣ forEach() - Executes a function for each element (no return)
+  // ============================
 
-// ============================
-// 1️⃣5️⃣ find() - Finds the first element that matches a condition
-// ============================
+  console.log("Languages list:");
+  programmingLanguages.forEach((lang, index) => {
+    console.log(`${index + 1}. ${lang}`);
+  });
 
-const langWithJ = programmingLanguages.find((lang) => lang.startsWith("J"));
-console.log("Language starting with J:", langWithJ);
+  // ============================
+  // 1️⃣5️⃣ find() - Finds the first element that matches a condition
+  // ============================
 
-// ============================
-// 1️⃣6️⃣ every() - Checks if all elements meet a condition
-// ============================
+  const langWithJ = programmingLanguages.find((lang) => lang.startsWith("J"));
+  console.log("Language starting with J:", langWithJ);
 
-const allAreStrings = programmingLanguages.every(
-  (lang) => typeof lang === "string"
-);
-console.log("All are strings:", allAreStrings);
+  // ============================
+  // 1️⃣6️⃣ every() - Checks if all elements meet a condition
+  // ============================
 
-// ============================
-// 1️⃣7️⃣ some() - Checks if at least one element meets a condition
-// ============================
+  const allAreStrings = programmingLanguages.every(
+    (lang) => typeof lang === "string"
+  );
+  console.log("All are strings:", allAreStrings);
 
-const containsCSharp = programmingLanguages.some((lang) => lang === "C#");
-console.log("Contains C#?", containsCSharp);
+  // ============================
+  // 1️⃣7️⃣ some() - Checks if at least one element meets a condition
+  // ============================
+
+  const containsCSharp = programmingLanguages.some((lang) => lang === "C#");
+  console.log("Contains C#?", containsCSharp);
+}
 
 // ============================
 // End of Demo
 // ============================
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
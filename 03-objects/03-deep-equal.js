@@ -0,0 +1,445 @@
+/**
+ * File: 03-deep-equal.js
+ * Description: Structural equality for objects. `===` only tells whether two
+ * variables point to the same object; `deepEqual` compares what is inside:
+ * nested objects and arrays, Maps, Sets, Dates, RegExps, typed arrays, symbol
+ * keys and boxed primitives, with cycles and prototypes handled, and -0 / NaN
+ * treated the way `Object.is` does. `diff` reports *where* two values differ
+ * first, as a path such as `library.books[1].author.lastName`.
+ * Date: 2026-10-19
+ */
+
+import { describeValue } from "../01-basics/11-abstract-operations.js";
+import { AppError } from "../11-error-handling/02-app-error.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Two Kinds of Equality
+// =========================================================================
+
+/**
+ * **Reference vs structure:**
+ * -   `a === b` on objects compares references: two separately created
+ * `{ name: "Alice" }` objects are never `===`, even though they look the same.
+ * -   *Structural* (deep) equality walks both values and compares their
+ * contents, the way test assertions such as `assert.deepStrictEqual` do.
+ *
+ * **Strict mode (the default)** compares primitives with `Object.is`, so
+ * `NaN` equals `NaN` but `-0` does not equal `0`, and both objects must have
+ * the same prototype: a `User` instance is not equal to a plain object with
+ * the same fields.
+ *
+ * **Loose mode (`{ strict: false }`)** compares primitives with `==`
+ * (`1` equals `"1"`, `-0` equals `0`, `null` equals `undefined`; `NaN` still
+ * equals `NaN`) and ignores prototypes. The kind of object still has to match:
+ * an array never equals a plain object, a Map never equals a Set.
+ *
+ * **What is compared:**
+ * -   Own enumerable properties, string and symbol keys alike.
+ * -   Arrays: length and elements (a hole is not the same as `undefined` in strict mode).
+ * -   Maps and Sets: size and entries, in any order. Object keys and members
+ * are matched structurally, so `new Set([{ id: 1 }])` equals another Set holding an equal object.
+ * -   Dates (time value), RegExps (source, flags, lastIndex), Errors (name,
+ * message), boxed primitives (`new Number(1)`), typed arrays, DataViews and
+ * ArrayBuffers (their elements / bytes).
+ * -   Built-ins are recognized by brand checks, not `instanceof` or
+ * `Symbol.toStringTag`: `Object.create(Date.prototype)` has no time value, so
+ * it is compared by its properties like any other object.
+ * -   Functions, WeakMaps, WeakSets and Promises cannot be looked into: they
+ * are only equal to themselves.
+ * -   Cycles: a pair of objects that is already being compared further up
+ * counts as equal, so `a.self = a` and `b.self = b` compare fine.
+ */
+
+/**
+ * Thrown by `assertDeepEqual`. `path` is where the values differ first;
+ * `actual` and `expected` are the two values found there.
+ */
+export class DeepEqualError extends AppError {
+  static code = "DEEP_EQUAL_MISMATCH";
+  static status = 500;
+  static {
+    AppError.register(this);
+  }
+}
+
+// =========================================================================
+// 2. Paths
+// =========================================================================
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Path segments are property keys (strings, symbols), array indices (numbers)
+ * and `{ get: key }` / `{ has: member }` for Map entries and Set members,
+ * or `{ call: "getTime" }` for values read through a method.
+ * `["books", 1, "author"]` with name "library" -> "library.books[1].author".
+ * @param {Array<string|number|symbol|object>} segments
+ * @param {string} [name] - The name of the root value.
+ * @returns {string}
+ */
+export function formatKeyPath(segments, name = "") {
+  return segments.reduce((text, segment) => {
+    if (typeof segment === "number") return `${text}[${segment}]`;
+    if (typeof segment === "symbol") return `${text}[${segment.toString()}]`;
+    if (typeof segment === "string") {
+      if (!IDENTIFIER.test(segment)) return `${text}[${JSON.stringify(segment)}]`;
+      return text ? `${text}.${segment}` : segment;
+    }
+    if ("get" in segment) return `${text}.get(${describeValue(segment.get)})`;
+    if ("has" in segment) return `${text}.has(${describeValue(segment.has)})`;
+    return `${text}.${segment.call}()`;
+  }, name);
+}
+
+// =========================================================================
+// 3. The Comparison
+// =========================================================================
+
+const isPrimitive = (value) => value === null || (typeof value !== "object" && typeof value !== "function");
+const tagOf = (value) => Object.prototype.toString.call(value);
+const BOXED = [Number, String, Boolean, BigInt, Symbol].map((Type) => Type.prototype.valueOf);
+const OPAQUE = [
+  "[object Function]",
+  "[object AsyncFunction]",
+  "[object GeneratorFunction]",
+  "[object WeakMap]",
+  "[object WeakSet]",
+  "[object WeakRef]",
+  "[object Promise]",
+];
+
+function primitivesEqual(a, b, strict) {
+  if (Number.isNaN(a) && Number.isNaN(b)) return true; // NaN equals NaN in both modes
+  return strict ? Object.is(a, b) : a == b;
+}
+
+function constructorName(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === null ? "null prototype" : (proto.constructor?.name ?? "anonymous prototype");
+}
+
+/** Which boxed type `value` is (Number, String, ...), or undefined; `new Number(1)` has the tag "[object Number]". */
+function boxedValueOf(value) {
+  for (const valueOf of BOXED) {
+    try {
+      return { value: valueOf.call(value) };
+    } catch {
+      // Not this box type; valueOf throws a TypeError for the wrong receiver
+    }
+  }
+  return undefined;
+}
+
+const getterOf = (Type, key) => Object.getOwnPropertyDescriptor(Type.prototype, key).get;
+// Built-in methods that throw a TypeError unless called on the real thing
+const BRAND_CHECKS = {
+  Date: Date.prototype.getTime,
+  RegExp: getterOf(RegExp, "source"),
+  Map: getterOf(Map, "size"),
+  Set: getterOf(Set, "size"),
+  DataView: getterOf(DataView, "byteLength"),
+  ArrayBuffer: getterOf(ArrayBuffer, "byteLength"),
+  SharedArrayBuffer: typeof SharedArrayBuffer === "function" ? getterOf(SharedArrayBuffer, "byteLength") : () => {
+    throw new TypeError("SharedArrayBuffer is not available");
+  },
+};
+
+/**
+ * Which built-in `value` really is ("Date", "Map", "TypedArray", "boxed", ...), or undefined.
+ * Uses brand checks: `instanceof` and `Symbol.toStringTag` can be faked with
+ * `Object.create(Date.prototype)` or `{ [Symbol.toStringTag]: "Date" }`, a brand check cannot.
+ */
+function builtinKind(value) {
+  if (ArrayBuffer.isView(value)) return hasBrand(value, "DataView") ? "DataView" : "TypedArray";
+  if (boxedValueOf(value)) return "boxed";
+  return Object.keys(BRAND_CHECKS).find((kind) => hasBrand(value, kind));
+}
+
+function hasBrand(value, kind) {
+  try {
+    BRAND_CHECKS[kind].call(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Own enumerable keys, string keys first (in property order), then symbols. */
+function ownEnumerableKeys(object) {
+  return Reflect.ownKeys(object).filter((key) => Object.prototype.propertyIsEnumerable.call(object, key));
+}
+
+class Comparison {
+  #strict;
+  #inProgress = new Map(); // object on the left -> objects on the right it is being compared with
+
+  constructor(strict) {
+    this.#strict = strict;
+  }
+
+  /** Returns undefined when equal, or the first mismatch `{ segments, reason, actual, expected }`. */
+  compare(a, b, segments) {
+    if (isPrimitive(a) || isPrimitive(b)) {
+      if (isPrimitive(a) && isPrimitive(b) && primitivesEqual(a, b, this.#strict)) return undefined;
+      const reason = `${describeValue(a)} is not ${this.#strict ? "" : "loosely "}equal to ${describeValue(b)}`;
+      return this.#mismatch(segments, reason, a, b);
+    }
+    if (a === b) return undefined;
+
+    let partners = this.#inProgress.get(a);
+    if (partners?.has(b)) return undefined; // Cycle: assume equal while this pair is being compared
+    if (!partners) this.#inProgress.set(a, (partners = new Set()));
+    partners.add(b);
+    const mismatch = this.#compareObjects(a, b, segments);
+    if (mismatch) partners.delete(b); // Only equal pairs may be reused (Map and Set matching tries several)
+    return mismatch;
+  }
+
+  #mismatch(segments, reason, actual, expected) {
+    return { segments, reason, actual, expected };
+  }
+
+  #compareObjects(a, b, segments) {
+    const tag = tagOf(a);
+    if (tag !== tagOf(b)) {
+      return this.#mismatch(segments, `${tag} is not the same kind of object as ${tagOf(b)}`, a, b);
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+      return this.#mismatch(segments, "an array and a non-array", a, b);
+    }
+    if (this.#strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+      return this.#mismatch(segments, `different prototypes (${constructorName(a)} and ${constructorName(b)})`, a, b);
+    }
+    if (OPAQUE.includes(tag)) {
+      return this.#mismatch(segments, `${tag} values are only equal to themselves`, a, b);
+    }
+    const special = this.#compareContents(a, b, segments);
+    if (special) return special;
+    return this.#compareProperties(a, b, segments, ArrayBuffer.isView(a));
+  }
+
+  /**
+   * The parts of built-in objects that are not own enumerable properties.
+   * Objects that only look like a built-in are compared by their properties.
+   */
+  #compareContents(a, b, segments) {
+    const kind = builtinKind(a);
+    const otherKind = builtinKind(b);
+    if (kind !== otherKind) {
+      return this.#mismatch(segments, `different built-in kinds (${kind ?? "none"} and ${otherKind ?? "none"})`, a, b);
+    }
+    if (kind === "Date") {
+      return this.compare(Date.prototype.getTime.call(a), Date.prototype.getTime.call(b), [...segments, { call: "getTime" }]);
+    }
+    if (kind === "RegExp") {
+      for (const key of ["source", "flags", "lastIndex"]) {
+        const mismatch = this.compare(a[key], b[key], [...segments, key]);
+        if (mismatch) return mismatch;
+      }
+      return undefined;
+    }
+    if (a instanceof Error) {
+      for (const key of ["name", "message"]) {
+        const mismatch = this.compare(a[key], b[key], [...segments, key]);
+        if (mismatch) return mismatch;
+      }
+      return undefined;
+    }
+    if (kind === "boxed") {
+      return this.compare(boxedValueOf(a).value, boxedValueOf(b).value, [...segments, { call: "valueOf" }]);
+    }
+    if (Array.isArray(a) && a.length !== b.length) {
+      return this.#mismatch([...segments, "length"], `length ${a.length} is not ${b.length}`, a.length, b.length);
+    }
+    if (["TypedArray", "DataView", "ArrayBuffer", "SharedArrayBuffer"].includes(kind)) {
+      return this.#compareElements(a, b, segments, kind === "TypedArray");
+    }
+    if (kind === "Map") return this.#compareMaps(a, b, segments);
+    if (kind === "Set") return this.#compareSets(a, b, segments);
+    return undefined;
+  }
+
+  /** Typed arrays by element; DataViews and ArrayBuffers by byte. */
+  #compareElements(a, b, segments, isTyped) {
+    const left = isTyped ? a : new Uint8Array(a.buffer ?? a, a.byteOffset ?? 0, a.byteLength);
+    const right = isTyped ? b : new Uint8Array(b.buffer ?? b, b.byteOffset ?? 0, b.byteLength);
+    if (left.length !== right.length) {
+      const what = isTyped ? "length" : "byteLength";
+      return this.#mismatch([...segments, what], `${what} ${left.length} is not ${right.length}`, left.length, right.length);
+    }
+    for (let index = 0; index < left.length; index++) {
+      const mismatch = this.compare(left[index], right[index], [...segments, index]);
+      if (mismatch) return mismatch;
+    }
+    return undefined;
+  }
+
+  #compareMaps(a, b, segments) {
+    if (a.size !== b.size) {
+      return this.#mismatch([...segments, "size"], `size ${a.size} is not ${b.size}`, a.size, b.size);
+    }
+    const unmatched = [...b.keys()];
+    for (const [key, value] of a) {
+      let index = b.has(key) ? unmatched.findIndex((other) => Object.is(other, key) || (other === 0 && key === 0)) : -1;
+      if (index !== -1) {
+        const mismatch = this.compare(value, b.get(key), [...segments, { get: key }]);
+        if (mismatch) return mismatch;
+      } else {
+        // An object key (or, in loose mode, 1 for "1") can still match an equal key of b
+        index = unmatched.findIndex((other) => !this.compare(key, other, []) && !this.compare(value, b.get(other), []));
+        if (index === -1) return this.#mismatch([...segments, { get: key }], "key is missing in expected", value, undefined);
+      }
+      unmatched.splice(index, 1);
+    }
+    return undefined;
+  }
+
+  #compareSets(a, b, segments) {
+    if (a.size !== b.size) {
+      return this.#mismatch([...segments, "size"], `size ${a.size} is not ${b.size}`, a.size, b.size);
+    }
+    const unmatched = [...b];
+    for (const member of a) {
+      // Same member first (Sets use SameValueZero), then a structurally equal one
+      let index = b.has(member) ? unmatched.findIndex((other) => other === member || (Number.isNaN(other) && Number.isNaN(member))) : -1;
+      if (index === -1) index = unmatched.findIndex((other) => !this.compare(member, other, []));
+      if (index === -1) {
+        return this.#mismatch([...segments, { has: member }], "member is missing in expected", member, undefined);
+      }
+      unmatched.splice(index, 1);
+    }
+    return undefined;
+  }
+
+  #compareProperties(a, b, segments, skipIndices) {
+    const isIndex = (key) => skipIndices && typeof key === "string" && /^\d+$/.test(key);
+    const keysA = ownEnumerableKeys(a).filter((key) => !isIndex(key));
+    const keysB = new Set(ownEnumerableKeys(b).filter((key) => !isIndex(key)));
+    const arrayIndex = (key) => (Array.isArray(a) && typeof key === "string" && /^\d+$/.test(key) ? Number(key) : key);
+    for (const key of keysA) {
+      if (!keysB.has(key)) {
+        return this.#mismatch([...segments, arrayIndex(key)], "property is missing in expected", a[key], undefined);
+      }
+      const mismatch = this.compare(a[key], b[key], [...segments, arrayIndex(key)]);
+      if (mismatch) return mismatch;
+      keysB.delete(key);
+    }
+    for (const key of keysB) {
+      return this.#mismatch([...segments, arrayIndex(key)], "property is missing in actual", undefined, b[key]);
+    }
+    return undefined;
+  }
+}
+
+// =========================================================================
+// 4. Public API
+// =========================================================================
+
+/**
+ * Where `actual` and `expected` first differ, or null when they are deeply equal.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {{ strict?: boolean, name?: string }} [options] - `name` prefixes the path.
+ * @returns {{ path: string, reason: string, actual: any, expected: any, message: string } | null}
+ */
+export function diff(actual, expected, { strict = true, name = "" } = {}) {
+  const mismatch = new Comparison(strict).compare(actual, expected, []);
+  if (!mismatch) return null;
+  const path = formatKeyPath(mismatch.segments, name);
+  return {
+    path,
+    reason: mismatch.reason,
+    actual: mismatch.actual,
+    expected: mismatch.expected,
+    message: `${path || "(root)"}: ${mismatch.reason}`,
+  };
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @param {{ strict?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function deepEqual(a, b, options = {}) {
+  return diff(a, b, options) === null;
+}
+
+/**
+ * Throws a DeepEqualError naming the first mismatch, for use in tests and self-checks.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {{ strict?: boolean, name?: string }} [options]
+ */
+export function assertDeepEqual(actual, expected, options = {}) {
+  const difference = diff(actual, expected, options);
+  if (difference) {
+    const error = new DeepEqualError(`Values are not deeply equal at ${difference.message}`);
+    error.path = difference.path;
+    error.actual = difference.actual;
+    error.expected = difference.expected;
+    throw error;
+  }
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  const makeLibrary = (lastName) => ({
+    name: "City Library",
+    books: [
+      { title: "JavaScript Basics", author: { firstName: "John", lastName: "Doe" } },
+      { title: "Advanced React", author: { firstName: "Jane", lastName } },
+    ],
+  });
+
+  // Example 1: references vs structure, and where two values differ
+  const library = makeLibrary("Smith");
+  console.log(library === makeLibrary("Smith"), deepEqual(library, makeLibrary("Smith"))); // Output: false true
+  console.log(diff(library, makeLibrary("Smyth"), { name: "library" }).message); // Output: library.books[1].author.lastName: "Smith" is not equal to "Smyth"
+
+  // Example 2: -0 and NaN, strict vs loose
+  console.log(deepEqual([NaN], [NaN]), deepEqual([0], [-0]), deepEqual([0], [-0], { strict: false })); // Output: true false true
+  console.log(deepEqual({ id: 1 }, { id: "1" }), deepEqual({ id: 1 }, { id: "1" }, { strict: false })); // Output: false true
+
+  // Example 3: prototypes matter in strict mode only
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+  console.log(diff(new Point(1, 2), { x: 1, y: 2 }).reason); // Output: different prototypes (Point and Object)
+  console.log(deepEqual(new Point(1, 2), { x: 1, y: 2 }, { strict: false })); // Output: true
+
+  // Example 4: Maps, Sets, Dates, RegExps, typed arrays and symbol keys
+  const id = Symbol("id");
+  const settings = (theme) => new Map([["theme", theme], [{ user: 1 }, new Set(["admin", "editor"])]]);
+  console.log(deepEqual(settings("dark"), settings("dark")), diff(settings("dark"), settings("light")).path); // Output: true .get("theme")
+  console.log(deepEqual(new Set([1, 2]), new Set([2, 1])), deepEqual(new Date(0), new Date(0)), deepEqual(/a/g, /a/i)); // Output: true true false
+  console.log(diff(new Float64Array([1, 2]), new Float64Array([1, 3])).path, diff({ [id]: 1 }, { [id]: 2 }).path); // Output: [1] [Symbol(id)]
+  const lookAlike = () => ({ [Symbol.toStringTag]: "Date" }); // Not a Date, whatever its tag says
+  console.log(deepEqual(lookAlike(), lookAlike()), deepEqual(Object.create(Map.prototype), Object.create(Map.prototype))); // Output: true true
+
+  // Example 5: cycles
+  const a = { name: "a" };
+  a.self = a;
+  const b = { name: "a" };
+  b.self = b;
+  console.log(deepEqual(a, b)); // Output: true
+
+  // Example 6: in tests
+  try {
+    assertDeepEqual({ user: { roles: ["admin"] } }, { user: { roles: ["admin", "editor"] } });
+  } catch (error) {
+    console.log(error.name, error.path); // Output: DeepEqualError user.roles.length
+  }
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
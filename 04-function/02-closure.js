@@ -7,6 +7,8 @@
  * Date: 2025-05-18
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // ============================
 // 1. What is a Closure?
 // ============================
@@ -60,7 +62,7 @@
  */
 
 // Example 1: Basic Closure
-function outerFunction(outerVar) {
+export function outerFunction(outerVar) {
   /**
    * This inner function forms a closure over 'outerVar'.
    * @param {string} innerVar - A variable local to the inner function.
@@ -71,9 +73,11 @@ function outerFunction(outerVar) {
   return innerFunction; // The outer function returns the inner function.
 }
 
-const myInnerFunc = outerFunction("Hello from outer"); // outerFunction has finished executing
-myInnerFunc("World from inner"); // However, myInnerFunc still has access to 'outerVar'.
-// Output: Closure Example 1: Hello from outer World from inner
+function basicClosureExample() {
+  const myInnerFunc = outerFunction("Hello from outer"); // outerFunction has finished executing
+  myInnerFunc("World from inner"); // However, myInnerFunc still has access to 'outerVar'.
+  // Output: Closure Example 1: Hello from outer World from inner
+}
 
 // ============================
 // 2. How Closures Work (Lexical Environment)
@@ -91,7 +95,7 @@ myInnerFunc("World from inner"); // However, myInnerFunc still has access to 'ou
  */
 
 // Example 2: Closure with Counter
-function createCounter() {
+export function createCounter() {
   let count = 0; // 'count' is in the lexical environment of the returned functions.
 
   return {
@@ -117,14 +121,16 @@ function createCounter() {
   };
 }
 
-const counterA = createCounter();
-counterA.increment();
-counterA.increment();
-console.log("Closure Example 2 (counterA):", counterA.getCount()); // Output: 2
+function counterExample() {
+  const counterA = createCounter();
+  counterA.increment();
+  counterA.increment();
+  console.log("Closure Example 2 (counterA):", counterA.getCount()); // Output: 2
 
-const counterB = createCounter();
-counterB.decrement();
-console.log("Closure Example 2 (counterB):", counterB.getCount()); // Output: -1
+  const counterB = createCounter();
+  counterB.decrement();
+  console.log("Closure Example 2 (counterB):", counterB.getCount()); // Output: -1
+}
 
 // Each counter has its own independent 'count' variable due to the closure.
 
@@ -159,8 +165,12 @@ function delayedGreeting(message, delay) {
   console.log("setTimeout scheduled.");
 }
 
-delayedGreeting("Hello after 2 seconds!", 2000);
-// Output (after 2 seconds): Closure Example 3 (setTimeout): Hello after 2 seconds!
+function callbackExample() {
+  delayedGreeting("Hello after 2 seconds!", 2000);
+  // Output:
+  //   setTimeout scheduled.
+  //   Closure Example 3 (setTimeout): Hello after 2 seconds! (after 2 seconds)
+}
 
 // ============================
 // 4. Potential Pitfalls of Closures
@@ -220,7 +230,9 @@ function clousureExample() {
   console.log("From line no: 5");
 }
 
-clousureExample();
+function loopFixExample() {
+  clousureExample();
+}
 
 // ============================
 // 5. Summary of Closures
@@ -237,3 +249,16 @@ clousureExample();
  */
 
 // End of deep-dive tutorial on JavaScript Closures
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  basicClosureExample();
+  counterExample();
+  callbackExample();
+  loopFixExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
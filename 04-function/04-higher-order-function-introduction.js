@@ -6,6 +6,8 @@
  * Date: 2025-05-19
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // ============================
 // 1. What are Higher-Order Functions?
 // ============================
@@ -36,11 +38,13 @@
  */
 
 // Example 1: Assigning a function to a variable
-const myFunction = function () {
-  console.log("Hello!");
-};
+function firstClassExample() {
+  const myFunction = function () {
+    console.log("Hello!");
+  };
 
-myFunction(); // Calling the function through the variable
+  myFunction(); // Calling the function through the variable
+}
 
 // ============================
 // 3. Higher-Order Functions in Action
@@ -52,7 +56,7 @@ myFunction(); // Calling the function through the variable
  * Example 2: A HOF that takes a function as an argument
  * - The 'callback' parameter is expected to be a function.
  */
-function callTwice(callback) {
+export function callTwice(callback) {
   callback();
   callback();
 }
@@ -61,10 +65,12 @@ function sayHello() {
   console.log("Hello!");
 }
 
-callTwice(sayHello); // Passing sayHello as an argument
-// Output:
-// Hello!
-// Hello!
+function callTwiceExample() {
+  callTwice(sayHello); // Passing sayHello as an argument
+  // Output:
+  // Hello!
+  // Hello!
+}
 
 // 3.2. Returning a Function
 
@@ -72,17 +78,19 @@ callTwice(sayHello); // Passing sayHello as an argument
  * Example 3: A HOF that returns a function
  * - createMultiplier returns a new function.
  */
-function createMultiplier(multiplier) {
+export function createMultiplier(multiplier) {
   return function (number) {
     return number * multiplier;
   };
 }
 
-const double = createMultiplier(2); // double is now a function
-const triple = createMultiplier(3); // triple is also a function
+function multiplierExample() {
+  const double = createMultiplier(2); // double is now a function
+  const triple = createMultiplier(3); // triple is also a function
 
-console.log(double(5)); // Output: 10
-console.log(triple(5)); // Output: 15
+  console.log(double(5)); // Output: 10
+  console.log(triple(5)); // Output: 15
+}
 
 // 3.3. Common Built-in HOFs in JavaScript
 
@@ -100,22 +108,24 @@ console.log(triple(5)); // Output: 15
  */
 
 // Example 4: Using Array.map() (a HOF)
-const numbers = [1, 2, 3];
-const squaredNumbers = numbers.map(function (num) {
-  return num * num;
-});
-console.log(squaredNumbers); // Output: [4, 4, 9]
-
-// Example 5: Using Array.filter() (a HOF)
-const evenNumbers = numbers.filter((num) => num % 2 === 0);
-console.log(evenNumbers); // Output: [2]
-
-// Example 6: Using Array.reduce() (a HOF)
-const sum = numbers.reduce(
-  (accumulator, currentValue) => accumulator + currentValue,
-  0
-);
-console.log(sum); // Output: 6
+function arrayMethodExamples() {
+  const numbers = [1, 2, 3];
+  const squaredNumbers = numbers.map(function (num) {
+    return num * num;
+  });
+  console.log(squaredNumbers); // Output: [ 1, 4, 9 ]
+
+  // Example 5: Using Array.filter() (a HOF)
+  const evenNumbers = numbers.filter((num) => num % 2 === 0);
+  console.log(evenNumbers); // Output: [2]
+
+  // Example 6: Using Array.reduce() (a HOF)
+  const sum = numbers.reduce(
+    (accumulator, currentValue) => accumulator + currentValue,
+    0
+  );
+  console.log(sum); // Output: 6
+}
 
 // ============================
 // 4. Higher-Order Functions and Functional Programming
@@ -147,15 +157,19 @@ function multiplyByTwo(x) {
   return x * 2;
 }
 
-function compose(f, g) {
-  return function (x) {
-    return f(g(x));
+// g receives every argument (add needs two), f receives g's single result.
+// See 08-functional-toolkit.js for a variadic compose/pipe built on this idea.
+export function compose(f, g) {
+  return function (...args) {
+    return f(g(...args));
   };
 }
 
-const addAndDouble = compose(multiplyByTwo, add); // compose returns a new function
+function composeExample() {
+  const addAndDouble = compose(multiplyByTwo, add); // compose returns a new function
 
-console.log(addAndDouble(3, 4)); // Output: 14  (3 + 4 = 7, then 7 * 2 = 14)
+  console.log(addAndDouble(3, 4)); // Output: 14  (3 + 4 = 7, then 7 * 2 = 14)
+}
 
 // ============================
 // 5. Benefits of Higher-Order Functions
@@ -168,3 +182,17 @@ console.log(addAndDouble(3, 4)); // Output: 14  (3 + 4 = 7, then 7 * 2 = 14)
  * - **Declarative Style:** HOFs often lead to a more declarative style of programming, where you
  * describe *what* you want to do rather than *how* to do it.
  */
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  firstClassExample();
+  callTwiceExample();
+  multiplierExample();
+  arrayMethodExamples();
+  composeExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -7,6 +7,8 @@
  * Date: 2025-05-20
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. Custom map() Implementation
 // =========================================================================
@@ -31,7 +33,7 @@
  * **Returns:**
  * -   A new array with the results of applying the callback to each element.
  */
-function customMap(inputArray, callback) {
+export function customMap(inputArray, callback) {
   const newArray = []; // Array to store transformed elements
 
   // Iterate over each element in the input array
@@ -46,12 +48,14 @@ function customMap(inputArray, callback) {
 
 // Example 1: Using customMap() to add 1 to each mark
 const marks = [90, 71, 91, 69, 80];
-console.log("1. Original marks:", marks);
-const incrementedMarks = customMap(marks, (mark) => mark + 1);
-console.log("   Incremented marks (customMap):", incrementedMarks);
-// Output:
-//   Original marks: [ 90, 71, 91, 69, 80 ]
-//   Incremented marks (customMap): [ 91, 72, 92, 70, 81 ]
+function mapExample() {
+  console.log("1. Original marks:", marks);
+  const incrementedMarks = customMap(marks, (mark) => mark + 1);
+  console.log("   Incremented marks (customMap):", incrementedMarks);
+  // Output:
+  //   1. Original marks: [ 90, 71, 91, 69, 80 ]
+  //      Incremented marks (customMap): [ 91, 72, 92, 70, 81 ]
+}
 
 // =========================================================================
 // 2. Custom filter() Implementation
@@ -78,7 +82,7 @@ console.log("   Incremented marks (customMap):", incrementedMarks);
  * **Returns:**
  * -   A new array with the elements that pass the test.
  */
-function customFilter(inputArray, callback) {
+export function customFilter(inputArray, callback) {
   const filteredArray = []; // Array to store filtered elements
 
   // Iterate over each element in the input array
@@ -95,23 +99,24 @@ function customFilter(inputArray, callback) {
 }
 
 // Example 2: Using customFilter() to get marks below 70
-const lowMarks = customFilter(marks, function (mark) {
-  return mark < 70;
-});
-console.log("2. Original marks:", marks);
-console.log("   Low marks (customFilter):", lowMarks);
-// Output:
-//   Original marks: [ 90, 71, 91, 69, 80 ]
-//   Low marks (customFilter): [ 69 ]
-
-// Example 3: Using customFilter() to find marks equal to 91
-const ninetyOneMarks = customFilter(marks, function (mark) {
-  return mark === 91;
-});
-console.log("   Marks equal to 91 (customFilter):", ninetyOneMarks);
-// Output:
-//   Marks equal to 91 (customFilter): [ 91 ]
-
+function filterExamples() {
+  const lowMarks = customFilter(marks, function (mark) {
+    return mark < 70;
+  });
+  console.log("2. Original marks:", marks);
+  console.log("   Low marks (customFilter):", lowMarks);
+  // Output:
+  //   2. Original marks: [ 90, 71, 91, 69, 80 ]
+  //      Low marks (customFilter): [ 69 ]
+
+  // Example 3: Using customFilter() to find marks equal to 91
+  const ninetyOneMarks = customFilter(marks, function (mark) {
+    return mark === 91;
+  });
+  console.log("   Marks equal to 91 (customFilter):", ninetyOneMarks);
+  // Output:
+  //   Marks equal to 91 (customFilter): [ 91 ]
+}
 // =========================================================================
 // 3. Custom find() Implementation
 // =========================================================================
@@ -136,7 +141,7 @@ console.log("   Marks equal to 91 (customFilter):", ninetyOneMarks);
  * **Returns:**
  * - The first element in the array that satisfies the testing function, otherwise undefined.
  */
-function customFind(inputArray, callback) {
+export function customFind(inputArray, callback) {
   for (let index = 0; index < inputArray.length; index++) {
     const currentElement = inputArray[index];
     const satisfiesCondition = callback(currentElement, index, inputArray);
@@ -147,11 +152,13 @@ function customFind(inputArray, callback) {
   return undefined; // Return undefined if no element matches
 }
 // Example 4: Using customFind to find the first mark greater than 80
-const firstHighMark = customFind(marks, (mark) => mark > 80);
-console.log("4.  First mark greater than 80 (customFind):", firstHighMark); // Output: 90
+function findExample() {
+  const firstHighMark = customFind(marks, (mark) => mark > 80);
+  console.log("4.  First mark greater than 80 (customFind):", firstHighMark); // Output: 90
 
-const noMatch = customFind(marks, (mark) => mark > 100);
-console.log("4. No match (customFind):", noMatch); // Output: undefined
+  const noMatch = customFind(marks, (mark) => mark > 100);
+  console.log("4. No match (customFind):", noMatch); // Output: undefined
+}
 
 // =========================================================================
 // 4. Custom reduce() Implementation
@@ -181,13 +188,18 @@ console.log("4. No match (customFind):", noMatch); // Output: undefined
  *
  * **Returns:**
  * -   The single value that results from the reduction.
+ *
+ * See 09-array-method-polyfills.js for spec-compliant versions of these methods
+ * (holes, thisArg, length capture) and more, installed without clobbering natives.
  */
-function customReduce(callback, initialValue) {
+export function customReduce(callback, initialValue) {
   let accumulator = initialValue; // Initialize the accumulator
   let startIndex = 0; // Index to start iteration
 
-  // If initialValue is not provided, use the first element as the initial accumulator
-  if (accumulator === undefined) {
+  // If initialValue is not provided, use the first element as the initial accumulator.
+  // Check arguments.length, not `=== undefined`: reduce(fn, undefined) passes an
+  // explicit (undefined) initial value, just like the native reduce().
+  if (arguments.length < 2) {
     if (this.length === 0) {
       throw new TypeError("Reduce of empty array with no initial value");
     }
@@ -206,19 +218,36 @@ function customReduce(callback, initialValue) {
   return accumulator; // Return the final accumulated value
 }
 
-// Attach customReduce to the Array prototype to make it available on all arrays
-Array.prototype.customReduce = customReduce;
-
-// Example 5: Using customReduce() to calculate the sum of the marks
-const sumOfMarks = marks.customReduce(
-  (accumulator, mark) => accumulator + mark,
-  0
-);
-console.log("5.  Sum of marks (customReduce):", sumOfMarks); // Output: 401
-
-// Example 6: Using customReduce() to find the maximum mark
-const maxMark = marks.customReduce(
-  (accumulator, mark) => Math.max(accumulator, mark),
-  -Infinity
-);
-console.log("6. Maximum mark (customReduce):", maxMark); // Output: 91
+function reduceExamples() {
+  // Attach customReduce to the Array prototype to make it available on all arrays.
+  // Only the demo does this: importing the module leaves Array.prototype alone
+  // (without the patch, call it as `customReduce.call(array, callback, initialValue)`).
+  Array.prototype.customReduce = customReduce;
+
+  // Example 5: Using customReduce() to calculate the sum of the marks
+  const sumOfMarks = marks.customReduce(
+    (accumulator, mark) => accumulator + mark,
+    0
+  );
+  console.log("5.  Sum of marks (customReduce):", sumOfMarks); // Output: 401
+
+  // Example 6: Using customReduce() to find the maximum mark
+  const maxMark = marks.customReduce(
+    (accumulator, mark) => Math.max(accumulator, mark),
+    -Infinity
+  );
+  console.log("6. Maximum mark (customReduce):", maxMark); // Output: 91
+}
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  mapExample();
+  filterExamples();
+  findExample();
+  reduceExamples();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,402 @@
+/**
+ * File: 08-functional-toolkit.js
+ * Description: A small functional-programming toolkit grown out of the
+ * `compose` example in 04-higher-order-function-introduction.js:
+ * variadic compose/pipe, async pipe, curry, partial, memoize, once,
+ * debounce and throttle. Every helper is exported so other lessons can reuse it;
+ * tools/check-functional-toolkit.js checks debounce and throttle under fake timers,
+ * along with memoize's cache keys and curry's arity.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. compose() and pipe()
+// =========================================================================
+
+/**
+ * **compose(...fns):**
+ * -   Combines functions from **right to left**: `compose(f, g, h)(x)` is `f(g(h(x)))`.
+ * -   The right-most function receives **all** the arguments, so it can take
+ * more than one (`compose(double, add)(3, 4)` is `double(add(3, 4))`).
+ * Every other function receives the single result of the previous one.
+ * -   `compose()` with no functions returns the identity function.
+ *
+ * @param {...Function} fns - Functions to combine.
+ * @returns {Function} The composed function.
+ */
+export function compose(...fns) {
+  assertFunctions(fns, "compose");
+  return pipe(...fns.reverse());
+}
+
+/**
+ * **pipe(...fns):**
+ * -   Same as `compose`, but reads **left to right**: `pipe(h, g, f)(x)` is `f(g(h(x)))`.
+ * -   The first function receives all the arguments.
+ * -   `this` is forwarded to the first function, so a piped function can be used as a method.
+ *
+ * @param {...Function} fns - Functions to run in order.
+ * @returns {Function} The piped function.
+ */
+export function pipe(...fns) {
+  assertFunctions(fns, "pipe");
+  if (fns.length === 0) return (value) => value;
+
+  const [first, ...rest] = fns;
+  return function piped(...args) {
+    return rest.reduce((value, fn) => fn(value), first.apply(this, args));
+  };
+}
+
+/**
+ * **pipeAsync(...fns):**
+ * -   Like `pipe`, but each step may return a Promise; the next step waits for it.
+ * -   Always returns a Promise, and a rejection in any step skips the rest.
+ *
+ * @param {...Function} fns - Sync or async functions to run in order.
+ * @returns {Function} A function returning a Promise of the final value.
+ */
+export function pipeAsync(...fns) {
+  assertFunctions(fns, "pipeAsync");
+
+  return async function pipedAsync(...args) {
+    if (fns.length === 0) return args[0];
+
+    const [first, ...rest] = fns;
+    let value = await first.apply(this, args);
+    for (const fn of rest) {
+      value = await fn(value);
+    }
+    return value;
+  };
+}
+
+// =========================================================================
+// 2. curry() and partial()
+// =========================================================================
+
+/**
+ * **curry(fn, arity = fn.length):**
+ * -   Turns `fn(a, b, c)` into a function that can be called as `fn(a)(b)(c)`,
+ * `fn(a, b)(c)` or `fn(a)(b, c)`.
+ * -   Arguments are collected until `arity` of them are available, then `fn` runs.
+ * -   Pass `arity` explicitly for functions with default or rest parameters,
+ * because their `fn.length` does not count those.
+ *
+ * @param {Function} fn - The function to curry.
+ * @param {number} [arity=fn.length] - How many arguments to wait for.
+ * @returns {Function} The curried function.
+ */
+export function curry(fn, arity = fn.length) {
+  assertFunctions([fn], "curry");
+
+  return function curried(...args) {
+    if (args.length >= arity) {
+      return fn.apply(this, args);
+    }
+    return function (...moreArgs) {
+      return curried.apply(this, [...args, ...moreArgs]);
+    };
+  };
+}
+
+/**
+ * **partial(fn, ...presetArgs):**
+ * -   Fixes the first arguments of `fn` and returns a function waiting for the rest.
+ * -   Unlike `curry`, the result runs as soon as it is called, whatever the number of arguments.
+ * -   Similar to `fn.bind(null, ...presetArgs)`, but keeps the caller's `this`.
+ *
+ * @param {Function} fn - The function to partially apply.
+ * @param {...*} presetArgs - Leading arguments to fix.
+ * @returns {Function}
+ */
+export function partial(fn, ...presetArgs) {
+  assertFunctions([fn], "partial");
+
+  return function partiallyApplied(...laterArgs) {
+    return fn.apply(this, [...presetArgs, ...laterArgs]);
+  };
+}
+
+// =========================================================================
+// 3. memoize() and once()
+// =========================================================================
+
+/**
+ * **memoize(fn, { resolver, maxSize }):**
+ * -   Caches results by argument so repeated calls with the same input skip the work.
+ * -   By default the cache key is the first argument (compared like a `Map` key).
+ * Pass `resolver(...args)` to build a key from several arguments.
+ * -   `maxSize` evicts the oldest entry once the cache is full.
+ * -   The cache is exposed as `memoized.cache` so it can be inspected or cleared.
+ * -   Only use it for **pure** functions: the cached result is returned even if
+ * the outside world changed.
+ *
+ * @param {Function} fn - The function whose results should be cached.
+ * @param {{ resolver?: Function, maxSize?: number }} [options]
+ * @returns {Function & { cache: Map }}
+ */
+export function memoize(fn, { resolver, maxSize = Infinity } = {}) {
+  assertFunctions([fn], "memoize");
+  const cache = new Map();
+
+  function memoized(...args) {
+    const key = resolver ? resolver.apply(this, args) : args[0];
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const result = fn.apply(this, args);
+    cache.set(key, result);
+    if (cache.size > maxSize) {
+      cache.delete(cache.keys().next().value); // Maps keep insertion order
+    }
+    return result;
+  }
+
+  memoized.cache = cache;
+  return memoized;
+}
+
+/**
+ * **once(fn):**
+ * -   Returns a function that runs `fn` only the first time it is called.
+ * -   Later calls return the first result without calling `fn` again.
+ * -   If the first call throws, the error is rethrown and the next call tries again.
+ *
+ * @param {Function} fn - The function to call at most once.
+ * @returns {Function}
+ */
+export function once(fn) {
+  assertFunctions([fn], "once");
+  let called = false;
+  let result;
+
+  return function onceWrapper(...args) {
+    if (!called) {
+      result = fn.apply(this, args);
+      called = true;
+    }
+    return result;
+  };
+}
+
+// =========================================================================
+// 4. debounce() and throttle()
+// =========================================================================
+
+/**
+ * **debounce(fn, wait, { leading, trailing }):**
+ * -   Delays calling `fn` until `wait` ms have passed **without another call**.
+ * -   Typical use: search-as-you-type, window resize handlers.
+ * -   `trailing` (default `true`) calls `fn` at the end of the quiet period
+ * with the latest arguments; `leading` calls it immediately on the first call.
+ * -   The returned function has `cancel()` and `flush()` helpers.
+ *
+ * @param {Function} fn - The function to debounce.
+ * @param {number} wait - Quiet period in milliseconds.
+ * @param {{ leading?: boolean, trailing?: boolean }} [options]
+ * @returns {Function & { cancel: Function, flush: Function }}
+ */
+export function debounce(fn, wait, { leading = false, trailing = true } = {}) {
+  assertFunctions([fn], "debounce");
+  let timerId = null;
+  let pendingArgs = null;
+  let pendingThis = null;
+
+  function invokePending() {
+    const args = pendingArgs;
+    const thisArg = pendingThis;
+    pendingArgs = pendingThis = null;
+    fn.apply(thisArg, args);
+  }
+
+  function debounced(...args) {
+    const isFirstCall = timerId === null;
+    clearTimeout(timerId);
+
+    if (leading && isFirstCall) {
+      fn.apply(this, args);
+    } else {
+      pendingArgs = args;
+      pendingThis = this;
+    }
+
+    timerId = setTimeout(() => {
+      timerId = null;
+      if (trailing && pendingArgs) invokePending();
+      pendingArgs = pendingThis = null;
+    }, wait);
+  }
+
+  debounced.cancel = () => {
+    clearTimeout(timerId);
+    timerId = pendingArgs = pendingThis = null;
+  };
+
+  debounced.flush = () => {
+    clearTimeout(timerId);
+    timerId = null;
+    if (pendingArgs) invokePending();
+  };
+
+  return debounced;
+}
+
+/**
+ * **throttle(fn, wait, { leading, trailing }):**
+ * -   Calls `fn` **at most once every `wait` ms**, no matter how often it is triggered.
+ * -   Typical use: scroll handlers, rate-limited API calls.
+ * -   `leading` (default `true`) runs the first call immediately; `trailing`
+ * (default `true`) runs once more at the end of the window with the latest
+ * arguments if calls were dropped in between.
+ *
+ * @param {Function} fn - The function to throttle.
+ * @param {number} wait - Minimum time between calls in milliseconds.
+ * @param {{ leading?: boolean, trailing?: boolean }} [options]
+ * @returns {Function & { cancel: Function }}
+ */
+export function throttle(fn, wait, { leading = true, trailing = true } = {}) {
+  assertFunctions([fn], "throttle");
+  let timerId = null;
+  let pendingArgs = null;
+  let pendingThis = null;
+
+  function startWindow() {
+    timerId = setTimeout(() => {
+      timerId = null;
+      if (trailing && pendingArgs) {
+        const args = pendingArgs;
+        const thisArg = pendingThis;
+        pendingArgs = pendingThis = null;
+        fn.apply(thisArg, args);
+        startWindow(); // The trailing call opens a new window
+      }
+    }, wait);
+  }
+
+  function throttled(...args) {
+    if (timerId === null) {
+      if (leading) {
+        fn.apply(this, args);
+      } else {
+        pendingArgs = args;
+        pendingThis = this;
+      }
+      startWindow();
+    } else {
+      pendingArgs = args;
+      pendingThis = this;
+    }
+  }
+
+  throttled.cancel = () => {
+    clearTimeout(timerId);
+    timerId = pendingArgs = pendingThis = null;
+  };
+
+  return throttled;
+}
+
+// =========================================================================
+// 5. Internal Helpers
+// =========================================================================
+
+/**
+ * Throws a TypeError naming the helper when something other than a function
+ * is passed, instead of failing later with "fn is not a function".
+ * @param {Array} fns - Values that must be functions.
+ * @param {string} helperName - Used in the error message.
+ */
+function assertFunctions(fns, helperName) {
+  fns.forEach((fn, index) => {
+    if (typeof fn !== "function") {
+      throw new TypeError(
+        `${helperName}: argument ${index} must be a function, got ${typeof fn}`
+      );
+    }
+  });
+}
+
+// =========================================================================
+// 6. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: compose forwards every argument to the right-most function
+  const add = (a, b) => a + b;
+  const multiplyByTwo = (x) => x * 2;
+  const addAndDouble = compose(multiplyByTwo, add);
+  console.log("1. compose(multiplyByTwo, add)(3, 4):", addAndDouble(3, 4)); // Output: 14
+
+  // Example 2: pipe reads left to right
+  const slugify = pipe(
+    (text) => text.trim(),
+    (text) => text.toLowerCase(),
+    (text) => text.replace(/\s+/g, "-")
+  );
+  console.log("2. slugify:", slugify("  Higher Order Functions ")); // Output: higher-order-functions
+
+  // Example 3: curry and partial
+  const volume = curry((length, width, height) => length * width * height);
+  console.log("3. volume(2)(3)(4):", volume(2)(3)(4)); // Output: 24
+  console.log("3. volume(2, 3)(4):", volume(2, 3)(4)); // Output: 24
+
+  const greet = (greeting, name) => `${greeting}, ${name}!`;
+  const sayHello = partial(greet, "Hello");
+  console.log("3. sayHello('Unais'):", sayHello("Unais")); // Output: Hello, Unais!
+
+  // Example 4: memoize skips repeated work
+  let slowSquareCalls = 0;
+  const slowSquare = memoize((n) => {
+    slowSquareCalls++;
+    return n * n;
+  });
+  slowSquare(9);
+  slowSquare(9);
+  console.log("4. slowSquare(9) twice, calls made:", slowSquareCalls); // Output: 1
+
+  // Example 5: once runs the initializer a single time
+  const initialize = once(() => {
+    console.log("5. Initializing...");
+    return "ready";
+  });
+  initialize();
+  console.log("5. Second call returns:", initialize());
+  // Output:
+  // 5. Initializing...
+  // 5. Second call returns: ready
+
+  // Example 6: pipeAsync waits for each step
+  const fetchUser = (id) =>
+    new Promise((resolve) => setTimeout(() => resolve({ id, name: "Alice" }), 50));
+  const loadUserName = pipeAsync(fetchUser, (user) => user.name.toUpperCase());
+  loadUserName(1).then((name) => {
+    console.log("6. pipeAsync result:", name); // Output: ALICE
+  });
+
+  // Example 7: debounce collapses a burst of calls into one
+  const search = debounce((query) => console.log("7. Searching for:", query), 100);
+  search("j");
+  search("ja");
+  search("jav");
+  // Output (after 100ms): 7. Searching for: jav
+
+  // Example 8: throttle lets one call through per window
+  const onScroll = throttle((position) => {
+    console.log("8. Scroll handled at:", position);
+  }, 100);
+  onScroll(10);
+  onScroll(20);
+  onScroll(30);
+  // Output:
+  // 8. Scroll handled at: 10
+  // 8. Scroll handled at: 30
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,675 @@
+/**
+ * File: 09-array-method-polyfills.js
+ * Description: Spec-compliant polyfills for the array methods implemented by hand in
+ * 05-custom-map-filter-find-reduce.js, extended to findLast, reduceRight, some,
+ * every, flat, flatMap, at, toSorted and Object.groupBy. Each polyfill follows the
+ * ECMAScript algorithm (holes, thisArg, length capture, TypeErrors), can be
+ * installed opt-in without replacing native methods, and is checked against the
+ * native implementation by a small conformance suite.
+ * Date: 2026-10-19
+ */
+
+import { inspect } from "node:util";
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Spec Building Blocks
+// =========================================================================
+
+/**
+ * **Why these helpers?**
+ * -   The specification describes every array method in terms of a few
+ * "abstract operations". Implementing them once keeps each polyfill short
+ * and makes it read like the spec text.
+ * -   **ToObject:** `null`/`undefined` receivers throw a TypeError; primitives are boxed.
+ * -   **LengthOfArrayLike:** `length` is read **once**, before the loop, so
+ * elements pushed by the callback are never visited.
+ * -   **HasProperty:** most methods skip holes (`[1, , 3]`) by checking
+ * `index in object` instead of reading `undefined`.
+ */
+
+function toObject(value, methodName) {
+  if (value === null || value === undefined) {
+    throw new TypeError(
+      `Array.prototype.${methodName} called on null or undefined`
+    );
+  }
+  return Object(value);
+}
+
+function toIntegerOrInfinity(value) {
+  const number = Number(value);
+  if (Number.isNaN(number) || number === 0) return 0;
+  if (!Number.isFinite(number)) return number;
+  return Math.trunc(number);
+}
+
+function lengthOfArrayLike(object) {
+  const length = toIntegerOrInfinity(object.length);
+  return Math.min(Math.max(length, 0), Number.MAX_SAFE_INTEGER);
+}
+
+function assertCallable(callback, methodName) {
+  if (typeof callback !== "function") {
+    throw new TypeError(`${inspect(callback)} is not a function (in ${methodName})`);
+  }
+}
+
+/**
+ * Defines an own, enumerable data property like `CreateDataPropertyOrThrow`.
+ * Plain assignment would call setters inherited from the prototype chain.
+ */
+function createDataProperty(target, key, value) {
+  Object.defineProperty(target, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * **ArraySpeciesCreate:** `map`, `filter`, `flat` and `flatMap` build their
+ * result with the receiver's `constructor[Symbol.species]`, so subclasses of
+ * Array get instances of the subclass back.
+ */
+function arraySpeciesCreate(original, length) {
+  if (!Array.isArray(original)) return new Array(length);
+
+  let Constructor = original.constructor;
+  if (Constructor !== null && (typeof Constructor === "object" || typeof Constructor === "function")) {
+    Constructor = Constructor[Symbol.species] ?? undefined;
+  }
+  if (Constructor === undefined) return new Array(length);
+  if (typeof Constructor !== "function") {
+    throw new TypeError("object.constructor[Symbol.species] is not a constructor");
+  }
+  return new Constructor(length);
+}
+
+// =========================================================================
+// 2. Iteration Methods: map, filter, find, findLast, some, every
+// =========================================================================
+
+/**
+ * **map(callback, thisArg):**
+ * -   The result has the same length as the source and keeps holes as holes.
+ * -   `callback` is called with `(element, index, object)` and `this === thisArg`.
+ */
+function map(callback, thisArg) {
+  const object = toObject(this, "map");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "map");
+
+  const result = arraySpeciesCreate(object, length);
+  for (let index = 0; index < length; index++) {
+    if (index in object) {
+      const mapped = callback.call(thisArg, object[index], index, object);
+      createDataProperty(result, index, mapped);
+    }
+  }
+  return result;
+}
+
+/**
+ * **filter(callback, thisArg):** skips holes; keeps elements whose callback result is truthy.
+ */
+function filter(callback, thisArg) {
+  const object = toObject(this, "filter");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "filter");
+
+  const result = arraySpeciesCreate(object, 0);
+  let resultIndex = 0;
+  for (let index = 0; index < length; index++) {
+    if (index in object) {
+      const element = object[index];
+      if (callback.call(thisArg, element, index, object)) {
+        createDataProperty(result, resultIndex++, element);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * **find(callback, thisArg):**
+ * -   Unlike `map`/`filter`, `find` does **not** skip holes: they are visited as `undefined`.
+ */
+function find(callback, thisArg) {
+  const object = toObject(this, "find");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "find");
+
+  for (let index = 0; index < length; index++) {
+    const element = object[index];
+    if (callback.call(thisArg, element, index, object)) return element;
+  }
+  return undefined;
+}
+
+/**
+ * **findLast(callback, thisArg):** same as `find`, searching from the end.
+ */
+function findLast(callback, thisArg) {
+  const object = toObject(this, "findLast");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "findLast");
+
+  for (let index = length - 1; index >= 0; index--) {
+    const element = object[index];
+    if (callback.call(thisArg, element, index, object)) return element;
+  }
+  return undefined;
+}
+
+/**
+ * **some(callback, thisArg):** `true` as soon as one callback returns truthy; skips holes.
+ */
+function some(callback, thisArg) {
+  const object = toObject(this, "some");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "some");
+
+  for (let index = 0; index < length; index++) {
+    if (index in object && callback.call(thisArg, object[index], index, object)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * **every(callback, thisArg):** `false` as soon as one callback returns falsy; skips holes.
+ */
+function every(callback, thisArg) {
+  const object = toObject(this, "every");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "every");
+
+  for (let index = 0; index < length; index++) {
+    if (index in object && !callback.call(thisArg, object[index], index, object)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// =========================================================================
+// 3. Reducers: reduce, reduceRight
+// =========================================================================
+
+/**
+ * **reduce(callback, initialValue):**
+ * -   Whether an initial value was given is decided by `arguments.length`,
+ * **not** by comparing it with `undefined`: `[1, 2].reduce(fn, undefined)`
+ * starts from `undefined` and visits both elements.
+ * -   Without an initial value the first **present** element is used, so
+ * leading holes are skipped; an array with no elements throws a TypeError.
+ */
+function reduce(callback /*, initialValue */) {
+  const object = toObject(this, "reduce");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "reduce");
+
+  let index = 0;
+  let accumulator;
+  if (arguments.length >= 2) {
+    accumulator = arguments[1];
+  } else {
+    while (index < length && !(index in object)) index++;
+    if (index >= length) {
+      throw new TypeError("Reduce of empty array with no initial value");
+    }
+    accumulator = object[index++];
+  }
+
+  for (; index < length; index++) {
+    if (index in object) {
+      accumulator = callback(accumulator, object[index], index, object);
+    }
+  }
+  return accumulator;
+}
+
+/**
+ * **reduceRight(callback, initialValue):** same rules as `reduce`, from the end.
+ */
+function reduceRight(callback /*, initialValue */) {
+  const object = toObject(this, "reduceRight");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "reduceRight");
+
+  let index = length - 1;
+  let accumulator;
+  if (arguments.length >= 2) {
+    accumulator = arguments[1];
+  } else {
+    while (index >= 0 && !(index in object)) index--;
+    if (index < 0) {
+      throw new TypeError("Reduce of empty array with no initial value");
+    }
+    accumulator = object[index--];
+  }
+
+  for (; index >= 0; index--) {
+    if (index in object) {
+      accumulator = callback(accumulator, object[index], index, object);
+    }
+  }
+  return accumulator;
+}
+
+// =========================================================================
+// 4. Flattening: flat, flatMap
+// =========================================================================
+
+/**
+ * **FlattenIntoArray:** copies `source` into `target` starting at `start`,
+ * descending into nested **arrays** (not array-likes) while `depth > 0`.
+ * Holes in the source are skipped, so `[1, , [2]].flat()` is `[1, 2]`.
+ * @returns {number} The next free index in `target`.
+ */
+function flattenIntoArray(target, source, sourceLength, start, depth, mapper, thisArg) {
+  let targetIndex = start;
+
+  for (let sourceIndex = 0; sourceIndex < sourceLength; sourceIndex++) {
+    if (!(sourceIndex in source)) continue;
+
+    let element = source[sourceIndex];
+    if (mapper) {
+      element = mapper.call(thisArg, element, sourceIndex, source);
+    }
+
+    if (depth > 0 && Array.isArray(element)) {
+      targetIndex = flattenIntoArray(
+        target,
+        element,
+        lengthOfArrayLike(element),
+        targetIndex,
+        depth - 1
+      );
+    } else {
+      createDataProperty(target, targetIndex++, element);
+    }
+  }
+
+  return targetIndex;
+}
+
+/**
+ * **flat(depth = 1):** `depth` may be `Infinity`; negative or NaN depths mean 0.
+ */
+function flat(/* depth */) {
+  const object = toObject(this, "flat");
+  const length = lengthOfArrayLike(object);
+  const depth = arguments[0] === undefined ? 1 : Math.max(toIntegerOrInfinity(arguments[0]), 0);
+
+  const result = arraySpeciesCreate(object, 0);
+  flattenIntoArray(result, object, length, 0, depth);
+  return result;
+}
+
+/**
+ * **flatMap(callback, thisArg):** `map` followed by a flat of depth 1, in one pass.
+ */
+function flatMap(callback, thisArg) {
+  const object = toObject(this, "flatMap");
+  const length = lengthOfArrayLike(object);
+  assertCallable(callback, "flatMap");
+
+  const result = arraySpeciesCreate(object, 0);
+  flattenIntoArray(result, object, length, 0, 1, callback, thisArg);
+  return result;
+}
+
+// =========================================================================
+// 5. Access and Copying: at, toSorted
+// =========================================================================
+
+/**
+ * **at(index):** negative indexes count back from the end; out of range gives `undefined`.
+ */
+function at(index) {
+  const object = toObject(this, "at");
+  const length = lengthOfArrayLike(object);
+  const relativeIndex = toIntegerOrInfinity(index);
+  const actualIndex = relativeIndex >= 0 ? relativeIndex : length + relativeIndex;
+
+  if (actualIndex < 0 || actualIndex >= length) return undefined;
+  return object[actualIndex];
+}
+
+/**
+ * **SortCompare:** `undefined` always sorts last and never reaches the comparator;
+ * without a comparator, values are compared as strings (`[10, 9].toSorted()` is `[10, 9]`).
+ */
+function sortCompare(x, y, comparator) {
+  if (x === undefined && y === undefined) return 0;
+  if (x === undefined) return 1;
+  if (y === undefined) return -1;
+
+  if (comparator !== undefined) {
+    const order = Number(comparator(x, y));
+    return Number.isNaN(order) ? 0 : order;
+  }
+
+  const xString = `${x}`; // Template literals throw for Symbols, like ToString
+  const yString = `${y}`;
+  if (xString < yString) return -1;
+  if (xString > yString) return 1;
+  return 0;
+}
+
+/**
+ * Stable merge sort; the spec requires `sort`/`toSorted` to be stable.
+ */
+function mergeSort(items, compare) {
+  if (items.length <= 1) return items;
+
+  const middle = Math.floor(items.length / 2);
+  const left = mergeSort(items.slice(0, middle), compare);
+  const right = mergeSort(items.slice(middle), compare);
+
+  const merged = [];
+  let leftIndex = 0;
+  let rightIndex = 0;
+  while (leftIndex < left.length && rightIndex < right.length) {
+    // "<= 0" takes from the left on ties, which keeps the sort stable
+    if (compare(left[leftIndex], right[rightIndex]) <= 0) {
+      merged.push(left[leftIndex++]);
+    } else {
+      merged.push(right[rightIndex++]);
+    }
+  }
+  return merged.concat(left.slice(leftIndex), right.slice(rightIndex));
+}
+
+/**
+ * **toSorted(comparator):**
+ * -   Returns a **new** sorted array; the receiver is not modified.
+ * -   Holes are read as `undefined` (the result is always dense).
+ * -   A comparator that is neither `undefined` nor a function throws
+ * **before** anything is read.
+ */
+function toSorted(comparator) {
+  if (comparator !== undefined) assertCallable(comparator, "toSorted");
+  const object = toObject(this, "toSorted");
+  const length = lengthOfArrayLike(object);
+
+  const items = [];
+  for (let index = 0; index < length; index++) {
+    items.push(object[index]);
+  }
+
+  return mergeSort(items, (x, y) => sortCompare(x, y, comparator));
+}
+
+// =========================================================================
+// 6. Grouping: Object.groupBy
+// =========================================================================
+
+/**
+ * **groupBy(items, callback):** polyfill for the static `Object.groupBy`.
+ * -   `items` can be any **iterable** (arrays, Sets, generators), not just arrays.
+ * -   `callback(element, index)` returns the group key; keys are converted to
+ * property keys (Symbols stay Symbols, everything else becomes a string).
+ * -   The result has a `null` prototype, so a group called "toString" or
+ * "__proto__" is just another group.
+ */
+function groupBy(items, callback) {
+  if (items === null || items === undefined) {
+    throw new TypeError("Object.groupBy called on null or undefined");
+  }
+  assertCallable(callback, "groupBy");
+
+  const groups = Object.create(null);
+  let index = 0;
+  for (const element of items) {
+    let key = callback(element, index++);
+    if (typeof key !== "symbol") key = `${key}`;
+
+    if (!Object.hasOwn(groups, key)) {
+      createDataProperty(groups, key, []);
+    }
+    groups[key].push(element);
+  }
+  return groups;
+}
+
+// =========================================================================
+// 7. Opt-In Installation
+// =========================================================================
+
+/**
+ * All polyfills, keyed by method name. Call them with an explicit receiver:
+ * `arrayPolyfills.map.call([1, 2], (n) => n * 2)`.
+ */
+export const arrayPolyfills = {
+  map,
+  filter,
+  find,
+  findLast,
+  reduce,
+  reduceRight,
+  some,
+  every,
+  flat,
+  flatMap,
+  at,
+  toSorted,
+};
+
+export { groupBy };
+
+/**
+ * **installArrayPolyfills({ overwrite }):**
+ * -   Nothing is patched on import; call this once at startup to opt in.
+ * -   A method is only added when the environment lacks it, unless
+ * `overwrite: true` is passed (useful for testing the polyfills themselves).
+ * -   Methods are defined **non-enumerable**, like native ones, so they never
+ * show up in `for...in` loops over arrays (the problem with
+ * `Array.prototype.customReduce = customReduce` in lesson 05).
+ *
+ * @param {{ overwrite?: boolean }} [options]
+ * @returns {string[]} Names of the methods that were installed.
+ */
+export function installArrayPolyfills({ overwrite = false } = {}) {
+  const installed = [];
+
+  const install = (target, name, implementation, label) => {
+    if (!overwrite && typeof target[name] === "function") return;
+    Object.defineProperty(target, name, {
+      value: implementation,
+      writable: true,
+      enumerable: false,
+      configurable: true,
+    });
+    installed.push(label);
+  };
+
+  for (const [name, implementation] of Object.entries(arrayPolyfills)) {
+    install(Array.prototype, name, implementation, `Array.prototype.${name}`);
+  }
+  install(Object, "groupBy", groupBy, "Object.groupBy");
+
+  return installed;
+}
+
+// =========================================================================
+// 8. Conformance Suite
+// =========================================================================
+
+/**
+ * **Checking the polyfills against the engine:**
+ * -   Each case runs once with the native method and once with the polyfill.
+ * -   The outcome (return value, callback calls, or the type of error thrown)
+ * is turned into a string with `util.inspect`, which shows holes as
+ * `<1 empty item>`, so "hole" and "undefined" are not confused.
+ * -   Cases for methods the engine does not have (e.g. `Object.groupBy` before
+ * Node 21) are skipped.
+ */
+
+/** Calls `fn`, recording every callback call as `[thisValue, ...args]`. */
+function recordCalls(run) {
+  const calls = [];
+  const spy = (returnValue) =>
+    function (...args) {
+      calls.push([this === undefined ? "<undefined this>" : this, ...args]);
+      return typeof returnValue === "function" ? returnValue(...args) : returnValue;
+    };
+  const result = run(spy);
+  return { result, calls };
+}
+
+const conformanceCases = [
+  // map
+  ["map keeps holes", "map", (m) => m.call([1, , 3], (n) => n * 2)],
+  ["map passes thisArg", "map", (m) => m.call([1], function () { return this.factor; }, { factor: 7 })],
+  ["map captures length", "map", (m) => m.call([1, 2], (n, i, arr) => (arr.push(n), n))],
+  ["map on array-like", "map", (m) => m.call({ length: 2, 0: "a", 1: "b" }, (s) => s.toUpperCase())],
+  ["map on null receiver", "map", (m) => m.call(null, (n) => n)],
+  ["map with non-callable", "map", (m) => m.call([1], "not a function")],
+  ["map uses Symbol.species", "map", (m) => {
+    class Stack extends Array {}
+    return m.call(Stack.from([1, 2]), (n) => n) instanceof Stack;
+  }],
+  // filter
+  ["filter skips holes", "filter", (m) => recordCalls((spy) => m.call([1, , 3], spy(true)))],
+  ["filter with thisArg", "filter", (m) => m.call([1, 5, 9], function (n) { return n > this.min; }, { min: 4 })],
+  // find / findLast
+  ["find visits holes", "find", (m) => recordCalls((spy) => m.call([, 2], spy(false)))],
+  ["find returns first match", "find", (m) => m.call([5, 12, 8, 130], (n) => n > 10)],
+  ["findLast returns last match", "findLast", (m) => m.call([5, 12, 8, 130], (n) => n > 10)],
+  ["findLast visits holes backwards", "findLast", (m) => recordCalls((spy) => m.call([1, , 3], spy(false)))],
+  // reduce / reduceRight
+  ["reduce explicit undefined initial", "reduce", (m) => m.call([1, 2], (acc, n) => `${acc}${n}`, undefined)],
+  ["reduce skips leading holes", "reduce", (m) => recordCalls((spy) => m.call([, , 1, 2], spy((acc, n) => acc + n)))],
+  ["reduce empty without initial", "reduce", (m) => m.call([], (acc, n) => acc + n)],
+  ["reduce only holes without initial", "reduce", (m) => m.call([, ,], (acc, n) => acc + n)],
+  ["reduce receives no thisArg", "reduce", (m) => recordCalls((spy) => m.call([1, 2], spy(0)))],
+  ["reduceRight order", "reduceRight", (m) => m.call(["a", "b", "c"], (acc, s) => acc + s)],
+  ["reduceRight explicit undefined", "reduceRight", (m) => m.call([1], (acc, n) => [acc, n], undefined)],
+  // some / every
+  ["some skips holes", "some", (m) => recordCalls((spy) => m.call([, 1], spy(false)))],
+  ["some on empty", "some", (m) => m.call([], () => true)],
+  ["every on empty", "every", (m) => m.call([], () => false)],
+  ["every stops early", "every", (m) => recordCalls((spy) => m.call([1, 2, 3], spy((n) => n < 2)))],
+  // flat / flatMap
+  ["flat default depth", "flat", (m) => m.call([1, [2, [3, [4]]]])],
+  ["flat Infinity", "flat", (m) => m.call([1, [2, [3, [4]]]], Infinity)],
+  ["flat skips holes", "flat", (m) => m.call([1, , [2, , 3]])],
+  ["flat negative depth", "flat", (m) => m.call([1, [2]], -1)],
+  ["flat ignores array-likes", "flat", (m) => m.call([{ length: 1, 0: "x" }])],
+  ["flatMap one level", "flatMap", (m) => m.call([1, 2], (n) => [n, [n * 10]])],
+  ["flatMap non-callable", "flatMap", (m) => m.call([1], null)],
+  // at
+  ["at negative index", "at", (m) => m.call([1, 2, 3], -1)],
+  ["at out of range", "at", (m) => m.call([1, 2, 3], 3)],
+  ["at fractional index", "at", (m) => m.call([1, 2, 3], 1.7)],
+  ["at on string", "at", (m) => m.call("hello", -2)],
+  // toSorted
+  ["toSorted default is string order", "toSorted", (m) => m.call([10, 9, 1, 100])],
+  ["toSorted undefined and holes last", "toSorted", (m) => m.call([3, undefined, , 1])],
+  ["toSorted is stable", "toSorted", (m) =>
+    m.call([{ k: 1, v: "a" }, { k: 0, v: "b" }, { k: 1, v: "c" }], (x, y) => x.k - y.k)],
+  ["toSorted does not mutate", "toSorted", (m) => {
+    const source = [2, 1];
+    m.call(source);
+    return source;
+  }],
+  ["toSorted bad comparator", "toSorted", (m) => m.call([2, 1], "desc")],
+  ["toSorted NaN comparator result", "toSorted", (m) => m.call([2, 1, 3], () => NaN)],
+];
+
+const groupByCases = [
+  ["groupBy by parity", (g) => g([1, 2, 3, 4], (n) => (n % 2 ? "odd" : "even"))],
+  ["groupBy iterable with index", (g) => g(new Set(["a", "bb", "cc"]), (s, i) => `${s.length}-${i % 2}`)],
+  ["groupBy __proto__ key", (g) => g(["x"], () => "__proto__")],
+  ["groupBy null items", (g) => g(null, () => "k")],
+  ["groupBy non-callable", (g) => g([1], 42)],
+];
+
+function describeOutcome(run) {
+  try {
+    return inspect(run(), { depth: Infinity });
+  } catch (error) {
+    return `throws ${error.constructor.name}`;
+  }
+}
+
+/**
+ * Runs every conformance case against the native implementation.
+ * @returns {{ passed: number, failed: Array<{ name: string, native: string, polyfill: string }>, skipped: number }}
+ */
+export function runConformanceSuite() {
+  const failed = [];
+  let passed = 0;
+  let skipped = 0;
+
+  const compare = (name, nativeImplementation, polyfill, run) => {
+    if (typeof nativeImplementation !== "function") {
+      skipped++;
+      return;
+    }
+    const nativeOutcome = describeOutcome(() => run(nativeImplementation));
+    const polyfillOutcome = describeOutcome(() => run(polyfill));
+    if (nativeOutcome === polyfillOutcome) {
+      passed++;
+    } else {
+      failed.push({ name, native: nativeOutcome, polyfill: polyfillOutcome });
+    }
+  };
+
+  for (const [name, method, run] of conformanceCases) {
+    compare(name, Array.prototype[method], arrayPolyfills[method], run);
+  }
+  for (const [name, run] of groupByCases) {
+    compare(name, Object.groupBy, groupBy, run);
+  }
+
+  return { passed, failed, skipped };
+}
+
+// =========================================================================
+// 9. Demo
+// =========================================================================
+
+export function runDemo() {
+  const marks = [90, 71, , 69, 80];
+
+  // Example 1: the polyfills behave like the natives, holes included
+  console.log("1. map:", arrayPolyfills.map.call(marks, (mark) => mark + 1));
+  // Output: 1. map: [ 91, 72, <1 empty item>, 70, 81 ]
+  console.log("1. flat:", arrayPolyfills.flat.call([1, [2, [3]]], Infinity)); // Output: [ 1, 2, 3 ]
+  console.log("1. at(-1):", arrayPolyfills.at.call(marks, -1)); // Output: 80
+  console.log("1. toSorted:", arrayPolyfills.toSorted.call([10, 9, 1])); // Output: [ 1, 10, 9 ]
+
+  // Example 2: explicit undefined IS an initial value
+  const joined = arrayPolyfills.reduce.call([1, 2], (acc, n) => `${acc}-${n}`, undefined);
+  console.log("2. reduce with undefined initial:", joined); // Output: undefined-1-2
+
+  // Example 3: groupBy works on any iterable
+  const byResult = groupBy(marks.filter(Boolean), (mark) => (mark >= 70 ? "pass" : "fail"));
+  console.log("3. groupBy:", byResult);
+  // Output: 3. groupBy: [Object: null prototype] { pass: [ 90, 71, 80 ], fail: [ 69 ] }
+
+  // Example 4: installing never replaces what the engine already has
+  const installedNames = installArrayPolyfills();
+  console.log("4. Array methods installed:", installedNames.filter((name) => name.startsWith("Array")));
+  // Output: 4. Array methods installed: []
+
+  // Example 5: conformance against the native methods
+  const { passed, failed } = runConformanceSuite();
+  console.log("5. Conformance failures:", failed.length); // Output: 0
+  console.log("5. Cases passed:", passed > 0); // Output: true
+  failed.forEach(({ name, native, polyfill }) => {
+    console.log(`   ${name}: native ${native} / polyfill ${polyfill}`);
+  });
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
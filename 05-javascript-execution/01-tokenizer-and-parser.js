@@ -0,0 +1,841 @@
+/**
+ * File: 01-tokenizer-and-parser.js
+ * Description: The parsing step from how-javascript-execute.md, made runnable: a
+ * tokenizer that turns source text into tokens, and a recursive-descent parser that
+ * turns tokens into an Abstract Syntax Tree (AST). It understands the small subset of
+ * JavaScript the execution notes talk about, and feeds the step-by-step interpreter in
+ * 02-execution-context-visualizer.js.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. From Text to Tokens to a Tree
+// =========================================================================
+
+/**
+ * **Parsing in two steps:**
+ * -   **Tokenizing (lexing):** the source is cut into tokens: numbers, strings,
+ * identifiers, keywords and punctuators. Whitespace and comments are dropped,
+ * but each token remembers its line, column and whether a line break came
+ * before it (needed for automatic semicolon insertion).
+ * -   **Parsing:** the parser reads the tokens and builds the AST. Node shapes
+ * follow ESTree, the format used by real tools (Babel, ESLint, Acorn), e.g.
+ * `{ type: "VariableDeclaration", kind: "let", declarations: [...] }`.
+ * -   A syntax error stops everything here, before a single line runs. That is
+ * why a typo at the bottom of a file prevents the top of the file from running.
+ *
+ * **The supported subset:**
+ * -   Statements: `var` / `let` / `const`, function declarations, `return`,
+ * `if` / `else`, `while`, `for (;;)`, `for...of`, `break`, `continue`, `throw`,
+ * blocks and expression statements. Semicolons may be left out at line ends.
+ * -   Expressions: literals, template literals, arrays, objects (including
+ * shorthand properties and methods), function expressions, arrow functions,
+ * default parameters, member access, calls, `new`, `this`, assignments,
+ * `++` / `--`, `typeof`, `!`, arithmetic, comparisons, `instanceof`, `in`,
+ * `&&` / `||` / `??` and `? :`.
+ * -   Not supported: classes, `try` / `catch`, destructuring, spread, regular
+ * expression literals (`/` is always division) and a few more. Anything
+ * outside the subset is reported as a ParseError with its position.
+ */
+
+/**
+ * Thrown when the source cannot be tokenized or parsed.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class ParseError extends Error {
+  constructor(message, { line, column }) {
+    super(`${message} (${line}:${column})`);
+    this.name = "ParseError";
+    this.line = line;
+    this.column = column;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ParseError);
+    }
+  }
+}
+
+// =========================================================================
+// 2. Tokenizer
+// =========================================================================
+
+const KEYWORDS = new Set([
+  "var", "let", "const", "function", "return", "if", "else", "while", "for",
+  "break", "continue", "throw", "new", "this", "typeof", "instanceof", "in", "true", "false", "null",
+]);
+
+// Longest first, so "===" wins over "==" and "="
+const PUNCTUATORS = [
+  "===", "!==", "**=",
+  "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "++", "--", "+=", "-=", "*=", "/=", "%=", "**",
+  "+", "-", "*", "/", "%", "<", ">", "=", "!", "?", ":", ".", ",", ";", "(", ")", "[", "]", "{", "}",
+];
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+const isDigit = (char) => char >= "0" && char <= "9";
+const isIdentifierStart = (char) => /[A-Za-z_$]/.test(char);
+const isIdentifierPart = (char) => /[A-Za-z0-9_$]/.test(char);
+
+/**
+ * Splits source text into tokens.
+ * @param {string} source
+ * @param {{ start?: number, end?: number, line?: number, column?: number }} [region] -
+ * Tokenizes only `source.slice(start, end)`, keeping positions relative to the
+ * whole source (used for the `${...}` parts of template literals).
+ * @returns {Array<{ type: string, value: any, line: number, column: number,
+ *   start: number, end: number, newlineBefore: boolean }>}
+ * `type` is "number", "string", "template", "identifier", "keyword",
+ * "punctuator" or "eof".
+ */
+export function tokenize(source, { start = 0, end = source.length, line = 1, column = 1 } = {}) {
+  const tokens = [];
+  let index = start;
+  let newlineBefore = false;
+
+  const fail = (message) => {
+    throw new ParseError(message, { line, column });
+  };
+
+  /** Moves forward `count` characters, keeping line and column up to date. */
+  const advance = (count = 1) => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === "\n") {
+        line++;
+        column = 1;
+        newlineBefore = true;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  const push = (type, value, from) => {
+    tokens.push({ type, value, ...from, end: index, newlineBefore: from.newlineBefore });
+    newlineBefore = false;
+  };
+
+  /** Reads one escape sequence after a backslash and returns the character. */
+  const readEscape = () => {
+    advance(); // The backslash
+    const char = source[index];
+    if (char === undefined) fail("Unterminated string");
+    advance();
+    if (char === "\n") return ""; // Line continuation
+    if (char === "u" || char === "x") {
+      const length = char === "u" ? 4 : 2;
+      const hex = source.slice(index, index + length);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) fail("Invalid escape sequence");
+      advance(length);
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    return ESCAPES[char] ?? char;
+  };
+
+  while (index < end) {
+    const char = source[index];
+    const next = source[index + 1];
+    const from = { line, column, start: index, newlineBefore };
+
+    if (/\s/.test(char)) {
+      advance();
+    } else if (char === "/" && next === "/") {
+      while (index < end && source[index] !== "\n") advance();
+    } else if (char === "/" && next === "*") {
+      const close = source.indexOf("*/", index + 2);
+      if (close === -1 || close >= end) fail("Unterminated comment");
+      advance(close + 2 - index);
+    } else if (isDigit(char) || (char === "." && isDigit(next))) {
+      const match = source.slice(index, end).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+      advance(match[0].length);
+      if (isIdentifierStart(source[index] ?? "")) fail(`Invalid number "${match[0]}${source[index]}"`);
+      push("number", Number(match[0]), from);
+    } else if (char === '"' || char === "'") {
+      advance();
+      let value = "";
+      while (source[index] !== char) {
+        if (index >= end || source[index] === "\n") fail("Unterminated string");
+        if (source[index] === "\\") {
+          value += readEscape();
+        } else {
+          value += source[index];
+          advance();
+        }
+      }
+      advance();
+      push("string", value, from);
+    } else if (char === "`") {
+      advance();
+      const quasis = [""];
+      const expressions = [];
+      while (source[index] !== "`") {
+        if (index >= end) fail("Unterminated template literal");
+        if (source[index] === "\\") {
+          quasis[quasis.length - 1] += readEscape();
+        } else if (source[index] === "$" && source[index + 1] === "{") {
+          advance(2);
+          // Find the matching "}"; braces inside strings in the expression are not supported
+          const region = { start: index, line, column };
+          for (let depth = 1; depth > 0; ) {
+            if (index >= end) fail("Unterminated template expression");
+            if (source[index] === "{") depth++;
+            if (source[index] === "}") depth--;
+            if (depth > 0) advance();
+          }
+          expressions.push({ ...region, end: index });
+          advance();
+          quasis.push("");
+        } else {
+          quasis[quasis.length - 1] += source[index];
+          advance();
+        }
+      }
+      advance();
+      push("template", { quasis, expressions }, from);
+    } else if (isIdentifierStart(char)) {
+      let word = "";
+      while (index < end && isIdentifierPart(source[index])) {
+        word += source[index];
+        advance();
+      }
+      push(KEYWORDS.has(word) ? "keyword" : "identifier", word, from);
+    } else {
+      const punctuator = PUNCTUATORS.find((candidate) => source.startsWith(candidate, index));
+      if (!punctuator) fail(`Unexpected character "${char}"`);
+      advance(punctuator.length);
+      push("punctuator", punctuator, from);
+    }
+  }
+
+  tokens.push({ type: "eof", value: null, line, column, start: index, end: index, newlineBefore: true });
+  return tokens;
+}
+
+// =========================================================================
+// 3. Parser
+// =========================================================================
+
+/**
+ * **Recursive descent:** one method per grammar rule. Each method consumes the
+ * tokens of its rule and returns a node. Operator precedence is handled by
+ * `parseBinary`, which keeps reading operators while they bind tighter than
+ * the operator it was called for ("precedence climbing").
+ * -   Like JavaScript itself, the parser refuses `??` mixed with `&&` or `||`
+ * without parentheses: `a ?? b || c` is a ParseError, `a ?? (b || c)` is fine.
+ */
+
+// Binding power of the binary operators; higher binds tighter
+const BINARY_PRECEDENCE = {
+  "??": 1,
+  "||": 2,
+  "&&": 3,
+  "==": 4, "!=": 4, "===": 4, "!==": 4,
+  "<": 5, ">": 5, "<=": 5, ">=": 5, instanceof: 5, in: 5,
+  "+": 6, "-": 6,
+  "*": 7, "/": 7, "%": 7,
+  "**": 8,
+};
+const LOGICAL_OPERATORS = new Set(["&&", "||", "??"]);
+const ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**="]);
+
+class Parser {
+  #source;
+  #tokens;
+  #index = 0;
+
+  constructor(source, tokens) {
+    this.#source = source;
+    this.#tokens = tokens;
+  }
+
+  // --- Token helpers ---------------------------------------------------
+
+  get #token() {
+    return this.#tokens[this.#index];
+  }
+
+  #peek(offset = 1) {
+    return this.#tokens[Math.min(this.#index + offset, this.#tokens.length - 1)];
+  }
+
+  #is(value, type = "punctuator") {
+    return this.#token.type === type && this.#token.value === value;
+  }
+
+  #isKeyword(value) {
+    return this.#is(value, "keyword");
+  }
+
+  #next() {
+    const token = this.#token;
+    if (token.type !== "eof") this.#index++;
+    return token;
+  }
+
+  #eat(value, type = "punctuator") {
+    if (this.#is(value, type)) return this.#next();
+    return null;
+  }
+
+  #expect(value, type = "punctuator") {
+    return this.#eat(value, type) ?? this.#unexpected(`Expected "${value}"`);
+  }
+
+  #identifier() {
+    if (this.#token.type !== "identifier") this.#unexpected("Expected an identifier");
+    return this.#next().value;
+  }
+
+  #unexpected(message = "Unexpected token") {
+    const token = this.#token;
+    const found = token.type === "eof" ? "end of input" : `"${this.#source.slice(token.start, token.end)}"`;
+    throw new ParseError(`${message}, found ${found}`, token);
+  }
+
+  /** Statement end: ";", or a line break, "}" or the end of input (automatic semicolon insertion). */
+  #semicolon() {
+    if (this.#eat(";")) return;
+    if (this.#is("}") || this.#token.type === "eof" || this.#token.newlineBefore) return;
+    this.#unexpected('Expected ";"');
+  }
+
+  /** Adds the source position to a node that started at `startToken`. */
+  #finish(node, startToken) {
+    const endToken = this.#tokens[this.#index - 1] ?? startToken;
+    node.line = startToken.line;
+    node.start = startToken.start;
+    node.end = Math.max(endToken.end, startToken.start);
+    return node;
+  }
+
+  // --- Statements ------------------------------------------------------
+
+  parseProgram() {
+    const start = this.#token;
+    const body = [];
+    while (this.#token.type !== "eof") body.push(this.parseStatement());
+    return this.#finish({ type: "Program", body, strict: hasUseStrict(body) }, start);
+  }
+
+  parseStatement() {
+    const start = this.#token;
+    if (start.type === "keyword") {
+      switch (start.value) {
+        case "var":
+        case "let":
+        case "const": {
+          const declaration = this.#parseVariableDeclaration();
+          this.#semicolon();
+          return this.#finish(declaration, start);
+        }
+        case "function":
+          return this.#parseFunction("FunctionDeclaration");
+        case "return": {
+          this.#next();
+          // "return" followed by a line break returns undefined (a classic ASI trap)
+          const noArgument = this.#is(";") || this.#is("}") || this.#token.type === "eof" || this.#token.newlineBefore;
+          const argument = noArgument ? null : this.parseExpression();
+          this.#semicolon();
+          return this.#finish({ type: "ReturnStatement", argument }, start);
+        }
+        case "if":
+          return this.#parseIf();
+        case "while": {
+          this.#next();
+          this.#expect("(");
+          const test = this.parseExpression();
+          this.#expect(")");
+          return this.#finish({ type: "WhileStatement", test, body: this.parseStatement() }, start);
+        }
+        case "for":
+          return this.#parseFor();
+        case "break":
+        case "continue": {
+          this.#next();
+          this.#semicolon();
+          return this.#finish({ type: start.value === "break" ? "BreakStatement" : "ContinueStatement" }, start);
+        }
+        case "throw": {
+          this.#next();
+          if (this.#token.newlineBefore) this.#unexpected("Illegal newline after throw");
+          const argument = this.parseExpression();
+          this.#semicolon();
+          return this.#finish({ type: "ThrowStatement", argument }, start);
+        }
+      }
+    }
+    if (this.#is("{")) return this.#parseBlock();
+    if (this.#eat(";")) return this.#finish({ type: "EmptyStatement" }, start);
+
+    const expression = this.parseExpression();
+    this.#semicolon();
+    return this.#finish({ type: "ExpressionStatement", expression }, start);
+  }
+
+  #parseBlock() {
+    const start = this.#expect("{");
+    const body = [];
+    while (!this.#is("}")) {
+      if (this.#token.type === "eof") this.#unexpected('Expected "}"');
+      body.push(this.parseStatement());
+    }
+    this.#next();
+    return this.#finish({ type: "BlockStatement", body }, start);
+  }
+
+  /** `let a = 1, b;` without the semicolon (also used in `for` heads). */
+  #parseVariableDeclaration({ inForHead = false } = {}) {
+    const start = this.#next();
+    const kind = start.value;
+    const declarations = [];
+    do {
+      const declaratorStart = this.#token;
+      const id = this.#identifier();
+      const init = this.#eat("=") ? this.parseAssignment() : null;
+      if (kind === "const" && !init && !(inForHead && this.#is("of", "identifier"))) {
+        throw new ParseError("Missing initializer in const declaration", declaratorStart);
+      }
+      declarations.push(this.#finish({ type: "VariableDeclarator", id, init }, declaratorStart));
+    } while (this.#eat(","));
+    return this.#finish({ type: "VariableDeclaration", kind, declarations }, start);
+  }
+
+  #parseIf() {
+    const start = this.#next();
+    this.#expect("(");
+    const test = this.parseExpression();
+    this.#expect(")");
+    const consequent = this.parseStatement();
+    const alternate = this.#eat("else", "keyword") ? this.parseStatement() : null;
+    return this.#finish({ type: "IfStatement", test, consequent, alternate }, start);
+  }
+
+  #parseFor() {
+    const start = this.#next();
+    this.#expect("(");
+
+    let init = null;
+    if (this.#isKeyword("var") || this.#isKeyword("let") || this.#isKeyword("const")) {
+      init = this.#parseVariableDeclaration({ inForHead: true });
+      if (this.#eat("of", "identifier")) {
+        if (init.declarations.length !== 1 || init.declarations[0].init) {
+          throw new ParseError("Invalid left-hand side in for...of", init);
+        }
+        const right = this.parseAssignment();
+        this.#expect(")");
+        return this.#finish({ type: "ForOfStatement", left: init, right, body: this.parseStatement() }, start);
+      }
+    } else if (!this.#is(";")) {
+      init = this.parseExpression();
+    }
+    this.#expect(";");
+    const test = this.#is(";") ? null : this.parseExpression();
+    this.#expect(";");
+    const update = this.#is(")") ? null : this.parseExpression();
+    this.#expect(")");
+    return this.#finish({ type: "ForStatement", init, test, update, body: this.parseStatement() }, start);
+  }
+
+  /** `function name(a, b = 1) { ... }`; the name is optional for expressions. */
+  #parseFunction(type) {
+    const start = this.#expect("function", "keyword");
+    const id = this.#token.type === "identifier" ? this.#next().value : null;
+    if (!id && type === "FunctionDeclaration") this.#unexpected("Function statements require a name");
+    const params = this.#parseParams();
+    const body = this.#parseBlock();
+    return this.#finish({ type, id, params, body, strict: hasUseStrict(body.body) }, start);
+  }
+
+  #parseParams() {
+    this.#expect("(");
+    const params = [];
+    while (!this.#is(")")) {
+      const paramStart = this.#token;
+      const name = this.#identifier();
+      const defaultValue = this.#eat("=") ? this.parseAssignment() : null;
+      params.push(this.#finish({ type: "Param", name, default: defaultValue }, paramStart));
+      if (!this.#is(")")) this.#expect(",");
+    }
+    this.#next();
+    return params;
+  }
+
+  // --- Expressions -----------------------------------------------------
+
+  parseExpression() {
+    return this.parseAssignment();
+  }
+
+  /** The whole region must be one expression: `${a b}` is an error. */
+  parseTemplateExpression() {
+    const expression = this.parseExpression();
+    if (this.#token.type !== "eof") this.#unexpected("Expected \"}\"");
+    return expression;
+  }
+
+  parseAssignment() {
+    const start = this.#token;
+    if (this.#isArrowAhead()) return this.#parseArrow();
+
+    const left = this.#parseConditional();
+    if (this.#token.type === "punctuator" && ASSIGNMENT_OPERATORS.has(this.#token.value)) {
+      if (left.type !== "Identifier" && left.type !== "MemberExpression") {
+        throw new ParseError("Invalid left-hand side in assignment", start);
+      }
+      const operator = this.#next().value;
+      const right = this.parseAssignment(); // Right-associative: a = b = 1
+      return this.#finish({ type: "AssignmentExpression", operator, left, right }, start);
+    }
+    return left;
+  }
+
+  /** `x => ...` or `(...) => ...`: look past the parentheses for "=>". */
+  #isArrowAhead() {
+    if (this.#token.type === "identifier") return this.#peek().value === "=>";
+    if (!this.#is("(")) return false;
+    let depth = 0;
+    for (let offset = 0; ; offset++) {
+      const token = this.#peek(offset);
+      if (token.type === "eof") return false;
+      if (token.value === "(") depth++;
+      if (token.value === ")" && --depth === 0) {
+        const after = this.#peek(offset + 1);
+        return after.type === "punctuator" && after.value === "=>" && !after.newlineBefore;
+      }
+    }
+  }
+
+  #parseArrow() {
+    const start = this.#token;
+    const params =
+      start.type === "identifier"
+        ? [this.#finish({ type: "Param", name: this.#next().value, default: null }, start)]
+        : this.#parseParams();
+    this.#expect("=>");
+    if (this.#is("{")) {
+      const body = this.#parseBlock();
+      return this.#finish({ type: "ArrowFunctionExpression", params, body, expression: false }, start);
+    }
+    const body = this.parseAssignment();
+    return this.#finish({ type: "ArrowFunctionExpression", params, body, expression: true }, start);
+  }
+
+  #parseConditional() {
+    const start = this.#token;
+    const test = this.#parseBinary(0);
+    if (!this.#eat("?")) return test;
+    const consequent = this.parseAssignment();
+    this.#expect(":");
+    const alternate = this.parseAssignment();
+    return this.#finish({ type: "ConditionalExpression", test, consequent, alternate }, start);
+  }
+
+  #parseBinary(minPrecedence) {
+    const start = this.#token;
+    let left = this.#parseUnary();
+    for (;;) {
+      const { type, value: operator } = this.#token;
+      const isOperator = type === "punctuator" || (type === "keyword" && (operator === "instanceof" || operator === "in"));
+      const precedence = isOperator ? BINARY_PRECEDENCE[operator] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) return left;
+      this.#next();
+      // "**" is right-associative: 2 ** 3 ** 2 === 2 ** 9
+      // "??" stops its right side before && and ||, so a mix always shows up as the next token
+      const right = this.#parseBinary(
+        operator === "**" ? precedence - 1 : operator === "??" ? BINARY_PRECEDENCE["&&"] : precedence
+      );
+      const nodeType = LOGICAL_OPERATORS.has(operator) ? "LogicalExpression" : "BinaryExpression";
+      left = this.#finish({ type: nodeType, operator, left, right }, start);
+      const next = this.#token;
+      if (
+        nodeType === "LogicalExpression" &&
+        next.type === "punctuator" &&
+        LOGICAL_OPERATORS.has(next.value) &&
+        (operator === "??") !== (next.value === "??")
+      ) {
+        throw new ParseError(`Cannot mix "${operator}" and "${next.value}" without parentheses`, next);
+      }
+    }
+  }
+
+  #parseUnary() {
+    const start = this.#token;
+    if (this.#is("!") || this.#is("-") || this.#is("+") || this.#isKeyword("typeof")) {
+      const operator = this.#next().value;
+      return this.#finish({ type: "UnaryExpression", operator, argument: this.#parseUnary() }, start);
+    }
+    if (this.#is("++") || this.#is("--")) {
+      const operator = this.#next().value;
+      const argument = this.#parseUnary();
+      return this.#finish({ type: "UpdateExpression", operator, prefix: true, argument }, start);
+    }
+
+    const expression = this.#parseCallOrMember();
+    if ((this.#is("++") || this.#is("--")) && !this.#token.newlineBefore) {
+      const operator = this.#next().value;
+      return this.#finish({ type: "UpdateExpression", operator, prefix: false, argument: expression }, start);
+    }
+    return expression;
+  }
+
+  #parseCallOrMember() {
+    const start = this.#token;
+    let expression;
+    if (this.#isKeyword("new")) {
+      this.#next();
+      // The callee of `new` is a member chain without calls: new a.b.C(...)
+      let callee = this.#parsePrimary();
+      while (this.#is(".") || this.#is("[")) callee = this.#parseMember(callee, start);
+      const args = this.#is("(") ? this.#parseArguments() : [];
+      expression = this.#finish({ type: "NewExpression", callee, arguments: args }, start);
+    } else {
+      expression = this.#parsePrimary();
+    }
+
+    for (;;) {
+      if (this.#is(".") || this.#is("[")) {
+        expression = this.#parseMember(expression, start);
+      } else if (this.#is("(")) {
+        expression = this.#finish({ type: "CallExpression", callee: expression, arguments: this.#parseArguments() }, start);
+      } else if (this.#token.type === "template") {
+        this.#unexpected("Tagged templates are not supported");
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  #parseMember(object, start) {
+    if (this.#eat(".")) {
+      const token = this.#next();
+      if (token.type !== "identifier" && token.type !== "keyword") {
+        this.#index--;
+        this.#unexpected("Expected a property name");
+      }
+      const property = { type: "Identifier", name: token.value };
+      return this.#finish({ type: "MemberExpression", object, property, computed: false }, start);
+    }
+    this.#expect("[");
+    const property = this.parseExpression();
+    this.#expect("]");
+    return this.#finish({ type: "MemberExpression", object, property, computed: true }, start);
+  }
+
+  #parseArguments() {
+    this.#expect("(");
+    const args = [];
+    while (!this.#is(")")) {
+      args.push(this.parseAssignment());
+      if (!this.#is(")")) this.#expect(",");
+    }
+    this.#next();
+    return args;
+  }
+
+  #parsePrimary() {
+    const start = this.#token;
+    switch (start.type) {
+      case "number":
+      case "string":
+        this.#next();
+        return this.#finish({ type: "Literal", value: start.value }, start);
+      case "template":
+        this.#next();
+        return this.#finish(
+          {
+            type: "TemplateLiteral",
+            quasis: start.value.quasis,
+            expressions: start.value.expressions.map((region) => parseExpressionAt(this.#source, region)),
+          },
+          start
+        );
+      case "identifier":
+        this.#next();
+        return this.#finish({ type: "Identifier", name: start.value }, start);
+      case "keyword":
+        switch (start.value) {
+          case "this":
+            this.#next();
+            return this.#finish({ type: "ThisExpression" }, start);
+          case "true":
+          case "false":
+          case "null":
+            this.#next();
+            return this.#finish({ type: "Literal", value: JSON.parse(start.value) }, start);
+          case "function":
+            return this.#parseFunction("FunctionExpression");
+        }
+        break;
+      case "punctuator":
+        if (start.value === "(") {
+          this.#next();
+          const expression = this.parseExpression();
+          this.#expect(")");
+          return expression;
+        }
+        if (start.value === "[") return this.#parseArray();
+        if (start.value === "{") return this.#parseObject();
+        break;
+    }
+    return this.#unexpected();
+  }
+
+  #parseArray() {
+    const start = this.#expect("[");
+    const elements = [];
+    while (!this.#is("]")) {
+      elements.push(this.parseAssignment());
+      if (!this.#is("]")) this.#expect(",");
+    }
+    this.#next();
+    return this.#finish({ type: "ArrayExpression", elements }, start);
+  }
+
+  /** `{ a: 1, "b": 2, c, greet() { ... } }` */
+  #parseObject() {
+    const start = this.#expect("{");
+    const properties = [];
+    while (!this.#is("}")) {
+      const keyToken = this.#next();
+      if (!["identifier", "keyword", "string", "number"].includes(keyToken.type)) {
+        this.#index--;
+        this.#unexpected("Expected a property name");
+      }
+      const key = String(keyToken.value);
+      let value;
+      if (this.#eat(":")) {
+        value = this.parseAssignment();
+      } else if (this.#is("(")) {
+        const params = this.#parseParams();
+        const body = this.#parseBlock();
+        value = this.#finish({ type: "FunctionExpression", id: key, params, body, strict: hasUseStrict(body.body) }, keyToken);
+      } else if (keyToken.type === "identifier") {
+        value = this.#finish({ type: "Identifier", name: key }, keyToken); // Shorthand { a }
+      } else {
+        this.#unexpected('Expected ":"');
+      }
+      properties.push({ key, value });
+      if (!this.#is("}")) this.#expect(",");
+    }
+    this.#next();
+    return this.#finish({ type: "ObjectExpression", properties }, start);
+  }
+}
+
+/** True when the statement list starts with the "use strict" directive. */
+function hasUseStrict(body) {
+  const [first] = body;
+  return first?.type === "ExpressionStatement" && first.expression.type === "Literal" && first.expression.value === "use strict";
+}
+
+/** Parses one expression inside a region of the source (a `${...}` in a template). */
+function parseExpressionAt(source, region) {
+  const parser = new Parser(source, tokenize(source, region));
+  return parser.parseTemplateExpression();
+}
+
+/**
+ * Parses a program into an ESTree-style AST. Every node carries `line`,
+ * `start` and `end`, so `source.slice(node.start, node.end)` is its text.
+ * @param {string} source
+ * @returns {object} The `Program` node.
+ * @throws {ParseError}
+ */
+export function parse(source) {
+  return new Parser(source, tokenize(source)).parseProgram();
+}
+
+// =========================================================================
+// 4. Looking at the Tree
+// =========================================================================
+
+/**
+ * Renders an AST as an indented outline, one node per line, e.g.
+ * `VariableDeclaration let` followed by its declarators.
+ * @param {object} node
+ * @returns {string}
+ */
+export function outline(node, depth = 0) {
+  const indent = "  ".repeat(depth);
+  const label = {
+    Program: () => "",
+    VariableDeclaration: (n) => n.kind,
+    VariableDeclarator: (n) => n.id,
+    FunctionDeclaration: (n) => `${n.id}(${n.params.map((p) => p.name).join(", ")})`,
+    FunctionExpression: (n) => `${n.id ?? "(anonymous)"}(${n.params.map((p) => p.name).join(", ")})`,
+    ArrowFunctionExpression: (n) => `(${n.params.map((p) => p.name).join(", ")})`,
+    Identifier: (n) => n.name,
+    Literal: (n) => JSON.stringify(n.value),
+    BinaryExpression: (n) => n.operator,
+    LogicalExpression: (n) => n.operator,
+    AssignmentExpression: (n) => n.operator,
+    UnaryExpression: (n) => n.operator,
+    UpdateExpression: (n) => (n.prefix ? `${n.operator}x` : `x${n.operator}`),
+    MemberExpression: (n) => (n.computed ? "[]" : `.${n.property.name}`),
+  }[node.type]?.(node);
+
+  const children = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === "object" && typeof value.type === "string") children.push(value);
+  };
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "property" && !node.computed) continue; // Already in the label
+    if (key === "params") value.forEach((param) => visit(param.default));
+    else if (key === "properties") value.forEach((property) => visit(property.value));
+    else visit(value);
+  }
+
+  const line = `${indent}${node.type}${label ? ` ${label}` : ""}`;
+  return [line, ...children.map((child) => outline(child, depth + 1))].join("\n");
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: tokens, with comments and whitespace dropped
+  const tokens = tokenize("let total = price * 2; // doubled");
+  console.log(tokens.map((token) => `${token.type}:${token.value}`).join(" "));
+  // Output: keyword:let identifier:total punctuator:= identifier:price punctuator:* number:2 punctuator:; eof:null
+
+  // Example 2: the tree for a small program; precedence decides the shape
+  console.log(outline(parse("const area = width * height + 1;")));
+  /* Output:
+  Program
+    VariableDeclaration const
+      VariableDeclarator area
+        BinaryExpression +
+          BinaryExpression *
+            Identifier width
+            Identifier height
+          Literal 1
+  */
+
+  // Example 3: automatic semicolon insertion after "return"
+  const [fn] = parse("function f() {\n  return\n  42;\n}").body;
+  console.log("3. return argument:", fn.body.body[0].argument); // Output: 3. return argument: null
+
+  // Example 4: a syntax error stops everything before any code runs
+  try {
+    parse("let ok = 1;\nlet broken = (1 + ;");
+  } catch (error) {
+    console.log(`4. ${error.name}: ${error.message}`); // Output: 4. ParseError: Unexpected token, found ";" (2:19)
+  }
+
+  // Example 5: ?? next to && or || needs parentheses, as in JavaScript
+  try {
+    parse("const port = input ?? fallback || 80;");
+  } catch (error) {
+    console.log(`5. ${error.name}: ${error.message}`); // Output: 5. ParseError: Cannot mix "??" and "||" without parentheses (1:32)
+  }
+  console.log("5. With parentheses:", parse("(input ?? fallback) || 80").body[0].expression.operator); // Output: 5. With parentheses: ||
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
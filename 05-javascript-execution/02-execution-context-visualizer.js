@@ -0,0 +1,891 @@
+/**
+ * File: 02-execution-context-visualizer.js
+ * Description: The executable counterpart of execution-context-in-javascript.md and
+ * how-javascript-execute.md. A small interpreter runs a program parsed by
+ * 01-tokenizer-and-parser.js one statement at a time and records, at every step, the
+ * call stack, each context's variable environment, its `this` binding and which
+ * `let` / `const` bindings are still in the Temporal Dead Zone. Steps are plain JSON;
+ * `renderStep` draws them for the terminal.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   node 05-javascript-execution/02-execution-context-visualizer.js program.js [--json] [--strict]
+ */
+
+import { readFileSync } from "node:fs";
+import { format } from "node:util";
+
+import { isMain } from "../tools/is-main.js";
+import { ParseError, parse } from "./01-tokenizer-and-parser.js";
+
+// =========================================================================
+// 1. What a Step Contains
+// =========================================================================
+
+/**
+ * **One step = one moment of the program:**
+ * -   `event`: `"start"` (global creation phase done), `"statement"` (about to
+ * run the statement on `line`), `"call"` (a function context was created and
+ * pushed), `"return"` (it is about to be popped), `"log"` (console output),
+ * `"error"` (an uncaught error ended the program) or `"end"`.
+ * -   `phase`: `"creation"` for `start` and `call`, when hoisting has happened
+ * but no code of the context has run yet; `"execution"` otherwise.
+ * -   `callStack`: the contexts, **top first**. Each has a `name`, its `this`,
+ * its `scopes` (innermost block first, the function or global scope last) and
+ * the `outer` scopes it closes over.
+ * -   Every binding is `{ kind, value, tdz }`: `kind` is var, let, const,
+ * function, param or "global property"; `value` is a display string;
+ * `tdz: true` means declared (hoisted) but not initialized yet.
+ *
+ * **How the model maps to the notes:**
+ * -   **Creation phase:** `var` bindings start as `undefined`, function
+ * declarations start as the function, `let` / `const` start uninitialized (TDZ).
+ * -   **Global `var` and functions** become properties of the global object;
+ * `let` / `const` do not.
+ * -   **`this`:** method call -> the object; plain call -> the global object
+ * (sloppy mode) or `undefined` ("use strict"); `new` -> the new object;
+ * `call` / `apply` / `bind` -> the given value; arrow functions -> the `this`
+ * of the context they were created in.
+ * -   **Lexical scope:** a function's outer environment is where it was
+ * *defined*, which is what makes closures work. `for (let ...)` gets a fresh
+ * binding per iteration.
+ */
+
+const DEFAULT_MAX_STEPS = 1000;
+const DEFAULT_MAX_DEPTH = 50;
+
+const NORMAL = Object.freeze({ type: "normal" });
+
+// =========================================================================
+// 2. Environments
+// =========================================================================
+
+/**
+ * A scope: bindings plus a link to the outer (parent) environment. In the
+ * global environment, `var` and function bindings live on the global object.
+ */
+class Environment {
+  constructor(type, name, outer = null, globalObject = null) {
+    this.type = type; // "global" | "function" | "block"
+    this.name = name;
+    this.outer = outer;
+    this.globalObject = globalObject;
+    this.bindings = new Map(); // name -> { kind, initialized, value }
+  }
+
+  #onGlobalObject(kind) {
+    return this.globalObject !== null && (kind === "var" || kind === "function" || kind === "global property");
+  }
+
+  declare(name, kind, { value, initialized = true } = {}) {
+    if (this.#onGlobalObject(kind)) {
+      if (kind !== "var" || !(name in this.globalObject)) this.globalObject[name] = value;
+    }
+    this.bindings.set(name, { kind, initialized, value });
+  }
+
+  /** The environment in the chain that has a binding for `name`. */
+  resolve(name) {
+    for (let env = this; env; env = env.outer) {
+      if (env.bindings.has(name)) return env;
+    }
+    return null;
+  }
+
+  read(name) {
+    const binding = this.bindings.get(name);
+    if (!binding.initialized) throw new ReferenceError(`Cannot access '${name}' before initialization`);
+    return this.#onGlobalObject(binding.kind) ? this.globalObject[name] : binding.value;
+  }
+
+  write(name, value, { initialize = false } = {}) {
+    const binding = this.bindings.get(name);
+    if (!initialize) {
+      if (!binding.initialized) throw new ReferenceError(`Cannot access '${name}' before initialization`);
+      if (binding.kind === "const") throw new TypeError("Assignment to constant variable.");
+    }
+    binding.initialized = true;
+    if (this.#onGlobalObject(binding.kind)) this.globalObject[name] = value;
+    else binding.value = value;
+  }
+
+  /** A copy with the same bindings: the fresh environment of each `for (let ...)` iteration. */
+  copy() {
+    const env = new Environment(this.type, this.name, this.outer, this.globalObject);
+    for (const [name, binding] of this.bindings) env.bindings.set(name, { ...binding });
+    return env;
+  }
+
+  /** Bindings as JSON-friendly `{ kind, value, tdz }` records. */
+  describe(describeValue) {
+    return Object.fromEntries(
+      [...this.bindings].map(([name, binding]) => {
+        const tdz = !binding.initialized;
+        const value = tdz ? "<uninitialized>" : describeValue(this.read(name));
+        return [name, { kind: binding.kind, value, tdz }];
+      })
+    );
+  }
+}
+
+// =========================================================================
+// 3. Displaying Values
+// =========================================================================
+
+/**
+ * Short, one-line display strings for values, e.g. `"Ada"`, `ƒ greet`,
+ * `{ name: "Ada", age: 36 }`. Nested objects are abbreviated.
+ */
+function describeValue(value, globalObject, depth = 0) {
+  if (value === globalObject) return "globalThis";
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "bigint") return `${value}n`;
+  if (Object.is(value, -0)) return "-0";
+  if (typeof value === "function") return `ƒ ${value.name || "(anonymous)"}`;
+  if (value === null || typeof value !== "object") return String(value);
+
+  if (depth > 0) return Array.isArray(value) ? "[…]" : "{…}";
+  const describeNested = (item) => describeValue(item, globalObject, depth + 1);
+  if (Array.isArray(value)) return `[${value.map(describeNested).join(", ")}]`;
+
+  const entries = Object.entries(value).map(([key, item]) => `${key}: ${describeNested(item)}`);
+  const prefix = Object.getPrototypeOf(value)?.constructor?.name;
+  const tag = prefix && prefix !== "Object" ? `${prefix} ` : "";
+  return entries.length ? `${tag}{ ${entries.join(", ")} }` : `${tag}{}`;
+}
+
+// =========================================================================
+// 4. The Interpreter
+// =========================================================================
+
+/** Names of the `var` declarations in a function or script body, not in nested functions. */
+function varNames(statements, names = []) {
+  for (const node of statements) {
+    if (!node) continue;
+    switch (node.type) {
+      case "VariableDeclaration":
+        if (node.kind === "var") names.push(...node.declarations.map((declarator) => declarator.id));
+        break;
+      case "IfStatement":
+        varNames([node.consequent, node.alternate], names);
+        break;
+      case "WhileStatement":
+        varNames([node.body], names);
+        break;
+      case "ForStatement":
+        varNames([node.init?.type === "VariableDeclaration" ? node.init : null, node.body], names);
+        break;
+      case "ForOfStatement":
+        varNames([node.left, node.body], names);
+        break;
+      case "BlockStatement":
+        varNames(node.body, names);
+        break;
+    }
+  }
+  return names;
+}
+
+const BINARY_OPERATORS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "**": (a, b) => a ** b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "===": (a, b) => a === b,
+  "!==": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+  instanceof: (a, b) => a instanceof b,
+  in: (a, b) => a in b,
+};
+
+const isFunctionNode = (node) => node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression";
+const isObject = (value) => (typeof value === "object" && value !== null) || typeof value === "function";
+
+class Interpreter {
+  #source;
+  #lines;
+  #maxSteps;
+  #maxDepth;
+  #strict;
+  #globalObject;
+  #functions = new WeakMap(); // function -> { node, env, name, arrow, thisValue, strict }
+  #stack = []; // Execution contexts, bottom first
+  steps = [];
+  output = [];
+
+  constructor(source, { maxSteps = DEFAULT_MAX_STEPS, maxDepth = DEFAULT_MAX_DEPTH, strict = false } = {}) {
+    this.#source = source;
+    this.#lines = source.split("\n");
+    this.#maxSteps = maxSteps;
+    this.#maxDepth = maxDepth;
+    this.#strict = strict;
+    this.#globalObject = this.#createGlobalObject();
+  }
+
+  #createGlobalObject() {
+    const globalObject = {};
+    const log = (...args) => {
+      const message = format(...args);
+      this.output.push(message);
+      this.#record("log", null, { message });
+    };
+    const builtins = {
+      console: { log, info: log, warn: log, error: log },
+      undefined,
+      NaN,
+      Infinity,
+      Math,
+      JSON,
+      Object,
+      Array,
+      String,
+      Number,
+      Boolean,
+      Error,
+      TypeError,
+      RangeError,
+      ReferenceError,
+      parseInt,
+      parseFloat,
+      isNaN,
+      globalThis: globalObject,
+    };
+    // Non-enumerable, so they do not clutter the display of the global object
+    for (const [name, value] of Object.entries(builtins)) {
+      Object.defineProperty(globalObject, name, { value, writable: true, configurable: true, enumerable: false });
+    }
+    return globalObject;
+  }
+
+  get #context() {
+    return this.#stack[this.#stack.length - 1];
+  }
+
+  // --- Recording steps -------------------------------------------------
+
+  #describe(value) {
+    return describeValue(value, this.#globalObject);
+  }
+
+  /** The scopes of one context, innermost first, down to its function or global scope. */
+  #describeScopes(env, stopAt) {
+    const scopes = [];
+    for (let current = env; current; current = current.outer) {
+      scopes.push({ type: current.type, name: current.name, variables: current.describe((v) => this.#describe(v)) });
+      if (current === stopAt) break;
+    }
+    return scopes;
+  }
+
+  #describeContext(context) {
+    const outer = this.#describeScopes(context.variableEnv.outer, null).map((scope) =>
+      // The global scope is already at the bottom of the stack; only name it
+      scope.type === "global" ? { type: scope.type, name: scope.name } : scope
+    );
+    return {
+      name: context.name,
+      type: context.type,
+      this: this.#describe(context.thisValue),
+      strict: context.strict,
+      scopes: this.#describeScopes(context.env, context.variableEnv),
+      outer,
+    };
+  }
+
+  #record(event, node, details = {}, { force = false } = {}) {
+    if (!force && this.steps.length >= this.#maxSteps) {
+      throw new RangeError(`Stopped after ${this.#maxSteps} steps; is there an infinite loop?`);
+    }
+    const line = node?.line ?? null;
+    this.steps.push({
+      step: this.steps.length + 1,
+      event,
+      phase: event === "start" || event === "call" ? "creation" : "execution",
+      line,
+      code: line ? this.#lines[line - 1].trim() : null,
+      ...details,
+      callStack: this.#stack.map((context) => this.#describeContext(context)).reverse(),
+    });
+  }
+
+  // --- Running ---------------------------------------------------------
+
+  run(program) {
+    const env = new Environment("global", "global", null, this.#globalObject);
+    const strict = this.#strict || program.strict;
+    this.#stack.push({ name: "global", type: "global", env, variableEnv: env, thisValue: this.#globalObject, strict });
+
+    let error = null;
+    try {
+      this.#hoist(program.body, env, { functionScope: true });
+      this.#record("start", program);
+      this.#executeStatements(program.body);
+      this.#record("end", null);
+    } catch (thrown) {
+      // No try/catch in the subset, so every throw ends the program. The stack is left as it was when it happened.
+      error = thrown instanceof Error ? { name: thrown.name, message: thrown.message } : { name: "Uncaught", message: this.#describe(thrown) };
+      this.#record("error", this.#lastLine(), { error: `${error.name}: ${error.message}` }, { force: true });
+    }
+    return { steps: this.steps, output: this.output, error };
+  }
+
+  /** The statement that was running when an error was thrown. */
+  #lastLine() {
+    const last = this.steps.findLast((step) => step.line !== null);
+    return last ? { line: last.line } : null;
+  }
+
+  /**
+   * The creation phase of a scope. Function and global scopes get their
+   * `var` bindings (as undefined); every scope gets its function declarations
+   * (initialized) and its `let` / `const` (uninitialized: the TDZ).
+   */
+  #hoist(statements, env, { functionScope = false } = {}) {
+    if (functionScope) {
+      for (const name of varNames(statements)) {
+        if (!env.bindings.has(name)) env.declare(name, "var", { value: undefined });
+      }
+    }
+    for (const node of statements) {
+      if (node.type === "FunctionDeclaration") {
+        env.declare(node.id, "function", { value: this.#createFunction(node, env, node.id) });
+      } else if (node.type === "VariableDeclaration" && node.kind !== "var") {
+        for (const { id } of node.declarations) env.declare(id, node.kind, { initialized: false });
+      }
+    }
+  }
+
+  #executeStatements(statements) {
+    for (const statement of statements) {
+      const completion = this.#execute(statement);
+      if (completion.type !== "normal") return completion;
+    }
+    return NORMAL;
+  }
+
+  #execute(node) {
+    const context = this.#context;
+    if (!["FunctionDeclaration", "BlockStatement", "EmptyStatement"].includes(node.type)) {
+      this.#record("statement", node);
+    }
+
+    switch (node.type) {
+      case "VariableDeclaration":
+        this.#declareVariables(node);
+        return NORMAL;
+      case "ExpressionStatement":
+        this.#evaluate(node.expression);
+        return NORMAL;
+      case "ReturnStatement":
+        return { type: "return", value: node.argument ? this.#evaluate(node.argument) : undefined, node };
+      case "IfStatement":
+        if (this.#evaluate(node.test)) return this.#execute(node.consequent);
+        return node.alternate ? this.#execute(node.alternate) : NORMAL;
+      case "BlockStatement": {
+        const outer = context.env;
+        context.env = new Environment("block", "block", outer);
+        this.#hoist(node.body, context.env);
+        const completion = this.#executeStatements(node.body);
+        context.env = outer;
+        return completion;
+      }
+      case "WhileStatement":
+        while (this.#evaluate(node.test)) {
+          const completion = this.#execute(node.body);
+          if (completion.type === "break") break;
+          if (completion.type === "return") return completion;
+        }
+        return NORMAL;
+      case "ForStatement":
+        return this.#executeFor(node);
+      case "ForOfStatement":
+        return this.#executeForOf(node);
+      case "BreakStatement":
+        return { type: "break" };
+      case "ContinueStatement":
+        return { type: "continue" };
+      case "ThrowStatement":
+        throw this.#evaluate(node.argument);
+      case "FunctionDeclaration":
+      case "EmptyStatement":
+        return NORMAL;
+      default:
+        throw new SyntaxError(`Unsupported statement ${node.type}`);
+    }
+  }
+
+  #declareVariables(node) {
+    const env = this.#context.env;
+    for (const { id, init } of node.declarations) {
+      if (node.kind === "var") {
+        // `var x;` without an initializer does not reset x
+        if (init) this.#assignVariable(id, this.#evaluateNamed(init, id));
+      } else {
+        env.write(id, init ? this.#evaluateNamed(init, id) : undefined, { initialize: true });
+      }
+    }
+  }
+
+  /** `for (let i = 0; ...)`: each iteration gets its own copy of `i`, so closures see that iteration's value. */
+  #executeFor(node) {
+    const context = this.#context;
+    const outer = context.env;
+    const lexical = node.init?.type === "VariableDeclaration" && node.init.kind !== "var";
+    if (lexical) {
+      context.env = new Environment("block", "for", outer);
+      this.#hoist([node.init], context.env);
+    }
+    if (node.init?.type === "VariableDeclaration") this.#declareVariables(node.init);
+    else if (node.init) this.#evaluate(node.init);
+
+    let result = NORMAL;
+    while (!node.test || this.#evaluate(node.test)) {
+      const completion = this.#execute(node.body);
+      if (completion.type === "break") break;
+      if (completion.type === "return") {
+        result = completion;
+        break;
+      }
+      if (lexical) context.env = context.env.copy();
+      if (node.update) this.#evaluate(node.update);
+    }
+    context.env = outer;
+    return result;
+  }
+
+  #executeForOf(node) {
+    const context = this.#context;
+    const outer = context.env;
+    const { kind, declarations: [{ id }] } = node.left;
+    for (const item of this.#evaluate(node.right)) {
+      if (kind === "var") {
+        this.#assignVariable(id, item);
+      } else {
+        context.env = new Environment("block", "for", outer);
+        context.env.declare(id, kind, { value: item });
+      }
+      const completion = this.#execute(node.body);
+      context.env = outer;
+      if (completion.type === "break") break;
+      if (completion.type === "return") return completion;
+    }
+    return NORMAL;
+  }
+
+  // --- Variables -------------------------------------------------------
+
+  #readVariable(name) {
+    const env = this.#context.env.resolve(name);
+    if (env) return env.read(name);
+    if (name in this.#globalObject) return this.#globalObject[name];
+    throw new ReferenceError(`${name} is not defined`);
+  }
+
+  #assignVariable(name, value) {
+    const env = this.#context.env.resolve(name);
+    if (env) return env.write(name, value);
+    if (name in this.#globalObject) {
+      this.#globalObject[name] = value;
+      return undefined;
+    }
+    if (this.#context.strict) throw new ReferenceError(`${name} is not defined`);
+    // Sloppy mode: assigning to an undeclared name creates a global property
+    this.#stack[0].env.declare(name, "global property", { value });
+    return undefined;
+  }
+
+  // --- Functions and calls ---------------------------------------------
+
+  #createFunction(node, env, name) {
+    const interpreter = this;
+    const arrow = node.type === "ArrowFunctionExpression";
+    const context = this.#context;
+    const info = {
+      node,
+      env,
+      arrow,
+      name: name ?? "",
+      thisValue: arrow ? context.thisValue : undefined,
+      strict: context.strict || Boolean(node.strict),
+    };
+
+    // Real functions, so native code (map, call, apply, bind) can call them
+    const fn = arrow
+      ? (...args) => interpreter.#call(info, undefined, args)
+      : function (...args) {
+          return new.target ? interpreter.#construct(fn, args) : interpreter.#call(info, this, args);
+        };
+    Object.defineProperty(fn, "name", { value: info.name });
+    this.#functions.set(fn, info);
+    return fn;
+  }
+
+  /** Creates and pushes a function execution context, runs the body, pops it. */
+  #call(info, thisArg, args) {
+    if (this.#stack.length >= this.#maxDepth) {
+      throw new RangeError("Maximum call stack size exceeded");
+    }
+    const { node, arrow, strict } = info;
+    const name = info.name || "(anonymous)";
+    let thisValue = thisArg;
+    if (arrow) thisValue = info.thisValue;
+    else if (!strict && thisArg == null) thisValue = this.#globalObject; // Default binding, sloppy mode
+
+    const env = new Environment("function", name, info.env);
+    const context = { name, type: "function", env, variableEnv: env, thisValue, strict };
+    this.#stack.push(context);
+
+    // Creation phase: parameters (left to right, so defaults can use earlier ones), then hoisting
+    for (const param of node.params) env.declare(param.name, "param", { initialized: false });
+    node.params.forEach((param, index) => {
+      const value = args[index] === undefined && param.default ? this.#evaluateNamed(param.default, param.name) : args[index];
+      env.write(param.name, value, { initialize: true });
+    });
+    const body = node.expression ? [] : node.body.body;
+    this.#hoist(body, env, { functionScope: true });
+    this.#record("call", node, { call: `${name}(${args.map((arg) => this.#describe(arg)).join(", ")})` });
+
+    let value;
+    let returnNode = node;
+    if (node.expression) {
+      value = this.#evaluate(node.body);
+    } else {
+      const completion = this.#executeStatements(body);
+      value = completion.type === "return" ? completion.value : undefined;
+      returnNode = completion.node ?? { line: node.body.end ? this.#lineAt(node.body.end - 1) : node.line };
+    }
+    this.#record("return", returnNode, { returnValue: this.#describe(value) });
+    this.#stack.pop();
+    return value;
+  }
+
+  #construct(fn, args) {
+    const info = this.#functions.get(fn);
+    if (!info || info.arrow) {
+      if (info) throw new TypeError(`${fn.name || "anonymous"} is not a constructor`);
+      return Reflect.construct(fn, args);
+    }
+    const instance = Object.create(isObject(fn.prototype) ? fn.prototype : Object.prototype);
+    const result = this.#call(info, instance, args);
+    return isObject(result) ? result : instance;
+  }
+
+  #lineAt(offset) {
+    return this.#source.slice(0, offset).split("\n").length;
+  }
+
+  // --- Expressions -----------------------------------------------------
+
+  /** Evaluates `node`, naming anonymous functions after the variable or key they are assigned to. */
+  #evaluateNamed(node, name) {
+    if (isFunctionNode(node) && !node.id) return this.#createFunction(node, this.#context.env, name);
+    return this.#evaluate(node);
+  }
+
+  #evaluate(node) {
+    switch (node.type) {
+      case "Literal":
+        return node.value;
+      case "TemplateLiteral":
+        return node.quasis.reduce(
+          (text, quasi, index) => text + quasi + (index < node.expressions.length ? String(this.#evaluate(node.expressions[index])) : ""),
+          ""
+        );
+      case "Identifier":
+        return this.#readVariable(node.name);
+      case "ThisExpression":
+        return this.#context.thisValue;
+      case "ArrayExpression":
+        return node.elements.map((element) => this.#evaluate(element));
+      case "ObjectExpression": {
+        const object = {};
+        for (const { key, value } of node.properties) object[key] = this.#evaluateNamed(value, key);
+        return object;
+      }
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return this.#createFunction(node, this.#context.env, node.id ?? "");
+      case "UnaryExpression":
+        return this.#evaluateUnary(node);
+      case "UpdateExpression": {
+        const oldValue = Number(this.#evaluate(node.argument));
+        const newValue = node.operator === "++" ? oldValue + 1 : oldValue - 1;
+        this.#assign(node.argument, newValue);
+        return node.prefix ? newValue : oldValue;
+      }
+      case "BinaryExpression":
+        return BINARY_OPERATORS[node.operator](this.#evaluate(node.left), this.#evaluate(node.right));
+      case "LogicalExpression": {
+        const left = this.#evaluate(node.left);
+        if (node.operator === "&&") return left ? this.#evaluate(node.right) : left;
+        if (node.operator === "||") return left ? left : this.#evaluate(node.right);
+        return left ?? this.#evaluate(node.right);
+      }
+      case "ConditionalExpression":
+        return this.#evaluate(node.test) ? this.#evaluate(node.consequent) : this.#evaluate(node.alternate);
+      case "AssignmentExpression": {
+        const name = node.left.type === "Identifier" ? node.left.name : undefined;
+        const value =
+          node.operator === "="
+            ? this.#evaluateNamed(node.right, name)
+            : BINARY_OPERATORS[node.operator.slice(0, -1)](this.#evaluate(node.left), this.#evaluate(node.right));
+        this.#assign(node.left, value);
+        return value;
+      }
+      case "MemberExpression": {
+        const object = this.#evaluate(node.object);
+        return object[this.#propertyKey(node)];
+      }
+      case "CallExpression":
+        return this.#evaluateCall(node);
+      case "NewExpression": {
+        const callee = this.#evaluate(node.callee);
+        const args = node.arguments.map((argument) => this.#evaluate(argument));
+        if (typeof callee !== "function") throw new TypeError(`${this.#text(node.callee)} is not a constructor`);
+        return this.#construct(callee, args);
+      }
+      default:
+        throw new SyntaxError(`Unsupported expression ${node.type}`);
+    }
+  }
+
+  #evaluateUnary(node) {
+    if (node.operator === "typeof") {
+      // typeof of an undeclared name is "undefined", not a ReferenceError (the TDZ still throws)
+      const { argument } = node;
+      if (argument.type === "Identifier" && !this.#context.env.resolve(argument.name) && !(argument.name in this.#globalObject)) {
+        return "undefined";
+      }
+      return typeof this.#evaluate(argument);
+    }
+    const value = this.#evaluate(node.argument);
+    if (node.operator === "!") return !value;
+    return node.operator === "-" ? -value : +value;
+  }
+
+  #propertyKey(member) {
+    return member.computed ? this.#evaluate(member.property) : member.property.name;
+  }
+
+  #assign(target, value) {
+    if (target.type === "Identifier") {
+      this.#assignVariable(target.name, value);
+    } else {
+      const object = this.#evaluate(target.object);
+      object[this.#propertyKey(target)] = value;
+    }
+  }
+
+  /** `obj.method()` passes `obj` as `this`; a plain `fn()` passes undefined. */
+  #evaluateCall(node) {
+    let thisArg;
+    let callee;
+    if (node.callee.type === "MemberExpression") {
+      thisArg = this.#evaluate(node.callee.object);
+      callee = thisArg[this.#propertyKey(node.callee)];
+    } else {
+      callee = this.#evaluate(node.callee);
+    }
+    const args = node.arguments.map((argument) => this.#evaluate(argument));
+    if (typeof callee !== "function") throw new TypeError(`${this.#text(node.callee)} is not a function`);
+    return Reflect.apply(callee, thisArg, args);
+  }
+
+  #text(node) {
+    return this.#source.slice(node.start, node.end);
+  }
+}
+
+/**
+ * Parses and runs `source`, recording a step for every statement, call,
+ * return and console line.
+ * @param {string} source
+ * @param {{ strict?: boolean, maxSteps?: number, maxDepth?: number }} [options] -
+ * `strict` runs the program as if it started with "use strict"; `maxSteps`
+ * (default 1000) and `maxDepth` (default 50) stop runaway programs.
+ * @returns {{ steps: object[], output: string[], error: { name: string, message: string } | null }}
+ * @throws {ParseError} When the program does not parse; no step runs then.
+ */
+export function visualize(source, options = {}) {
+  const program = parse(source);
+  return new Interpreter(source, options).run(program);
+}
+
+// =========================================================================
+// 5. Terminal Renderer
+// =========================================================================
+
+/**
+ * Renders one step as text: a header, the current line and the call stack
+ * with every scope. TDZ bindings are marked `<TDZ>`.
+ * @param {object} step - One of `visualize(...).steps`.
+ * @returns {string}
+ */
+export function renderStep(step) {
+  const headline = {
+    start: "global context created (creation phase)",
+    statement: "execute",
+    call: `call ${step.call} (creation phase)`,
+    return: `return ${step.returnValue}`,
+    log: `console.log: ${step.message}`,
+    error: `uncaught ${step.error}`,
+    end: "program finished",
+  }[step.event];
+  const lines = [`Step ${step.step}${step.line ? ` | line ${step.line}` : ""} | ${headline}`];
+  if (step.code && step.event === "statement") lines.push(`  > ${step.code}`);
+
+  const renderVariables = (variables) =>
+    Object.entries(variables)
+      .map(([name, { kind, value, tdz }]) => `${name} = ${tdz ? "<TDZ>" : value} (${kind})`)
+      .join(", ") || "(none)";
+
+  step.callStack.forEach((context, index) => {
+    const marker = index === 0 ? "*" : " ";
+    lines.push(`  ${marker} ${context.name}  this: ${context.this}${context.strict ? "  [strict]" : ""}`);
+    for (const scope of context.scopes) {
+      lines.push(`      ${scope.type} scope: ${renderVariables(scope.variables)}`);
+    }
+    if (context.outer.length > 0) {
+      const chain = context.outer.map((scope) =>
+        scope.variables ? `${scope.name} { ${renderVariables(scope.variables)} }` : scope.name
+      );
+      lines.push(`      outer: ${chain.join(" -> ")}`);
+    }
+  });
+  return lines.join("\n");
+}
+
+/** Renders every step, separated by blank lines. */
+export function renderSteps(steps) {
+  return steps.map(renderStep).join("\n\n");
+}
+
+// =========================================================================
+// 6. Demo and Command Line
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: the creation phase: var is undefined, functions are ready, let is in the TDZ
+  const hoisting = visualize(
+    [
+      "console.log(hoistedVar);",
+      'var hoistedVar = "var";',
+      "sayHi();",
+      'function sayHi() { console.log("hi from a hoisted function"); }',
+      "console.log(blocked);",
+      'let blocked = "let";',
+    ].join("\n")
+  );
+  console.log(renderStep(hoisting.steps[0]));
+  /* Output:
+  Step 1 | line 1 | global context created (creation phase)
+    * global  this: globalThis
+        global scope: hoistedVar = undefined (var), sayHi = ƒ sayHi (function), blocked = <TDZ> (let)
+  */
+  console.log("1.", hoisting.output); // Output: 1. [ 'undefined', 'hi from a hoisted function' ]
+  console.log("1.", hoisting.steps.at(-1).error); // Output: 1. ReferenceError: Cannot access 'blocked' before initialization
+
+  // Example 2: `this` depends on how a function is called
+  const thisSource = [
+    'const user = { name: "Ada", greet() { return this.name; } };',
+    "function whoAmI() { return this; }",
+    "user.greet();",
+    "whoAmI();",
+    'whoAmI.call({ name: "explicit" });',
+    "const arrow = () => this;",
+    "arrow();",
+  ].join("\n");
+  for (const strict of [false, true]) {
+    const calls = visualize(thisSource, { strict }).steps.filter((step) => step.event === "call");
+    console.log(`2. ${strict ? "strict:" : "sloppy:"}`, calls.map((step) => `${step.callStack[0].name} -> ${step.callStack[0].this}`).join(" | "));
+  }
+  // Output:
+  // 2. sloppy: greet -> { name: "Ada", greet: ƒ greet } | whoAmI -> globalThis | whoAmI -> { name: "explicit" } | arrow -> globalThis
+  // 2. strict: greet -> { name: "Ada", greet: ƒ greet } | whoAmI -> undefined | whoAmI -> { name: "explicit" } | arrow -> globalThis
+
+  // Example 3: the call stack and a closure, as JSON
+  const closure = visualize(
+    [
+      "function makeCounter() {",
+      "  let count = 0;",
+      "  return function increment() {",
+      "    count++;",
+      "    return count;",
+      "  };",
+      "}",
+      "const counter = makeCounter();",
+      "counter();",
+    ].join("\n")
+  );
+  const insideIncrement = closure.steps.find((step) => step.event === "statement" && step.line === 5);
+  console.log(JSON.stringify(insideIncrement.callStack[0], null, 2));
+  /* Output:
+  {
+    "name": "increment",
+    "type": "function",
+    "this": "globalThis",
+    "strict": false,
+    "scopes": [
+      {
+        "type": "function",
+        "name": "increment",
+        "variables": {}
+      }
+    ],
+    "outer": [
+      {
+        "type": "function",
+        "name": "makeCounter",
+        "variables": {
+          "count": {
+            "kind": "let",
+            "value": "1",
+            "tdz": false
+          }
+        }
+      },
+      {
+        "type": "global",
+        "name": "global"
+      }
+    ]
+  }
+  */
+
+  // Example 4: unbounded recursion overflows the call stack
+  const overflow = visualize("function recurse(n) { return recurse(n + 1); }\nrecurse(1);", { maxDepth: 20 });
+  const deepest = Math.max(...overflow.steps.map((step) => step.callStack.length));
+  console.log("4.", overflow.error.message, `(${deepest} contexts deep)`); // Output: 4. Maximum call stack size exceeded (20 contexts deep)
+}
+
+/** `node 02-execution-context-visualizer.js program.js [--json] [--strict]` */
+function runCli(args) {
+  const file = args.find((arg) => !arg.startsWith("--"));
+  let result;
+  try {
+    result = visualize(readFileSync(file, "utf8"), { strict: args.includes("--strict") });
+  } catch (error) {
+    if (!(error instanceof ParseError)) throw error;
+    console.error(`${file}: ${error.name}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(args.includes("--json") ? JSON.stringify(result, null, 2) : renderSteps(result.steps));
+  process.exitCode = result.error ? 1 : 0;
+}
+
+// Run the demo (or the command line) only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  if (process.argv.length > 2) {
+    runCli(process.argv.slice(2));
+  } else {
+    runDemo();
+  }
+}
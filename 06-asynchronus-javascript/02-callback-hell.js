@@ -5,81 +5,85 @@
  * Date: 2025-05-20
  */
 
-// =========================================================================
-// 1. Code Overview
-// =========================================================================
+import { isMain } from "../tools/is-main.js";
 
-/**
- * **Code Description:**
- * The code simulates a series of asynchronous operations using `setTimeout` and nested
- * callbacks.  It demonstrates a scenario where multiple asynchronous functions are
- * dependent on each other, leading to a nested structure.
- *
- * The functions and their intended actions are:
- * -   `fetchData()`: Simulates fetching data (e.g., from a server) after a 1-second delay.
- * -   `processData()`: Processes the fetched data and calls `welcomeToDashboard()`.
- * -   `welcomeToDashboard()`: Simulates displaying a dashboard and calls `showDiscount()`.
- * -   `showDiscount()`: Simulates showing discount and calls `addToCart()`.
- * -   `addToCart()`:Simulates adding item to cart and calls `payment()`.
- * -   `payment()`:Simulates payment.
- *
- * The execution starts with a call to `fetchData()`, and the subsequent functions are
- * called within the callbacks of the preceding functions, creating a nested structure.
- */
+export function runDemo() {
+  // =========================================================================
+  // 1. Code Overview
+  // =========================================================================
 
-// =========================================================================
-// 2. Code Breakdown with Execution Order
-// =========================================================================
+  /**
+   * **Code Description:**
+   * The code simulates a series of asynchronous operations using `setTimeout` and nested
+   * callbacks.  It demonstrates a scenario where multiple asynchronous functions are
+   * dependent on each other, leading to a nested structure.
+   *
+   * The functions and their intended actions are:
+   * -   `fetchData()`: Simulates fetching data (e.g., from a server) after a 1-second delay.
+   * -   `processData()`: Processes the fetched data and calls `welcomeToDashboard()`.
+   * -   `welcomeToDashboard()`: Simulates displaying a dashboard and calls `showDiscount()`.
+   * -   `showDiscount()`: Simulates showing discount and calls `addToCart()`.
+   * -   `addToCart()`:Simulates adding item to cart and calls `payment()`.
+   * -   `payment()`:Simulates payment.
+   *
+   * The execution starts with a call to `fetchData()`, and the subsequent functions are
+   * called within the callbacks of the preceding functions, creating a nested structure.
+   */
+
+  // =========================================================================
+  // 2. Code Breakdown with Execution Order
+  // =========================================================================
 
-// Step 1: Fetch Data
-function fetchData(callback) {
-  setTimeout(() => {
-    const data = { message: "Data fetched!" };
-    callback(data, function () {
-      // Anonymous function is the callback for processData
-      welcomeToDashboard(function () {
-        // Anonymous function is the callback for welcomeToDashboard
-        showDiscount(function () {
-          // Anonymous function is the callback for showDiscount
-          addToCart(payment); // payment is the callback for addToCart
+  // Step 1: Fetch Data
+  function fetchData(callback) {
+    setTimeout(() => {
+      const data = { message: "Data fetched!" };
+      callback(data, function () {
+        // Anonymous function is the callback for processData
+        welcomeToDashboard(function () {
+          // Anonymous function is the callback for welcomeToDashboard
+          showDiscount(function () {
+            // Anonymous function is the callback for showDiscount
+            addToCart(payment); // payment is the callback for addToCart
+          });
         });
       });
-    });
-  }, 1000); // Simulate 1-second delay
-}
+    }, 1000); // Simulate 1-second delay
+  }
 
-// Step 2: Process Data
-function processData(result, cb) {
-  console.log("3. Data received:", result); // Executed after 1 second
-  cb(); // Call welcomeToDashboard (passed as argument to fetchData)
-}
+  // Step 2: Process Data
+  function processData(result, cb) {
+    console.log("3. Data received:", result); // Executed after 1 second
+    cb(); // Call welcomeToDashboard (passed as argument to fetchData)
+  }
 
-// Step 3: Show Dashboard
-function welcomeToDashboard(cb) {
-  console.log("4. Welcome to dashboard"); // Executed after processData
-  cb();
-}
-// Step 4: Show Discount
-function showDiscount(cb) {
-  console.log("5. 50% Discount only for you"); // Executed after welcomeToDashboard
-  cb();
-}
+  // Step 3: Show Dashboard
+  function welcomeToDashboard(cb) {
+    console.log("4. Welcome to dashboard"); // Executed after processData
+    cb();
+  }
+  // Step 4: Show Discount
+  function showDiscount(cb) {
+    console.log("5. 50% Discount only for you"); // Executed after welcomeToDashboard
+    cb();
+  }
 
-// Step 5: Add to Cart
-function addToCart(cb) {
-  console.log("6. Item added to cart"); // Executed after showDiscount
-  cb();
-}
+  // Step 5: Add to Cart
+  function addToCart(cb) {
+    console.log("6. Item added to cart"); // Executed after showDiscount
+    cb();
+  }
 
-// Step 6: Payment
-function payment() {
-  console.log("7. Item payment"); // Executed after addToCart
-}
+  // Step 6: Payment
+  function payment() {
+    console.log("7. Item payment"); // Executed after addToCart
+  }
 
-// Execution Starts
-console.log("1. Fetching data..."); // Executed immediately
-fetchData(processData); // Start the asynchronous operation
-console.log("2. Continuing execution..."); // Executed immediately
+  // Execution Starts
+  console.log("1. Fetching data..."); // Executed immediately
+  fetchData(processData); // Start the asynchronous operation
+  console.log("2. Continuing execution..."); // Executed immediately
+}
 
 // =========================================================================
 // 3. Detailed Explanation of Execution Order
@@ -125,3 +129,22 @@ console.log("2. Continuing execution..."); // Executed immediately
  * -   This nested structure is a classic example of "Callback Hell," making the code harder to
  * read and maintain as the nesting increases.
  */
+
+// =========================================================================
+// 4. Flattening the Pyramid
+// =========================================================================
+
+/**
+ * **The same pipeline without nesting:**
+ * -   03-callback-utilities.js keeps each step as a small callback function,
+ * wraps it once with `promisify`, and lists the steps in order with `waterfall`:
+ * `fetchData -> processData -> welcomeToDashboard -> showDiscount -> addToCart -> payment`.
+ * -   The output is the same as above, but no step has to know which step comes
+ * next, a failure in any step rejects one promise with the step's name, and
+ * each step can be awaited and tested on its own.
+ */
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
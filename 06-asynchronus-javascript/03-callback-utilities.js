@@ -0,0 +1,366 @@
+/**
+ * File: 03-callback-utilities.js
+ * Description: Utilities for moving callback code to promises and back, and for
+ * running async steps in order without nesting: `promisify` (error-first and
+ * success-only callbacks), `callbackify`, and the control-flow helpers `series`,
+ * `waterfall` and `parallel`. The demo rewrites the nested pipeline from
+ * 02-callback-hell.js as a flat list of steps that can also be run one at a time.
+ * Date: 2026-10-19
+ */
+
+import assert from "node:assert/strict";
+
+import { pool } from "../07-promises/05-promise-utilities.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Two Kinds of Callbacks
+// =========================================================================
+
+/**
+ * **Callback conventions:**
+ * -   **Error-first** (Node.js style): the callback is the last argument and is
+ * called as `callback(error)` on failure or `callback(null, value)` on success.
+ * `fetchDataAsync` in 11-error-handling/01-error-handling.js works this way.
+ * -   **Success-only:** the callback only ever receives results, as in
+ * 02-callback-hell.js (`fetchData(processData)`). Such an API cannot report
+ * failure through the callback; it can only throw.
+ * -   `promisify` turns either kind into a function that returns a promise, so
+ * the steps can be chained with `await` instead of being nested. `callbackify`
+ * goes the other way, for code that still expects an error-first callback.
+ */
+
+/**
+ * Functions can ship their own promise version under this symbol; it is the
+ * same symbol Node's `util.promisify.custom` uses, so both tools honor it.
+ */
+export const PROMISIFY_CUSTOM = Symbol.for("nodejs.util.promisify.custom");
+
+/**
+ * Thrown by `series`, `waterfall` and `parallel` when a step fails. `step`
+ * names the step (the object key, or the function name / position), and
+ * `cause` is the original error.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class StepError extends Error {
+  constructor(step, index, cause) {
+    super(`Step "${step}" failed: ${cause instanceof Error ? cause.message : String(cause)}`, { cause });
+    this.name = "StepError";
+    this.step = step;
+    this.index = index;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, StepError);
+    }
+  }
+}
+
+// =========================================================================
+// 2. promisify and callbackify
+// =========================================================================
+
+/**
+ * Wraps a callback-last function so it returns a promise instead.
+ * @param {Function} fn - Takes its arguments followed by a callback.
+ * @param {{ style?: "error-first" | "success-only", multiArgs?: boolean }} [options]
+ * -   `style`: how `fn` calls back (default "error-first"). With "error-first"
+ * a non-null first argument rejects the promise.
+ * -   `multiArgs`: resolve with an array of every callback value instead of
+ * only the first one.
+ * @returns {Function} Same `this` and arguments, minus the callback. A
+ * synchronous throw from `fn` becomes a rejection; later callback calls are ignored.
+ */
+export function promisify(fn, { style = "error-first", multiArgs = false } = {}) {
+  if (typeof fn !== "function") {
+    throw new TypeError(`promisify expects a function, got ${typeof fn}`);
+  }
+  if (style !== "error-first" && style !== "success-only") {
+    throw new RangeError(`Unknown callback style "${style}"`);
+  }
+  if (typeof fn[PROMISIFY_CUSTOM] === "function") return fn[PROMISIFY_CUSTOM];
+
+  const promisified = function (...args) {
+    return new Promise((resolve, reject) => {
+      const settle = (values) => resolve(multiArgs ? values : values[0]);
+      const callback =
+        style === "error-first"
+          ? (error, ...values) => (error != null ? reject(error) : settle(values))
+          : (...values) => settle(values);
+      fn.call(this, ...args, callback); // A throw here rejects the promise
+    });
+  };
+  Object.defineProperty(promisified, "name", { value: fn.name });
+  return promisified;
+}
+
+/**
+ * The reverse of `promisify`: wraps a promise-returning function so it takes
+ * an error-first callback as its last argument. The callback runs in a later
+ * microtask, never synchronously, and an error it throws is not swallowed.
+ * A falsy rejection reason (e.g. `reject(null)`) arrives as an Error with a
+ * `reason` property, because `callback(null)` would look like success.
+ * @param {Function} asyncFn
+ * @returns {Function}
+ */
+export function callbackify(asyncFn) {
+  if (typeof asyncFn !== "function") {
+    throw new TypeError(`callbackify expects a function, got ${typeof asyncFn}`);
+  }
+  const callbackified = function (...args) {
+    const callback = args.pop();
+    if (typeof callback !== "function") {
+      throw new TypeError("The last argument must be a callback function");
+    }
+    // Leave the promise chain before calling back, so a throwing callback is an uncaught error
+    const callLater = (...callbackArgs) => queueMicrotask(() => callback(...callbackArgs));
+    Promise.resolve()
+      .then(() => asyncFn.apply(this, args))
+      .then(
+        (value) => callLater(null, value),
+        (reason) => {
+          if (reason) return callLater(reason);
+          const error = new Error("Promise was rejected with a falsy value");
+          error.reason = reason;
+          return callLater(error);
+        }
+      );
+  };
+  Object.defineProperty(callbackified, "name", { value: asyncFn.name });
+  return callbackified;
+}
+
+// =========================================================================
+// 3. Control Flow: series, waterfall, parallel
+// =========================================================================
+
+/**
+ * **Flat instead of nested:**
+ * -   Each helper takes the steps as an array, or an object whose keys name
+ * them; results come back in the same shape.
+ * -   A step is an ordinary async function (or any function returning a value
+ * or a promise). Steps receive an `AbortSignal` as their last argument, as in
+ * 07-promises/05-promise-utilities.js, so long steps can stop early.
+ * -   The first failure stops the flow and rejects with a `StepError` naming
+ * the step. `onStep({ step, index, result })` reports each finished step.
+ */
+
+/** `[name, task]` pairs for an array or object of steps. */
+function stepEntries(tasks) {
+  const entries = Array.isArray(tasks)
+    ? tasks.map((task, index) => [task.name || `#${index + 1}`, task])
+    : Object.entries(tasks);
+  for (const [step, task] of entries) {
+    if (typeof task !== "function") throw new TypeError(`Step "${step}" is not a function`);
+  }
+  return entries;
+}
+
+/** Results in the shape the steps came in. */
+function shapeResults(tasks, entries, results) {
+  return Array.isArray(tasks) ? results : Object.fromEntries(entries.map(([step], index) => [step, results[index]]));
+}
+
+/** Runs one step, wrapping a failure in a StepError. */
+async function runStep(entries, index, args, signal, onStep) {
+  const [step, task] = entries[index];
+  signal?.throwIfAborted();
+  let result;
+  try {
+    result = await task(...args, signal);
+  } catch (error) {
+    throw new StepError(step, index, error);
+  }
+  onStep?.({ step, index, result });
+  return result;
+}
+
+/**
+ * Runs the steps one after another; each starts when the previous one has
+ * finished. Steps are called as `step(signal)`.
+ * @param {Function[]|Object<string, Function>} tasks
+ * @param {{ signal?: AbortSignal, onStep?: Function }} [options]
+ * @returns {Promise<Array|object>} Every step's result.
+ */
+export async function series(tasks, { signal, onStep } = {}) {
+  const entries = stepEntries(tasks);
+  const results = [];
+  for (let index = 0; index < entries.length; index++) {
+    results.push(await runStep(entries, index, [], signal, onStep));
+  }
+  return shapeResults(tasks, entries, results);
+}
+
+/**
+ * Runs the steps one after another, passing each result to the next step:
+ * `step(previousResult, signal)`. The first step receives `initial`
+ * (or only the signal, when no `initial` is given).
+ * @param {Function[]|Object<string, Function>} tasks
+ * @param {{ initial?: any, signal?: AbortSignal, onStep?: Function }} [options]
+ * @returns {Promise<any>} The last step's result.
+ */
+export async function waterfall(tasks, options = {}) {
+  const { signal, onStep } = options;
+  const entries = stepEntries(tasks);
+  let args = "initial" in options ? [options.initial] : [];
+  let result = options.initial;
+  for (let index = 0; index < entries.length; index++) {
+    result = await runStep(entries, index, args, signal, onStep);
+    args = [result];
+  }
+  return result;
+}
+
+/**
+ * Starts the steps together, at most `limit` at a time, like `Promise.all`.
+ * The first failure rejects, stops starting new steps and aborts the signal
+ * of the steps still running (built on `pool` from 05-promise-utilities.js).
+ * @param {Function[]|Object<string, Function>} tasks - Each `step(signal)`.
+ * @param {{ limit?: number, signal?: AbortSignal, onStep?: Function }} [options]
+ * @returns {Promise<Array|object>}
+ */
+export async function parallel(tasks, { limit = Infinity, signal, onStep } = {}) {
+  const entries = stepEntries(tasks);
+  const results = await pool(
+    entries.map((_, index) => (stepSignal) => runStep(entries, index, [], stepSignal, onStep)),
+    limit,
+    { signal }
+  );
+  return shapeResults(tasks, entries, results);
+}
+
+// =========================================================================
+// 4. The Callback-Hell Pipeline, Flat
+// =========================================================================
+
+/**
+ * The steps of 02-callback-hell.js as plain success-only callback functions.
+ * Each does one thing and hands its result to `callback`; none of them knows
+ * which step comes next. That knowledge moves into one flat list below.
+ */
+export const callbackSteps = {
+  fetchData(callback) {
+    setTimeout(() => callback({ message: "Data fetched!" }), 1000); // Simulate a 1-second delay
+  },
+  processData(result, callback) {
+    console.log("3. Data received:", result);
+    callback({ user: "guest", items: [] });
+  },
+  welcomeToDashboard(session, callback) {
+    console.log("4. Welcome to dashboard");
+    callback(session);
+  },
+  showDiscount(session, callback) {
+    console.log("5. 50% Discount only for you");
+    callback({ ...session, discount: 0.5 });
+  },
+  addToCart(session, callback) {
+    console.log("6. Item added to cart");
+    callback({ ...session, items: [...session.items, "item"] });
+  },
+  payment(session, callback) {
+    console.log("7. Item payment");
+    callback({ paid: true, items: session.items.length, discount: session.discount });
+  },
+};
+
+/** The same steps, promisified once. Each can be awaited (and tested) on its own. */
+export const pipelineSteps = Object.fromEntries(
+  Object.entries(callbackSteps).map(([name, step]) => [name, promisify(step, { style: "success-only" })])
+);
+
+/**
+ * The whole pipeline as a flat list: fetch, process, dashboard, discount, cart,
+ * payment. Compare with the pyramid of anonymous callbacks in 02-callback-hell.js.
+ */
+export function runCheckoutPipeline({ onStep } = {}) {
+  const { fetchData, processData, welcomeToDashboard, showDiscount, addToCart, payment } = pipelineSteps;
+  // The arrows pass on only the previous result: the callback steps take no signal
+  return waterfall(
+    {
+      fetchData: () => fetchData(),
+      processData: (data) => processData(data),
+      welcomeToDashboard: (session) => welcomeToDashboard(session),
+      showDiscount: (session) => showDiscount(session),
+      addToCart: (session) => addToCart(session),
+      payment: (session) => payment(session),
+    },
+    { onStep }
+  );
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+/** The error-first example from 11-error-handling/01-error-handling.js. */
+function fetchDataAsync(url, callback) {
+  setTimeout(() => {
+    if (url === "data.json") {
+      callback(null, { id: 1, content: "Fetched data" }); // Success: error is null
+    } else {
+      callback(new Error("Failed to fetch data from " + url)); // Failure: error is an Error object
+    }
+  }, 50);
+}
+
+const wait = (ms, value, fail = false) =>
+  new Promise((resolve, reject) => setTimeout(() => (fail ? reject(new Error(value)) : resolve(value)), ms));
+
+export async function runDemo() {
+  // Example 1: the pipeline from 02-callback-hell.js, written flat
+  console.log("1. Fetching data...");
+  const checkout = runCheckoutPipeline();
+  console.log("2. Continuing execution...");
+  const receipt = await checkout;
+  /* Output:
+  1. Fetching data...
+  2. Continuing execution...
+  3. Data received: { message: 'Data fetched!' }
+  4. Welcome to dashboard
+  5. 50% Discount only for you
+  6. Item added to cart
+  7. Item payment
+  */
+  console.log("Receipt:", receipt); // Output: Receipt: { paid: true, items: 1, discount: 0.5 }
+
+  // Example 2: one step on its own, without the rest of the pipeline
+  const { showDiscount } = pipelineSteps;
+  const discounted = await showDiscount({ user: "ada", items: [] }); // Output: 5. 50% Discount only for you
+  assert.equal(discounted.discount, 0.5);
+  console.log("Step check passed:", discounted); // Output: Step check passed: { user: 'ada', items: [], discount: 0.5 }
+
+  // Example 3: promisify an error-first callback API
+  const fetchDataPromise = promisify(fetchDataAsync);
+  console.log(await fetchDataPromise("data.json")); // Output: { id: 1, content: 'Fetched data' }
+  try {
+    await fetchDataPromise("invalid.json");
+  } catch (error) {
+    console.log("Caught:", error.message); // Output: Caught: Failed to fetch data from invalid.json
+  }
+
+  // Example 4: callbackify for callers that still want (error, value)
+  const fetchDataCallback = callbackify(fetchDataPromise);
+  await new Promise((done) => {
+    fetchDataCallback("invalid.json", (error, data) => {
+      console.log("Callback:", error?.message, data); // Output: Callback: Failed to fetch data from invalid.json undefined
+      done();
+    });
+  });
+
+  // Example 5: series, parallel, and a failing step
+  console.log(await series({ first: () => wait(20, "A"), second: () => wait(10, "B") })); // Output: { first: 'A', second: 'B' }
+
+  const started = Date.now();
+  const all = await parallel([() => wait(50, "x"), () => wait(50, "y"), () => wait(50, "z")], { limit: 3 });
+  console.log(all, Date.now() - started < 140 ? "(together)" : "(one by one)"); // Output: [ 'x', 'y', 'z' ] (together)
+
+  try {
+    await waterfall({ load: () => wait(5, 1), double: (n) => n * 2, save: () => wait(5, "disk full", true) });
+  } catch (error) {
+    console.log(`${error.name}: ${error.message} (step ${error.index + 1})`); // Output: StepError: Step "save" failed: disk full (step 3)
+  }
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -6,6 +6,9 @@
  * Date: 2025-05-21
  */
 
+import { Result } from "../11-error-handling/05-result.js";
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. Introduction to Async/Await
 // =========================================================================
@@ -41,18 +44,22 @@ async function greetAsync(name) {
   return `Hello, ${name}!`; // This value will be wrapped in a resolved Promise
 }
 
-greetAsync("Alice").then((message) => {
-  console.log("1. Async function resolved:", message); // Output: Hello, Alice!
-});
+function greetExample() {
+  greetAsync("Alice").then((message) => {
+    console.log("1. Async function resolved:", message); // Output: Hello, Alice!
+  });
+}
 
 // Example 2: Async function throwing an error
 async function throwErrorAsync() {
   throw new Error("Something went wrong in async function!"); // This error will be wrapped in a rejected Promise
 }
 
-throwErrorAsync().catch((error) => {
-  console.error("1. Async function rejected:", error.message); // Output: Something went wrong in async function!
-});
+function rejectExample() {
+  throwErrorAsync().catch((error) => {
+    console.error("1. Async function rejected:", error.message); // Output: Something went wrong in async function!
+  });
+}
 
 // =========================================================================
 // 3. The `await` Keyword
@@ -68,7 +75,7 @@ throwErrorAsync().catch((error) => {
  */
 
 // Example 3: Using await inside an async function
-function simulateFetch(data, delay = 1000, shouldSucceed = true) {
+export function simulateFetch(data, delay = 1000, shouldSucceed = true) {
   return new Promise((resolve, reject) => {
     setTimeout(() => {
       if (shouldSucceed) {
@@ -91,9 +98,11 @@ async function performAsyncTask() {
   return "Async task completed!";
 }
 
-performAsyncTask().then((finalMessage) => {
-  console.log("2. Final message:", finalMessage);
-});
+function awaitExample() {
+  performAsyncTask().then((finalMessage) => {
+    console.log("2. Final message:", finalMessage);
+  });
+}
 
 // =========================================================================
 // 4. Error Handling with `try...catch`
@@ -125,7 +134,9 @@ async function performAsyncTaskWithError() {
   }
 }
 
-performAsyncTaskWithError();
+function errorHandlingExample() {
+  performAsyncTaskWithError();
+}
 
 // =========================================================================
 // 5. Practical Example: Login and Fetch Profile (Revisiting `02-promise-producer-consumer.js`)
@@ -139,20 +150,20 @@ performAsyncTaskWithError();
  */
 
 // Simulate login API (Promise Producer)
-function loginUser(username, password) {
+export function loginUser(username, password) {
   return new Promise((resolve, reject) => {
     setTimeout(() => {
       if (username === "unais" && password === "12345") {
         resolve({ success: true, userId: 101, message: "Login successful" });
       } else {
-        reject({ success: false, message: "Invalid credentials" });
+        reject(new Error("Invalid credentials"));
       }
     }, 1500);
   });
 }
 
 // Simulate fetching user profile (Promise Producer)
-function getUserProfile(userId) {
+export function getUserProfile(userId) {
   return new Promise((resolve, reject) => {
     setTimeout(() => {
       if (userId === 101) {
@@ -161,7 +172,7 @@ function getUserProfile(userId) {
           profile: { name: "Unais Shaikh", age: 22, role: "SDE Intern" },
         });
       } else {
-        reject({ success: false, message: "User not found" });
+        reject(new Error("User not found"));
       }
     }, 1000);
   });
@@ -187,13 +198,30 @@ async function performLoginAndFetchProfile(username, password) {
   }
 }
 
-// Call the async function for success scenario
-performLoginAndFetchProfile("unais", "12345");
+function loginExamples() {
+  // Call the async function for success scenario
+  performLoginAndFetchProfile("unais", "12345");
 
-// Call the async function for failure scenario
-performLoginAndFetchProfile("invalid", "password").catch(() => {
-  console.log("4. Handled failed login externally.");
-});
+  // Call the async function for failure scenario
+  performLoginAndFetchProfile("invalid", "password").catch(() => {
+    console.log("4. Handled failed login externally.");
+  });
+}
+// Example 5b: The same flow with errors as values (Result from 11-error-handling/05-result.js).
+// `Result.fromPromise` never rejects, so the caller handles failure with `match`
+// instead of `try...catch`, and the first failing step short-circuits the rest.
+export async function loginAndFetchProfileResult(username, password) {
+  const login = await Result.fromPromise(loginUser(username, password));
+  if (login.isErr) return login;
+  return Result.fromPromise(getUserProfile(login.unwrap().userId));
+}
+
+function resultExample() {
+  loginAndFetchProfileResult("invalid", "password").then((result) => {
+    const text = result.match({ ok: ({ profile }) => profile.name, err: (error) => `failed (${error.message})` });
+    console.log("4. As a Result:", text); // Output (after 1.5 seconds): 4. As a Result: failed (Invalid credentials)
+  });
+}
 
 // =========================================================================
 // 6. Concurrency with `Promise.all()` in Async/Await
@@ -230,7 +258,9 @@ async function fetchMultipleResources() {
   }
 }
 
-fetchMultipleResources();
+function concurrencyExample() {
+  fetchMultipleResources();
+}
 
 // =========================================================================
 // 7. Top-Level `await` (ES2022)
@@ -252,15 +282,17 @@ fetchMultipleResources();
 // console.log("6. Received top-level data:", finalData);
 
 // If not in a module (older environments), you'd use an async IIFE:
-(async () => {
-  try {
-    console.log("6. Top-level await (via async IIFE):");
-    const initData = await simulateFetch("Initial config", 100);
-    console.log("6. Initial config loaded:", initData);
-  } catch (error) {
-    console.error("6. Error in async IIFE:", error.message);
-  }
-})();
+function asyncIifeExample() {
+  (async () => {
+    try {
+      console.log("6. Top-level await (via async IIFE):");
+      const initData = await simulateFetch("Initial config", 100);
+      console.log("6. Initial config loaded:", initData);
+    } catch (error) {
+      console.error("6. Error in async IIFE:", error.message);
+    }
+  })();
+}
 
 // =========================================================================
 // 8. Best Practices for Async/Await
@@ -274,3 +306,20 @@ fetchMultipleResources();
  * -   **Avoid `async` functions that don't use `await`:** If an `async` function doesn't use `await`, it might be unnecessarily returning a Promise.
  * -   **Be mindful of blocking:** While `await` makes code look synchronous, remember it's still asynchronous. Don't block the main thread with excessively long synchronous operations inside an `async` function.
  */
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  greetExample();
+  rejectExample();
+  awaitExample();
+  errorHandlingExample();
+  loginExamples();
+  resultExample();
+  concurrencyExample();
+  asyncIifeExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,427 @@
+/**
+ * File: 05-promise-utilities.js
+ * Description: Promise utilities for real-world failure handling, built on the
+ * `simulateFetch` pattern from the earlier promise lessons: `retry` with backoff and
+ * jitter, `withTimeout`, a concurrency-limited `pool`, `allSettledWithKeys`, `any` and
+ * `race` that honor an `AbortSignal`, and a cancellable `sleep`. Every utility is
+ * checked under fake timers by tools/check-promise-utilities.js, so the checks run instantly.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Cancellation with AbortSignal
+// =========================================================================
+
+/**
+ * **AbortController / AbortSignal:**
+ * -   A promise cannot be cancelled from the outside; once started, the work
+ * runs to the end. Cancellation has to be **cooperative**: the caller signals
+ * "stop", and the work listens.
+ * -   `const controller = new AbortController()` creates the switch;
+ * `controller.signal` is handed to the work; `controller.abort(reason)` flips it.
+ * -   Work that listens (`signal.addEventListener("abort", ...)`) cleans up and
+ * rejects with `signal.reason` (an `AbortError` `DOMException` by default).
+ * -   The utilities below accept `{ signal }` and, where they start work
+ * themselves, accept **task functions** `(signal) => promise` instead of
+ * promises, so they can pass a signal in and cancel work nobody needs anymore.
+ */
+
+/**
+ * Thrown by `withTimeout` when the deadline passes first.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class TimeoutError extends Error {
+  constructor(message, { ms } = {}) {
+    super(message);
+    this.name = "TimeoutError";
+    this.ms = ms;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, TimeoutError);
+    }
+  }
+}
+
+/**
+ * Thrown by `retry` when every attempt failed. `errors` holds one error per
+ * attempt; `cause` is the last one.
+ */
+export class RetryError extends Error {
+  constructor(message, errors) {
+    super(message, { cause: errors.at(-1) });
+    this.name = "RetryError";
+    this.errors = errors;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, RetryError);
+    }
+  }
+}
+
+/**
+ * A controller that also aborts when `parent` does. `unlink()` removes the
+ * listener from the parent once the work is done, so long-lived signals do
+ * not collect listeners.
+ */
+function linkedController(parent) {
+  const controller = new AbortController();
+  if (!parent) return { controller, unlink: () => {} };
+
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) {
+    onAbort();
+  } else {
+    parent.addEventListener("abort", onAbort, { once: true });
+  }
+  return { controller, unlink: () => parent.removeEventListener("abort", onAbort) };
+}
+
+/** Starts a task function with the signal, or adopts a promise/value as is. */
+function start(task, signal) {
+  return new Promise((resolve) => resolve(typeof task === "function" ? task(signal) : task));
+}
+
+// =========================================================================
+// 2. sleep and withTimeout
+// =========================================================================
+
+/**
+ * Resolves after `ms` milliseconds, or rejects with `signal.reason` as soon
+ * as the signal aborts (clearing the timer).
+ * @param {number} ms
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Settles like `task`, unless `ms` pass first; then rejects with a
+ * `TimeoutError`. When `task` is a function it receives a signal that aborts
+ * on timeout, so the work itself can stop too.
+ * @param {Promise|Function} task - A promise, or `(signal) => promise`.
+ * @param {number} ms
+ * @param {{ signal?: AbortSignal, message?: string }} [options]
+ * @returns {Promise}
+ */
+export function withTimeout(task, ms, { signal, message = `Timed out after ${ms} ms` } = {}) {
+  const { controller, unlink } = linkedController(signal);
+  let timer;
+
+  return new Promise((resolve, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+    if (controller.signal.aborted) {
+      reject(controller.signal.reason);
+      return;
+    }
+    timer = setTimeout(() => controller.abort(new TimeoutError(message, { ms })), ms);
+    start(task, controller.signal).then(resolve, reject);
+  }).finally(() => {
+    clearTimeout(timer);
+    unlink();
+  });
+}
+
+// =========================================================================
+// 3. retry
+// =========================================================================
+
+/**
+ * **Backoff and jitter:**
+ * -   **Backoff** waits longer after each failure, giving a struggling service
+ * time to recover: `"fixed"` (delay, delay, ...), `"linear"` (delay, 2×delay, ...),
+ * `"exponential"` (delay, delay×factor, delay×factor², ...), or your own
+ * `(attempt) => ms`.
+ * -   **Jitter** randomizes the wait, so many clients that failed together do
+ * not all retry at the same instant: `"full"` waits anywhere in [0, wait],
+ * `"equal"` in [wait/2, wait].
+ */
+function backoffDelay(attempt, { delay, backoff, factor, maxDelay, jitter, random }) {
+  let wait;
+  if (typeof backoff === "function") {
+    wait = backoff(attempt);
+  } else if (backoff === "fixed") {
+    wait = delay;
+  } else if (backoff === "linear") {
+    wait = delay * attempt;
+  } else {
+    wait = delay * factor ** (attempt - 1);
+  }
+  wait = Math.min(wait, maxDelay);
+
+  if (jitter === true || jitter === "full") return Math.round(random() * wait);
+  if (jitter === "equal") return Math.round(wait / 2 + (random() * wait) / 2);
+  return wait;
+}
+
+/**
+ * Calls `fn(attempt, { signal })` until it succeeds or `attempts` run out.
+ * -   Errors for which `shouldRetry(error, attempt)` is false are rethrown
+ * unchanged; retrying a validation error would never help.
+ * -   Aborting `signal` stops both the waiting and further attempts.
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {number} [options.attempts=3] - Total calls, including the first.
+ * @param {number} [options.delay=100] - Base wait in ms.
+ * @param {"fixed"|"linear"|"exponential"|Function} [options.backoff="exponential"]
+ * @param {number} [options.factor=2]
+ * @param {number} [options.maxDelay=Infinity]
+ * @param {boolean|"full"|"equal"} [options.jitter=false]
+ * @param {Function} [options.random=Math.random] - Inject for reproducible jitter.
+ * @param {Function} [options.shouldRetry]
+ * @param {Function} [options.onRetry] - Called with `{ attempt, error, delay }` before each wait.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise} The first successful result.
+ * @throws {RetryError} When every attempt failed.
+ * @throws {RangeError} When `attempts` is not a whole number of at least 1.
+ */
+export async function retry(
+  fn,
+  {
+    attempts = 3,
+    delay = 100,
+    backoff = "exponential",
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = false,
+    random = Math.random,
+    shouldRetry = () => true,
+    onRetry,
+    signal,
+  } = {}
+) {
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new RangeError(`Attempts must be a whole number of at least 1, got ${attempts}`);
+  }
+  const errors = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await fn(attempt, { signal });
+    } catch (error) {
+      if (signal?.aborted || !shouldRetry(error, attempt)) throw error;
+      errors.push(error);
+      if (attempt === attempts) break;
+
+      const wait = backoffDelay(attempt, { delay, backoff, factor, maxDelay, jitter, random });
+      onRetry?.({ attempt, error, delay: wait });
+      await sleep(wait, { signal });
+    }
+  }
+  throw new RetryError(`Failed after ${errors.length} attempts: ${errors.at(-1).message}`, errors);
+}
+
+// =========================================================================
+// 4. pool and allSettledWithKeys
+// =========================================================================
+
+/**
+ * Runs task functions with at most `concurrency` in flight, like
+ * `Promise.all` with a limit: results keep the task order, and the first
+ * failure rejects the pool, stops launching new tasks and aborts the signal
+ * given to the tasks still running.
+ * @param {Function[]} tasks - Each `(signal) => promise`.
+ * @param {number} [concurrency=Infinity]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array>} Rejects with a RangeError when `concurrency` is below 1,
+ * like every other failure, instead of throwing at the call.
+ */
+export function pool(tasks, concurrency = Infinity, { signal } = {}) {
+  if (!(concurrency >= 1)) {
+    return Promise.reject(new RangeError(`Concurrency must be at least 1, got ${concurrency}`));
+  }
+  const { controller, unlink } = linkedController(signal);
+
+  return new Promise((resolve, reject) => {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let active = 0;
+    let finished = false;
+
+    const fail = (error) => {
+      if (finished) return;
+      finished = true;
+      controller.abort(error);
+      reject(error);
+    };
+
+    const launch = () => {
+      if (finished) return;
+      if (next === tasks.length && active === 0) {
+        finished = true;
+        resolve(results);
+        return;
+      }
+      while (active < concurrency && next < tasks.length) {
+        const index = next++;
+        active++;
+        start(tasks[index], controller.signal).then((value) => {
+          results[index] = value;
+          active--;
+          launch();
+        }, fail);
+      }
+    };
+
+    controller.signal.addEventListener("abort", () => fail(controller.signal.reason), { once: true });
+    if (controller.signal.aborted) {
+      fail(controller.signal.reason);
+    } else {
+      launch();
+    }
+  }).finally(unlink);
+}
+
+/**
+ * `Promise.allSettled` for named promises: takes an object (or Map) of
+ * promises and returns the same keys with `{ status, value | reason }`.
+ * @param {Object<string, Promise>|Map<any, Promise>} input
+ * @returns {Promise<object|Map>}
+ */
+export async function allSettledWithKeys(input) {
+  const entries = input instanceof Map ? [...input] : Object.entries(input);
+  const settled = await Promise.allSettled(entries.map(([, promise]) => promise));
+  const pairs = entries.map(([key], index) => [key, settled[index]]);
+  return input instanceof Map ? new Map(pairs) : Object.fromEntries(pairs);
+}
+
+// =========================================================================
+// 5. any and race with AbortSignal
+// =========================================================================
+
+/**
+ * Shared body of `any` and `race`. Once the combined promise settles, the
+ * internal signal aborts, telling the losing task functions to stop.
+ */
+function firstOf(combine, tasks, signal) {
+  const { controller, unlink } = linkedController(signal);
+  return new Promise((resolve, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+    if (controller.signal.aborted) {
+      reject(controller.signal.reason);
+      return;
+    }
+    combine(tasks.map((task) => start(task, controller.signal))).then(resolve, reject);
+  }).finally(() => {
+    unlink();
+    controller.abort(new DOMException("Another task settled first", "AbortError"));
+  });
+}
+
+/**
+ * Like `Promise.any`: the first fulfilled task wins (an `AggregateError` if
+ * all reject). Rejects immediately when `signal` aborts; aborts the losers.
+ * @param {Array<Promise|Function>} tasks - Promises or `(signal) => promise`.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise}
+ */
+export function any(tasks, { signal } = {}) {
+  return firstOf((promises) => Promise.any(promises), tasks, signal);
+}
+
+/**
+ * Like `Promise.race`: the first task to settle wins, fulfilled or rejected.
+ * Rejects immediately when `signal` aborts; aborts the losers.
+ * @param {Array<Promise|Function>} tasks - Promises or `(signal) => promise`.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise}
+ */
+export function race(tasks, { signal } = {}) {
+  return firstOf((promises) => Promise.race(promises), tasks, signal);
+}
+
+// =========================================================================
+// 6. Demo
+// =========================================================================
+
+// The same helper as in 03-async-await.js, now cancellable through a signal
+function simulateFetch(data, delay = 1000, shouldSucceed = true, { signal } = {}) {
+  return sleep(delay, { signal }).then(() => {
+    if (!shouldSucceed) throw new Error("Simulated fetch error!");
+    return data;
+  });
+}
+
+export async function runDemo() {
+  // Example 1: retry a flaky request (fails twice, then works)
+  let calls = 0;
+  const profile = await retry(() => simulateFetch("Profile data", 10, ++calls >= 3), {
+    delay: 20,
+    onRetry: ({ attempt, delay }) => console.log(`1. Attempt ${attempt} failed, retrying in ${delay} ms`),
+  });
+  // Output:
+  // 1. Attempt 1 failed, retrying in 20 ms
+  // 1. Attempt 2 failed, retrying in 40 ms
+  console.log("1. Received:", profile); // Output: 1. Received: Profile data
+
+  // Example 2: give up on a slow request
+  try {
+    await withTimeout((signal) => simulateFetch("Slow data", 500, true, { signal }), 50);
+  } catch (error) {
+    console.log("2.", error.name, "-", error.message); // Output: 2. TimeoutError - Timed out after 50 ms
+  }
+
+  // Example 3: at most two requests at a time
+  let active = 0;
+  let maxActive = 0;
+  const resources = ["A", "B", "C", "D", "E"].map((name) => async (signal) => {
+    maxActive = Math.max(maxActive, ++active);
+    const data = await simulateFetch(`Resource ${name}`, 20, true, { signal });
+    active--;
+    return data;
+  });
+  const fetched = await pool(resources, 2);
+  console.log("3.", fetched.length, "resources, max in flight:", maxActive); // Output: 3. 5 resources, max in flight: 2
+
+  // Example 4: named results, failures included
+  const page = await allSettledWithKeys({
+    user: simulateFetch("Alice", 10),
+    posts: simulateFetch("Posts", 10, false),
+  });
+  console.log("4.", page.user.status, page.posts.status, page.posts.reason.message);
+  // Output: 4. fulfilled rejected Simulated fetch error!
+
+  // Example 5: fastest mirror wins; the slower downloads are told to stop
+  const mirrors = [["eu", 60], ["us", 20], ["asia", 40]].map(([name, delay]) => (signal) =>
+    simulateFetch(name, delay, true, { signal })
+  );
+  console.log("5. Fastest mirror:", await any(mirrors)); // Output: 5. Fastest mirror: us
+
+  // Example 6: a cancelled sleep rejects right away
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  try {
+    await sleep(10_000, { signal: controller.signal });
+  } catch (error) {
+    console.log("6.", error.name); // Output: 6. AbortError
+  }
+
+  // Example 7: invalid options are reported before any task runs, as rejections
+  try {
+    await retry(() => simulateFetch("Never requested", 10), { attempts: 0 });
+  } catch (error) {
+    console.log("7.", error.name, "-", error.message); // Output: 7. RangeError - Attempts must be a whole number of at least 1, got 0
+  }
+  const invalidPool = pool([() => simulateFetch("Never requested", 10)], 0); // Returns a rejected promise, does not throw
+  await invalidPool.catch((error) => console.log("7.", error.name, "-", error.message)); // Output: 7. RangeError - Concurrency must be at least 1, got 0
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
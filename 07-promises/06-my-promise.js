@@ -0,0 +1,442 @@
+/**
+ * File: 06-my-promise.js
+ * Description: A from-scratch `MyPromise` that follows the Promises/A+ specification
+ * and the parts of the ECMAScript `Promise` API built on top of it: `then`, `catch`,
+ * `finally`, thenable assimilation, and the statics `resolve`, `reject`, `all`,
+ * `allSettled`, `race`, `any` and `withResolvers`. It explains the producer/consumer
+ * model of 01-introduction-to-promises.js and 02-promise-producer-consumer.js from the
+ * inside, and exports an adapter for the official Promises/A+ compliance suite
+ * (run it with `node tools/run-aplus-tests.js`).
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. What a Promise Has to Do
+// =========================================================================
+
+/**
+ * **The moving parts:**
+ * -   **State:** `"pending"`, then exactly once either `"fulfilled"` (with a
+ * value) or `"rejected"` (with a reason). A settled promise never changes.
+ * -   **Reactions:** `then(onFulfilled, onRejected)` registers callbacks. If the
+ * promise is still pending they are queued; once it settles they all run, in
+ * registration order.
+ * -   **Always asynchronous:** callbacks never run inside `then()` itself, even
+ * for an already settled promise. They run as **microtasks** (`queueMicrotask`),
+ * the same queue native promises use, so ordering matches native code.
+ * -   **Who runs the jobs is pluggable:** `createPromiseClass(enqueue)` builds the
+ * class around any job queue. `MyPromise` uses `queueMicrotask`; the event-loop
+ * simulator in 07-event-loop-simulator.js passes its own, labelled queue.
+ * -   **Chaining:** `then()` returns a *new* promise, resolved with whatever the
+ * callback returns, or rejected with whatever it throws.
+ */
+
+const PENDING = "pending";
+const FULFILLED = "fulfilled";
+const REJECTED = "rejected";
+
+// =========================================================================
+// 2. The Resolution Procedure (Thenable Assimilation)
+// =========================================================================
+
+/**
+ * **Resolving is not fulfilling:**
+ * -   `resolve(x)` with a plain value fulfills the promise with `x`.
+ * -   `resolve(x)` with a **thenable** (any object or function with a `then`
+ * method, including other promise libraries) makes the promise *follow* `x`:
+ * it settles the same way `x` does. This is "thenable assimilation", and it is
+ * why `return fetchUser()` inside a `then` callback works.
+ * -   `then` is read **once** (a getter could return different functions), and
+ * if reading it or calling it throws, the promise is rejected.
+ * -   A thenable may call its callbacks several times, or both of them; only
+ * the first call counts.
+ * -   Resolving a promise with itself would wait forever, so it is a TypeError.
+ */
+
+/**
+ * Creates the `resolve`/`reject` pair handed to an executor. They share one
+ * "already resolved" flag, so after the first call both do nothing.
+ */
+function createResolvingFunctions(promise, settle, enqueue) {
+  let alreadyResolved = false;
+
+  const resolve = (resolution) => {
+    if (alreadyResolved) return;
+    alreadyResolved = true;
+
+    if (resolution === promise) {
+      settle(REJECTED, new TypeError("A promise cannot be resolved with itself"));
+      return;
+    }
+    if (resolution === null || (typeof resolution !== "object" && typeof resolution !== "function")) {
+      settle(FULFILLED, resolution);
+      return;
+    }
+
+    let then;
+    try {
+      then = resolution.then;
+    } catch (error) {
+      settle(REJECTED, error);
+      return;
+    }
+    if (typeof then !== "function") {
+      settle(FULFILLED, resolution);
+      return;
+    }
+
+    // Follow the thenable in a later job, like the ECMAScript spec does
+    enqueue(() => {
+      const { resolve: resolveNext, reject: rejectNext } = createResolvingFunctions(promise, settle, enqueue);
+      try {
+        then.call(resolution, resolveNext, rejectNext);
+      } catch (error) {
+        rejectNext(error);
+      }
+    }, "resolve thenable");
+  };
+
+  const reject = (reason) => {
+    if (alreadyResolved) return;
+    alreadyResolved = true;
+    settle(REJECTED, reason);
+  };
+
+  return { resolve, reject };
+}
+
+// =========================================================================
+// 3. MyPromise
+// =========================================================================
+
+/**
+ * Builds a promise class whose jobs (reactions and thenable resolution) are
+ * handed to `enqueue(job, label)`. The label names the job, e.g.
+ * "then: onLoaded", for tools that display the queue.
+ * @param {(job: Function, label: string) => void} enqueue
+ * @returns {typeof MyPromise}
+ */
+export function createPromiseClass(enqueue) {
+  return class MyPromise {
+    #state = PENDING;
+    #result;
+    #reactions = []; // [{ onFulfilled, onRejected }] waiting for the promise to settle
+
+    /**
+     * @param {(resolve: Function, reject: Function) => void} executor - Runs synchronously.
+     */
+    constructor(executor) {
+      if (typeof executor !== "function") {
+        throw new TypeError(`Promise resolver ${executor} is not a function`);
+      }
+
+      const { resolve, reject } = createResolvingFunctions(
+        this,
+        (state, result) => this.#settle(state, result),
+        enqueue
+      );
+      try {
+        executor(resolve, reject);
+      } catch (error) {
+        reject(error); // Ignored if the executor already resolved
+      }
+    }
+
+    #settle(state, result) {
+      this.#state = state;
+      this.#result = result;
+      const reactions = this.#reactions;
+      this.#reactions = [];
+      reactions.forEach((reaction) => this.#schedule(reaction));
+    }
+
+    /** Queues one reaction as a job, once the promise has settled. */
+    #schedule({ onFulfilled, onRejected, labels }) {
+      const state = this.#state;
+      const result = this.#result;
+      enqueue(
+        () => (state === FULFILLED ? onFulfilled(result) : onRejected(result)),
+        state === FULFILLED ? labels.fulfilled : labels.rejected
+      );
+    }
+
+    /**
+     * Registers callbacks and returns a new promise for their result.
+     * A missing callback passes the value (or reason) through unchanged.
+     * @param {Function} [onFulfilled]
+     * @param {Function} [onRejected]
+     * @returns {MyPromise}
+     */
+    then(onFulfilled, onRejected) {
+      let resolveNext;
+      let rejectNext;
+      const next = new MyPromise((resolve, reject) => {
+        resolveNext = resolve;
+        rejectNext = reject;
+      });
+
+      const run = (callback, fallback) => (result) => {
+        if (typeof callback !== "function") {
+          fallback(result);
+          return;
+        }
+        try {
+          resolveNext(callback(result));
+        } catch (error) {
+          rejectNext(error);
+        }
+      };
+
+      const label = (callback) =>
+        `then: ${typeof callback === "function" ? callback.name || "anonymous" : "pass-through"}`;
+      const reaction = {
+        onFulfilled: run(onFulfilled, resolveNext),
+        onRejected: run(onRejected, rejectNext),
+        labels: { fulfilled: label(onFulfilled), rejected: label(onRejected) },
+      };
+      if (this.#state === PENDING) {
+        this.#reactions.push(reaction);
+      } else {
+        this.#schedule(reaction);
+      }
+      return next;
+    }
+
+    /**
+     * @param {Function} onRejected
+     * @returns {MyPromise}
+     */
+    catch(onRejected) {
+      return this.then(undefined, onRejected);
+    }
+
+    /**
+     * Runs `onFinally` (with no arguments) however the promise settles, then
+     * passes the original value or reason through. If `onFinally` throws or
+     * returns a rejected promise, that rejection wins instead.
+     * @param {Function} onFinally
+     * @returns {MyPromise}
+     */
+    finally(onFinally) {
+      if (typeof onFinally !== "function") return this.then(onFinally, onFinally);
+      return this.then(
+        (value) => MyPromise.resolve(onFinally()).then(() => value),
+        (reason) =>
+          MyPromise.resolve(onFinally()).then(() => {
+            throw reason;
+          })
+      );
+    }
+
+    get [Symbol.toStringTag]() {
+      return "MyPromise";
+    }
+
+    // -------------------------------------------------------------------------
+    // 3.1. Static Helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Returns `value` itself when it already is a MyPromise, otherwise a
+     * promise resolved with it (assimilating thenables).
+     */
+    static resolve(value) {
+      if (value instanceof MyPromise && value.constructor === MyPromise) return value;
+      return new MyPromise((resolve) => resolve(value));
+    }
+
+    static reject(reason) {
+      return new MyPromise((_, reject) => reject(reason));
+    }
+
+    /**
+     * `{ promise, resolve, reject }`: a promise with its resolving functions
+     * taken out of the executor, for producers that settle it later.
+     */
+    static withResolvers() {
+      let resolve;
+      let reject;
+      const promise = new MyPromise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    }
+
+    /**
+     * Shared loop of the combinators: subscribes to every item of an iterable
+     * (values become resolved promises) and lets `onItem` decide when the
+     * combined promise settles. `onEmpty` handles an iterable with no items.
+     */
+    static #combine(iterable, { onItem, onEmpty }) {
+      const { promise, resolve, reject } = MyPromise.withResolvers();
+      try {
+        let count = 0;
+        const state = { remaining: 1, results: [] }; // 1 = the loop itself
+        const done = () => {
+          state.remaining -= 1;
+          return state.remaining === 0;
+        };
+        for (const item of iterable) {
+          const index = count++;
+          state.remaining += 1;
+          state.results.push(undefined);
+          MyPromise.resolve(item).then(
+            (value) => onItem({ index, status: FULFILLED, value, state, done, resolve, reject }),
+            (reason) => onItem({ index, status: REJECTED, reason, state, done, resolve, reject })
+          );
+        }
+        if (done()) onEmpty({ state, resolve, reject });
+      } catch (error) {
+        reject(error); // e.g. the argument is not iterable
+      }
+      return promise;
+    }
+
+    /** Fulfills with every value, in order, or rejects with the first reason. */
+    static all(iterable) {
+      return MyPromise.#combine(iterable, {
+        onItem: ({ index, status, value, reason, state, done, resolve, reject }) => {
+          if (status === REJECTED) return reject(reason);
+          state.results[index] = value;
+          if (done()) resolve(state.results);
+        },
+        onEmpty: ({ state, resolve }) => resolve(state.results),
+      });
+    }
+
+    /** Fulfills with `{ status, value | reason }` for every item once all have settled. */
+    static allSettled(iterable) {
+      return MyPromise.#combine(iterable, {
+        onItem: ({ index, status, value, reason, state, done, resolve }) => {
+          state.results[index] = status === FULFILLED ? { status, value } : { status, reason };
+          if (done()) resolve(state.results);
+        },
+        onEmpty: ({ state, resolve }) => resolve(state.results),
+      });
+    }
+
+    /** Settles like the first item to settle. An empty iterable stays pending forever. */
+    static race(iterable) {
+      return MyPromise.#combine(iterable, {
+        onItem: ({ status, value, reason, resolve, reject }) => (status === FULFILLED ? resolve(value) : reject(reason)),
+        onEmpty: () => {},
+      });
+    }
+
+    /** Fulfills with the first value, or rejects with an AggregateError of every reason. */
+    static any(iterable) {
+      const rejectAll = (errors, reject) => reject(new AggregateError(errors, "All promises were rejected"));
+      return MyPromise.#combine(iterable, {
+        onItem: ({ index, status, value, reason, state, done, resolve, reject }) => {
+          if (status === FULFILLED) return resolve(value);
+          state.results[index] = reason;
+          if (done()) rejectAll(state.results, reject);
+        },
+        onEmpty: ({ state, reject }) => rejectAll(state.results, reject),
+      });
+    }
+  };
+}
+
+export const MyPromise = createPromiseClass((job) => queueMicrotask(job));
+
+// =========================================================================
+// 4. Promises/A+ Compliance Suite Adapter
+// =========================================================================
+
+/**
+ * **The adapter:** the official suite (`promises-aplus-tests`) does not know
+ * how to create promises in each library, so libraries hand it an adapter:
+ * -   `resolved(value)` / `rejected(reason)`: already settled promises.
+ * -   `deferred()`: `{ promise, resolve, reject }`, exactly `withResolvers()`.
+ * `tools/run-aplus-tests.js` runs the suite against this adapter from a
+ * vendored copy, so no network access is needed.
+ */
+export const aplusAdapter = {
+  resolved: (value) => MyPromise.resolve(value),
+  rejected: (reason) => MyPromise.reject(reason),
+  deferred: () => MyPromise.withResolvers(),
+};
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+/**
+ * Runs the same scenario with a promise implementation and returns the log,
+ * so MyPromise can be compared with the native Promise line by line.
+ */
+function orderingScenario(PromiseImpl) {
+  const log = [];
+  return new PromiseImpl((resolve) => {
+    log.push("executor");
+    resolve("value");
+  })
+    .then((value) => {
+      log.push(`then: ${value}`);
+      return { then: (onFulfilled) => onFulfilled("from thenable") }; // Assimilated
+    })
+    .then((value) => {
+      log.push(`then: ${value}`);
+      throw new Error("boom");
+    })
+    .catch((error) => {
+      log.push(`catch: ${error.message}`);
+    })
+    .finally(() => log.push("finally"))
+    .then(() => log);
+}
+
+export async function runDemo() {
+  // Example 1: the executor runs synchronously, callbacks always later
+  const order = [];
+  const promise = new MyPromise((resolve) => {
+    order.push("executor");
+    resolve(42);
+  });
+  promise.then((value) => order.push(`then(${value})`));
+  order.push("after then()");
+  await promise;
+  console.log("1.", order.join(" -> ")); // Output: 1. executor -> after then() -> then(42)
+
+  // Example 2: chaining, thenables, catch and finally behave like native Promise
+  const mine = await orderingScenario(MyPromise);
+  const native = await orderingScenario(Promise);
+  console.log("2.", mine.join(" | "));
+  // Output: 2. executor | then: value | then: from thenable | catch: boom | finally
+  console.log("2. Same as native:", JSON.stringify(mine) === JSON.stringify(native)); // Output: true
+
+  // Example 3: microtask ordering interleaves exactly like native promises
+  const trace = [];
+  for (const [label, PromiseImpl] of [["my", MyPromise], ["native", Promise]]) {
+    const steps = [];
+    const p1 = PromiseImpl.resolve().then(() => steps.push("a1")).then(() => steps.push("a2"));
+    const p2 = PromiseImpl.resolve().then(() => steps.push("b1")).then(() => steps.push("b2"));
+    await PromiseImpl.all([p1, p2]);
+    trace.push(`${label}: ${steps.join(",")}`);
+  }
+  console.log("3.", trace.join(" / ")); // Output: 3. my: a1,b1,a2,b2 / native: a1,b1,a2,b2
+
+  // Example 4: the static combinators
+  const delayed = (value, ms, fail = false) =>
+    new MyPromise((resolve, reject) => setTimeout(() => (fail ? reject(new Error(value)) : resolve(value)), ms));
+
+  console.log("4. all:", await MyPromise.all([delayed("A", 30), delayed("B", 10), "C"])); // Output: 4. all: [ 'A', 'B', 'C' ]
+  console.log("4. race:", await MyPromise.race([delayed("slow", 30), delayed("fast", 10)])); // Output: 4. race: fast
+  console.log("4. any:", await MyPromise.any([delayed("x", 10, true), delayed("y", 20)])); // Output: 4. any: y
+  const settled = await MyPromise.allSettled([delayed("ok", 10), delayed("nope", 5, true)]);
+  console.log("4. allSettled:", settled.map((entry) => entry.status)); // Output: 4. allSettled: [ 'fulfilled', 'rejected' ]
+
+  // Example 5: withResolvers separates the producer from the consumer
+  const { promise: ready, resolve } = MyPromise.withResolvers();
+  setTimeout(() => resolve("resolved from outside"), 10);
+  console.log("5.", await ready); // Output: 5. resolved from outside
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,454 @@
+/**
+ * File: 07-event-loop-simulator.js
+ * Description: A deterministic event-loop simulator for the microtask vs. macrotask
+ * examples in 04-primise-async-await-excution.js. It models the call stack, the
+ * microtask queue, timers and a virtual clock. A script written against the
+ * simulator's `setTimeout`, `queueMicrotask`, `Promise` and `async` runs instantly,
+ * always the same way, and comes back as an ordered trace plus a snapshot of every
+ * queue at each step. The demo asserts the lesson's "Expected Output" against it.
+ * Date: 2026-10-19
+ */
+
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { format } from "node:util";
+
+import { isMain } from "../tools/is-main.js";
+import { createPromiseClass } from "./06-my-promise.js";
+
+// =========================================================================
+// 1. The Model
+// =========================================================================
+
+/**
+ * **What is simulated:**
+ * -   **Call stack:** the frames currently running. A task or microtask pushes
+ * its label; `call(name, fn)` and `async` functions push their own name.
+ * -   **Macrotasks:** the script itself is the first one (tick 0). After that,
+ * each timer callback that comes due is one tick.
+ * -   **Microtask queue:** `queueMicrotask`, promise reactions and `await`
+ * continuations. After every macrotask the queue is drained completely,
+ * including microtasks queued by microtasks, before the next timer runs.
+ * -   **Virtual clock:** when the microtask queue is empty the clock jumps
+ * straight to the earliest timer. Like Node, a delay below 1 ms becomes 1 ms,
+ * and timers due at the same time run in the order they were created.
+ * -   **Promises** are `MyPromise` from 06-my-promise.js, built with the
+ * simulator's queue, so their jobs show up in the trace by name.
+ * -   **`await`:** simulated async functions are generator functions where
+ * `yield` stands for `await`: `async("load", function* () { yield p; })`.
+ * The continuation is scheduled with `then`, exactly as the spec describes.
+ */
+
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+/**
+ * Gives a function a name, so arrow functions show up in the trace and the
+ * queues as something more useful than "anonymous".
+ * @template {Function} T
+ * @param {string} name
+ * @param {T} fn
+ * @returns {T}
+ */
+export function named(name, fn) {
+  return Object.defineProperty(fn, "name", { value: name });
+}
+
+/** The delay Node actually uses: anything outside 1..TIMEOUT_MAX becomes 1 ms. */
+function normalizeDelay(delay) {
+  const ms = Number(delay);
+  return ms >= 1 && ms <= TIMEOUT_MAX ? Math.trunc(ms) : 1;
+}
+
+const labelOf = (fn) => fn.name || "anonymous";
+
+// =========================================================================
+// 2. simulate()
+// =========================================================================
+
+/**
+ * Runs `script(api)` on a simulated event loop until no work is left.
+ *
+ * The `api` object passed to the script:
+ * -   `log(...args)` / `error(...args)`: console.log / console.error.
+ * -   `setTimeout(callback, delay, ...args)` / `clearTimeout(id)`.
+ * -   `queueMicrotask(callback)`.
+ * -   `Promise`: a Promises/A+ class whose jobs run on the simulated queue.
+ * -   `async(name, generatorFunction)`: returns an async function; `yield` is `await`.
+ * -   `call(name, fn, ...args)`: calls `fn` with a named frame on the call stack.
+ * -   `named(name, fn)`: names a callback for the trace.
+ *
+ * @param {(api: object) => void} script
+ * @param {{ maxSteps?: number }} [options] - Stops runaway loops (default 10,000 jobs).
+ * @returns {{ output: string[], trace: object[], snapshots: object[], time: number }}
+ * `output` holds the stdout lines; `trace` every event in order
+ * (`task`, `microtask`, `enqueue`, `timer`, `log`, `uncaught`); `snapshots` the
+ * state of the call stack and both queues when each job starts, plus a final one.
+ */
+export function simulate(script, { maxSteps = 10_000 } = {}) {
+  let time = 0;
+  let tick = 0;
+  let jobs = 0;
+  let nextTimerId = 1;
+  const callStack = [];
+  const microtasks = []; // [{ label, job }]
+  const timers = new Map(); // id -> { id, label, at, callback, args }
+  const output = [];
+  const trace = [];
+  const snapshots = [];
+
+  const record = (entry) =>
+    trace.push(Object.freeze({ step: trace.length + 1, tick, time, ...entry, stack: [...callStack] }));
+
+  const snapshot = (running) =>
+    snapshots.push(
+      Object.freeze({
+        step: trace.length,
+        tick,
+        time,
+        running,
+        callStack: [...callStack],
+        microtasks: microtasks.map((task) => task.label),
+        timers: [...timers.values()].map(({ label, at }) => ({ label, at })),
+      })
+    );
+
+  function withFrame(name, fn, ...args) {
+    callStack.push(name);
+    try {
+      return fn(...args);
+    } finally {
+      callStack.pop();
+    }
+  }
+
+  function enqueueMicrotask(job, label) {
+    microtasks.push({ label, job });
+    record({ type: "enqueue", queue: "microtask", label });
+  }
+
+  /** Runs one job with its label as the bottom frame; errors are reported, not thrown. */
+  function runJob(type, label, job) {
+    if (++jobs > maxSteps) {
+      throw new Error(`simulate() stopped after ${maxSteps} jobs; is something re-queuing itself forever?`);
+    }
+    record({ type, label });
+    callStack.push(label);
+    snapshot(label);
+    try {
+      job();
+    } catch (error) {
+      record({ type: "uncaught", message: error instanceof Error ? error.message : String(error) });
+    } finally {
+      callStack.pop();
+    }
+  }
+
+  function drainMicrotasks() {
+    while (microtasks.length > 0) {
+      const { label, job } = microtasks.shift();
+      runJob("microtask", label, job);
+    }
+  }
+
+  /** The earliest timer; ties run in creation order. */
+  function nextTimer() {
+    let next;
+    for (const timer of timers.values()) {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  const SimPromise = createPromiseClass(enqueueMicrotask);
+
+  const api = {
+    Promise: SimPromise,
+    named,
+
+    log(...args) {
+      const message = format(...args);
+      output.push(message);
+      record({ type: "log", stream: "stdout", message });
+    },
+
+    error(...args) {
+      record({ type: "log", stream: "stderr", message: format(...args) });
+    },
+
+    setTimeout(callback, delay = 0, ...args) {
+      const ms = normalizeDelay(delay);
+      const id = nextTimerId++;
+      const label = `setTimeout: ${labelOf(callback)}`;
+      timers.set(id, { id, label, at: time + ms, callback, args });
+      record({ type: "timer", label, delay: ms, at: time + ms, id });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    queueMicrotask(callback) {
+      enqueueMicrotask(callback, `queueMicrotask: ${labelOf(callback)}`);
+    },
+
+    async(name, generatorFunction) {
+      return function (...args) {
+        return new SimPromise((resolve, reject) => {
+          const generator = generatorFunction.apply(this, args);
+          const resume = (method, value) => {
+            let result;
+            try {
+              result = withFrame(name, () => generator[method](value));
+            } catch (error) {
+              reject(error);
+              return;
+            }
+            if (result.done) {
+              resolve(result.value);
+            } else {
+              // `await value`: wrap it in a promise and continue in a reaction job
+              SimPromise.resolve(result.value).then(
+                named(`${name} (after await)`, (settled) => resume("next", settled)),
+                named(`${name} (await threw)`, (reason) => resume("throw", reason))
+              );
+            }
+          };
+          resume("next");
+        });
+      };
+    },
+
+    call(name, fn, ...args) {
+      return withFrame(name, fn, ...args);
+    },
+  };
+
+  runJob("task", "(script)", () => script(api));
+  drainMicrotasks();
+
+  for (let timer = nextTimer(); timer; timer = nextTimer()) {
+    timers.delete(timer.id);
+    time = Math.max(time, timer.at);
+    tick++;
+    runJob("task", timer.label, () => timer.callback(...timer.args));
+    drainMicrotasks();
+  }
+  snapshot(null);
+
+  return { output, trace, snapshots, time };
+}
+
+// =========================================================================
+// 3. Rendering
+// =========================================================================
+
+/**
+ * One line per trace entry: time, tick, and what happened.
+ * @param {object[]} trace - `simulate(...).trace`
+ * @param {{ types?: string[] }} [options] - Only these entry types (default: all).
+ * @returns {string}
+ */
+export function formatTrace(trace, { types } = {}) {
+  const describe = {
+    task: (entry) => `run task       ${entry.label}`,
+    microtask: (entry) => `run microtask  ${entry.label}`,
+    enqueue: (entry) => `  + microtask  ${entry.label}`,
+    timer: (entry) => `  + timer      ${entry.label} (${entry.delay} ms, due at ${entry.at} ms)`,
+    log: (entry) => `  ${entry.stream === "stderr" ? "error" : "log"}          ${entry.message}`,
+    uncaught: (entry) => `  ! uncaught   ${entry.message}`,
+  };
+  return trace
+    .filter((entry) => !types || types.includes(entry.type))
+    .map((entry) => `${String(entry.time).padStart(5)} ms  tick ${entry.tick}  ${describe[entry.type](entry)}`)
+    .join("\n");
+}
+
+/**
+ * The call stack and queues at one moment, as a small block of text.
+ * @param {object} snapshot - One of `simulate(...).snapshots`.
+ * @returns {string}
+ */
+export function formatSnapshot({ step, tick, time, running, callStack, microtasks, timers }) {
+  const list = (items) => (items.length ? items.join(", ") : "(empty)");
+  return [
+    `step ${step}, tick ${tick}, ${time} ms: ${running ? `running ${running}` : "idle"}`,
+    `  call stack: ${list(callStack)}`,
+    `  microtasks: ${list(microtasks)}`,
+    `  timers:     ${list(timers.map((timer) => `${timer.label} @ ${timer.at} ms`))}`,
+  ].join("\n");
+}
+
+// =========================================================================
+// 4. The Examples from 04-primise-async-await-excution.js
+// =========================================================================
+
+const lessonFile = fileURLToPath(new URL("./04-primise-async-await-excution.js", import.meta.url));
+
+/**
+ * Reads the `Expected Output ...:` block comment from a lesson file.
+ * @param {string} source
+ * @returns {string[]}
+ */
+export function readExpectedOutput(source) {
+  const match = source.match(/\/\*\s*\nExpected Output[^\n]*:\n([\s\S]*?)\*\//);
+  if (!match) throw new Error("No 'Expected Output' block found");
+  return match[1].split("\n").map((line) => line.trim()).filter(Boolean);
+}
+
+/** Example 3 of the lesson, line for line, written against the simulator. */
+export function example3({ log, setTimeout, Promise, async, named }) {
+  log("3. Global Start");
+
+  setTimeout(named("macrotask", () => log("3. Macrotask (setTimeout)")), 0);
+
+  Promise.resolve().then(named("microtask", () => log("3. Microtask (Promise.then)")));
+
+  async("async IIFE", function* () {
+    log("3. Async function start");
+    yield Promise.resolve(); // Await resolves immediately, continuation goes to Microtask Queue
+    log("3. Async function after await (Microtask)");
+  })();
+
+  log("3. Global End");
+}
+
+/** Examples 1 to 3 of the lesson, in the order the lesson runs them. */
+export function wholeLesson(api) {
+  const { log, error, setTimeout, Promise, async, named } = api;
+
+  // Example 1: Promise chaining with .then()
+  function simulateAsyncOperation(value, delay = 500) {
+    return new Promise((resolve) => {
+      setTimeout(
+        named(`operation ${value}`, () => {
+          log(`1. Operation completed: ${value}`);
+          resolve(value + " processed");
+        }),
+        delay
+      );
+    });
+  }
+
+  log("1. Program Start (Promise .then())");
+
+  simulateAsyncOperation("Data A", 1000)
+    .then(
+      named("first then", (result1) => {
+        log("1. First .then() callback:", result1);
+        return simulateAsyncOperation("Data B", 500);
+      })
+    )
+    .then(
+      named("second then", (result2) => {
+        log("1. Second .then() callback:", result2);
+        return "Final result from .then() chain";
+      })
+    )
+    .then(named("final then", (finalResult) => log("1. Final .then() result:", finalResult)))
+    .catch((err) => error("1. Error in .then() chain:", err.message));
+
+  log("1. Program End (Promise .then()) - Synchronous code continues immediately.");
+
+  // Example 2: Async/await equivalent
+  const performSequentialOperations = async("performSequentialOperations", function* () {
+    log("2. Starting async/await operations...");
+    try {
+      const result1 = yield simulateAsyncOperation("Data X", 1000);
+      log("2. After first await:", result1);
+
+      const result2 = yield simulateAsyncOperation("Data Y", 500);
+      log("2. After second await:", result2);
+
+      log("2. All async operations completed.");
+      return "Final result from async/await";
+    } catch (err) {
+      error("2. Caught error in async/await:", err.message);
+      throw err;
+    } finally {
+      log("2. Async/await block finished (finally).");
+    }
+  });
+
+  log("2. Program Start (Async/Await)");
+  performSequentialOperations()
+    .then(named("final message", (finalMessage) => log("2. Final message from async/await function:", finalMessage)))
+    .catch((err) => error("2. Error handled outside async function:", err.message));
+  log("2. Program End (Async/Await) - Synchronous code continues immediately.");
+
+  // Example 3: Microtask vs. Macrotask Priority
+  example3(api);
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: the lesson's expected output, asserted against the simulated trace
+  const expected = readExpectedOutput(readFileSync(lessonFile, "utf8"));
+  const { output, trace, snapshots } = simulate(example3);
+  assert.deepEqual(output, expected);
+  console.log("1. Example 3 matches the lesson's expected output:", output.length, "lines");
+  // Output: 1. Example 3 matches the lesson's expected output: 6 lines
+
+  // Example 2: the full trace shows why: microtasks drain before the timer's tick
+  console.log(formatTrace(trace));
+  /* Output:
+    0 ms  tick 0  run task       (script)
+    0 ms  tick 0    log          3. Global Start
+    0 ms  tick 0    + timer      setTimeout: macrotask (1 ms, due at 1 ms)
+    0 ms  tick 0    + microtask  then: microtask
+    0 ms  tick 0    log          3. Async function start
+    0 ms  tick 0    + microtask  then: async IIFE (after await)
+    0 ms  tick 0    log          3. Global End
+    0 ms  tick 0  run microtask  then: microtask
+    0 ms  tick 0    log          3. Microtask (Promise.then)
+    0 ms  tick 0  run microtask  then: async IIFE (after await)
+    0 ms  tick 0    log          3. Async function after await (Microtask)
+    1 ms  tick 1  run task       setTimeout: macrotask
+    1 ms  tick 1    log          3. Macrotask (setTimeout)
+  */
+
+  // Example 3: a snapshot of every queue when each job starts
+  console.log(snapshots.map(formatSnapshot).join("\n"));
+  /* Output:
+  step 1, tick 0, 0 ms: running (script)
+    call stack: (script)
+    microtasks: (empty)
+    timers:     (empty)
+  step 8, tick 0, 0 ms: running then: microtask
+    call stack: then: microtask
+    microtasks: then: async IIFE (after await)
+    timers:     setTimeout: macrotask @ 1 ms
+  step 10, tick 0, 0 ms: running then: async IIFE (after await)
+    call stack: then: async IIFE (after await)
+    microtasks: (empty)
+    timers:     setTimeout: macrotask @ 1 ms
+  step 12, tick 1, 1 ms: running setTimeout: macrotask
+    call stack: setTimeout: macrotask
+    microtasks: (empty)
+    timers:     (empty)
+  step 13, tick 1, 1 ms: idle
+    call stack: (empty)
+    microtasks: (empty)
+    timers:     (empty)
+  */
+
+  // Example 4: the whole lesson, simulated in no time, against a real run of it
+  const simulated = simulate(wholeLesson);
+  const real = spawnSync(process.execPath, [lessonFile], { encoding: "utf8", timeout: 10_000 });
+  const realLines = real.stdout.split("\n").filter(Boolean);
+  console.log("4. Same output as the real run:", JSON.stringify(simulated.output) === JSON.stringify(realLines));
+  // Output: 4. Same output as the real run: true
+  console.log("4. Virtual time at the end:", simulated.time, "ms"); // Output: 4. Virtual time at the end: 1500 ms
+  console.log("4. Lines printed by timer ticks:", simulated.trace.filter((e) => e.type === "log" && e.tick > 0).length);
+  // Output: 4. Lines printed by timer ticks: 13
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -5,6 +5,8 @@
  * Date: 2025-05-22
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. Introduction: What is a Factory Function?
 // =========================================================================
@@ -32,7 +34,7 @@
  */
 
 // Example 1: Basic user factory
-function createUser(name, age) {
+export function createUser(name, age) {
   return {
     name: name,
     age: age,
@@ -44,14 +46,16 @@ function createUser(name, age) {
   };
 }
 
-const user1 = createUser("Alice", 30);
-const user2 = createUser("Bob", 25);
+function userExample() {
+  const user1 = createUser("Alice", 30);
+  const user2 = createUser("Bob", 25);
 
-user1.greet(); // Output: Hello, my name is Alice and I'm 30 years old.
-user2.greet(); // Output: Hello, my name is Bob and I'm 25 years old.
+  user1.greet(); // Output: 1. Hello, my name is Alice and I'm 30 years old.
+  user2.greet(); // Output: 1. Hello, my name is Bob and I'm 25 years old.
 
-console.log("1. Type of user1:", typeof user1); // Output: object
-console.log("1. user1 instanceof createUser:", user1 instanceof createUser); // Output: false (not a constructor)
+  console.log("1. Type of user1:", typeof user1); // Output: object
+  console.log("1. user1 instanceof createUser:", user1 instanceof createUser); // Output: false (not a constructor)
+}
 
 // =========================================================================
 // 3. Benefits of Using Factory Functions
@@ -82,7 +86,7 @@ console.log("1. user1 instanceof createUser:", user1 instanceof createUser); //
  */
 
 // Example 2: Encapsulation with closures in a factory function
-function createCounter() {
+export function createCounter() {
   let count = 0; // Private variable (closed over)
 
   return {
@@ -100,46 +104,50 @@ function createCounter() {
   };
 }
 
-const counter1 = createCounter();
-const counter2 = createCounter();
+function counterExample() {
+  const counter1 = createCounter();
+  const counter2 = createCounter();
 
-counter1.increment(); // Output: Counter incremented to: 1
-counter1.increment(); // Output: Counter incremented to: 2
-counter2.decrement(); // Output: Counter decremented to: -1
+  counter1.increment(); // Output: 2. Counter incremented to: 1
+  counter1.increment(); // Output: 2. Counter incremented to: 2
+  counter2.decrement(); // Output: 2. Counter decremented to: -1
 
-console.log("2. Counter 1 value:", counter1.getCount()); // Output: 2
-console.log("2. Counter 2 value:", counter2.getCount()); // Output: -1
+  console.log("2. Counter 1 value:", counter1.getCount()); // Output: 2
+  console.log("2. Counter 2 value:", counter2.getCount()); // Output: -1
+}
 
 // console.log(counter1.count); // Output: undefined (count is private)
 
 // Example 3: Flexible object creation / Composition
-function createPerson(name) {
+export function createPerson(name) {
   return { name };
 }
 
-function canWalk({ name }) {
+export function canWalk({ name }) {
   // Mixin for walking behavior
   return {
     walk: () => console.log(`${name} is walking.`),
   };
 }
 
-function canSwim({ name }) {
+export function canSwim({ name }) {
   // Mixin for swimming behavior
   return {
     swim: () => console.log(`${name} is swimming.`),
   };
 }
 
-function createSwimmer(name) {
+export function createSwimmer(name) {
   const person = createPerson(name);
   return { ...person, ...canWalk(person), ...canSwim(person) }; // Compose behaviors
 }
 
-const swimmer = createSwimmer("Michael");
-swimmer.walk(); // Output: Michael is walking.
-swimmer.swim(); // Output: Michael is swimming.
-console.log("3. Swimmer name:", swimmer.name); // Output: Michael
+function compositionExample() {
+  const swimmer = createSwimmer("Michael");
+  swimmer.walk(); // Output: Michael is walking.
+  swimmer.swim(); // Output: Michael is swimming.
+  console.log("3. Swimmer name:", swimmer.name); // Output: Michael
+}
 
 // =========================================================================
 // 4. Factory Functions vs. Constructor Functions / ES6 Classes
@@ -177,9 +185,11 @@ Dog.prototype.bark = function () {
   console.log(`4. ${this.name} barks!`);
 };
 
-const dog1 = new Dog("Buddy");
-dog1.bark(); // Output: Buddy barks!
-console.log("4. dog1 instanceof Dog:", dog1 instanceof Dog); // Output: true
+function dogExample() {
+  const dog1 = new Dog("Buddy");
+  dog1.bark(); // Output: 4. Buddy barks!
+  console.log("4. dog1 instanceof Dog:", dog1 instanceof Dog); // Output: true
+}
 
 // Example 5: ES6 Class for comparison
 class Cat {
@@ -191,9 +201,11 @@ class Cat {
   }
 }
 
-const cat1 = new Cat("Whiskers");
-cat1.meow(); // Output: Whiskers meows!
-console.log("4. cat1 instanceof Cat:", cat1 instanceof Cat); // Output: true
+function catExample() {
+  const cat1 = new Cat("Whiskers");
+  cat1.meow(); // Output: 4. Whiskers meows!
+  console.log("4. cat1 instanceof Cat:", cat1 instanceof Cat); // Output: true
+}
 
 // =========================================================================
 // 5. Conclusion
@@ -207,3 +219,17 @@ console.log("4. cat1 instanceof Cat:", cat1 instanceof Cat); // Output: true
  * inheritance, factory functions remain a valuable pattern, especially when `new`-less
  * object creation, private state, and flexible object composition are priorities.
  */
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  userExample();
+  counterExample();
+  compositionExample();
+  dogExample();
+  catExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -6,6 +6,8 @@
  * Date: 2025-05-22
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. Introduction: What is a Constructor Function?
 // =========================================================================
@@ -46,7 +48,7 @@
  */
 
 // Example 1: Basic Person constructor function
-function Person(name, age) {
+export function Person(name, age) {
   // 'this' refers to the new object being created by 'new'
   this.name = name;
   this.age = age;
@@ -57,15 +59,17 @@ function Person(name, age) {
 }
 
 // Creating instances using 'new'
-const person1 = new Person("Alice", 30);
-const person2 = new Person("Bob", 25);
+function personExample() {
+  const person1 = new Person("Alice", 30);
+  const person2 = new Person("Bob", 25);
 
-console.log("1. Person 1:", person1); // Person { name: 'Alice', age: 30 }
-console.log("1. Person 2:", person2); // Person { name: 'Bob', age: 25 }
+  console.log("1. Person 1:", person1); // Person { name: 'Alice', age: 30 }
+  console.log("1. Person 2:", person2); // Person { name: 'Bob', age: 25 }
 
-// Checking type and instance
-console.log("1. Type of person1:", typeof person1); // Output: object
-console.log("1. person1 instanceof Person:", person1 instanceof Person); // Output: true
+  // Checking type and instance
+  console.log("1. Type of person1:", typeof person1); // Output: object
+  console.log("1. person1 instanceof Person:", person1 instanceof Person); // Output: true
+}
 
 // =========================================================================
 // 3. Adding Methods to the Prototype for Efficiency
@@ -81,7 +85,7 @@ console.log("1. person1 instanceof Person:", person1 instanceof Person); // Outp
  */
 
 // Example 2: Adding methods to the prototype
-function Animal(species) {
+export function Animal(species) {
   this.species = species;
 }
 
@@ -94,22 +98,24 @@ Animal.prototype.eat = function (food) {
   console.log(`2. The ${this.species} is eating ${food}.`);
 };
 
-const dog = new Animal("dog");
-const cat = new Animal("cat");
-
-dog.makeSound(); // Output: The dog makes a sound.
-cat.makeSound(); // Output: The cat makes a sound.
-dog.eat("bones"); // Output: The dog is eating bones.
-
-// Verify that methods are shared via prototype
-console.log(
-  "2. dog.makeSound === cat.makeSound:",
-  dog.makeSound === cat.makeSound
-); // Output: true
-console.log(
-  "2. dog.__proto__ === Animal.prototype:",
-  dog.__proto__ === Animal.prototype
-); // Output: true
+function prototypeExample() {
+  const dog = new Animal("dog");
+  const cat = new Animal("cat");
+
+  dog.makeSound(); // Output: 2. The dog makes a sound.
+  cat.makeSound(); // Output: 2. The cat makes a sound.
+  dog.eat("bones"); // Output: 2. The dog is eating bones.
+
+  // Verify that methods are shared via prototype
+  console.log(
+    "2. dog.makeSound === cat.makeSound:",
+    dog.makeSound === cat.makeSound
+  ); // Output: true
+  console.log(
+    "2. dog.__proto__ === Animal.prototype:",
+    dog.__proto__ === Animal.prototype
+  ); // Output: true
+}
 
 // =========================================================================
 // 4. Constructor Functions and Inheritance (Pre-ES6)
@@ -124,14 +130,14 @@ console.log(
  */
 
 // Example 3: Inheritance with constructor functions
-function Vehicle(make) {
+export function Vehicle(make) {
   this.make = make;
 }
 Vehicle.prototype.getMake = function () {
   return this.make;
 };
 
-function Car(make, model) {
+export function Car(make, model) {
   Vehicle.call(this, make); // 1. Inherit properties from Vehicle
   this.model = model;
 }
@@ -144,11 +150,13 @@ Car.prototype.getModel = function () {
   return this.model;
 };
 
-const myCar = new Car("Ford", "Mustang");
-console.log("3. Car make:", myCar.getMake()); // Output: Ford (inherited)
-console.log("3. Car model:", myCar.getModel()); // Output: Mustang (own method)
-console.log("3. myCar instanceof Car:", myCar instanceof Car); // Output: true
-console.log("3. myCar instanceof Vehicle:", myCar instanceof Vehicle); // Output: true
+function inheritanceExample() {
+  const myCar = new Car("Ford", "Mustang");
+  console.log("3. Car make:", myCar.getMake()); // Output: Ford (inherited)
+  console.log("3. Car model:", myCar.getModel()); // Output: Mustang (own method)
+  console.log("3. myCar instanceof Car:", myCar instanceof Car); // Output: true
+  console.log("3. myCar instanceof Vehicle:", myCar instanceof Vehicle); // Output: true
+}
 
 // =========================================================================
 // 5. Constructor Functions vs. Factory Functions vs. ES6 Classes
@@ -175,7 +183,7 @@ console.log("3. myCar instanceof Vehicle:", myCar instanceof Vehicle); // Output
  */
 
 // Example 4: ES6 Class equivalent for comparison
-class Product {
+export class Product {
   constructor(name, price) {
     this.name = name;
     this.price = price;
@@ -185,9 +193,11 @@ class Product {
   }
 }
 
-const laptop = new Product("Laptop", 1200);
-laptop.displayPrice(); // Output: Laptop costs $1200
-console.log("4. laptop instanceof Product:", laptop instanceof Product); // Output: true
+function classExample() {
+  const laptop = new Product("Laptop", 1200);
+  laptop.displayPrice(); // Output: 4. Laptop costs $1200
+  console.log("4. laptop instanceof Product:", laptop instanceof Product); // Output: true
+}
 
 // =========================================================================
 // 6. Conclusion
@@ -201,3 +211,16 @@ console.log("4. laptop instanceof Product:", laptop instanceof Product); // Outp
  * convenient syntax, understanding constructor functions is key to grasping
  * JavaScript's core object model and how inheritance truly works under the hood.
  */
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  personExample();
+  prototypeExample();
+  inheritanceExample();
+  classExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -7,6 +7,8 @@
  * Date: 2025-05-22
  */
 
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. What are Classes? (The Blueprint Analogy)
 // =========================================================================
@@ -42,7 +44,7 @@
  */
 
 // Example 1: Defining a simple Person class
-class Person {
+export class Person {
   /**
    * The constructor method is called when a new Person object is created.
    * It takes 'name' and 'age' as arguments and assigns them as properties
@@ -85,19 +87,21 @@ class Person {
  * -   This process is called "instantiation."
  */
 
-// Example 2: Creating instances of the Person class
-const alice = new Person("Alice", 30); // Calls the constructor
-const bob = new Person("Bob", 25); // Calls the constructor again
+function instancesExample() {
+  // Example 2: Creating instances of the Person class
+  const alice = new Person("Alice", 30); // Calls the constructor
+  const bob = new Person("Bob", 25); // Calls the constructor again
 
-console.log("2. Alice object:", alice); // Output: Person { name: 'Alice', age: 30 }
-console.log("2. Bob object:", bob); // Output: Person { name: 'Bob', age: 25 }
+  console.log("2. Alice object:", alice); // Output: Person { name: 'Alice', age: 30 }
+  console.log("2. Bob object:", bob); // Output: Person { name: 'Bob', age: 25 }
 
-// Using the methods on the instances
-alice.greet(); // Output: Hello, my name is Alice and I am 30 years old.
-bob.celebrateBirthday(); // Output: Happy birthday, Bob! You are now 26.
+  // Using the methods on the instances
+  alice.greet(); // Output: 1. Hello, my name is Alice and I am 30 years old.
+  bob.celebrateBirthday(); // Output: 1. Happy birthday, Bob! You are now 26.
 
-// Check if an object is an instance of a class
-console.log("2. Is Alice a Person?", alice instanceof Person); // Output: true
+  // Check if an object is an instance of a class
+  console.log("2. Is Alice a Person?", alice instanceof Person); // Output: 2. Is Alice a Person? true
+}
 
 // =========================================================================
 // 4. Class Inheritance: Extending Classes
@@ -115,7 +119,7 @@ console.log("2. Is Alice a Person?", alice instanceof Person); // Output: true
  */
 
 // Example 3: Creating a Student class that extends Person
-class Student extends Person {
+export class Student extends Person {
   /**
    * Constructor for the Student class.
    * @param {string} name - The name of the student.
@@ -144,15 +148,17 @@ class Student extends Person {
   }
 }
 
-// Creating an instance of the Student class
-const charlie = new Student("Charlie", 20, "S12345");
+function inheritanceExample() {
+  // Creating an instance of the Student class
+  const charlie = new Student("Charlie", 20, "S12345");
 
-charlie.greet(); // Output: Hi, I'm Charlie, a student with ID S12345. (Overridden method)
-charlie.study(); // Output: Charlie (ID: S12345) is studying. (New method)
-charlie.celebrateBirthday(); // Output: Happy birthday, Charlie! You are now 21. (Inherited method)
+  charlie.greet(); // Output: 3. Hi, I'm Charlie, a student with ID S12345. (Overridden method)
+  charlie.study(); // Output: 3. Charlie (ID: S12345) is studying. (New method)
+  charlie.celebrateBirthday(); // Output: 1. Happy birthday, Charlie! You are now 21. (Inherited method)
 
-console.log("3. Is Charlie a Student?", charlie instanceof Student); // Output: true
-console.log("3. Is Charlie a Person?", charlie instanceof Person); // Output: true (due to inheritance)
+  console.log("3. Is Charlie a Student?", charlie instanceof Student); // Output: 3. Is Charlie a Student? true
+  console.log("3. Is Charlie a Person?", charlie instanceof Person); // Output: 3. Is Charlie a Person? true (due to inheritance)
+}
 
 // =========================================================================
 // 5. Static Methods: Class-Level Methods
@@ -168,7 +174,7 @@ console.log("3. Is Charlie a Person?", charlie instanceof Person); // Output: tr
  */
 
 // Example 4: Static method in a MathUtility class
-class MathUtility {
+export class MathUtility {
   /**
    * A static method to add two numbers.
    * @param {number} a - The first number.
@@ -190,8 +196,10 @@ class MathUtility {
   }
 }
 
-console.log("4. Sum using static method:", MathUtility.add(10, 5)); // Output: 15
-console.log("4. Random number:", MathUtility.getRandomNumber(1, 10)); // Output: (a random number between 1 and 10)
+function staticMethodsExample() {
+  console.log("4. Sum using static method:", MathUtility.add(10, 5)); // Output: 15
+  console.log("4. Random number:", MathUtility.getRandomNumber(1, 10)); // Output: (a random number between 1 and 10)
+}
 
 // const calculator = new MathUtility();
 // calculator.add(1, 2); // This would cause an error: calculator.add is not a function
@@ -210,7 +218,9 @@ console.log("4. Random number:", MathUtility.getRandomNumber(1, 10)); // Output:
  */
 
 // Example 5: Using getters and setters
-class Temperature {
+// 10-units.js extends this class with kelvin and every other temperature unit
+// of its unit registry.
+export class Temperature {
   constructor(celsius) {
     this._celsius = celsius; // Use a convention (e.g., underscore) for the actual private-like property
   }
@@ -260,18 +270,20 @@ class Temperature {
   }
 }
 
-const temp = new Temperature(25); // Initial Celsius
-console.log("5. Initial Celsius:", temp.celsius); // Accessing getter
-console.log("5. Initial Fahrenheit:", temp.fahrenheit); // Accessing computed getter
+function gettersSettersExample() {
+  const temp = new Temperature(25); // Initial Celsius
+  console.log("5. Initial Celsius:", temp.celsius); // Output: 25
+  console.log("5. Initial Fahrenheit:", temp.fahrenheit); // Output: 77
 
-temp.celsius = 30; // Using setter
-console.log("5. New Celsius:", temp.celsius);
+  temp.celsius = 30; // Using setter
+  console.log("5. New Celsius:", temp.celsius); // Output: 30
 
-temp.fahrenheit = 68; // Using setter (converts to Celsius internally)
-console.log("5. Celsius after Fahrenheit set:", temp.celsius);
+  temp.fahrenheit = 68; // Using setter (converts to Celsius internally)
+  console.log("5. Celsius after Fahrenheit set:", temp.celsius); // Output: 20
 
-temp.celsius = "abc"; // Invalid input, setter warns
-console.log("5. Celsius after invalid set:", temp.celsius);
+  temp.celsius = "abc"; // Invalid input, setter warns
+  console.log("5. Celsius after invalid set:", temp.celsius); // Output: 20
+}
 
 // =========================================================================
 // 7. Private Class Fields (Modern JavaScript - ES2022)
@@ -288,7 +300,9 @@ console.log("5. Celsius after invalid set:", temp.celsius);
  */
 
 // Example 6: Private class fields
-class BankAccount {
+// 09-bank-account.js grows this class into a ledger-backed account with Money,
+// transfers, interest and typed errors.
+export class BankAccount {
   #balance; // Private field
 
   constructor(initialBalance) {
@@ -316,12 +330,15 @@ class BankAccount {
   }
 }
 
-const myAccount = new BankAccount(100);
-myAccount.deposit(50); // Output: Deposited 50. New balance: 150
-myAccount.withdraw(30); // Output: Withdrew 30. New balance: 120
+function privateFieldsExample() {
+  const myAccount = new BankAccount(100);
+  myAccount.deposit(50); // Output: 6. Deposited 50. New balance: 150
+  myAccount.withdraw(30); // Output: 6. Withdrew 30. New balance: 120
+  myAccount.withdraw(500); // Output: 6. Insufficient funds or invalid amount.
 
-// console.log(myAccount.#balance); // SyntaxError: Private field '#balance' must be declared in an enclosing class
-console.log("6. Current balance (via getter):", myAccount.getBalance()); // Output: 120
+  // console.log(myAccount.#balance); // SyntaxError: Private field '#balance' must be declared in an enclosing class
+  console.log("6. Current balance (via getter):", myAccount.getBalance()); // Output: 120
+}
 
 // =========================================================================
 // 8. Classes as Syntactic Sugar (Revisited)
@@ -367,3 +384,17 @@ console.log("6. Current balance (via getter):", myAccount.getBalance()); // Outp
  * are syntactic sugar over prototypes will deepen your understanding of JavaScript's
  * unique object model.
  */
+
+/** Runs the examples above, in order. */
+export function runDemo() {
+  instancesExample();
+  inheritanceExample();
+  staticMethodsExample();
+  gettersSettersExample();
+  privateFieldsExample();
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
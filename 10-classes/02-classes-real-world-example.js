@@ -5,6 +5,9 @@
  * Date: 2025-05-22
  */
 
+import { isMain } from "../tools/is-main.js";
+import { Money } from "./07-money.js";
+
 // =========================================================================
 // 1. Introduction: Classes in Action
 // =========================================================================
@@ -30,31 +33,43 @@
  * like `Book` and `Electronics`.
  * -   This demonstrates how inheritance allows child classes to reuse properties and methods
  * from a parent class while adding their own unique characteristics.
+ * -   Prices are `Money` values (07-money.js), not plain numbers: `0.1 + 0.2`
+ * is not `0.3` in floating point, and tax on a float price can round the wrong way.
+ * A plain number or decimal string is read as US dollars.
+ * -   06-shop.js builds a cart, inventory and checkout on these classes.
  */
 
 // Base Class: Product
-class Product {
+export class Product {
   constructor(name, price, sku) {
     this.name = name;
-    this.price = price;
+    this.price = price instanceof Money ? price : Money.of(price);
     this.sku = sku; // Stock Keeping Unit
   }
 
   displayInfo() {
     console.log(
-      `2. Product: ${this.name} | Price: $${this.price.toFixed(2)} | SKU: ${
+      `Product: ${this.name} | Price: ${this.formatPrice()} | SKU: ${
         this.sku
       }`
     );
   }
 
+  formatPrice() {
+    return this.price.format();
+  }
+
+  /**
+   * @param {number} [taxRate=0.08]
+   * @returns {Money} The price plus tax, rounded half-even to the cent.
+   */
   getPriceWithTax(taxRate = 0.08) {
-    return this.price * (1 + taxRate);
+    return this.price.add(this.price.multiply(taxRate));
   }
 }
 
 // Child Class: Book (inherits from Product)
-class Book extends Product {
+export class Book extends Product {
   constructor(name, price, sku, author, isbn) {
     super(name, price, sku); // Call parent Product's constructor
     this.author = author;
@@ -73,7 +88,7 @@ class Book extends Product {
 }
 
 // Child Class: Electronics (inherits from Product)
-class Electronics extends Product {
+export class Electronics extends Product {
   constructor(name, price, sku, brand, warrantyYears) {
     super(name, price, sku); // Call parent Product's constructor
     this.brand = brand;
@@ -86,32 +101,10 @@ class Electronics extends Product {
 
   // Add a new method specific to Electronics
   powerOn() {
-    console.log(`2. Powering on the ${this.name}...`);
+    console.log(`Powering on the ${this.name}...`);
   }
 }
 
-// Creating instances
-console.log("--- 2. E-commerce Product Management ---");
-const laptop = new Electronics("Laptop Pro", 1200.0, "ELC001", "TechBrand", 2);
-const novel = new Book(
-  "The Great Adventure",
-  15.99,
-  "BOK001",
-  "Jane Writer",
-  "978-1234567890"
-);
-const headphones = new Product("Wireless Headphones", 99.5, "AUD001"); // Using base Product class
-
-laptop.displayInfo();
-console.log(laptop.getWarrantyInfo());
-laptop.powerOn();
-
-novel.displayInfo();
-console.log(novel.getAuthorInfo());
-
-headphones.displayInfo();
-console.log(`Price with tax: $${headphones.getPriceWithTax().toFixed(2)}`);
-
 // =========================================================================
 // 3. Example: User Authentication Service (Static Methods & Private Fields)
 // =========================================================================
@@ -122,9 +115,13 @@ console.log(`Price with tax: $${headphones.getPriceWithTax().toFixed(2)}`);
  * belong to the class itself (not individual user instances).
  * -   It also shows how to use private class fields (`#`) for true encapsulation
  * of sensitive data like user passwords.
+ * -   This version keeps passwords in plain text and lets anyone list the users.
+ * 04-auth-service.js grows it into a real service: salted password hashes,
+ * pluggable storage, expiring sessions, and admin operations that check the
+ * caller's permissions.
  */
 
-class AuthService {
+export class AuthService {
   // Private static property to simulate a user database
   static #users = []; // Array to store registered user objects
 
@@ -159,7 +156,6 @@ class AuthService {
       password: password, // Store password as a regular property (for demonstration only)
     };
     AuthService.#users.push(newUser);
-    console.log(`3. User '${username}' registered successfully.`);
     return { success: true, message: "Registration successful." };
   }
 
@@ -174,10 +170,8 @@ class AuthService {
     const user = AuthService.#users.find((u) => u.username === username);
     if (user && user.password === password) {
       // Compare password property
-      console.log(`3. User '${username}' logged in successfully.`);
       return { success: true, userId: user.id, message: "Login successful." };
     } else {
-      console.log(`3. Login failed for '${username}'.`);
       return { success: false, message: "Invalid username or password." };
     }
   }
@@ -195,19 +189,6 @@ class AuthService {
   }
 }
 
-// Using the AuthService
-console.log("\n--- 3. User Authentication Service ---");
-AuthService.registerUser("alice_user", "pass123");
-AuthService.registerUser("bob_user", "securepwd");
-AuthService.registerUser("alice_user", "anotherpass"); // Fails: username exists
-
-AuthService.loginUser("alice_user", "pass123"); // Success
-AuthService.loginUser("bob_user", "wrongpwd"); // Failure
-AuthService.loginUser("charlie_user", "anypass"); // Failure: user not found
-
-console.log("3. Registered Users:", AuthService.getAllUsers());
-// console.log(AuthService.#users); // Error: Private field '#users' must be declared in an enclosing class
-
 // =========================================================================
 // 4. Example: Simple Game Character (Getters/Setters)
 // =========================================================================
@@ -216,18 +197,21 @@ console.log("3. Registered Users:", AuthService.getAllUsers());
  * **Scenario:** Creating a basic game character with health and attack capabilities.
  * -   This example demonstrates using getters and setters to control access to
  * properties like `health`, allowing for validation or computed values.
+ * -   08-battle.js extends this class with defense, critical hits and status
+ * effects, and runs turn-based battles with it.
  */
 
-class GameCharacter {
+export class GameCharacter {
+  // Private field for health
+  #health;
+
   constructor(name, initialHealth, attackPower) {
     this.name = name;
-    this.#health = initialHealth; // Private field for health
+    this.maxHealth = initialHealth;
+    this.#health = initialHealth;
     this.attackPower = attackPower;
   }
 
-  // Private field for health
-  #health;
-
   /**
    * Getter for character's current health.
    * @returns {number} The current health.
@@ -238,59 +222,108 @@ class GameCharacter {
 
   /**
    * Setter for character's health.
-   * Includes validation to ensure health doesn't go below 0.
+   * Keeps health between 0 and `maxHealth`, and rejects values that are not numbers.
    * @param {number} newHealth - The new health value.
+   * @throws {TypeError} When the value is not a number.
    */
   set health(newHealth) {
-    if (typeof newHealth === "number" && newHealth >= 0) {
-      this.#health = newHealth;
-      console.log(`4. ${this.name}'s health updated to ${this.#health}.`);
-    } else if (newHealth < 0) {
-      this.#health = 0; // Health cannot be negative
-      console.log(`4. ${this.name}'s health dropped to 0.`);
-    } else {
-      console.warn("4. Invalid health value provided.");
+    if (typeof newHealth !== "number" || Number.isNaN(newHealth)) {
+      throw new TypeError(`Invalid health value: ${newHealth}`);
     }
+    this.#health = Math.min(this.maxHealth, Math.max(0, newHealth)); // Health cannot be negative
   }
 
+  // A computed value: there is no "defeated" field to keep in sync
+  get isDefeated() {
+    return this.#health === 0;
+  }
+
+  /**
+   * @param {number} amount
+   * @returns {number} The health actually lost.
+   */
   takeDamage(amount) {
-    if (amount > 0) {
-      this.health -= amount; // Uses the setter
-      if (this.health <= 0) {
-        console.log(`4. ${this.name} has been defeated!`);
-      }
-    }
+    const before = this.#health;
+    if (amount > 0) this.health -= amount; // Uses the setter
+    return before - this.#health;
   }
 
+  /**
+   * @param {GameCharacter} targetCharacter
+   * @returns {{ damage: number }} What happened, for the caller to report.
+   */
   attack(targetCharacter) {
-    console.log(
-      `4. ${this.name} attacks ${targetCharacter.name} for ${this.attackPower} damage!`
-    );
-    targetCharacter.takeDamage(this.attackPower);
+    return { damage: targetCharacter.takeDamage(this.attackPower) };
   }
 }
 
-// Creating game characters
-console.log("\n--- 4. Simple Game Character ---");
-const hero = new GameCharacter("Hero", 100, 15);
-const goblin = new GameCharacter("Goblin", 50, 8);
-
-console.log(`${hero.name} Health: ${hero.health}`);
-console.log(`${goblin.name} Health: ${goblin.health}`);
-
-hero.attack(goblin); // Hero attacks Goblin
-goblin.attack(hero); // Goblin attacks Hero
-
-console.log(`${hero.name} Health: ${hero.health}`);
-console.log(`${goblin.name} Health: ${goblin.health}`);
-
-hero.attack(goblin); // Hero attacks Goblin again
-hero.attack(goblin); // Hero attacks Goblin one more time
-console.log(`${goblin.name} Health: ${goblin.health}`); // Goblin should be defeated
-
-// Try to set invalid health
-hero.health = -10; // Will be set to 0
-hero.health = "invalid"; // Will warn
+export function runDemo() {
+  // Creating instances
+  console.log("--- 2. E-commerce Product Management ---");
+  const laptop = new Electronics("Laptop Pro", 1200.0, "ELC001", "TechBrand", 2);
+  const novel = new Book(
+    "The Great Adventure",
+    15.99,
+    "BOK001",
+    "Jane Writer",
+    "978-1234567890"
+  );
+  const headphones = new Product("Wireless Headphones", 99.5, "AUD001"); // Using base Product class
+
+  laptop.displayInfo();
+  console.log(laptop.getWarrantyInfo());
+  laptop.powerOn();
+
+  novel.displayInfo();
+  console.log(novel.getAuthorInfo());
+
+  headphones.displayInfo();
+  console.log(`Price with tax: ${headphones.getPriceWithTax().format()}`); // Output: Price with tax: $107.46
+
+  // Using the AuthService
+  console.log("\n--- 3. User Authentication Service ---");
+  console.log("3.", AuthService.registerUser("alice_user", "pass123").message); // Output: 3. Registration successful.
+  console.log("3.", AuthService.registerUser("bob_user", "securepwd").message); // Output: 3. Registration successful.
+  console.log("3.", AuthService.registerUser("alice_user", "anotherpass").message); // Output: 3. Username already exists.
+
+  console.log("3.", AuthService.loginUser("alice_user", "pass123").message); // Output: 3. Login successful.
+  console.log("3.", AuthService.loginUser("bob_user", "wrongpwd").message); // Output: 3. Invalid username or password.
+  console.log("3.", AuthService.loginUser("charlie_user", "anypass").message); // Output: 3. Invalid username or password.
+
+  console.log("3. Registered Users:", AuthService.getAllUsers());
+  // Output: 3. Registered Users: [ { id: 1, username: 'alice_user' }, { id: 2, username: 'bob_user' } ]
+  // console.log(AuthService.#users); // Error: Private field '#users' must be declared in an enclosing class
+
+  // Creating game characters
+  console.log("\n--- 4. Simple Game Character ---");
+  const hero = new GameCharacter("Hero", 100, 15);
+  const goblin = new GameCharacter("Goblin", 50, 8);
+
+  console.log(`${hero.name} Health: ${hero.health}`); // Output: Hero Health: 100
+  console.log(`${goblin.name} Health: ${goblin.health}`); // Output: Goblin Health: 50
+
+  // attack() returns what happened instead of printing it
+  console.log("4. Hero deals", hero.attack(goblin).damage, "damage"); // Output: 4. Hero deals 15 damage
+  console.log("4. Goblin deals", goblin.attack(hero).damage, "damage"); // Output: 4. Goblin deals 8 damage
+
+  console.log(`${hero.name} Health: ${hero.health}`); // Output: Hero Health: 92
+  console.log(`${goblin.name} Health: ${goblin.health}`); // Output: Goblin Health: 35
+
+  hero.attack(goblin); // Hero attacks Goblin again
+  hero.attack(goblin); // Hero attacks Goblin one more time
+  console.log(`${goblin.name} Health: ${goblin.health}`); // Output: Goblin Health: 5
+  hero.attack(goblin);
+  console.log("4. Goblin defeated:", goblin.isDefeated); // Output: true
+
+  // Try to set invalid health
+  hero.health = -10; // Will be set to 0
+  console.log("4. Hero Health:", hero.health); // Output: 0
+  try {
+    hero.health = "invalid"; // Will throw
+  } catch (error) {
+    console.log("4.", error.message); // Output: 4. Invalid health value: invalid
+  }
+}
 
 // =========================================================================
 // 5. Conclusion: The Versatility of Classes
@@ -308,3 +341,8 @@ hero.health = "invalid"; // Will warn
  * By leveraging these features, you can build more robust, scalable, and maintainable
  * JavaScript applications.
  */
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
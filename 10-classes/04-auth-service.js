@@ -0,0 +1,558 @@
+/**
+ * File: 04-auth-service.js
+ * Description: The `AuthService` from 02-classes-real-world-example.js grown into a
+ * small authentication subsystem: salted scrypt password hashes, pluggable user
+ * storage (in-memory or JSON file), expiring session tokens, password changes and
+ * lockout after repeated failed logins. The public API is still the same set of
+ * static methods (`registerUser`, `loginUser`, `getAllUsers`), plus new ones.
+ * Admin operations (`getAllUsers`, `setRoles`) take the acting user's id and are
+ * checked by the `AccessControl` from 05-auth-permissions.js.
+ * `AuthService.withResults()` offers the same methods returning a `Result`
+ * (11-error-handling/05-result.js) carrying an `AuthError` instead of
+ * `{ success, message }` objects.
+ * Date: 2026-10-19
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+import { existsSync, mkdtempSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { AppError } from "../11-error-handling/02-app-error.js";
+import { Result, err, ok } from "../11-error-handling/05-result.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Storage Adapters
+// =========================================================================
+
+/**
+ * **Storage adapter contract:**
+ * -   `AuthService` never touches an array or a file directly; it talks to an
+ * adapter object with five methods:
+ * -   `findById(id)` / `findByUsername(username)` → a user record or `undefined`.
+ * -   `insert(user)` / `update(user)` → store a record (the adapter keeps a copy).
+ * -   `all()` → every record.
+ * -   Any object with these methods can be passed to `AuthService.configure({ storage })`,
+ * e.g. one backed by a real database.
+ * -   Records are plain objects, so they serialize to JSON as they are:
+ * `{ id, username, passwordHash, salt, roles, failedAttempts, lockedUntil, createdAt }`.
+ */
+
+/**
+ * Keeps users in memory. This is the default, and what the original
+ * `static #users = []` did.
+ */
+export class MemoryUserStore {
+  #users = new Map(); // id -> user record
+
+  findById(id) {
+    const user = this.#users.get(id);
+    return user && { ...user };
+  }
+
+  findByUsername(username) {
+    const user = [...this.#users.values()].find((u) => u.username === username);
+    return user && { ...user };
+  }
+
+  insert(user) {
+    this.#users.set(user.id, { ...user });
+  }
+
+  update(user) {
+    if (!this.#users.has(user.id)) {
+      throw new Error(`Cannot update unknown user ${user.id}`);
+    }
+    this.#users.set(user.id, { ...user });
+  }
+
+  all() {
+    return [...this.#users.values()].map((user) => ({ ...user }));
+  }
+}
+
+/**
+ * Persists users to a JSON file so they survive a restart.
+ * -   The file is read once when the store is created.
+ * -   Every change rewrites the file through a temporary file and `rename`,
+ * so a crash mid-write never leaves half a JSON document behind.
+ */
+export class JsonFileUserStore extends MemoryUserStore {
+  #filePath;
+
+  /**
+   * @param {string} filePath - Where to keep the users, e.g. "./data/users.json".
+   */
+  constructor(filePath) {
+    super();
+    this.#filePath = filePath;
+
+    if (existsSync(filePath)) {
+      const { users = [] } = JSON.parse(readFileSync(filePath, "utf8"));
+      users.forEach((user) => super.insert(user));
+    }
+  }
+
+  insert(user) {
+    super.insert(user);
+    this.#flush();
+  }
+
+  update(user) {
+    super.update(user);
+    this.#flush();
+  }
+
+  #flush() {
+    const temporaryPath = `${this.#filePath}.tmp`;
+    writeFileSync(temporaryPath, JSON.stringify({ users: this.all() }, null, 2));
+    renameSync(temporaryPath, this.#filePath);
+  }
+}
+
+// =========================================================================
+// 2. Password Hashing
+// =========================================================================
+
+/**
+ * **Why scrypt and a salt?**
+ * -   Storing plaintext passwords (as the lesson's first version did) means a
+ * leaked database leaks every password.
+ * -   A **salt** (random bytes per user) makes identical passwords hash
+ * differently, so precomputed tables are useless.
+ * -   **scrypt** is deliberately slow and memory-hungry, which makes guessing
+ * passwords from a stolen hash expensive.
+ * -   `timingSafeEqual` compares hashes in constant time, so response time does
+ * not reveal how many bytes matched.
+ */
+const KEY_LENGTH = 64;
+
+function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const passwordHash = scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return { salt, passwordHash };
+}
+
+function verifyPassword(password, { salt, passwordHash }) {
+  if (typeof password !== "string") return false; // scrypt would throw for undefined, numbers, ...
+  const expected = Buffer.from(passwordHash, "hex");
+  const actual = scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Checked against when a username is unknown, so that case costs the same scrypt work
+let dummyCredentials;
+function unknownUserCredentials() {
+  dummyCredentials ??= hashPassword(randomBytes(16).toString("hex"));
+  return dummyCredentials;
+}
+
+// =========================================================================
+// 3. AuthService
+// =========================================================================
+
+/**
+ * Why an authentication operation failed. `code` tells the cases apart
+ * (`USERNAME_TAKEN`, `INVALID_CREDENTIALS`, `ACCOUNT_LOCKED`, `SESSION_EXPIRED`, ...),
+ * `message` is the text the `{ success, message }` results have always shown.
+ */
+export class AuthError extends AppError {
+  static code = "AUTH_FAILED";
+  static status = 401;
+  static {
+    AppError.register(this);
+  }
+}
+
+const fail = (message, code, status) => err(new AuthError(message, { code, status }));
+
+/**
+ * **AuthService:**
+ * -   All methods are `static`, as before: there is one authentication service
+ * per application, not one per user.
+ * -   Results keep the `{ success, message }` shape of the original lesson.
+ * Internally every method builds a `Result`; `AuthService.withResults()`
+ * hands out that Result itself (`Ok` with the data, `Err` with an `AuthError`),
+ * so its callers never have to guess whether to check `.success` or catch.
+ * It is a separate set of methods rather than a setting, so code using one
+ * style cannot change what another module's calls return.
+ * -   Sessions are kept in memory; restarting the process logs everyone out,
+ * while users themselves live in the configured storage.
+ */
+export class AuthService {
+  static #storage = new MemoryUserStore();
+  static #sessions = new Map(); // token -> { userId, expiresAt }
+  static #options = {
+    sessionTtlMs: 60 * 60 * 1000, // 1 hour
+    maxFailedAttempts: 5,
+    lockoutMs: 15 * 60 * 1000, // 15 minutes
+    now: () => Date.now(),
+    accessControl: null,
+  };
+
+  /**
+   * Replaces the storage adapter and/or tunes session and lockout settings.
+   * A new storage drops existing sessions, because they belong to users of the old one.
+   * @param {object} [config]
+   * @param {object} [config.storage] - A storage adapter (see section 1).
+   * @param {number} [config.sessionTtlMs] - How long a session token stays valid.
+   * @param {number} [config.maxFailedAttempts] - Failed logins allowed before lockout.
+   * @param {number} [config.lockoutMs] - How long a locked account stays locked.
+   * @param {Function} [config.now] - Clock returning milliseconds; handy for demos and tests.
+   * @param {object} [config.accessControl] - Checks admin operations: an `AccessControl`
+   * (05-auth-permissions.js), or anything whose `authorize(actorId, action, resource)` throws when denied.
+   */
+  static configure({ storage, ...options } = {}) {
+    if (storage && storage !== AuthService.#storage) {
+      AuthService.#storage = storage;
+      AuthService.#sessions.clear();
+    }
+    AuthService.#options = { ...AuthService.#options, ...options };
+  }
+
+  /**
+   * The same operations, returning `Result`s: `Ok` with the data fields of the
+   * `{ success }` objects (or the user / user list), `Err` with an `AuthError`.
+   * A denied admin operation is an `Err` with the code PERMISSION_DENIED and the
+   * `PermissionDeniedError` as its `cause`, instead of a thrown error.
+   * @returns {object}
+   */
+  static withResults() {
+    return AuthService.#results;
+  }
+
+  static #results = Object.freeze({
+    registerUser: (username, password) => AuthService.#register(username, password),
+    loginUser: (username, password) => AuthService.#login(username, password),
+    validateSession: (token) => AuthService.#validateSession(token),
+    logout: (token) => AuthService.#logout(token),
+    changePassword: (userId, currentPassword, newPassword) =>
+      AuthService.#changePassword(userId, currentPassword, newPassword),
+    getUser: (userId) => AuthService.#getUser(userId),
+    setRoles: (actorId, userId, roles) =>
+      AuthService.#authorized(actorId, "assign", "roles").flatMap(() => AuthService.#setRoles(userId, roles)),
+    getAllUsers: (actorId) => AuthService.#authorized(actorId, "read", "users").map(() => AuthService.#listUsers()),
+  });
+
+  /**
+   * Turns an internal Result into the `{ success, message, ... }` object the methods return.
+   * @param {Result} result - `Ok` with the data fields, or `Err` with an AuthError.
+   * @param {string} [successMessage] - The `message` of a successful `{ success }` object.
+   */
+  static #present(result, successMessage) {
+    return result.match({
+      ok: (value) => ({ success: true, ...value, ...(successMessage && { message: successMessage }) }),
+      err: (error) => ({ success: false, message: error.message }),
+    });
+  }
+
+  /**
+   * Lets an admin operation through only when the configured access control
+   * allows it. Without one, admin operations are refused rather than left open.
+   * @throws {PermissionDeniedError} From `AccessControl.authorize` when denied.
+   * @throws {AuthError} ACCESS_CONTROL_MISSING when no access control is configured.
+   */
+  static #authorize(actorId, action, resource) {
+    const { accessControl } = AuthService.#options;
+    if (!accessControl) {
+      throw new AuthError(`Cannot ${action} ${resource}: configure AuthService with an accessControl first.`, {
+        code: "ACCESS_CONTROL_MISSING",
+        status: 403,
+      });
+    }
+    accessControl.authorize(actorId, action, resource);
+  }
+
+  /** `#authorize` as a Result, for `withResults()`. */
+  static #authorized(actorId, action, resource) {
+    return Result.try(
+      () => AuthService.#authorize(actorId, action, resource),
+      (error) => (error instanceof AuthError ? error : new AuthError(error.message, { code: "PERMISSION_DENIED", status: 403, cause: error }))
+    );
+  }
+
+  /**
+   * Private static method for generating a simple user ID.
+   * @returns {number} A unique user ID.
+   */
+  static #generateUserId() {
+    const users = AuthService.#storage.all();
+    return users.length > 0 ? Math.max(...users.map((u) => u.id)) + 1 : 1;
+  }
+
+  /**
+   * Registers a new user. Only a salted hash of the password is stored.
+   * @param {string} username - The desired username.
+   * @param {string} password - The desired password.
+   * @returns {object} An object indicating success or failure; from `withResults()`, `Ok({ userId })`.
+   */
+  static registerUser(username, password) {
+    return AuthService.#present(AuthService.#register(username, password), "Registration successful.");
+  }
+
+  static #register(username, password) {
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return fail("Username and password are required.", "MISSING_CREDENTIALS", 400);
+    }
+    if (AuthService.#storage.findByUsername(username)) {
+      return fail("Username already exists.", "USERNAME_TAKEN", 409);
+    }
+
+    const newUser = {
+      id: AuthService.#generateUserId(),
+      username,
+      ...hashPassword(password),
+      roles: ["user"],
+      failedAttempts: 0,
+      lockedUntil: null,
+      createdAt: new Date(AuthService.#options.now()).toISOString(),
+    };
+    AuthService.#storage.insert(newUser);
+    return ok({ userId: newUser.id });
+  }
+
+  /**
+   * Logs in a user and starts a session.
+   * -   After `maxFailedAttempts` wrong passwords in a row the account is locked
+   * for `lockoutMs`, even for the right password.
+   * -   Unknown usernames and wrong passwords get the same message and the same
+   * scrypt work, so neither the response nor its timing reveals which usernames
+   * exist. Only the right password learns that an account is locked.
+   * @param {string} username - The username to log in.
+   * @param {string} password - The password for the user.
+   * @returns {object} `{ success, userId, token, expiresAt, message }` on success;
+   * from `withResults()`, `Ok({ userId, token, expiresAt })`.
+   */
+  static loginUser(username, password) {
+    return AuthService.#present(AuthService.#login(username, password), "Login successful.");
+  }
+
+  static #login(username, password) {
+    const failure = () => fail("Invalid username or password.", "INVALID_CREDENTIALS");
+    const user = AuthService.#storage.findByUsername(username);
+    const passwordMatches = verifyPassword(password, user ?? unknownUserCredentials());
+    if (!user) return failure();
+
+    const now = AuthService.#options.now();
+    const locked = user.lockedUntil && user.lockedUntil > now;
+    if (!passwordMatches) {
+      if (!locked) {
+        user.failedAttempts += 1;
+        if (user.failedAttempts >= AuthService.#options.maxFailedAttempts) {
+          user.lockedUntil = now + AuthService.#options.lockoutMs;
+          user.failedAttempts = 0;
+        }
+        AuthService.#storage.update(user);
+      }
+      return failure();
+    }
+    if (locked) {
+      return fail("Account is locked. Try again later.", "ACCOUNT_LOCKED", 423);
+    }
+
+    user.failedAttempts = 0;
+    user.lockedUntil = null;
+    AuthService.#storage.update(user);
+
+    const token = randomBytes(32).toString("hex");
+    const expiresAt = now + AuthService.#options.sessionTtlMs;
+    AuthService.#sessions.set(token, { userId: user.id, expiresAt });
+
+    return ok({ userId: user.id, token, expiresAt });
+  }
+
+  /**
+   * Checks a session token.
+   * @param {string} token - Token returned by `loginUser`.
+   * @returns {object} `{ success: true, userId, expiresAt }` while the session is valid;
+   * from `withResults()`, `Ok({ userId, expiresAt })`.
+   */
+  static validateSession(token) {
+    return AuthService.#present(AuthService.#validateSession(token));
+  }
+
+  static #validateSession(token) {
+    const session = AuthService.#sessions.get(token);
+    if (!session) {
+      return fail("Invalid session.", "INVALID_SESSION");
+    }
+    if (session.expiresAt <= AuthService.#options.now()) {
+      AuthService.#sessions.delete(token);
+      return fail("Session expired.", "SESSION_EXPIRED");
+    }
+    return ok({ userId: session.userId, expiresAt: session.expiresAt });
+  }
+
+  /**
+   * Ends a session. Logging out twice is harmless but reported.
+   * @param {string} token - Token returned by `loginUser`.
+   * @returns {object} An object indicating success or failure; from `withResults()`, `Ok({})`.
+   */
+  static logout(token) {
+    return AuthService.#present(AuthService.#logout(token), "Logged out.");
+  }
+
+  static #logout(token) {
+    return AuthService.#sessions.delete(token) ? ok({}) : fail("Invalid session.", "INVALID_SESSION");
+  }
+
+  /**
+   * Changes a password after checking the current one.
+   * Every session of the user is ended, so a stolen token stops working.
+   * @param {number} userId - The user whose password changes.
+   * @param {string} currentPassword - Must match the stored password.
+   * @param {string} newPassword - The replacement password.
+   * @returns {object} An object indicating success or failure; from `withResults()`, `Ok({})`.
+   */
+  static changePassword(userId, currentPassword, newPassword) {
+    return AuthService.#present(AuthService.#changePassword(userId, currentPassword, newPassword), "Password changed.");
+  }
+
+  static #changePassword(userId, currentPassword, newPassword) {
+    const user = AuthService.#storage.findById(userId);
+    if (!user || !verifyPassword(currentPassword, user)) {
+      return fail("Current password is incorrect.", "INVALID_CREDENTIALS");
+    }
+    if (typeof newPassword !== "string" || !newPassword) {
+      return fail("New password is required.", "MISSING_CREDENTIALS", 400);
+    }
+
+    AuthService.#storage.update({ ...user, ...hashPassword(newPassword) });
+    for (const [token, session] of AuthService.#sessions) {
+      if (session.userId === userId) AuthService.#sessions.delete(token);
+    }
+    return ok({});
+  }
+
+  /**
+   * Looks up one user's public details.
+   * @param {number} userId - The user to look up.
+   * @returns {object|undefined} `{ id, username, roles }`, or `undefined` for unknown ids.
+   */
+  static getUser(userId) {
+    return AuthService.#getUser(userId).unwrapOr(undefined);
+  }
+
+  static #getUser(userId) {
+    const user = AuthService.#storage.findById(userId);
+    if (!user) return fail("User not found.", "USER_NOT_FOUND", 404);
+    return ok({ id: user.id, username: user.username, roles: [...(user.roles ?? [])] });
+  }
+
+  /**
+   * Replaces the roles of a user (see 05-auth-permissions.js for what roles allow).
+   * The acting user needs the "assign:roles" permission.
+   * @param {number} actorId - The user making the change.
+   * @param {number} userId - The user to update.
+   * @param {string[]} roles - Role names, e.g. ["user", "support"].
+   * @returns {object} An object indicating success or failure; from `withResults()`, `Ok({})`.
+   * @throws {PermissionDeniedError} When the actor may not assign roles.
+   */
+  static setRoles(actorId, userId, roles) {
+    AuthService.#authorize(actorId, "assign", "roles");
+    return AuthService.#present(AuthService.#setRoles(userId, roles), "Roles updated.");
+  }
+
+  static #setRoles(userId, roles) {
+    const user = AuthService.#storage.findById(userId);
+    if (!user) return fail("User not found.", "USER_NOT_FOUND", 404);
+    AuthService.#storage.update({ ...user, roles: [...new Set(roles)] });
+    return ok({});
+  }
+
+  /**
+   * Gets all registered users. The acting user needs the "read:users" permission.
+   * @param {number} actorId - The user asking.
+   * @returns {Array} A list of registered users (without password hashes or salts).
+   * @throws {PermissionDeniedError} When the actor may not read users.
+   */
+  static getAllUsers(actorId) {
+    AuthService.#authorize(actorId, "read", "users");
+    return AuthService.#listUsers();
+  }
+
+  static #listUsers() {
+    return AuthService.#storage.all().map((user) => ({
+      id: user.id,
+      username: user.username,
+    }));
+  }
+}
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export function runDemo() {
+  // A controllable clock makes expiry and lockout visible without waiting
+  let now = Date.parse("2026-01-01T09:00:00Z");
+  AuthService.configure({
+    now: () => now,
+    sessionTtlMs: 30 * 60 * 1000,
+    maxFailedAttempts: 3,
+  });
+
+  // Example 1: register and log in
+  AuthService.registerUser("alice_user", "pass123");
+  console.log("1.", AuthService.registerUser("alice_user", "other").message); // Output: 1. Username already exists.
+  console.log("1.", AuthService.loginUser("alice_user", undefined).message); // Output: 1. Invalid username or password.
+  const login = AuthService.loginUser("alice_user", "pass123");
+  console.log("1. Login:", login.success, "token length:", login.token.length); // Output: 1. Login: true token length: 64
+
+  // Example 2: sessions expire and can be ended
+  console.log("2. Session valid:", AuthService.validateSession(login.token).success); // Output: true
+  now += 31 * 60 * 1000;
+  console.log("2. After 31 minutes:", AuthService.validateSession(login.token).message); // Output: Session expired.
+
+  const second = AuthService.loginUser("alice_user", "pass123");
+  console.log("2.", AuthService.logout(second.token).message); // Output: 2. Logged out.
+
+  // Example 3: three wrong passwords lock the account
+  for (let attempt = 0; attempt < 3; attempt++) {
+    AuthService.loginUser("alice_user", "wrong");
+  }
+  console.log("3.", AuthService.loginUser("alice_user", "wrong").message); // Output: 3. Invalid username or password.
+  console.log("3.", AuthService.loginUser("nobody", "wrong").message); // Output: 3. Invalid username or password.
+  console.log("3.", AuthService.loginUser("alice_user", "pass123").message); // Output: 3. Account is locked. Try again later.
+  now += 16 * 60 * 1000;
+  console.log("3. After lockout:", AuthService.loginUser("alice_user", "pass123").success); // Output: true
+
+  // Example 4: changing the password ends existing sessions
+  const session = AuthService.loginUser("alice_user", "pass123");
+  AuthService.changePassword(session.userId, "pass123", "n3w-pass");
+  console.log("4. Old session:", AuthService.validateSession(session.token).message); // Output: Invalid session.
+  console.log("4. New password works:", AuthService.loginUser("alice_user", "n3w-pass").success); // Output: true
+
+  // Example 5: users persisted to a JSON file never contain the plaintext password
+  const directory = mkdtempSync(join(tmpdir(), "auth-demo-"));
+  const filePath = join(directory, "users.json");
+  AuthService.configure({ storage: new JsonFileUserStore(filePath) });
+  AuthService.registerUser("bob_user", "securepwd");
+  console.log("5. Plaintext on disk:", readFileSync(filePath, "utf8").includes("securepwd")); // Output: false
+
+  AuthService.configure({ storage: new JsonFileUserStore(filePath) }); // Simulate a restart
+  console.log("5. User after reload:", AuthService.getUser(1)); // Output: 5. User after reload: { id: 1, username: 'bob_user', roles: [ 'user' ] }
+  rmSync(directory, { recursive: true, force: true });
+
+  // Example 6: the Result methods; failures are AuthErrors with a code, never thrown
+  AuthService.configure({ storage: new MemoryUserStore() });
+  const auth = AuthService.withResults();
+  auth.registerUser("carol_user", "s3cret");
+  const describe = (result) =>
+    result.match({ ok: ({ userId }) => `logged in as ${userId}`, err: (error) => `${error.code}: ${error.message}` });
+  console.log("6.", describe(auth.loginUser("carol_user", "s3cret"))); // Output: 6. logged in as 1
+  console.log("6.", describe(auth.loginUser("carol_user", "nope"))); // Output: 6. INVALID_CREDENTIALS: Invalid username or password.
+  const userId = auth
+    .loginUser("carol_user", "s3cret")
+    .flatMap(({ token }) => auth.validateSession(token))
+    .map((session) => session.userId)
+    .unwrapOr(null);
+  console.log("6. Session user:", userId); // Output: 6. Session user: 1
+  console.log("6.", auth.getUser(42).unwrapErr().code, auth.getAllUsers(1).unwrapErr().code); // Output: 6. USER_NOT_FOUND ACCESS_CONTROL_MISSING
+  console.log("6. Other callers still get objects:", AuthService.loginUser("carol_user", "s3cret").success); // Output: 6. Other callers still get objects: true
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,307 @@
+/**
+ * File: 05-auth-permissions.js
+ * Description: Role-based access control (RBAC) on top of the `AuthService` from
+ * 04-auth-service.js. Roles map to permissions, `can(userId, action, resource)`
+ * answers "may this user do that?", `AuthService` checks its admin operations
+ * (`getAllUsers`, `setRoles`) through `authorize`, guard wrappers protect any other
+ * function, and every denied attempt is written to an audit log.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { AuthService, MemoryUserStore } from "./04-auth-service.js";
+
+// =========================================================================
+// 1. Permissions and Roles
+// =========================================================================
+
+/**
+ * **Vocabulary:**
+ * -   A **permission** is a string `"action:resource"`, e.g. `"read:users"`.
+ * Either half may be `*`: `"read:*"` reads anything, `"*:*"` allows everything.
+ * -   A **role** is a named set of permissions, e.g. `support` → `["read:users"]`.
+ * A role can **inherit** other roles and gets their permissions too.
+ * -   **Users carry role names** (`AuthService` stores them with the user record),
+ * while each `AccessControl` instance decides what those names allow.
+ * Several internal tools can share one user list but define different policies.
+ */
+
+/**
+ * Thrown by guarded functions when the caller lacks a permission.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class PermissionDeniedError extends Error {
+  constructor(message, { userId, action, resource } = {}) {
+    super(message);
+    this.name = "PermissionDeniedError";
+    this.userId = userId;
+    this.action = action;
+    this.resource = resource;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, PermissionDeniedError);
+    }
+  }
+}
+
+function parsePermission(permission) {
+  const [action, resource, ...rest] = String(permission).split(":");
+  if (!action || !resource || rest.length > 0) {
+    throw new TypeError(
+      `Invalid permission "${permission}". Expected "action:resource".`
+    );
+  }
+  return { action, resource };
+}
+
+function permissionAllows(permission, action, resource) {
+  return (
+    (permission.action === "*" || permission.action === action) &&
+    (permission.resource === "*" || permission.resource === resource)
+  );
+}
+
+// =========================================================================
+// 2. AccessControl
+// =========================================================================
+
+/**
+ * **AccessControl:**
+ * -   Created with a role table:
+ * ```
+ * new AccessControl({
+ *   roles: {
+ *     user: ["read:profile"],
+ *     support: { inherits: ["user"], permissions: ["read:users"] },
+ *     admin: { inherits: ["support"], permissions: ["*:*"] },
+ *   },
+ * });
+ * ```
+ * -   Role inheritance is resolved once, in the constructor, so `can()` is a
+ * plain lookup. Cycles (`a` inherits `b` inherits `a`) are rejected.
+ * -   By default user roles come from `AuthService.getUser(userId).roles`;
+ * pass `getUserRoles` to use another user directory.
+ */
+export class AccessControl {
+  #permissionsByRole = new Map(); // role -> [{ action, resource }]
+  #getUserRoles;
+  #auditLog = [];
+  #now;
+  #onDenied;
+
+  /**
+   * @param {object} config
+   * @param {object} config.roles - Role table, see above.
+   * @param {Function} [config.getUserRoles] - `(userId) => string[] | undefined`.
+   * @param {Function} [config.now] - Clock for audit timestamps.
+   * @param {Function} [config.onDenied] - Called with each audit entry as it is recorded.
+   */
+  constructor({
+    roles,
+    getUserRoles = (userId) => AuthService.getUser(userId)?.roles,
+    now = () => Date.now(),
+    onDenied,
+  }) {
+    this.#getUserRoles = getUserRoles;
+    this.#now = now;
+    this.#onDenied = onDenied;
+
+    const definitions = new Map(
+      Object.entries(roles).map(([name, definition]) => [
+        name,
+        Array.isArray(definition)
+          ? { inherits: [], permissions: definition }
+          : { inherits: definition.inherits ?? [], permissions: definition.permissions ?? [] },
+      ])
+    );
+
+    for (const name of definitions.keys()) {
+      this.#permissionsByRole.set(name, this.#resolveRole(name, definitions, []));
+    }
+  }
+
+  /**
+   * Collects a role's own permissions plus those of every inherited role.
+   * `path` holds the roles being resolved, to detect inheritance cycles.
+   */
+  #resolveRole(name, definitions, path) {
+    if (path.includes(name)) {
+      throw new Error(`Role inheritance cycle: ${[...path, name].join(" -> ")}`);
+    }
+    const definition = definitions.get(name);
+    if (!definition) {
+      throw new Error(`Role "${path.at(-1)}" inherits unknown role "${name}"`);
+    }
+
+    return [
+      ...definition.permissions.map(parsePermission),
+      ...definition.inherits.flatMap((parent) =>
+        this.#resolveRole(parent, definitions, [...path, name])
+      ),
+    ];
+  }
+
+  /**
+   * Lists the roles of a user that this instance knows about.
+   * Unknown role names are ignored rather than treated as errors, so a role
+   * added for one tool does not break the others.
+   * @param {number} userId
+   * @returns {string[]}
+   */
+  rolesOf(userId) {
+    const roles = this.#getUserRoles(userId) ?? [];
+    return roles.filter((role) => this.#permissionsByRole.has(role));
+  }
+
+  /**
+   * Checks whether a user may perform an action on a resource.
+   * Unknown users may do nothing.
+   * @param {number} userId - The acting user.
+   * @param {string} action - e.g. "read".
+   * @param {string} resource - e.g. "users".
+   * @returns {boolean}
+   */
+  can(userId, action, resource) {
+    return this.rolesOf(userId).some((role) =>
+      this.#permissionsByRole
+        .get(role)
+        .some((permission) => permissionAllows(permission, action, resource))
+    );
+  }
+
+  /**
+   * Like `can`, but throws `PermissionDeniedError` and records the attempt
+   * in the audit log when the answer is no.
+   * @param {number} userId
+   * @param {string} action
+   * @param {string} resource
+   */
+  authorize(userId, action, resource) {
+    if (this.can(userId, action, resource)) return;
+
+    const known = this.#getUserRoles(userId) !== undefined;
+    const entry = Object.freeze({
+      at: new Date(this.#now()).toISOString(),
+      userId,
+      action,
+      resource,
+      reason: known ? "missing permission" : "unknown user",
+    });
+    this.#auditLog.push(entry);
+    this.#onDenied?.(entry);
+
+    throw new PermissionDeniedError(
+      `User ${userId} is not allowed to ${action} ${resource}.`,
+      { userId, action, resource }
+    );
+  }
+
+  /**
+   * Wraps a function so it only runs for users with the given permission.
+   * The wrapped function takes the acting user's id as an **extra first
+   * argument**: `guarded(actorId, ...originalArgs)`.
+   * @param {Function} fn - The function to protect.
+   * @param {string} action
+   * @param {string} resource
+   * @returns {Function}
+   */
+  guard(fn, action, resource) {
+    const accessControl = this;
+    return function guarded(actorId, ...args) {
+      accessControl.authorize(actorId, action, resource);
+      return fn.apply(this, args);
+    };
+  }
+
+  /**
+   * Builds an object exposing guarded versions of a service's methods.
+   * ```
+   * const reportsApi = access.guardMethods(reports, {
+   *   monthlySignups: "read:reports",
+   *   exportUsers: "export:users",
+   * });
+   * reportsApi.monthlySignups(actorId, 2026, 1);
+   * ```
+   * Methods keep their `this` (so static methods of a class keep working).
+   * @param {object} service - Object or class whose methods are wrapped.
+   * @param {Object<string, string>} permissions - Method name → "action:resource".
+   * @returns {object}
+   */
+  guardMethods(service, permissions) {
+    const guardedApi = {};
+    for (const [method, permission] of Object.entries(permissions)) {
+      if (typeof service[method] !== "function") {
+        throw new TypeError(`Cannot guard "${method}": not a method of the service.`);
+      }
+      const { action, resource } = parsePermission(permission);
+      const guarded = this.guard(service[method], action, resource);
+      guardedApi[method] = (actorId, ...args) => guarded.call(service, actorId, ...args);
+    }
+    return Object.freeze(guardedApi);
+  }
+
+  /**
+   * Returns a copy of the audit log of denied actions, oldest first.
+   * Entries are frozen so callers cannot rewrite history.
+   * @returns {Array<{ at: string, userId: number, action: string, resource: string, reason: string }>}
+   */
+  getAuditLog() {
+    return [...this.#auditLog];
+  }
+}
+
+// =========================================================================
+// 3. Demo
+// =========================================================================
+
+export function runDemo() {
+  const access = new AccessControl({
+    roles: {
+      user: ["read:profile", "update:profile"],
+      support: { inherits: ["user"], permissions: ["read:users"] },
+      admin: { inherits: ["support"], permissions: ["assign:roles", "read:reports"] },
+    },
+    now: () => Date.parse("2026-01-01T09:05:00Z"),
+  });
+
+  const storage = new MemoryUserStore();
+  AuthService.configure({ storage, accessControl: access, now: () => Date.parse("2026-01-01T09:00:00Z") });
+  const { userId: aliceId } = AuthService.registerUser("alice_admin", "pass123");
+  const { userId: bobId } = AuthService.registerUser("bob_user", "securepwd");
+  // The first admin cannot be appointed by another admin; the code that owns the storage sets it up
+  storage.update({ ...storage.findById(aliceId), roles: ["user", "admin"] });
+
+  // Example 1: can() with inherited permissions
+  console.log("1. Alice can read users:", access.can(aliceId, "read", "users")); // Output: true
+  console.log("1. Bob can read users:", access.can(bobId, "read", "users")); // Output: false
+  console.log("1. Bob can update profile:", access.can(bobId, "update", "profile")); // Output: true
+
+  // Example 2: AuthService's admin operations only work for permitted users
+  console.log("2. Users (as Alice):", AuthService.getAllUsers(aliceId).length); // Output: 2
+
+  try {
+    AuthService.setRoles(bobId, bobId, ["admin"]); // Bob tries to promote himself
+  } catch (error) {
+    console.log("2.", error.name, "-", error.message);
+    // Output: 2. PermissionDeniedError - User 2 is not allowed to assign roles.
+  }
+  console.log("2. Bob's roles:", AuthService.getUser(bobId).roles); // Output: 2. Bob's roles: [ 'user' ]
+
+  // Example 3: guard any other function the same way
+  const reports = { monthlySignups: (year, month) => `${year}-${String(month).padStart(2, "0")}: 2 signups` };
+  const reportsApi = access.guardMethods(reports, { monthlySignups: "read:reports" });
+  console.log("3.", reportsApi.monthlySignups(aliceId, 2026, 1)); // Output: 3. 2026-01: 2 signups
+
+  // Example 4: every denied attempt is audited
+  try {
+    AuthService.getAllUsers(99); // Not a registered user
+  } catch {
+    // Already recorded in the audit log
+  }
+  console.log("4. Audit log:", access.getAuditLog().map((entry) => `${entry.userId}:${entry.reason}`));
+  // Output: 4. Audit log: [ '2:missing permission', '99:unknown user' ]
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,467 @@
+/**
+ * File: 06-shop.js
+ * Description: A small shop built on the `Product` / `Book` / `Electronics`
+ * hierarchy from 02-classes-real-world-example.js: an `Inventory` that tracks stock
+ * per SKU and refuses to oversell, a `Cart` with line items, discount rules
+ * (percentage, buy-X-get-Y, category) and a `checkout` that produces an immutable
+ * `Order` with tax per line. It is the fetchData → addToCart → payment flow from
+ * 06-asynchronus-javascript/02-callback-hell.js, written as classes. All amounts are
+ * `Money` values (07-money.js), so totals are exact to the cent.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { Book as BasicBook, Electronics as BasicElectronics, Product as BasicProduct } from "./02-classes-real-world-example.js";
+import { CurrencyMismatchError, Money } from "./07-money.js";
+
+// =========================================================================
+// 1. Products (built on 02-classes-real-world-example.js)
+// =========================================================================
+
+/**
+ * **Product hierarchy:**
+ * -   `Product`, `Book` and `Electronics` extend the classes of the same name
+ * from 02-classes-real-world-example.js, so they keep `displayInfo`,
+ * `getAuthorInfo`, `getWarrantyInfo`, `powerOn` and their `Money` prices.
+ * -   Shop products add a category, which category discounts and tax rates
+ * use: `Book` is "books", `Electronics` is "electronics", a plain `Product`
+ * is "general" unless told otherwise.
+ * -   Plain-number and decimal-string prices are read as US dollars; pass a
+ * `Money` for any other currency.
+ */
+
+/**
+ * Makes a shop product class out of one of the lesson's product classes.
+ * `Book` and `Electronics` already extend the lesson's `Product`, and a class has
+ * only one parent, so the category is added by a function that returns a
+ * subclass of whichever class it is given (a mixin).
+ * @param {typeof BasicProduct} Base
+ * @param {string} category
+ */
+function shopProduct(Base, category) {
+  return class extends Base {
+    constructor(...args) {
+      super(...args);
+      this.category = category;
+    }
+  };
+}
+
+export class Product extends shopProduct(BasicProduct, "general") {
+  constructor(name, price, sku, category = "general") {
+    super(name, price, sku);
+    this.category = category;
+  }
+}
+
+export class Book extends shopProduct(BasicBook, "books") {}
+
+export class Electronics extends shopProduct(BasicElectronics, "electronics") {}
+
+function assertQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new RangeError(`Quantity must be a non-negative integer, got ${quantity}`);
+  }
+}
+
+// =========================================================================
+// 2. Inventory
+// =========================================================================
+
+/**
+ * Thrown when a cart or checkout asks for more units than are in stock.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class OutOfStockError extends Error {
+  constructor(message, shortages) {
+    super(message);
+    this.name = "OutOfStockError";
+    this.shortages = shortages; // [{ sku, requested, available }]
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, OutOfStockError);
+    }
+  }
+}
+
+/**
+ * **Inventory:**
+ * -   Tracks how many units of each SKU are in stock.
+ * -   `commit()` takes stock for a whole order **all or nothing**: if one line
+ * is short, no line is taken.
+ */
+export class Inventory {
+  #stock = new Map(); // sku -> { product, quantity }
+
+  /**
+   * Adds units of a product (registering the product on first use).
+   * @param {Product} product
+   * @param {number} quantity
+   */
+  restock(product, quantity) {
+    assertQuantity(quantity);
+    const entry = this.#stock.get(product.sku) ?? { product, quantity: 0 };
+    entry.quantity += quantity;
+    this.#stock.set(product.sku, entry);
+  }
+
+  /**
+   * @param {string} sku
+   * @returns {number} Units in stock (0 for unknown SKUs).
+   */
+  available(sku) {
+    return this.#stock.get(sku)?.quantity ?? 0;
+  }
+
+  /**
+   * Lists the requested quantities that exceed the stock.
+   * @param {Array<{ sku: string, quantity: number }>} requests
+   * @returns {Array<{ sku: string, requested: number, available: number }>}
+   */
+  shortages(requests) {
+    return requests
+      .filter(({ sku, quantity }) => quantity > this.available(sku))
+      .map(({ sku, quantity }) => ({
+        sku,
+        requested: quantity,
+        available: this.available(sku),
+      }));
+  }
+
+  /**
+   * Removes the requested units from stock, or nothing at all.
+   * @param {Array<{ sku: string, quantity: number }>} requests
+   * @throws {OutOfStockError} When any line is short.
+   */
+  commit(requests) {
+    const shortages = this.shortages(requests);
+    if (shortages.length > 0) {
+      const skus = shortages.map((shortage) => shortage.sku).join(", ");
+      throw new OutOfStockError(`Not enough stock for: ${skus}`, shortages);
+    }
+    for (const { sku, quantity } of requests) {
+      this.#stock.get(sku).quantity -= quantity;
+    }
+  }
+}
+
+// =========================================================================
+// 3. Cart
+// =========================================================================
+
+/**
+ * **Cart:**
+ * -   Holds one line per SKU with a quantity; adding the same product twice
+ * increases the quantity.
+ * -   When created with an inventory, it refuses to hold more units than are
+ * in stock. Stock is only taken at checkout, so two carts can still compete
+ * for the last unit, and checkout checks again.
+ * -   A cart has one currency; products priced in another are rejected.
+ */
+export class Cart {
+  #lines = new Map(); // sku -> { product, quantity }
+  #inventory;
+  #currency;
+
+  /**
+   * @param {{ inventory?: Inventory, currency?: string }} [options]
+   */
+  constructor({ inventory, currency = "USD" } = {}) {
+    this.#inventory = inventory;
+    this.#currency = currency;
+  }
+
+  get currency() {
+    return this.#currency;
+  }
+
+  /**
+   * Adds units of a product.
+   * @param {Product} product
+   * @param {number} [quantity=1]
+   * @returns {Cart} The cart, for chaining.
+   */
+  add(product, quantity = 1) {
+    assertQuantity(quantity);
+    if (product.price.currency !== this.#currency) {
+      throw new CurrencyMismatchError(this.#currency, product.price.currency);
+    }
+    const current = this.#lines.get(product.sku)?.quantity ?? 0;
+    this.#checkStock(product.sku, current + quantity);
+    this.#lines.set(product.sku, { product, quantity: current + quantity });
+    return this;
+  }
+
+  /**
+   * Sets the quantity of a line; 0 removes the line.
+   * @param {string} sku
+   * @param {number} quantity
+   * @returns {Cart}
+   */
+  setQuantity(sku, quantity) {
+    assertQuantity(quantity);
+    const line = this.#lines.get(sku);
+    if (!line) throw new Error(`SKU ${sku} is not in the cart`);
+
+    if (quantity === 0) {
+      this.#lines.delete(sku);
+    } else {
+      this.#checkStock(sku, quantity);
+      this.#lines.set(sku, { ...line, quantity });
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} sku
+   * @returns {Cart}
+   */
+  remove(sku) {
+    this.#lines.delete(sku);
+    return this;
+  }
+
+  clear() {
+    this.#lines.clear();
+  }
+
+  /**
+   * The cart lines as read-only copies.
+   * @returns {Array<{ product: Product, quantity: number }>}
+   */
+  get lines() {
+    return [...this.#lines.values()].map((line) => Object.freeze({ ...line }));
+  }
+
+  get itemCount() {
+    return this.lines.reduce((count, line) => count + line.quantity, 0);
+  }
+
+  /**
+   * @returns {Money}
+   */
+  get subtotal() {
+    return Money.sum(
+      this.lines.map((line) => line.product.price.multiply(line.quantity)),
+      this.#currency
+    );
+  }
+
+  #checkStock(sku, quantity) {
+    if (!this.#inventory) return;
+    const shortages = this.#inventory.shortages([{ sku, quantity }]);
+    if (shortages.length > 0) {
+      throw new OutOfStockError(
+        `Only ${shortages[0].available} of ${sku} in stock`,
+        shortages
+      );
+    }
+  }
+}
+
+// =========================================================================
+// 4. Discount Rules
+// =========================================================================
+
+/**
+ * **Discount rules** are small objects made by factory functions:
+ * `{ description, discountFor(line) }`, where `discountFor` returns the `Money`
+ * taken off one cart line (`{ product, quantity, subtotal }`).
+ * -   Rules are computed independently on the undiscounted line, then added up;
+ * a line's total discount never exceeds its subtotal.
+ * -   Working per line (instead of on the cart total) lets checkout tax each
+ * line on what the customer actually pays for it.
+ */
+
+/**
+ * Takes a percentage off every line.
+ * @param {number} percent - e.g. 10 for 10%.
+ */
+export function percentageOff(percent) {
+  return {
+    description: `${percent}% off everything`,
+    discountFor: (line) => line.subtotal.percentage(percent),
+  };
+}
+
+/**
+ * For every `buy` units of a SKU, `free` more units cost nothing
+ * ("buy 2 get 1 free": 3 units → 1 free, 6 units → 2 free, 5 units → 1 free).
+ * @param {string} sku
+ * @param {number} buy
+ * @param {number} free
+ */
+export function buyXGetY(sku, buy, free) {
+  return {
+    description: `Buy ${buy} get ${free} free on ${sku}`,
+    discountFor: (line) => {
+      if (line.product.sku !== sku) return Money.zero(line.subtotal.currency);
+      const freeUnits = Math.floor(line.quantity / (buy + free)) * free;
+      return line.product.price.multiply(freeUnits);
+    },
+  };
+}
+
+/**
+ * Takes a percentage off lines of one category, e.g. `categoryOff("books", 20)`.
+ * @param {string} category
+ * @param {number} percent
+ */
+export function categoryOff(category, percent) {
+  return {
+    description: `${percent}% off ${category}`,
+    discountFor: (line) =>
+      line.product.category === category
+        ? line.subtotal.percentage(percent)
+        : Money.zero(line.subtotal.currency),
+  };
+}
+
+// =========================================================================
+// 5. Checkout and Order
+// =========================================================================
+
+/**
+ * **Order:**
+ * -   Created only by `checkout()`; everything in it is frozen, so an order
+ * cannot change after it was placed.
+ * -   Each line records unit price, quantity, subtotal, discount, tax rate, tax and total.
+ * Amounts are `Money`; tax is rounded once per line, so the order total is
+ * exactly the sum of what is printed on each line.
+ */
+export class Order {
+  static #nextNumber = 1;
+
+  constructor(lines, { discounts, createdAt, currency }) {
+    this.id = `ORD-${String(Order.#nextNumber++).padStart(4, "0")}`;
+    this.createdAt = createdAt;
+    this.lines = Object.freeze(lines.map((line) => Object.freeze(line)));
+    this.appliedDiscounts = Object.freeze(discounts.map((rule) => rule.description));
+    this.currency = currency;
+
+    const sum = (field) => Money.sum(lines.map((line) => line[field]), currency);
+    this.subtotal = sum("subtotal");
+    this.discountTotal = sum("discount");
+    this.taxTotal = sum("tax");
+    this.total = sum("total");
+    Object.freeze(this);
+  }
+
+  /**
+   * A printable receipt, one row per line.
+   * @returns {string}
+   */
+  toString() {
+    const rows = this.lines.map(
+      (line) =>
+        `${line.quantity} x ${line.name} @ ${line.unitPrice.format()}` +
+        ` - ${line.discount.format()} + tax ${line.tax.format()} = ${line.total.format()}`
+    );
+    return [`Order ${this.id}`, ...rows, `Total: ${this.total.format()}`].join("\n");
+  }
+}
+
+/**
+ * Turns a cart into an order.
+ * -   Applies every discount rule to every line.
+ * -   Taxes each line at `taxRates[category]`, falling back to `taxRates.default`.
+ * -   Takes the stock from the inventory (all or nothing) and empties the cart.
+ *
+ * @param {Cart} cart
+ * @param {object} [options]
+ * @param {Inventory} [options.inventory] - Stock to take the items from.
+ * @param {Array} [options.discounts] - Discount rules (section 4).
+ * @param {Object<string, number>} [options.taxRates] - e.g. `{ default: 0.08, books: 0 }`.
+ * @param {Function} [options.now] - Clock for the order timestamp.
+ * @returns {Order}
+ * @throws {OutOfStockError} When the inventory cannot cover the cart.
+ */
+export function checkout(
+  cart,
+  { inventory, discounts = [], taxRates = { default: 0.08 }, now = () => Date.now() } = {}
+) {
+  const cartLines = cart.lines;
+  if (cartLines.length === 0) {
+    throw new Error("Cannot check out an empty cart");
+  }
+
+  const orderLines = cartLines.map(({ product, quantity }) => {
+    const subtotal = product.price.multiply(quantity);
+    const line = { product, quantity, subtotal };
+    const discount = Money.sum(
+      discounts.map((rule) => rule.discountFor(line)),
+      cart.currency
+    ).min(subtotal);
+    const taxRate = taxRates[product.category] ?? taxRates.default ?? 0;
+    const tax = subtotal.subtract(discount).multiply(taxRate);
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      unitPrice: product.price,
+      quantity,
+      subtotal,
+      discount,
+      taxRate,
+      tax,
+      total: subtotal.subtract(discount).add(tax),
+    };
+  });
+
+  inventory?.commit(orderLines);
+  cart.clear();
+
+  return new Order(orderLines, {
+    discounts,
+    createdAt: new Date(now()).toISOString(),
+    currency: cart.currency,
+  });
+}
+
+// =========================================================================
+// 6. Demo
+// =========================================================================
+
+export function runDemo() {
+  const laptop = new Electronics("Laptop Pro", 1200.0, "ELC001", "TechBrand", 2);
+  const novel = new Book("The Great Adventure", 15.99, "BOK001", "Jane Writer", "978-1234567890");
+  const headphones = new Product("Wireless Headphones", 99.5, "AUD001");
+
+  const inventory = new Inventory();
+  inventory.restock(laptop, 1);
+  inventory.restock(novel, 10);
+  inventory.restock(headphones, 5);
+
+  // Example 1: the cart refuses to oversell
+  const cart = new Cart({ inventory });
+  cart.add(laptop).add(novel, 3).add(headphones);
+  try {
+    cart.add(laptop);
+  } catch (error) {
+    console.log("1.", error.name, "-", error.message); // Output: 1. OutOfStockError - Only 1 of ELC001 in stock
+  }
+  console.log("1. Items in cart:", cart.itemCount, "Subtotal:", cart.subtotal.format()); // Output: 1. Items in cart: 5 Subtotal: $1,347.47
+
+  // Example 2: checkout with discounts and per-category tax
+  const order = checkout(cart, {
+    inventory,
+    discounts: [buyXGetY("BOK001", 2, 1), categoryOff("electronics", 10)],
+    taxRates: { default: 0.08, books: 0 },
+    now: () => Date.parse("2026-01-01T09:00:00Z"),
+  });
+  console.log(order.toString());
+  // Output:
+  // Order ORD-0001
+  // 1 x Laptop Pro @ $1,200.00 - $120.00 + tax $86.40 = $1,166.40
+  // 3 x The Great Adventure @ $15.99 - $15.99 + tax $0.00 = $31.98
+  // 1 x Wireless Headphones @ $99.50 - $0.00 + tax $7.96 = $107.46
+  // Total: $1,305.84
+
+  // Example 3: stock was taken and the order cannot be changed
+  console.log("3. Laptops left:", inventory.available("ELC001")); // Output: 0
+  console.log("3. Order is frozen:", Object.isFrozen(order) && Object.isFrozen(order.lines[0])); // Output: true
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
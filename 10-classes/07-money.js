@@ -0,0 +1,443 @@
+/**
+ * File: 07-money.js
+ * Description: A `Money` value type for prices. Amounts are stored as a BigInt count of
+ * minor units (cents for USD, yen for JPY) together with an ISO 4217 currency code,
+ * so arithmetic never suffers from binary floating-point errors such as
+ * `0.1 + 0.2 === 0.30000000000000004`. Includes banker's rounding, allocation
+ * without losing cents, and locale formatting via `Intl.NumberFormat`.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Why Not Plain Numbers?
+// =========================================================================
+
+/**
+ * **The floating-point problem:**
+ * -   JavaScript numbers are binary floating point (IEEE 754). Most decimal
+ * fractions (0.1, 15.99) have no exact binary representation.
+ * -   `0.1 + 0.2` is `0.30000000000000004`, and `1.005 * 100` is
+ * `100.49999999999999`. `toFixed(2)` hides the error when printing, but
+ * totals built from many such values can end up a cent off.
+ * -   **Fix:** count money in whole minor units with integers. BigInt has no
+ * upper limit, so even very large totals stay exact.
+ * -   Multiplying by a rate (tax, discount) can still produce fractions of a
+ * cent; those are rounded explicitly, once, with a documented rule.
+ */
+
+/**
+ * Thrown when amounts in two different currencies are combined.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class CurrencyMismatchError extends Error {
+  constructor(left, right) {
+    super(`Cannot combine ${left} with ${right}`);
+    this.name = "CurrencyMismatchError";
+    this.currencies = [left, right];
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, CurrencyMismatchError);
+    }
+  }
+}
+
+// =========================================================================
+// 2. Decimal Helpers
+// =========================================================================
+
+/**
+ * Parses a decimal number or numeric string **exactly** into
+ * `{ units, scale }`, meaning `units / 10 ** scale`.
+ * `"15.99"` → `{ units: 1599n, scale: 2 }`, `1.5e-3` → `{ units: 15n, scale: 4 }`.
+ * Numbers are read through `String(number)`, the shortest text that
+ * round-trips, so `15.99` is treated as the decimal the author wrote.
+ */
+function parseDecimal(value) {
+  if (typeof value === "bigint") return { units: value, scale: 0 };
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new RangeError(`Amount must be finite, got ${value}`);
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!match || (match[2] === "" && !match[3])) {
+    throw new TypeError(`Not a decimal amount: ${JSON.stringify(value)}`);
+  }
+
+  const [, sign = "", whole, fraction = "", exponent = "0"] = match;
+  let units = BigInt(`${sign}${whole || "0"}${fraction}`);
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { units, scale };
+}
+
+/**
+ * Integer division with **banker's rounding** (round half to even):
+ * exact halves go to the nearest even number, so 0.5 → 0, 1.5 → 2, 2.5 → 2.
+ * Unlike "round half up", this does not push sums upward on average, which
+ * is why it is used for financial totals.
+ */
+function divideHalfEven(numerator, denominator) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  let quotient = numerator / denominator; // BigInt division truncates toward zero
+  const remainder = numerator % denominator;
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n !== 0n)) {
+    quotient += numerator < 0n ? -1n : 1n;
+  }
+  return quotient;
+}
+
+const digitsCache = new Map();
+
+/**
+ * How many minor-unit digits a currency has (USD 2, JPY 0, BHD 3), taken from
+ * the ICU data behind `Intl.NumberFormat`. Unknown codes throw a RangeError.
+ */
+function minorDigitsOf(currency) {
+  if (!digitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat("en", {
+      style: "currency",
+      currency,
+    }).resolvedOptions();
+    digitsCache.set(currency, maximumFractionDigits);
+  }
+  return digitsCache.get(currency);
+}
+
+// =========================================================================
+// 3. The Money Class
+// =========================================================================
+
+/**
+ * **Money:**
+ * -   Immutable: every operation returns a new `Money`.
+ * -   `minor` is a BigInt number of minor units; `currency` an ISO 4217 code.
+ * -   Arithmetic between different currencies throws `CurrencyMismatchError`;
+ * there is deliberately no implicit exchange rate.
+ */
+export class Money {
+  /**
+   * Prefer the factories `Money.of` and `Money.fromMinor`.
+   * @param {bigint} minor - Amount in minor units.
+   * @param {string} currency - ISO 4217 code, e.g. "USD".
+   */
+  constructor(minor, currency) {
+    if (typeof minor !== "bigint") {
+      throw new TypeError("Money expects a BigInt amount of minor units");
+    }
+    this.minor = minor;
+    this.currency = currency.toUpperCase();
+    this.digits = minorDigitsOf(this.currency);
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates money from a major-unit amount: `Money.of("15.99", "USD")` or `Money.of(15.99)`.
+   * Extra decimals beyond the currency's minor unit are rounded half-even.
+   * @param {number|string|bigint} amount
+   * @param {string} [currency="USD"]
+   * @returns {Money}
+   */
+  static of(amount, currency = "USD") {
+    const digits = minorDigitsOf(currency.toUpperCase());
+    const { units, scale } = parseDecimal(amount);
+    const minor =
+      scale <= digits
+        ? units * 10n ** BigInt(digits - scale)
+        : divideHalfEven(units, 10n ** BigInt(scale - digits));
+    return new Money(minor, currency);
+  }
+
+  /**
+   * Creates money from minor units: `Money.fromMinor(1599, "USD")` is $15.99.
+   * @param {number|bigint} minor - Must be an integer.
+   * @param {string} [currency="USD"]
+   * @returns {Money}
+   */
+  static fromMinor(minor, currency = "USD") {
+    if (typeof minor === "number" && !Number.isSafeInteger(minor)) {
+      throw new RangeError(`Minor units must be a safe integer, got ${minor}`);
+    }
+    return new Money(BigInt(minor), currency);
+  }
+
+  /**
+   * @param {string} [currency="USD"]
+   * @returns {Money} Zero in the given currency.
+   */
+  static zero(currency = "USD") {
+    return new Money(0n, currency);
+  }
+
+  /**
+   * Adds up a list of amounts. An empty list gives zero in `currency`.
+   * @param {Money[]} amounts
+   * @param {string} [currency="USD"]
+   * @returns {Money}
+   */
+  static sum(amounts, currency = "USD") {
+    return amounts.reduce((total, amount) => total.add(amount), Money.zero(amounts[0]?.currency ?? currency));
+  }
+
+  #assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new TypeError(`Expected Money, got ${typeof other}`);
+    }
+    if (other.currency !== this.currency) {
+      throw new CurrencyMismatchError(this.currency, other.currency);
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // 3.1. Arithmetic
+  // -------------------------------------------------------------------------
+
+  add(other) {
+    this.#assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  subtract(other) {
+    this.#assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * Multiplies by a quantity or a rate, rounding half-even to the minor unit.
+   * `Money.of(15.99).multiply(1.08)` is exactly 17.2692, rounded to $17.27.
+   * With a `divisor`, the result is `this * factor / divisor`, rounded once:
+   * `multiply(0.04, 365)` is a daily rate without rounding in between.
+   * @param {number|string|bigint} factor
+   * @param {number|string|bigint} [divisor=1]
+   * @returns {Money}
+   */
+  multiply(factor, divisor = 1) {
+    const { units, scale } = parseDecimal(factor);
+    const { units: divisorUnits, scale: divisorScale } = parseDecimal(divisor);
+    if (divisorUnits === 0n) {
+      throw new RangeError("Cannot divide money by zero");
+    }
+    return new Money(
+      divideHalfEven(this.minor * units * 10n ** BigInt(divisorScale), divisorUnits * 10n ** BigInt(scale)),
+      this.currency
+    );
+  }
+
+  /**
+   * A percentage of this amount: `Money.of(200).percentage(15)` is $30.00.
+   * @param {number|string} percent
+   * @returns {Money}
+   */
+  percentage(percent) {
+    const { units, scale } = parseDecimal(percent);
+    return new Money(divideHalfEven(this.minor * units, 100n * 10n ** BigInt(scale)), this.currency);
+  }
+
+  /**
+   * Divides by a number, rounding half-even: `Money.of(100).divide(3)` is $33.33.
+   * Use `split` or `allocate` when the parts must add back up to the whole.
+   * @param {number|string|bigint} divisor
+   * @returns {Money}
+   */
+  divide(divisor) {
+    const { units, scale } = parseDecimal(divisor);
+    if (units === 0n) {
+      throw new RangeError("Cannot divide money by zero");
+    }
+    return new Money(divideHalfEven(this.minor * 10n ** BigInt(scale), units), this.currency);
+  }
+
+  negate() {
+    return new Money(-this.minor, this.currency);
+  }
+
+  // -------------------------------------------------------------------------
+  // 3.2. Allocation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Splits the amount in proportion to `ratios` **without losing or inventing
+   * a single minor unit**: the parts always add up to the original amount.
+   * -   Each part first gets its rounded-down share.
+   * -   The leftover units go, one each, to the parts whose share lost the most
+   * to rounding (ties go to the earlier part).
+   * `Money.of(100).allocate([1, 1, 1])` → $33.34, $33.33, $33.33.
+   * @param {Array<number|string>} ratios - Non-negative, not all zero.
+   * @returns {Money[]}
+   */
+  allocate(ratios) {
+    const parsed = ratios.map(parseDecimal);
+    const maxScale = Math.max(...parsed.map((ratio) => ratio.scale));
+    const weights = parsed.map(({ units, scale }) => units * 10n ** BigInt(maxScale - scale));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (weights.some((weight) => weight < 0n) || totalWeight === 0n) {
+      throw new RangeError("Ratios must be non-negative and not all zero");
+    }
+
+    const sign = this.minor < 0n ? -1n : 1n;
+    const amount = this.minor * sign;
+    const shares = weights.map((weight) => ({
+      minor: (amount * weight) / totalWeight,
+      lost: (amount * weight) % totalWeight,
+    }));
+
+    let leftover = amount - shares.reduce((sum, share) => sum + share.minor, 0n);
+    const byLoss = shares
+      .map((share, index) => ({ index, lost: share.lost }))
+      .sort((a, b) => (b.lost > a.lost ? 1 : b.lost < a.lost ? -1 : a.index - b.index));
+    for (const { index } of byLoss) {
+      if (leftover === 0n) break;
+      shares[index].minor += 1n;
+      leftover -= 1n;
+    }
+
+    return shares.map((share) => new Money(share.minor * sign, this.currency));
+  }
+
+  /**
+   * Splits into `parts` equal amounts (as equal as minor units allow).
+   * `Money.of(10).split(3)` → $3.34, $3.33, $3.33.
+   * @param {number} parts
+   * @returns {Money[]}
+   */
+  split(parts) {
+    if (!Number.isInteger(parts) || parts < 1) {
+      throw new RangeError(`Cannot split into ${parts} parts`);
+    }
+    return this.allocate(Array(parts).fill(1));
+  }
+
+  // -------------------------------------------------------------------------
+  // 3.3. Comparison
+  // -------------------------------------------------------------------------
+
+  /**
+   * @param {Money} other
+   * @returns {-1 | 0 | 1}
+   */
+  compare(other) {
+    this.#assertSameCurrency(other);
+    if (this.minor < other.minor) return -1;
+    if (this.minor > other.minor) return 1;
+    return 0;
+  }
+
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  isZero() {
+    return this.minor === 0n;
+  }
+
+  isNegative() {
+    return this.minor < 0n;
+  }
+
+  /**
+   * @param {Money} other
+   * @returns {Money} The smaller of the two amounts.
+   */
+  min(other) {
+    return this.compare(other) <= 0 ? this : other;
+  }
+
+  // -------------------------------------------------------------------------
+  // 3.4. Output
+  // -------------------------------------------------------------------------
+
+  /**
+   * The exact amount in major units as a string: "1200.00", "-0.05", "500" (JPY).
+   * @returns {string}
+   */
+  toDecimalString() {
+    const negative = this.minor < 0n;
+    const digits = (negative ? -this.minor : this.minor).toString().padStart(this.digits + 1, "0");
+    const whole = digits.slice(0, digits.length - this.digits);
+    const fraction = digits.slice(digits.length - this.digits);
+    return `${negative ? "-" : ""}${whole}${this.digits > 0 ? `.${fraction}` : ""}`;
+  }
+
+  /**
+   * Formats for display with `Intl.NumberFormat`. The decimal string is passed
+   * to the formatter, so large amounts are not squeezed through a float.
+   * @param {string} [locale="en-US"]
+   * @param {Intl.NumberFormatOptions} [options] - e.g. `{ currencyDisplay: "code" }`.
+   * @returns {string} e.g. "$1,200.00", "1.200,00 €", "￥500".
+   */
+  format(locale = "en-US", options = {}) {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: this.currency,
+      ...options,
+    }).format(this.toDecimalString());
+  }
+
+  toString() {
+    return `${this.toDecimalString()} ${this.currency}`;
+  }
+
+  /**
+   * JSON keeps the exact decimal string (BigInt itself is not JSON-serializable).
+   * @returns {{ amount: string, currency: string }}
+   */
+  toJSON() {
+    return { amount: this.toDecimalString(), currency: this.currency };
+  }
+}
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: floats drift, Money does not
+  console.log("1. Float:", 0.1 + 0.2); // Output: 0.30000000000000004
+  console.log("1. Money:", Money.of(0.1).add(Money.of(0.2)).toString()); // Output: 0.30 USD
+  console.log("1. Tax:", Money.of(15.99).multiply(1.08).toString()); // Output: 17.27 USD
+
+  // Example 2: banker's rounding sends exact halves to the even cent
+  console.log("2.", Money.of("0.125").toString(), Money.of("0.135").toString()); // Output: 2. 0.12 USD 0.14 USD
+
+  // Example 3: splitting a bill never loses a cent
+  const parts = Money.of(100).split(3);
+  console.log("3. Split:", parts.map(String)); // Output: [ '33.34 USD', '33.33 USD', '33.33 USD' ]
+  console.log("3. Sum:", Money.sum(parts).toString()); // Output: 100.00 USD
+  console.log("3. 70/30:", Money.of("0.05").allocate([70, 30]).map(String)); // Output: [ '0.04 USD', '0.01 USD' ]
+
+  // Example 4: currencies know their minor units and locale formats
+  console.log("4.", Money.of(1234.5).format()); // Output: 4. $1,234.50
+  console.log("4.", Money.of(1234.5, "EUR").format("de-DE")); // Output: 4. 1.234,50 €
+  console.log("4.", Money.of(500, "JPY").format("ja-JP")); // Output: 4. ￥500
+
+  // Example 5: mixing currencies is an error, not a silent bug
+  try {
+    Money.of(1).add(Money.of(1, "EUR"));
+  } catch (error) {
+    console.log("5.", error.name, "-", error.message); // Output: 5. CurrencyMismatchError - Cannot combine USD with EUR
+  }
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
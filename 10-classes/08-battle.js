@@ -0,0 +1,584 @@
+/**
+ * File: 08-battle.js
+ * Description: A turn-based combat engine built on the `GameCharacter` class from
+ * 02-classes-real-world-example.js. Battles use a seedable random number generator,
+ * roll initiative every round, support critical hits, defense, status effects with a
+ * duration (poison, stun) and healing items, and record everything as structured
+ * events. The same seed and the same starting characters always produce the same log.
+ * Date: 2026-10-19
+ */
+
+import { GameCharacter as BasicGameCharacter } from "./02-classes-real-world-example.js";
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. A Seedable Random Number Generator
+// =========================================================================
+
+/**
+ * **Why not `Math.random()`?**
+ * -   `Math.random()` cannot be seeded, so a battle that went wrong can never
+ * be played again to see why.
+ * -   A **pseudo-random** generator computes each number from an internal state.
+ * Start it from the same seed and it produces the same sequence every time.
+ * -   The generator below is *mulberry32*: a 32-bit state, a few multiplications
+ * and shifts per number. Fast and well spread, but **not** for cryptography.
+ */
+
+/** FNV-1a hash, so that text seeds like "arena-1" work too. */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a deterministic random number generator.
+ * @param {number|string} seed
+ * @returns {{ seed: number|string, next: () => number, int: (min: number, max: number) => number, chance: (probability: number) => boolean }}
+ *   `next()` is in [0, 1), `int()` includes both ends, `chance(0.25)` is true about 25% of the time.
+ */
+export function createRng(seed) {
+  let state = typeof seed === "string" ? hashSeed(seed) : seed >>> 0;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    seed,
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+  };
+}
+
+// Used by GameCharacter.attack() outside a battle, where replays do not matter
+const unseededRng = createRng(Math.floor(Math.random() * 2 ** 32));
+
+// =========================================================================
+// 2. Status Effects and Items
+// =========================================================================
+
+/**
+ * **Status effects** are small objects made by factory functions, like the
+ * discount rules in 06-shop.js:
+ * `{ name, turns, atTurnStart?(character), skipsTurn? }`.
+ * -   `turns` is how many of the affected character's turns the effect lasts.
+ * -   `atTurnStart` runs at the start of each of those turns and returns the
+ * details to put in the battle log.
+ * -   Applying an effect the character already has restarts its duration
+ * instead of stacking it.
+ */
+
+/**
+ * Loses `damage` health at the start of each turn, ignoring defense.
+ * @param {number} damage
+ * @param {number} turns
+ */
+export function poison(damage, turns) {
+  return {
+    name: "poison",
+    turns,
+    atTurnStart: (character) => ({ damage: character.takeDamage(damage), health: character.health }),
+  };
+}
+
+/**
+ * The character loses its next `turns` turns.
+ * @param {number} [turns=1]
+ */
+export function stun(turns = 1) {
+  return { name: "stun", turns, skipsTurn: true };
+}
+
+/**
+ * **Items** are consumed when used: `{ name, worthUsing(target), use(target) }`.
+ * `worthUsing` lets the default strategy decide when an item helps.
+ */
+
+/**
+ * Restores up to `amount` health. Worth using below a third of max health.
+ * @param {number} [amount=30]
+ */
+export function healingPotion(amount = 30) {
+  return {
+    name: "Healing Potion",
+    worthUsing: (target) => target.health <= target.maxHealth / 3,
+    use: (target) => ({ healed: target.heal(amount), health: target.health }),
+  };
+}
+
+/**
+ * Cures poison.
+ */
+export function antidote() {
+  return {
+    name: "Antidote",
+    worthUsing: (target) => target.hasEffect("poison"),
+    use: (target) => ({ cured: target.removeEffect("poison") ? ["poison"] : [] }),
+  };
+}
+
+// =========================================================================
+// 3. GameCharacter (extends 02-classes-real-world-example.js)
+// =========================================================================
+
+/**
+ * **Default strategy:** use the first item worth using on yourself, otherwise
+ * attack the living enemy with the least health (the first one on a tie).
+ * A strategy gets `(self, { allies, enemies, round, rng })` and returns
+ * `{ type: "attack", target }`, `{ type: "item", item, target }`, or `null`
+ * to pass the turn (the default strategy does when there is no enemy left).
+ */
+export function defaultStrategy(self, { enemies }) {
+  if (enemies.length === 0) return null;
+
+  const item = self.items.find((candidate) => candidate.worthUsing?.(self));
+  if (item) return { type: "item", item, target: self };
+
+  const target = enemies.reduce((weakest, enemy) => (enemy.health < weakest.health ? enemy : weakest));
+  return { type: "attack", target };
+}
+
+/**
+ * **GameCharacter:**
+ * -   Extends the lesson's `GameCharacter`, which keeps `health` in a private
+ * field behind a getter/setter between 0 and `maxHealth`, and reports
+ * `isDefeated` when it reaches 0.
+ * -   `maxHealth` defaults to the initial health and cannot be below it.
+ * -   Combat stats come in an options object: `defense` is subtracted from
+ * every hit (a hit always does at least 1), `speed` adds to initiative,
+ * `critChance` / `critMultiplier` control critical hits.
+ * -   `onHit` lists effects an attack may apply: `[{ chance: 0.5, effect: () => poison(3, 2) }]`.
+ */
+export class GameCharacter extends BasicGameCharacter {
+  #effects = new Map(); // name -> { effect, turnsLeft }
+
+  /**
+   * @param {string} name - Must be unique within a battle.
+   * @param {number} initialHealth
+   * @param {number} attackPower
+   * @param {object} [stats]
+   * @throws {RangeError} When `stats.maxHealth` is below `initialHealth`.
+   */
+  constructor(
+    name,
+    initialHealth,
+    attackPower,
+    {
+      maxHealth = initialHealth,
+      defense = 0,
+      speed = 0,
+      critChance = 0,
+      critMultiplier = 2,
+      onHit = [],
+      items = [],
+      strategy = defaultStrategy,
+    } = {}
+  ) {
+    if (!(maxHealth >= initialHealth)) {
+      throw new RangeError(`maxHealth (${maxHealth}) must be at least the initial health (${initialHealth})`);
+    }
+    super(name, initialHealth, attackPower);
+    this.maxHealth = maxHealth;
+    this.defense = defense;
+    this.speed = speed;
+    this.critChance = critChance;
+    this.critMultiplier = critMultiplier;
+    this.onHit = onHit;
+    this.items = [...items];
+    this.strategy = strategy;
+  }
+
+  /**
+   * @param {number} amount
+   * @returns {number} The health actually restored.
+   */
+  heal(amount) {
+    const before = this.health;
+    if (amount > 0 && !this.isDefeated) this.health += amount;
+    return this.health - before;
+  }
+
+  /**
+   * Hits another character: attack power (doubled, by default, on a critical
+   * hit) minus the target's defense, at least 1.
+   * @param {GameCharacter} targetCharacter
+   * @param {object} [rng] - Random source from `createRng`; battles pass their own.
+   * @returns {{ damage: number, critical: boolean }}
+   */
+  attack(targetCharacter, rng = unseededRng) {
+    const critical = this.critChance > 0 && rng.chance(this.critChance);
+    const raw = critical ? Math.round(this.attackPower * this.critMultiplier) : this.attackPower;
+    const damage = targetCharacter.takeDamage(Math.max(1, raw - targetCharacter.defense));
+    return { damage, critical };
+  }
+
+  /**
+   * Applies a status effect, restarting it if already active.
+   * @param {object} effect - From a factory such as `poison()` or `stun()`.
+   */
+  applyEffect(effect) {
+    this.#effects.set(effect.name, { effect, turnsLeft: effect.turns });
+  }
+
+  hasEffect(name) {
+    return this.#effects.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether the effect was active.
+   */
+  removeEffect(name) {
+    return this.#effects.delete(name);
+  }
+
+  /**
+   * Active effects, in the order they were applied.
+   * @returns {Array<{ effect: object, turnsLeft: number }>}
+   */
+  get effects() {
+    return [...this.#effects.values()].map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Counts one turn off every effect and drops the finished ones.
+   * @returns {string[]} Names of the effects that just ended.
+   */
+  tickEffects() {
+    const expired = [];
+    for (const [name, entry] of this.#effects) {
+      entry.turnsLeft -= 1;
+      if (entry.turnsLeft <= 0) {
+        this.#effects.delete(name);
+        expired.push(name);
+      }
+    }
+    return expired;
+  }
+}
+
+// =========================================================================
+// 4. The Battle Engine
+// =========================================================================
+
+/**
+ * **Battle:**
+ * -   `new Battle({ teams: { heroes: [...], monsters: [...] }, seed })`, then `run()`.
+ * -   **Round:** every living character rolls initiative (`speed` + 1d20);
+ * higher goes first, ties go to the higher speed, then to the order the
+ * characters were listed in.
+ * -   **Turn:** status effects act (poison hurts, stun skips the turn) and
+ * count down; then the character's strategy picks an attack or an item.
+ * -   The battle ends when only one team has living members, or after
+ * `maxRounds` (a draw).
+ * -   **Log:** every step is a frozen plain object with a `type` and the
+ * `round`, so it can be printed (`formatEvent`), saved as JSON, or compared.
+ * All randomness comes from the seeded generator, so the log is reproducible.
+ */
+export class Battle {
+  #teams;
+  #rng;
+  #maxRounds;
+  #onEvent;
+  #log = [];
+  #round = 0;
+  #finished = false;
+
+  /**
+   * @param {object} config
+   * @param {Object<string, GameCharacter[]>} config.teams - Team name → characters; at least two non-empty teams.
+   * @param {number|string} config.seed
+   * @param {number} [config.maxRounds=100]
+   * @param {Function} [config.onEvent] - Called with each event as it happens.
+   */
+  constructor({ teams, seed, maxRounds = 100, onEvent }) {
+    const sizes = Object.values(teams).map((members) => members.length);
+    if (sizes.length < 2 || sizes.includes(0)) {
+      throw new RangeError("A battle needs at least two teams, each with at least one character");
+    }
+    const names = Object.values(teams).flat().map((character) => character.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Character names must be unique in a battle: "${duplicate}"`);
+    }
+
+    this.#teams = Object.entries(teams).map(([team, members]) => ({ team, members }));
+    this.#rng = createRng(seed);
+    this.#maxRounds = maxRounds;
+    this.#onEvent = onEvent;
+  }
+
+  /**
+   * A copy of the events so far.
+   * @returns {object[]}
+   */
+  get log() {
+    return [...this.#log];
+  }
+
+  /**
+   * Fights until one team is left or `maxRounds` have passed.
+   * A battle can only be run once, since it changes the characters.
+   * @returns {{ winner: string|null, rounds: number, log: object[] }}
+   */
+  run() {
+    if (this.#finished || this.#round > 0) {
+      throw new Error("This battle has already been fought");
+    }
+
+    this.#emit("battle-start", {
+      seed: this.#rng.seed,
+      teams: Object.fromEntries(
+        this.#teams.map(({ team, members }) => [team, members.map((character) => character.name)])
+      ),
+    });
+
+    while (!this.#finished && this.#round < this.#maxRounds) {
+      this.#playRound();
+    }
+    if (!this.#finished) this.#finish(null);
+
+    const end = this.#log.at(-1);
+    return { winner: end.winner, rounds: this.#round, log: this.log };
+  }
+
+  #emit(type, details = {}) {
+    const event = Object.freeze({ type, round: this.#round, ...details });
+    this.#log.push(event);
+    this.#onEvent?.(event);
+  }
+
+  #teamOf(character) {
+    return this.#teams.find(({ members }) => members.includes(character)).team;
+  }
+
+  #living(predicate = () => true) {
+    return this.#teams
+      .filter(predicate)
+      .flatMap(({ members }) => members.filter((character) => !character.isDefeated));
+  }
+
+  #playRound() {
+    this.#round += 1;
+    this.#emit("round-start");
+
+    const listed = this.#living();
+    const order = listed
+      .map((character, index) => ({ character, index, roll: character.speed + this.#rng.int(1, 20) }))
+      .sort((a, b) => b.roll - a.roll || b.character.speed - a.character.speed || a.index - b.index);
+    this.#emit("initiative", {
+      order: order.map(({ character, roll }) => ({ name: character.name, roll })),
+    });
+
+    for (const { character } of order) {
+      if (character.isDefeated) continue;
+      this.#takeTurn(character);
+      if (this.#checkForWinner()) return;
+    }
+  }
+
+  #takeTurn(character) {
+    let skipped = false;
+    for (const { effect } of character.effects) {
+      if (effect.atTurnStart) {
+        this.#emit("effect-tick", {
+          target: character.name,
+          effect: effect.name,
+          ...effect.atTurnStart(character),
+        });
+      }
+      skipped ||= Boolean(effect.skipsTurn);
+    }
+
+    if (character.isDefeated) {
+      this.#emit("defeated", { character: character.name });
+      return;
+    }
+    if (skipped) {
+      this.#emit("turn-skipped", { character: character.name, reason: "stun" });
+    }
+    for (const name of character.tickEffects()) {
+      this.#emit("effect-expired", { target: character.name, effect: name });
+    }
+    if (skipped) return;
+
+    const team = this.#teamOf(character);
+    const action = character.strategy(character, {
+      allies: this.#living((entry) => entry.team === team),
+      enemies: this.#living((entry) => entry.team !== team),
+      round: this.#round,
+      rng: this.#rng,
+    });
+
+    if (!action) {
+      this.#emit("turn-skipped", { character: character.name, reason: "pass" });
+    } else if (action.type === "item") {
+      this.#useItem(character, action.item, action.target);
+    } else {
+      this.#attack(character, action.target);
+    }
+  }
+
+  #attack(attacker, target) {
+    const { damage, critical } = attacker.attack(target, this.#rng);
+    this.#emit("attack", {
+      attacker: attacker.name,
+      target: target.name,
+      damage,
+      critical,
+      health: target.health,
+    });
+
+    if (target.isDefeated) {
+      this.#emit("defeated", { character: target.name });
+      return;
+    }
+    for (const { chance, effect } of attacker.onHit) {
+      if (this.#rng.chance(chance)) {
+        const applied = effect();
+        target.applyEffect(applied);
+        this.#emit("effect-applied", {
+          source: attacker.name,
+          target: target.name,
+          effect: applied.name,
+          turns: applied.turns,
+        });
+      }
+    }
+  }
+
+  #useItem(user, item, target) {
+    const index = user.items.indexOf(item);
+    if (index === -1) {
+      throw new Error(`${user.name} does not carry ${item.name}`);
+    }
+    user.items.splice(index, 1);
+    this.#emit("item-used", { user: user.name, target: target.name, item: item.name, ...item.use(target) });
+  }
+
+  #checkForWinner() {
+    const standing = this.#teams.filter(({ members }) => members.some((character) => !character.isDefeated));
+    if (standing.length > 1) return false;
+    this.#finish(standing[0]?.team ?? null);
+    return true;
+  }
+
+  #finish(winner) {
+    this.#finished = true;
+    this.#emit("battle-end", {
+      winner,
+      survivors: this.#living().map((character) => ({ name: character.name, health: character.health })),
+    });
+  }
+}
+
+/**
+ * Turns a battle event into one line of text.
+ * @param {object} event
+ * @returns {string}
+ */
+export function formatEvent(event) {
+  switch (event.type) {
+    case "battle-start":
+      return `Battle (seed ${event.seed}): ${Object.values(event.teams).map((names) => names.join(", ")).join(" vs ")}`;
+    case "round-start":
+      return `-- Round ${event.round} --`;
+    case "initiative":
+      return `Initiative: ${event.order.map(({ name, roll }) => `${name} (${roll})`).join(", ")}`;
+    case "attack":
+      return `${event.attacker} hits ${event.target} for ${event.damage}${event.critical ? " (critical!)" : ""}, ${event.target} has ${event.health} HP`;
+    case "effect-applied":
+      return `${event.target} is affected by ${event.effect} for ${event.turns} turn${event.turns === 1 ? "" : "s"}`;
+    case "effect-tick":
+      return `${event.target} takes ${event.damage} ${event.effect} damage, ${event.health} HP left`;
+    case "effect-expired":
+      return `${event.target} is no longer affected by ${event.effect}`;
+    case "turn-skipped":
+      return event.reason === "stun" ? `${event.character} is stunned and skips the turn` : `${event.character} passes`;
+    case "item-used":
+      return `${event.user} uses ${event.item}${event.healed !== undefined ? `, +${event.healed} HP (${event.health})` : ""}${event.cured ? `, cured ${event.cured.join(", ") || "nothing"}` : ""}`;
+    case "defeated":
+      return `${event.character} has been defeated!`;
+    case "battle-end":
+      return event.winner ? `Winner: ${event.winner}` : "The battle ends in a draw";
+    default:
+      return JSON.stringify(event);
+  }
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Fresh characters for every battle: a battle changes their health and items
+  const createTeams = () => ({
+    heroes: [
+      new GameCharacter("Hero", 100, 15, {
+        defense: 3,
+        speed: 2,
+        critChance: 0.2,
+        items: [healingPotion(30), antidote()],
+      }),
+    ],
+    monsters: [
+      new GameCharacter("Goblin", 50, 8, {
+        speed: 4,
+        onHit: [{ chance: 0.4, effect: () => poison(3, 3) }],
+      }),
+      new GameCharacter("Orc", 80, 12, {
+        defense: 2,
+        onHit: [{ chance: 0.2, effect: () => stun(1) }],
+      }),
+    ],
+  });
+
+  // Example 1: the same generator seed gives the same numbers
+  const rollThree = (seed) => {
+    const rng = createRng(seed);
+    return [rng.int(1, 20), rng.int(1, 20), rng.int(1, 20)];
+  };
+  console.log("1. Same seed, same rolls:", String(rollThree("arena")) === String(rollThree("arena"))); // Output: true
+
+  // Example 2: a full battle, printed from its structured log
+  const result = new Battle({ teams: createTeams(), seed: "arena" }).run();
+  result.log.slice(0, 8).forEach((event) => console.log(formatEvent(event)));
+  console.log("...");
+  console.log(formatEvent(result.log.at(-1)), `after ${result.rounds} rounds`);
+
+  // Example 3: replaying from the seed produces the identical log
+  const replay = new Battle({ teams: createTeams(), seed: "arena" }).run();
+  console.log("3. Identical replay:", JSON.stringify(replay.log) === JSON.stringify(result.log)); // Output: true
+
+  // Example 4: events are plain data, easy to query
+  const crits = result.log.filter((event) => event.type === "attack" && event.critical).length;
+  console.log("4. Critical hits:", crits, "| Events:", new Set(result.log.map((event) => event.type)).size, "kinds");
+
+  // Example 5: a battle needs someone to fight
+  try {
+    new Battle({ teams: { heroes: [new GameCharacter("Solo", 10, 1)], monsters: [] }, seed: 1 });
+  } catch (error) {
+    console.log("5.", error.message); // Output: 5. A battle needs at least two teams, each with at least one character
+  }
+  console.log("5. Default strategy without enemies:", defaultStrategy(new GameCharacter("Solo", 10, 1), { enemies: [] })); // Output: null
+  try {
+    new GameCharacter("A", 100, 10, { maxHealth: 50 });
+  } catch (error) {
+    console.log("5.", error.message); // Output: 5. maxHealth (50) must be at least the initial health (100)
+  }
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
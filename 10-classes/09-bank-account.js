@@ -0,0 +1,523 @@
+/**
+ * File: 09-bank-account.js
+ * Description: A ledger-backed version of the `BankAccount` class from 01-classes.js.
+ * Every deposit and withdrawal is recorded as an immutable transaction, transfers move
+ * money between two accounts atomically, overdraft limits and typed errors replace the
+ * "Insufficient funds" console message, and the ledger supports interest accrual over a
+ * date range and monthly statements as text or CSV. Amounts are `Money` (07-money.js).
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { CurrencyMismatchError, Money } from "./07-money.js";
+
+// =========================================================================
+// 1. Errors
+// =========================================================================
+
+/**
+ * Base class for banking errors, so callers can `catch` them as a group.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class BankError extends Error {
+  constructor(message, { accountId } = {}) {
+    super(message);
+    this.name = "BankError";
+    this.accountId = accountId;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, new.target);
+    }
+  }
+}
+
+/**
+ * Thrown when a withdrawal or transfer would go past the overdraft limit.
+ */
+export class InsufficientFundsError extends BankError {
+  constructor(message, { accountId, requested, available }) {
+    super(message, { accountId });
+    this.name = "InsufficientFundsError";
+    this.requested = requested; // Money
+    this.available = available; // Money: balance plus overdraft limit
+  }
+}
+
+/**
+ * Thrown for zero, negative or malformed amounts.
+ */
+export class InvalidAmountError extends BankError {
+  constructor(message, { accountId, amount } = {}) {
+    super(message, { accountId });
+    this.name = "InvalidAmountError";
+    this.amount = amount;
+  }
+}
+
+// =========================================================================
+// 2. Dates
+// =========================================================================
+
+/**
+ * The ledger works with UTC calendar days written as "YYYY-MM-DD", which
+ * compare correctly as plain strings.
+ */
+function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function nextDay(day) {
+  return toDay(Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000);
+}
+
+function lastDayOfMonth(year, month) {
+  return toDay(Date.UTC(year, month, 0)); // Day 0 of the next month
+}
+
+// =========================================================================
+// 3. BankAccount
+// =========================================================================
+
+/**
+ * **Ledger-backed account:**
+ * -   The **ledger** (`#transactions`) is the source of truth: an append-only
+ * list of frozen transactions. `#balance` is just the running total after the
+ * last one, kept so that `balance` does not have to add up the whole history.
+ * -   Amounts on transactions are **signed**: credits (deposits, incoming
+ * transfers, interest) are positive, debits are negative.
+ * -   Transactions are recorded in date order; the injectable clock `now`
+ * supplies the dates, which makes statements reproducible in demos.
+ * -   `overdraftLimit` is how far below zero the balance may go (0 by default).
+ */
+export class BankAccount {
+  static #nextAccount = 1;
+  static #nextTransaction = 1;
+  static #nextTransfer = 1;
+
+  #balance; // Private field
+  #transactions = [];
+  #overdraftLimit;
+  #interestAccruedThrough = null; // "YYYY-MM-DD" of the last day that earned interest
+  #now;
+
+  /**
+   * @param {number|string|Money} [initialBalance=0] - Recorded as an "opening" transaction.
+   * @param {object} [options]
+   * @param {string} [options.id] - Defaults to ACC-0001, ACC-0002, ...
+   * @param {string} [options.owner]
+   * @param {string} [options.currency="USD"]
+   * @param {number|string|Money} [options.overdraftLimit=0]
+   * @param {Function} [options.now] - Clock for transaction dates.
+   */
+  constructor(
+    initialBalance = 0,
+    {
+      id = `ACC-${String(BankAccount.#nextAccount++).padStart(4, "0")}`,
+      owner = "",
+      currency = "USD",
+      overdraftLimit = 0,
+      now = () => Date.now(),
+    } = {}
+  ) {
+    this.id = id;
+    this.owner = owner;
+    this.currency = currency;
+    this.#now = now;
+    this.#balance = Money.zero(currency);
+    this.#overdraftLimit = this.#toMoney(overdraftLimit);
+    if (this.#overdraftLimit.isNegative()) {
+      throw new InvalidAmountError("Overdraft limit cannot be negative", { accountId: id });
+    }
+
+    const opening = this.#toMoney(initialBalance);
+    if (opening.isNegative()) {
+      throw new InvalidAmountError("Initial balance cannot be negative", { accountId: id });
+    }
+    if (!opening.isZero()) {
+      this.#record("opening", opening, { description: "Opening balance" });
+    }
+  }
+
+  /** @returns {Money} */
+  get balance() {
+    return this.#balance;
+  }
+
+  /**
+   * Kept from the original class in 01-classes.js.
+   * @returns {Money}
+   */
+  getBalance() {
+    return this.#balance; // Accessible from inside the class
+  }
+
+  /** @returns {Money} */
+  get overdraftLimit() {
+    return this.#overdraftLimit;
+  }
+
+  /**
+   * How much can still be withdrawn: balance plus overdraft limit.
+   * @returns {Money}
+   */
+  get available() {
+    return this.#balance.add(this.#overdraftLimit);
+  }
+
+  /**
+   * A copy of the ledger, oldest first. The transactions themselves are frozen.
+   * @returns {object[]}
+   */
+  get transactions() {
+    return [...this.#transactions];
+  }
+
+  /**
+   * @param {number|string|Money} amount - Must be positive.
+   * @param {{ description?: string }} [options]
+   * @returns {object} The recorded transaction.
+   */
+  deposit(amount, { description = "Deposit" } = {}) {
+    return this.#record("deposit", this.#toPositiveAmount(amount), { description });
+  }
+
+  /**
+   * @param {number|string|Money} amount - Must be positive.
+   * @param {{ description?: string }} [options]
+   * @returns {object} The recorded transaction.
+   * @throws {InsufficientFundsError} When the overdraft limit would be exceeded.
+   */
+  withdraw(amount, { description = "Withdrawal" } = {}) {
+    const money = this.#toPositiveAmount(amount);
+    this.#assertCanDebit(money);
+    return this.#record("withdrawal", money.negate(), { description });
+  }
+
+  /**
+   * Moves money between two accounts **atomically**: every check (amounts,
+   * currencies, funds, dates) runs before either ledger is touched, so a
+   * failed transfer leaves both accounts exactly as they were.
+   * @param {BankAccount} from
+   * @param {BankAccount} to
+   * @param {number|string|Money} amount
+   * @param {{ description?: string }} [options]
+   * @returns {{ transferId: string, debit: object, credit: object }}
+   */
+  static transfer(from, to, amount, { description } = {}) {
+    if (from === to) {
+      throw new BankError("Cannot transfer to the same account", { accountId: from.id });
+    }
+    if (from.currency !== to.currency) {
+      throw new CurrencyMismatchError(from.currency, to.currency);
+    }
+
+    const money = from.#toPositiveAmount(amount);
+    from.#assertCanDebit(money);
+    const date = new Date(from.#now()).toISOString();
+    from.#assertInOrder(date);
+    to.#assertInOrder(date);
+
+    const transferId = `TRF-${String(BankAccount.#nextTransfer++).padStart(4, "0")}`;
+    const debit = from.#record("transfer-out", money.negate(), {
+      description: description ?? `Transfer to ${to.id}`,
+      date,
+      transferId,
+      counterparty: to.id,
+    });
+    const credit = to.#record("transfer-in", money, {
+      description: description ?? `Transfer from ${from.id}`,
+      date,
+      transferId,
+      counterparty: from.id,
+    });
+    return { transferId, debit, credit };
+  }
+
+  /**
+   * The balance at the end of a day (UTC).
+   * @param {string|number|Date} date
+   * @returns {Money}
+   */
+  balanceAt(date) {
+    const day = toDay(date);
+    let balance = Money.zero(this.currency);
+    for (const transaction of this.#transactions) {
+      if (transaction.date.slice(0, 10) > day) break;
+      balance = transaction.balance;
+    }
+    return balance;
+  }
+
+  /**
+   * Credits interest for every day from `from` to `to` (both included), using
+   * the **daily balance method**: each day earns `annualRate / daysInYear` on
+   * its end-of-day balance. Overdrawn days earn nothing.
+   * -   The interest is posted as one "interest" transaction dated now, the way a
+ * bank credits January's interest in February. It never lands before activity
+ * already in the ledger, so later deposits and withdrawals do not block it.
+   * -   Days can only earn interest once; overlapping ranges are rejected.
+   * -   Days after today cannot earn interest yet; such ranges are rejected.
+   * @param {object} range
+   * @param {string|number|Date} range.from
+   * @param {string|number|Date} range.to
+   * @param {number|string} range.annualRate - e.g. 0.05 for 5% a year.
+   * @param {number} [range.daysInYear=365]
+   * @returns {object|null} The interest transaction, or null when nothing was earned.
+   */
+  accrueInterest({ from, to, annualRate, daysInYear = 365 }) {
+    const first = toDay(from);
+    const last = toDay(to);
+    if (last < first) {
+      throw new RangeError(`Interest range ends (${last}) before it starts (${first})`);
+    }
+    const today = toDay(this.#now());
+    if (last > today) {
+      throw new RangeError(`Cannot accrue interest through ${last}: it is only ${today}`);
+    }
+    if (this.#interestAccruedThrough && first <= this.#interestAccruedThrough) {
+      throw new RangeError(`Interest was already accrued through ${this.#interestAccruedThrough}`);
+    }
+
+    let balanceDays = Money.zero(this.currency);
+    for (let day = first; day <= last; day = nextDay(day)) {
+      const balance = this.balanceAt(day);
+      if (!balance.isNegative()) balanceDays = balanceDays.add(balance);
+    }
+
+    const interest = balanceDays.multiply(annualRate, daysInYear); // Rounded once
+    const transaction = interest.isZero()
+      ? null
+      : this.#record("interest", interest, { description: `Interest ${first} to ${last}` });
+    this.#interestAccruedThrough = last;
+    return transaction;
+  }
+
+  /**
+   * The statement for one calendar month.
+   * @param {number} year
+   * @param {number} month - 1 to 12.
+   * @returns {Statement}
+   */
+  statement(year, month) {
+    const from = `${year}-${String(month).padStart(2, "0")}-01`;
+    const to = lastDayOfMonth(year, month);
+    const transactions = this.#transactions.filter((transaction) => {
+      const day = transaction.date.slice(0, 10);
+      return day >= from && day <= to;
+    });
+
+    return new Statement({
+      accountId: this.id,
+      owner: this.owner,
+      from,
+      to,
+      openingBalance: this.balanceAt(Date.parse(`${from}T00:00:00Z`) - 1),
+      closingBalance: this.balanceAt(to),
+      transactions,
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Private helpers
+  // -------------------------------------------------------------------------
+
+  #toMoney(amount) {
+    if (amount instanceof Money) {
+      if (amount.currency !== this.currency) {
+        throw new CurrencyMismatchError(this.currency, amount.currency);
+      }
+      return amount;
+    }
+    try {
+      return Money.of(amount, this.currency);
+    } catch {
+      throw new InvalidAmountError(`Invalid amount: ${amount}`, { accountId: this.id, amount });
+    }
+  }
+
+  #toPositiveAmount(amount) {
+    const money = this.#toMoney(amount);
+    if (money.isNegative() || money.isZero()) {
+      throw new InvalidAmountError(`Amount must be positive, got ${money}`, {
+        accountId: this.id,
+        amount: money,
+      });
+    }
+    return money;
+  }
+
+  #assertCanDebit(amount) {
+    if (amount.greaterThan(this.available)) {
+      throw new InsufficientFundsError(
+        `Insufficient funds in ${this.id}: requested ${amount.format()}, available ${this.available.format()}`,
+        { accountId: this.id, requested: amount, available: this.available }
+      );
+    }
+  }
+
+  #assertInOrder(date) {
+    const last = this.#transactions.at(-1);
+    if (last && date < last.date) {
+      throw new RangeError(`Transaction date ${date} is before the last entry in ${this.id} (${last.date})`);
+    }
+  }
+
+  /**
+   * Appends one frozen transaction to the ledger. Callers have already
+   * validated the amount, so this is the only place that changes the balance.
+   */
+  #record(type, amount, { description, date = new Date(this.#now()).toISOString(), ...extra }) {
+    this.#assertInOrder(date);
+    this.#balance = this.#balance.add(amount);
+    const transaction = Object.freeze({
+      id: `TX-${String(BankAccount.#nextTransaction++).padStart(6, "0")}`,
+      accountId: this.id,
+      type,
+      amount,
+      balance: this.#balance,
+      date,
+      description,
+      ...extra,
+    });
+    this.#transactions.push(transaction);
+    return transaction;
+  }
+}
+
+// =========================================================================
+// 4. Statements
+// =========================================================================
+
+/** Quotes a CSV field when it contains a comma, quote or line break (RFC 4180). */
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * **Statement:** a frozen snapshot of one period of an account, with
+ * opening and closing balances. Render it with `toText()` or `toCSV()`.
+ */
+export class Statement {
+  constructor({ accountId, owner, from, to, openingBalance, closingBalance, transactions }) {
+    this.accountId = accountId;
+    this.owner = owner;
+    this.from = from;
+    this.to = to;
+    this.openingBalance = openingBalance;
+    this.closingBalance = closingBalance;
+    this.transactions = Object.freeze([...transactions]);
+    Object.freeze(this);
+  }
+
+  /**
+   * A fixed-width text statement.
+   * @returns {string}
+   */
+  toText() {
+    const signed = (money) => money.format("en-US", { signDisplay: "always" });
+    const rows = this.transactions.map(
+      (transaction) =>
+        `${transaction.date.slice(0, 10)}  ${transaction.description.padEnd(28)}` +
+        `${signed(transaction.amount).padStart(12)}${transaction.balance.format().padStart(12)}`
+    );
+
+    return [
+      `Statement for ${this.accountId}${this.owner ? ` (${this.owner})` : ""}`,
+      `Period: ${this.from} to ${this.to}`,
+      `${"Opening balance".padEnd(54)}${this.openingBalance.format().padStart(12)}`,
+      ...rows,
+      `${"Closing balance".padEnd(54)}${this.closingBalance.format().padStart(12)}`,
+    ].join("\n");
+  }
+
+  /**
+   * One row per transaction; amounts are plain decimal strings so that
+   * spreadsheets read them as numbers.
+   * @returns {string}
+   */
+  toCSV() {
+    const header = ["date", "id", "type", "description", "amount", "balance", "currency"];
+    const rows = this.transactions.map((transaction) => [
+      transaction.date,
+      transaction.id,
+      transaction.type,
+      transaction.description,
+      transaction.amount.toDecimalString(),
+      transaction.balance.toDecimalString(),
+      transaction.amount.currency,
+    ]);
+    return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+  }
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  let today = "2026-01-02";
+  const now = () => Date.parse(`${today}T12:00:00Z`);
+
+  const checking = new BankAccount(1000, { id: "CHK-1", owner: "Alice", overdraftLimit: 100, now });
+  const savings = new BankAccount(0, { id: "SAV-1", owner: "Alice", now });
+
+  // Example 1: every change is a frozen transaction
+  today = "2026-01-05";
+  checking.deposit(250.75, { description: "Salary" });
+  today = "2026-01-10";
+  checking.withdraw(1300, { description: "Rent" }); // Uses the overdraft
+  console.log("1. Balance:", checking.balance.format()); // Output: 1. Balance: -$49.25
+  console.log("1. Frozen:", Object.isFrozen(checking.transactions[0])); // Output: true
+
+  // Example 2: typed errors instead of console messages
+  try {
+    checking.withdraw(100);
+  } catch (error) {
+    console.log("2.", error.name, "-", error.message);
+    // Output: 2. InsufficientFundsError - Insufficient funds in CHK-1: requested $100.00, available $50.75
+  }
+
+  // Example 3: a failed transfer changes nothing; a valid one moves money both ways
+  today = "2026-01-15";
+  checking.deposit(2000, { description: "Bonus" });
+  try {
+    BankAccount.transfer(checking, savings, 5000);
+  } catch (error) {
+    console.log("3.", error.name, savings.transactions.length); // Output: 3. InsufficientFundsError 0
+  }
+  BankAccount.transfer(checking, savings, 1500, { description: "Move to savings" });
+  console.log("3.", checking.balance.format(), savings.balance.format()); // Output: 3. $450.75 $1,500.00
+
+  // Example 4: interest on the daily balance, 4% a year for January
+  try {
+    savings.accrueInterest({ from: "2026-01-01", to: "2026-12-31", annualRate: 0.04 });
+  } catch (error) {
+    console.log("4.", error.name, "-", error.message); // Output: 4. RangeError - Cannot accrue interest through 2026-12-31: it is only 2026-01-15
+  }
+  today = "2026-02-01";
+  savings.deposit(100, { description: "Transfer from wallet" }); // Later activity does not block January's interest
+  const interest = savings.accrueInterest({ from: "2026-01-01", to: "2026-01-31", annualRate: 0.04 });
+  console.log("4. Interest:", interest.amount.format(), "posted", interest.date); // Output: 4. Interest: $2.79 posted 2026-02-01T12:00:00.000Z
+  checking.accrueInterest({ from: "2026-01-01", to: "2026-02-01", annualRate: 0.01 }); // Through today
+  checking.deposit(50, { description: "Refund" }); // Still fine later the same day
+  console.log("4. Balance:", checking.balance.format()); // Output: 4. Balance: $501.23
+
+  // Example 5: monthly statements as text and CSV
+  console.log(checking.statement(2026, 1).toText());
+  // Output:
+  // Statement for CHK-1 (Alice)
+  // Period: 2026-01-01 to 2026-01-31
+  // Opening balance                                              $0.00
+  // 2026-01-02  Opening balance               +$1,000.00   $1,000.00
+  // 2026-01-05  Salary                          +$250.75   $1,250.75
+  // 2026-01-10  Rent                          -$1,300.00     -$49.25
+  // 2026-01-15  Bonus                         +$2,000.00   $1,950.75
+  // 2026-01-15  Move to savings               -$1,500.00     $450.75
+  // Closing balance                                            $450.75
+  console.log(savings.statement(2026, 2).toCSV());
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,494 @@
+/**
+ * File: 10-units.js
+ * Description: A quantity/unit system that generalizes the `Temperature` getters and
+ * setters from 01-classes.js. A registry holds units for temperature (°C, °F, K),
+ * length, mass, volume, time and data sizes with their conversion factors; quantities
+ * convert between units of the same dimension, parse from strings like "5 km" or
+ * "72°F", support arithmetic, and throw typed errors when dimensions do not match.
+ * `Temperature` extends the lesson class with the registry's temperature units.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { Temperature as BasicTemperature } from "./01-classes.js";
+
+// =========================================================================
+// 1. How Conversions Work
+// =========================================================================
+
+/**
+ * **One base unit per dimension:**
+ * -   Every dimension (length, mass, ...) has a base unit (metre, gram, ...).
+ * Each unit stores how to reach the base: `base = (value + offset) * factor`.
+ * -   Most units only need a `factor` (1 km = 1000 m). Temperature scales also
+ * need an `offset`, because 0 °C is not "no temperature": kelvin is the base,
+ * `°C` has offset 273.15 and `°F` has offset 459.67 with factor 5/9.
+ * -   Converting A → B goes through the base: A → base → B. So N units need
+ * N definitions, not N² conversion functions like `Temperature` would.
+ * -   Results are rounded to 12 significant digits to hide binary
+ * floating-point noise (`77.00000000000006` → `77`), which is still far more
+ * precise than any real measurement.
+ */
+
+function tidy(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Thrown when quantities of different dimensions meet, e.g. km + kg.
+ * Follows the custom error pattern from 11-error-handling/01-error-handling.js.
+ */
+export class DimensionMismatchError extends Error {
+  constructor(left, right) {
+    super(`Cannot combine ${left.dimension} (${left.symbol}) with ${right.dimension} (${right.symbol})`);
+    this.name = "DimensionMismatchError";
+    this.dimensions = [left.dimension, right.dimension];
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, DimensionMismatchError);
+    }
+  }
+}
+
+/**
+ * Thrown when a unit symbol is not in the registry.
+ */
+export class UnknownUnitError extends Error {
+  constructor(symbol) {
+    super(`Unknown unit "${symbol}"`);
+    this.name = "UnknownUnitError";
+    this.symbol = symbol;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, UnknownUnitError);
+    }
+  }
+}
+
+/**
+ * Thrown when a string such as "five km" cannot be read as a quantity.
+ */
+export class QuantityParseError extends Error {
+  constructor(input) {
+    super(`Cannot parse "${input}" as a quantity. Expected a number and a unit, e.g. "5 km".`);
+    this.name = "QuantityParseError";
+    this.input = input;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, QuantityParseError);
+    }
+  }
+}
+
+// =========================================================================
+// 2. Quantity
+// =========================================================================
+
+/**
+ * **Quantity:** an immutable number with a unit, e.g. 5 km.
+ * -   Created through a registry (`registry.quantity(5, "km")`, `registry.parse("5 km")`)
+ * or the module-level `quantity()` / `parseQuantity()` helpers.
+ * -   Arithmetic converts the other operand into this quantity's unit first;
+ * the result keeps this unit.
+ * -   Temperatures: in `add`/`subtract` the second operand is read as a
+ * temperature **difference**, so 20 °C + 9 °F is 25 °C (a 9 °F rise), not a
+ * sum of two absolute temperatures. Multiplying an absolute temperature is
+ * rejected, since "twice as hot as 10 °C" has no meaning.
+ * -   Compound units (km/h, N·m) are out of scope.
+ */
+export class Quantity {
+  #registry;
+
+  constructor(value, unit, registry) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new TypeError(`Quantity value must be a finite number, got ${value}`);
+    }
+    this.value = value;
+    this.unit = unit;
+    this.#registry = registry;
+    Object.freeze(this);
+  }
+
+  get dimension() {
+    return this.unit.dimension;
+  }
+
+  /**
+   * Converts to another unit of the same dimension.
+   * @param {string} symbol - e.g. "mi", "°F".
+   * @returns {Quantity}
+   * @throws {DimensionMismatchError}
+   */
+  to(symbol) {
+    const target = this.#registry.get(symbol);
+    this.#assertSameDimension(target);
+    const base = (this.value + this.unit.offset) * this.unit.factor;
+    return new Quantity(tidy(base / target.factor - target.offset), target, this.#registry);
+  }
+
+  /**
+   * @param {Quantity} other
+   * @returns {Quantity} The sum, in this quantity's unit.
+   */
+  add(other) {
+    return new Quantity(tidy(this.value + this.#differenceIn(other)), this.unit, this.#registry);
+  }
+
+  /**
+   * @param {Quantity} other
+   * @returns {Quantity} The difference, in this quantity's unit.
+   */
+  subtract(other) {
+    return new Quantity(tidy(this.value - this.#differenceIn(other)), this.unit, this.#registry);
+  }
+
+  /**
+   * @param {number} factor
+   * @returns {Quantity}
+   */
+  multiply(factor) {
+    if (this.unit.offset !== 0) {
+      throw new TypeError(`Cannot scale an absolute temperature (${this}); convert to K first`);
+    }
+    return new Quantity(tidy(this.value * factor), this.unit, this.#registry);
+  }
+
+  /**
+   * @param {number} divisor
+   * @returns {Quantity}
+   */
+  divide(divisor) {
+    if (divisor === 0) throw new RangeError("Cannot divide a quantity by zero");
+    return this.multiply(1 / divisor);
+  }
+
+  /**
+   * @param {Quantity} other
+   * @returns {-1 | 0 | 1}
+   */
+  compare(other) {
+    const converted = other.to(this.unit.symbol).value;
+    return Math.sign(tidy(this.value - converted));
+  }
+
+  /**
+   * Equal after conversion: `parseQuantity("1 km").equals(parseQuantity("1000 m"))` is true.
+   * @param {Quantity} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other instanceof Quantity && other.dimension === this.dimension && this.compare(other) === 0;
+  }
+
+  toString() {
+    return `${this.value}${this.unit.spaced ? " " : ""}${this.unit.symbol}`;
+  }
+
+  toJSON() {
+    return { value: this.value, unit: this.unit.symbol };
+  }
+
+  #assertSameDimension(target) {
+    if (target.dimension !== this.unit.dimension) {
+      throw new DimensionMismatchError(this.unit, target);
+    }
+  }
+
+  /** `other` expressed in this unit; as a difference (factor only) for temperatures. */
+  #differenceIn(other) {
+    if (!(other instanceof Quantity)) {
+      throw new TypeError(`Expected a Quantity, got ${typeof other}`);
+    }
+    this.#assertSameDimension(other.unit);
+    return (other.value * other.unit.factor) / this.unit.factor;
+  }
+}
+
+// =========================================================================
+// 3. The Unit Registry
+// =========================================================================
+
+/**
+ * **UnitRegistry:**
+ * -   `define(symbol, { dimension, factor, offset, aliases })` adds a unit.
+ * -   Lookups try the exact symbol or alias first ("B" is a byte, "b" a bit),
+ * then a case-insensitive match when that is unambiguous ("KM" → km).
+ * -   `createDefaultRegistry()` builds the standard units; create your own
+ * registry to add the units your app needs without touching the shared one.
+ */
+export class UnitRegistry {
+  #units = new Map(); // symbol or alias -> unit
+
+  /**
+   * @param {string} symbol - Canonical symbol, used by `toString()`.
+   * @param {object} definition
+   * @param {string} definition.dimension - e.g. "length".
+   * @param {number} [definition.factor=1] - Size of one unit in base units.
+   * @param {number} [definition.offset=0] - Added before scaling (temperature scales).
+   * @param {string[]} [definition.aliases=[]] - Other accepted spellings.
+   * @param {boolean} [definition.spaced=true] - "5 km" vs "72°F" when printed.
+   * @returns {UnitRegistry} The registry, for chaining.
+   */
+  define(symbol, { dimension, factor = 1, offset = 0, aliases = [], spaced = true }) {
+    if (!(factor > 0)) {
+      throw new RangeError(`Unit "${symbol}" needs a positive factor`);
+    }
+    const unit = Object.freeze({ symbol, dimension, factor, offset, spaced });
+    for (const name of [symbol, ...aliases]) {
+      if (this.#units.has(name)) {
+        throw new Error(`Unit "${name}" is already defined`);
+      }
+      this.#units.set(name, unit);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {object} The unit definition.
+   * @throws {UnknownUnitError}
+   */
+  get(symbol) {
+    const exact = this.#units.get(symbol);
+    if (exact) return exact;
+
+    const lower = symbol.toLowerCase();
+    const matches = new Set(
+      [...this.#units].filter(([name]) => name.toLowerCase() === lower).map(([, unit]) => unit)
+    );
+    if (matches.size === 1) return [...matches][0];
+    throw new UnknownUnitError(symbol);
+  }
+
+  has(symbol) {
+    try {
+      this.get(symbol);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Canonical symbols of one dimension, or of all dimensions.
+   * @param {string} [dimension]
+   * @returns {string[]}
+   */
+  symbols(dimension) {
+    const units = new Set(this.#units.values());
+    return [...units].filter((unit) => !dimension || unit.dimension === dimension).map((unit) => unit.symbol);
+  }
+
+  /**
+   * @param {number} value
+   * @param {string} symbol
+   * @returns {Quantity}
+   */
+  quantity(value, symbol) {
+    return new Quantity(value, this.get(symbol), this);
+  }
+
+  /**
+   * Reads strings like "5 km", "72°F", "-40 °C", "1.5e3 m", "2 GiB", "3 fl oz".
+   * @param {string} text
+   * @returns {Quantity}
+   * @throws {QuantityParseError|UnknownUnitError}
+   */
+  parse(text) {
+    const match = String(text).match(/^\s*([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)\s*(\S.*?)\s*$/i);
+    if (!match) throw new QuantityParseError(text);
+    return this.quantity(Number(match[1]), match[2]);
+  }
+
+  /**
+   * Converts a plain number: `convert(72, "°F", "°C")` → 22.2222222222.
+   * @param {number} value
+   * @param {string} from
+   * @param {string} to
+   * @returns {number}
+   */
+  convert(value, from, to) {
+    return this.quantity(value, from).to(to).value;
+  }
+}
+
+/**
+ * Builds a registry with the standard units. Base units: metre, gram, litre,
+ * second, kelvin and bit. Imperial and US customary factors are the exact
+ * legal definitions (1 in = 0.0254 m, 1 lb = 453.59237 g, 1 gal = 3.785411784 L).
+ * @returns {UnitRegistry}
+ */
+export function createDefaultRegistry() {
+  const registry = new UnitRegistry();
+  const defineAll = (dimension, table) => {
+    for (const [symbol, factor, aliases = []] of table) {
+      registry.define(symbol, { dimension, factor, aliases });
+    }
+  };
+
+  registry
+    .define("K", { dimension: "temperature", aliases: ["kelvin"] })
+    .define("°C", { dimension: "temperature", offset: 273.15, spaced: false, aliases: ["C", "degC", "celsius"] })
+    .define("°F", { dimension: "temperature", offset: 459.67, factor: 5 / 9, spaced: false, aliases: ["F", "degF", "fahrenheit"] });
+
+  defineAll("length", [
+    ["mm", 0.001, ["millimetre", "millimeter"]],
+    ["cm", 0.01, ["centimetre", "centimeter"]],
+    ["m", 1, ["metre", "meter"]],
+    ["km", 1000, ["kilometre", "kilometer"]],
+    ["in", 0.0254, ["inch", '"']],
+    ["ft", 0.3048, ["foot", "feet", "'"]],
+    ["yd", 0.9144, ["yard"]],
+    ["mi", 1609.344, ["mile"]],
+  ]);
+
+  defineAll("mass", [
+    ["mg", 0.001, ["milligram"]],
+    ["g", 1, ["gram"]],
+    ["kg", 1000, ["kilogram"]],
+    ["t", 1_000_000, ["tonne"]],
+    ["oz", 28.349523125, ["ounce"]],
+    ["lb", 453.59237, ["lbs", "pound"]],
+  ]);
+
+  defineAll("volume", [
+    ["mL", 0.001, ["ml", "millilitre", "milliliter"]],
+    ["L", 1, ["l", "litre", "liter"]],
+    ["m³", 1000, ["m3"]],
+    ["tsp", 0.00492892159375, ["teaspoon"]],
+    ["tbsp", 0.01478676478125, ["tablespoon"]],
+    ["fl oz", 0.0295735295625, ["floz"]],
+    ["cup", 0.2365882365],
+    ["pt", 0.473176473, ["pint"]],
+    ["gal", 3.785411784, ["gallon"]],
+  ]);
+
+  defineAll("time", [
+    ["ms", 0.001, ["millisecond"]],
+    ["s", 1, ["sec", "second"]],
+    ["min", 60, ["minute"]],
+    ["h", 3600, ["hr", "hour"]],
+    ["d", 86400, ["day"]],
+    ["wk", 604800, ["week"]],
+  ]);
+
+  // Decimal prefixes (kB = 1000 bytes) and binary ones (KiB = 1024 bytes) are both common
+  defineAll("data", [
+    ["bit", 1, ["b"]],
+    ["B", 8, ["byte"]],
+    ["kB", 8e3, ["KB"]],
+    ["MB", 8e6],
+    ["GB", 8e9],
+    ["TB", 8e12],
+    ["KiB", 8 * 1024],
+    ["MiB", 8 * 1024 ** 2],
+    ["GiB", 8 * 1024 ** 3],
+    ["TiB", 8 * 1024 ** 4],
+    ["Mbit", 1e6, ["Mb", "Mbps"]],
+    ["Gbit", 1e9, ["Gb", "Gbps"]],
+  ]);
+
+  return registry;
+}
+
+export const defaultRegistry = createDefaultRegistry();
+
+/** `quantity(5, "km")` using the default registry. */
+export function quantity(value, symbol) {
+  return defaultRegistry.quantity(value, symbol);
+}
+
+/** `parseQuantity("72°F")` using the default registry. */
+export function parseQuantity(text) {
+  return defaultRegistry.parse(text);
+}
+
+/** `convert(5, "km", "mi")` using the default registry. */
+export function convert(value, from, to) {
+  return defaultRegistry.convert(value, from, to);
+}
+
+// =========================================================================
+// 4. Temperature
+// =========================================================================
+
+/**
+ * The `Temperature` class from 01-classes.js keeps its own Celsius and
+ * Fahrenheit accessors; this subclass adds kelvin and converts to and from any
+ * temperature unit of the default registry. Unlike the lesson's setters, the
+ * new ones throw a TypeError for non-numbers (from `quantity()`).
+ */
+export class Temperature extends BasicTemperature {
+  /**
+   * @param {number} value
+   * @param {string} [symbol="°C"] - Any temperature unit, e.g. "°F" or "K".
+   * @throws {TypeError|UnknownUnitError|DimensionMismatchError}
+   */
+  constructor(value, symbol = "°C") {
+    super(quantity(value, symbol).to("°C").value);
+  }
+
+  /** @returns {number} The temperature in kelvin. */
+  get kelvin() {
+    return this.to("K").value;
+  }
+
+  /** @param {number} newKelvin */
+  set kelvin(newKelvin) {
+    this._celsius = quantity(newKelvin, "K").to("°C").value;
+  }
+
+  /**
+   * @param {string} symbol - e.g. "°F" or "K".
+   * @returns {Quantity}
+   */
+  to(symbol) {
+    return quantity(this.celsius, "°C").to(symbol);
+  }
+}
+
+// =========================================================================
+// 5. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: parsing and converting
+  console.log("1.", parseQuantity("72°F").to("°C").toString()); // Output: 1. 22.2222222222°C
+  console.log("1.", parseQuantity("-40 °C").to("°F").toString()); // Output: 1. -40°F
+  console.log("1.", parseQuantity("0 K").to("°C").toString()); // Output: 1. -273.15°C
+  console.log("1.", parseQuantity("5 km").to("mi").toString()); // Output: 1. 3.10685596119 mi
+  console.log("1.", parseQuantity("2 GiB").to("MB").toString()); // Output: 1. 2147.483648 MB
+  console.log("1.", convert(1, "gal", "L")); // Output: 1. 3.785411784
+
+  // Example 2: arithmetic converts the right-hand side into the left-hand unit
+  const run = parseQuantity("5 km").add(parseQuantity("800 m"));
+  console.log("2.", run.toString()); // Output: 2. 5.8 km
+  console.log("2.", parseQuantity("1 h").subtract(parseQuantity("15 min")).to("min").toString()); // Output: 2. 45 min
+  console.log("2.", parseQuantity("20°C").add(parseQuantity("9°F")).toString()); // Output: 2. 25°C
+  console.log("2.", parseQuantity("1 kg").equals(parseQuantity("1000 g"))); // Output: 2. true
+
+  // Example 3: mismatched dimensions and unknown units are errors
+  for (const attempt of [
+    () => parseQuantity("5 km").add(parseQuantity("3 kg")),
+    () => parseQuantity("5 parsecs"),
+    () => parseQuantity("five km"),
+  ]) {
+    try {
+      attempt();
+    } catch (error) {
+      console.log("3.", error.name);
+    }
+  }
+  // Output:
+  // 3. DimensionMismatchError
+  // 3. UnknownUnitError
+  // 3. QuantityParseError
+
+  // Example 4: the lesson's Temperature class with every temperature unit of the registry
+  const boiling = new Temperature(212, "°F");
+  console.log("4.", boiling.celsius, boiling.fahrenheit, boiling.kelvin); // Output: 4. 100 212 373.15
+  boiling.kelvin = 0;
+  console.log("4.", boiling.to("°F").toString()); // Output: 4. -459.67°F
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -6,440 +6,465 @@
  * Date: 2025-05-22
  */
 
-// =========================================================================
-// 1. Introduction: The Importance of Robust Error Handling
-// =========================================================================
-
-/**
- * **Introduction:**
- * -   Error handling is a critical aspect of building robust, reliable, and user-friendly
- * JavaScript applications. Unhandled errors can crash applications, lead to unexpected
- * behavior, and provide a poor user experience.
- * -   Effective error handling involves anticipating potential issues, gracefully
- * recovering from them, and providing meaningful feedback or logging.
- * -   JavaScript provides a powerful set of mechanisms to detect, report, and manage errors.
- */
-
-// =========================================================================
-// 2. Types of Errors in JavaScript
-// =========================================================================
-
-/**
- * **JavaScript Errors can generally be categorized into:**
- *
- * 2.1. **Syntax Errors:**
- * -   Occur during the parsing phase of the code. The JavaScript engine cannot
- * understand the code due to incorrect syntax.
- * -   These errors prevent the script from executing at all.
- * -   Example: Missing parentheses, misspelled keywords.
- *
- * 2.2. **Runtime Errors (Execution Errors):**
- * -   Occur during the execution of the code. The syntax is correct, but something
- * goes wrong during runtime.
- * -   These are the errors you primarily handle with `try...catch`.
- * -   Examples:
- * -   `ReferenceError`: Trying to access an undeclared variable.
- * -   `TypeError`: Performing an operation on a value of an inappropriate type (e.g., calling a non-function).
- * -   `RangeError`: A number is outside its valid range.
- * -   `URIError`: Malformed URI encoding.
- * -   `EvalError`: Issues with `eval()` (rarely used).
- *
- * 2.3. **Logical Errors:**
- * -   The most insidious type of error. The code runs without crashing, but it
- * produces incorrect or unexpected results.
- * -   These are not caught by `try...catch` and require thorough testing and debugging.
- * -   Example: Incorrect mathematical formula, wrong conditional logic.
- */
-
-// Example 2.1: Syntax Error (will prevent script execution if uncommented)
-// const myObject = { key: "value" // Missing closing brace }
-
-// Example 2.2: Runtime Error (TypeError)
-// console.log(null.length); // Cannot read properties of null (reading 'length')
-
-// Example 2.3: Logical Error
-function add(a, b) {
-  return a - b; // Logical error: should be a + b
-}
-// console.log(add(5, 3)); // Output: 2 (expected 8) - No error thrown, just wrong result
-
-// =========================================================================
-// 3. The `Error` Object
-// =========================================================================
-
-/**
- * **The `Error` Object:**
- * -   When a runtime error occurs or is explicitly thrown, JavaScript creates an `Error` object.
- * -   This object contains information about the error.
- * -   **Common Properties:**
- * -   `name`: The type of error (e.g., 'TypeError', 'ReferenceError', 'Error').
- * -   `message`: A human-readable description of the error.
- * -   `stack`: (Non-standard but widely supported) A string representing the call stack
- * at the time the error was thrown, useful for debugging.
- */
-
-// Example 3.1: Creating and inspecting an Error object
-try {
-  throw new Error("Something went wrong!");
-} catch (error) {
-  console.log("\n--- 3. The Error Object Example ---");
-  console.error("Error Name:", error.name); // Output: Error
-  console.error("Error Message:", error.message); // Output: Something went wrong!
-  console.error("Error Stack:", error.stack); // Output: Stack trace
-}
-
-// =========================================================================
-// 4. Synchronous Error Handling: `try...catch`
-// =========================================================================
-
-/**
- * **`try...catch` Statement:**
- * -   The fundamental block for handling synchronous runtime errors.
- * -   **`try` block:** Contains the code that might throw an error.
- * -   **`catch` block:** Contains the code that executes if an error is thrown
- * within the `try` block. It receives the `Error` object as an argument.
- * -   Errors thrown *outside* the `try` block or *after* an asynchronous operation
- * initiated within `try` will *not* be caught by that `catch` block.
- */
-
-// Example 4.1: Basic try...catch
-function divide(a, b) {
-  if (b === 0) {
-    throw new Error("Division by zero is not allowed."); // Explicitly throw an error
+import { matchError, NetworkError } from "./02-app-error.js";
+import { ErrorReporter } from "./03-error-reporter.js";
+import { schema } from "./04-schema-validator.js";
+import { isMain } from "../tools/is-main.js";
+
+export function runDemo() {
+  // =========================================================================
+  // 1. Introduction: The Importance of Robust Error Handling
+  // =========================================================================
+
+  /**
+   * **Introduction:**
+   * -   Error handling is a critical aspect of building robust, reliable, and user-friendly
+   * JavaScript applications. Unhandled errors can crash applications, lead to unexpected
+   * behavior, and provide a poor user experience.
+   * -   Effective error handling involves anticipating potential issues, gracefully
+   * recovering from them, and providing meaningful feedback or logging.
+   * -   JavaScript provides a powerful set of mechanisms to detect, report, and manage errors.
+   */
+
+  // =========================================================================
+  // 2. Types of Errors in JavaScript
+  // =========================================================================
+
+  /**
+   * **JavaScript Errors can generally be categorized into:**
+   *
+   * 2.1. **Syntax Errors:**
+   * -   Occur during the parsing phase of the code. The JavaScript engine cannot
+   * understand the code due to incorrect syntax.
+   * -   These errors prevent the script from executing at all.
+   * -   Example: Missing parentheses, misspelled keywords.
+   *
+   * 2.2. **Runtime Errors (Execution Errors):**
+   * -   Occur during the execution of the code. The syntax is correct, but something
+   * goes wrong during runtime.
+   * -   These are the errors you primarily handle with `try...catch`.
+   * -   Examples:
+   * -   `ReferenceError`: Trying to access an undeclared variable.
+   * -   `TypeError`: Performing an operation on a value of an inappropriate type (e.g., calling a non-function).
+   * -   `RangeError`: A number is outside its valid range.
+   * -   `URIError`: Malformed URI encoding.
+   * -   `EvalError`: Issues with `eval()` (rarely used).
+   *
+   * 2.3. **Logical Errors:**
+   * -   The most insidious type of error. The code runs without crashing, but it
+   * produces incorrect or unexpected results.
+   * -   These are not caught by `try...catch` and require thorough testing and debugging.
+   * -   Example: Incorrect mathematical formula, wrong conditional logic.
+   */
+
+  // Example 2.1: Syntax Error (will prevent script execution if uncommented)
+  // const myObject = { key: "value" // Missing closing brace }
+
+  // Example 2.2: Runtime Error (TypeError)
+  // console.log(null.length); // Cannot read properties of null (reading 'length')
+
+  // Example 2.3: Logical Error
+  function add(a, b) {
+    return a - b; // Logical error: should be a + b
   }
-  return a / b;
-}
-
-console.log("\n--- 4. Synchronous Error Handling: try...catch ---");
-try {
-  let result = divide(10, 2);
-  console.log("Result of division (success):", result); // Output: 5
-
-  result = divide(10, 0); // This will throw an error
-  console.log("This line will not be executed.");
-} catch (error) {
-  console.error("Caught an error:", error.message); // Output: Caught an error: Division by zero is not allowed.
-}
-
-// Example 4.2: Catching built-in errors
-try {
-  const data = JSON.parse("{ invalid json"); // This throws a SyntaxError
-  console.log(data);
-} catch (error) {
-  console.error("Caught JSON parsing error:", error.name, error.message); // Output: SyntaxError: Unexpected token i in JSON at position 2
-}
-
-// =========================================================================
-// 5. The `finally` Block
-// =========================================================================
-
-/**
- * **`try...catch...finally`:**
- * -   The `finally` block is optional and executes *unconditionally* after the
- * `try` and `catch` blocks have finished, regardless of whether an error occurred
- * or was caught.
- * -   It's ideal for cleanup operations (e.g., closing file handles, releasing resources,
- * hiding loading indicators).
- */
-
-// Example 5.1: Using finally for cleanup
-function performOperation(shouldSucceed) {
-  console.log("\n--- 5. The finally Block Example ---");
-  let resource = "Resource opened."; // Simulate opening a resource
+  // console.log(add(5, 3)); // Output: 2 (expected 8) - No error thrown, just wrong result
+
+  // =========================================================================
+  // 3. The `Error` Object
+  // =========================================================================
+
+  /**
+   * **The `Error` Object:**
+   * -   When a runtime error occurs or is explicitly thrown, JavaScript creates an `Error` object.
+   * -   This object contains information about the error.
+   * -   **Common Properties:**
+   * -   `name`: The type of error (e.g., 'TypeError', 'ReferenceError', 'Error').
+   * -   `message`: A human-readable description of the error.
+   * -   `stack`: (Non-standard but widely supported) A string representing the call stack
+   * at the time the error was thrown, useful for debugging.
+   */
+
+  // Example 3.1: Creating and inspecting an Error object
   try {
-    console.log(resource);
-    if (!shouldSucceed) {
-      throw new Error("Operation failed!");
-    }
-    console.log("Operation successful.");
+    throw new Error("Something went wrong!");
   } catch (error) {
-    console.error("Error caught in operation:", error.message);
-  } finally {
-    resource = "Resource closed."; // Cleanup
-    console.log(resource);
+    console.log("\n--- 3. The Error Object Example ---");
+    console.error("Error Name:", error.name); // Output: Error
+    console.error("Error Message:", error.message); // Output: Something went wrong!
+    console.error("Error Stack:", error.stack); // Prints the message, then one "at ..." line per call (differs per environment)
   }
-}
 
-performOperation(true); // Success path
-performOperation(false); // Failure path
-
-// =========================================================================
-// 6. Error Handling in Asynchronous Code
-// =========================================================================
+  // =========================================================================
+  // 4. Synchronous Error Handling: `try...catch`
+  // =========================================================================
+
+  /**
+   * **`try...catch` Statement:**
+   * -   The fundamental block for handling synchronous runtime errors.
+   * -   **`try` block:** Contains the code that might throw an error.
+   * -   **`catch` block:** Contains the code that executes if an error is thrown
+   * within the `try` block. It receives the `Error` object as an argument.
+   * -   Errors thrown *outside* the `try` block or *after* an asynchronous operation
+   * initiated within `try` will *not* be caught by that `catch` block.
+   */
+
+  // Example 4.1: Basic try...catch
+  function divide(a, b) {
+    if (b === 0) {
+      throw new Error("Division by zero is not allowed."); // Explicitly throw an error
+    }
+    return a / b;
+  }
 
-/**
- * **Asynchronous Error Handling:**
- * -   `try...catch` *does not* directly catch errors from asynchronous operations
- * that resolve/reject *after* the `try...catch` block has completed its synchronous execution.
- * -   Special mechanisms are needed for asynchronous errors.
- */
+  console.log("\n--- 4. Synchronous Error Handling: try...catch ---");
+  try {
+    let result = divide(10, 2);
+    console.log("Result of division (success):", result); // Output: 5
 
-// -------------------------------------------------------------------------
-// 6.1. Callbacks (Error-First Callback Pattern)
-// -------------------------------------------------------------------------
+    result = divide(10, 0); // This will throw an error
+    console.log("This line will not be executed.");
+  } catch (error) {
+    console.error("Caught an error:", error.message); // Output: Caught an error: Division by zero is not allowed.
+  }
 
-/**
- * -   The common pattern for callbacks is to pass `error` as the first argument
- * to the callback function. If `error` is `null` or `undefined`, the operation succeeded.
- */
+  // Example 4.2: Catching built-in errors
+  try {
+    const data = JSON.parse("{ invalid json"); // This throws a SyntaxError
+    console.log(data);
+  } catch (error) {
+    console.error("Caught JSON parsing error:", error.name, error.message); // SyntaxError, with a message worded by the engine
+  }
 
-// Example 6.1.1: Asynchronous operation with error-first callback
-function fetchDataAsync(url, callback) {
-  setTimeout(() => {
-    if (url === "data.json") {
-      callback(null, { id: 1, content: "Fetched data" }); // Success: error is null
-    } else {
-      callback(new Error("Failed to fetch data from " + url)); // Failure: error is an Error object
+  // =========================================================================
+  // 5. The `finally` Block
+  // =========================================================================
+
+  /**
+   * **`try...catch...finally`:**
+   * -   The `finally` block is optional and executes *unconditionally* after the
+   * `try` and `catch` blocks have finished, regardless of whether an error occurred
+   * or was caught.
+   * -   It's ideal for cleanup operations (e.g., closing file handles, releasing resources,
+   * hiding loading indicators).
+   */
+
+  // Example 5.1: Using finally for cleanup
+  function performOperation(shouldSucceed) {
+    console.log("\n--- 5. The finally Block Example ---");
+    let resource = "Resource opened."; // Simulate opening a resource
+    try {
+      console.log(resource);
+      if (!shouldSucceed) {
+        throw new Error("Operation failed!");
+      }
+      console.log("Operation successful.");
+    } catch (error) {
+      console.error("Error caught in operation:", error.message);
+    } finally {
+      resource = "Resource closed."; // Cleanup
+      console.log(resource);
     }
-  }, 500);
-}
-
-console.log("\n--- 6.1. Callbacks (Error-First Pattern) ---");
-fetchDataAsync("data.json", (error, data) => {
-  if (error) {
-    console.error("Callback Error:", error.message);
-  } else {
-    console.log("Callback Data:", data); // Output: Callback Data: { id: 1, content: 'Fetched data' }
   }
-});
 
-fetchDataAsync("invalid.json", (error, data) => {
-  if (error) {
-    console.error("Callback Error:", error.message); // Output: Callback Error: Failed to fetch data from invalid.json
-  } else {
-    console.log("Callback Data:", data);
-  }
-});
+  performOperation(true); // Success path
+  performOperation(false); // Failure path
 
-// -------------------------------------------------------------------------
-// 6.2. Promises (`.catch()`)
-// -------------------------------------------------------------------------
+  // =========================================================================
+  // 6. Error Handling in Asynchronous Code
+  // =========================================================================
 
-/**
- * -   Promises provide a much cleaner way to handle asynchronous errors using the
- * `.catch()` method (which is syntactic sugar for `then(null, onRejected)`).
- * -   A Promise chain will propagate a rejection down until a `.catch()` handler is found.
- */
+  /**
+   * **Asynchronous Error Handling:**
+   * -   `try...catch` *does not* directly catch errors from asynchronous operations
+   * that resolve/reject *after* the `try...catch` block has completed its synchronous execution.
+   * -   Special mechanisms are needed for asynchronous errors.
+   */
+
+  // -------------------------------------------------------------------------
+  // 6.1. Callbacks (Error-First Callback Pattern)
+  // -------------------------------------------------------------------------
 
-// Example 6.2.1: Promises with .catch()
-function asyncPromiseOperation(value, shouldSucceed = true) {
-  return new Promise((resolve, reject) => {
+  /**
+   * -   The common pattern for callbacks is to pass `error` as the first argument
+   * to the callback function. If `error` is `null` or `undefined`, the operation succeeded.
+   */
+
+  // Example 6.1.1: Asynchronous operation with error-first callback
+  function fetchDataAsync(url, callback) {
     setTimeout(() => {
-      if (shouldSucceed) {
-        resolve(`Operation successful with: ${value}`);
+      if (url === "data.json") {
+        callback(null, { id: 1, content: "Fetched data" }); // Success: error is null
       } else {
-        reject(new Error(`Operation failed for: ${value}`));
+        callback(new Error("Failed to fetch data from " + url)); // Failure: error is an Error object
       }
-    }, 300);
+    }, 500);
+  }
+
+  console.log("\n--- 6.1. Callbacks (Error-First Pattern) ---");
+  fetchDataAsync("data.json", (error, data) => {
+    if (error) {
+      console.error("Callback Error:", error.message);
+    } else {
+      console.log("Callback Data:", data); // Output: Callback Data: { id: 1, content: 'Fetched data' }
+    }
   });
-}
 
-console.log("\n--- 6.2. Promises (.catch()) ---");
-asyncPromiseOperation("Task A", true)
-  .then((result) => console.log("Promise Success:", result))
-  .catch((error) => console.error("Promise Error:", error.message)); // This won't be called for success
-
-asyncPromiseOperation("Task B", false)
-  .then((result) => console.log("Promise Success:", result)) // This won't be called for failure
-  .catch((error) => console.error("Promise Error:", error.message)); // Output: Promise Error: Operation failed for: Task B
-
-// Example 6.2.2: Promise Chaining and Error Propagation
-asyncPromiseOperation("Step 1", true)
-  .then((result1) => {
-    console.log("Chain Step 1:", result1);
-    return asyncPromiseOperation("Step 2", false); // This will reject
-  })
-  .then((result2) => {
-    console.log("Chain Step 2:", result2); // This will be skipped
-  })
-  .catch((error) => {
-    console.error("Chain Error Caught:", error.message); // Catches rejection from Step 2
-  })
-  .finally(() => {
-    console.log("Promise chain finished.");
+  fetchDataAsync("invalid.json", (error, data) => {
+    if (error) {
+      console.error("Callback Error:", error.message); // Output: Callback Error: Failed to fetch data from invalid.json
+    } else {
+      console.log("Callback Data:", data);
+    }
   });
 
-// -------------------------------------------------------------------------
-// 6.3. Async/Await (`try...catch` with `await`)
-// -------------------------------------------------------------------------
+  // -------------------------------------------------------------------------
+  // 6.2. Promises (`.catch()`)
+  // -------------------------------------------------------------------------
+
+  /**
+   * -   Promises provide a much cleaner way to handle asynchronous errors using the
+   * `.catch()` method (which is syntactic sugar for `then(null, onRejected)`).
+   * -   A Promise chain will propagate a rejection down until a `.catch()` handler is found.
+   */
+
+  // Example 6.2.1: Promises with .catch()
+  function asyncPromiseOperation(value, shouldSucceed = true) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (shouldSucceed) {
+          resolve(`Operation successful with: ${value}`);
+        } else {
+          reject(new Error(`Operation failed for: ${value}`));
+        }
+      }, 300);
+    });
+  }
 
-/**
- * -   `async/await` allows you to use traditional `try...catch` blocks for asynchronous
- * operations, making the code look and feel synchronous.
- * -   The `await` keyword pauses the execution of the `async` function until the Promise
- * settles. If the Promise rejects, `await` throws an error that can be caught by `try...catch`.
- */
+  console.log("\n--- 6.2. Promises (.catch()) ---");
+  asyncPromiseOperation("Task A", true)
+    .then((result) => console.log("Promise Success:", result))
+    .catch((error) => console.error("Promise Error:", error.message)); // This won't be called for success
+
+  asyncPromiseOperation("Task B", false)
+    .then((result) => console.log("Promise Success:", result)) // This won't be called for failure
+    .catch((error) => console.error("Promise Error:", error.message)); // Output: Promise Error: Operation failed for: Task B
+
+  // Example 6.2.2: Promise Chaining and Error Propagation
+  asyncPromiseOperation("Step 1", true)
+    .then((result1) => {
+      console.log("Chain Step 1:", result1);
+      return asyncPromiseOperation("Step 2", false); // This will reject
+    })
+    .then((result2) => {
+      console.log("Chain Step 2:", result2); // This will be skipped
+    })
+    .catch((error) => {
+      console.error("Chain Error Caught:", error.message); // Catches rejection from Step 2
+    })
+    .finally(() => {
+      console.log("Promise chain finished.");
+    });
+
+  // -------------------------------------------------------------------------
+  // 6.3. Async/Await (`try...catch` with `await`)
+  // -------------------------------------------------------------------------
+
+  /**
+   * -   `async/await` allows you to use traditional `try...catch` blocks for asynchronous
+   * operations, making the code look and feel synchronous.
+   * -   The `await` keyword pauses the execution of the `async` function until the Promise
+   * settles. If the Promise rejects, `await` throws an error that can be caught by `try...catch`.
+   */
+
+  // Example 6.3.1: Async/Await with try...catch
+  async function performAsyncOperationWithAwait(shouldSucceed) {
+    console.log("\n--- 6.3. Async/Await (try...catch) ---");
+    try {
+      console.log("Starting async/await task...");
+      const result = await asyncPromiseOperation(
+        "Data from Await",
+        shouldSucceed
+      ); // Await a Promise
+      console.log("Async/Await Success:", result);
+    } catch (error) {
+      console.error("Async/Await Error Caught:", error.message);
+    } finally {
+      console.log("Async/Await task finished.");
+    }
+  }
+
+  performAsyncOperationWithAwait(true); // Success path
+  performAsyncOperationWithAwait(false); // Failure path
+
+  // =========================================================================
+  // 7. Custom Error Types
+  // =========================================================================
+
+  /**
+   * **Custom Error Types:**
+   * -   You can create your own custom error classes by extending the built-in `Error` class.
+   * -   This allows you to create more specific and semantically meaningful errors,
+   * making error identification and handling easier.
+   * -   Custom errors are useful for distinguishing between different types of application-specific
+   * problems.
+   * -   **The pattern:** call `super(message)`, set `this.name` to the class name, and call
+   * `Error.captureStackTrace(this, TheClass)` (where available) so the stack trace starts at
+   * the `throw` site instead of inside the constructor.
+   * -   Repeating that in every class gets old. `NetworkError` and `ValidationError` used below
+   * extend `AppError` (02-app-error.js), which does it once and adds stable error codes,
+   * `cause` chaining, JSON serialization and HTTP status codes.
+   */
+
+  // Example 7.1: Creating a Custom Error
+  class ConfigError extends Error {
+    constructor(message, key) {
+      super(message); // Call parent Error constructor
+      this.name = "ConfigError"; // Set the error name
+      this.key = key; // Specific data about the failure
+      // Capture stack trace (important for custom errors)
+      if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ConfigError);
+      }
+    }
+  }
 
-// Example 6.3.1: Async/Await with try...catch
-async function performAsyncOperationWithAwait(shouldSucceed) {
-  console.log("\n--- 6.3. Async/Await (try...catch) ---");
   try {
-    console.log("Starting async/await task...");
-    const result = await asyncPromiseOperation(
-      "Data from Await",
-      shouldSucceed
-    ); // Await a Promise
-    console.log("Async/Await Success:", result);
+    throw new ConfigError("Missing setting", "DATABASE_URL");
   } catch (error) {
-    console.error("Async/Await Error Caught:", error.message);
-  } finally {
-    console.log("Async/Await task finished.");
+    console.log("7.1.", error instanceof ConfigError, error instanceof Error, `${error.name}: ${error.message} (${error.key})`);
+    // Output: 7.1. true true ConfigError: Missing setting (DATABASE_URL)
   }
-}
 
-performAsyncOperationWithAwait(true); // Success path
-performAsyncOperationWithAwait(false); // Failure path
-
-// =========================================================================
-// 7. Custom Error Types
-// =========================================================================
-
-/**
- * **Custom Error Types:**
- * -   You can create your own custom error classes by extending the built-in `Error` class.
- * -   This allows you to create more specific and semantically meaningful errors,
- * making error identification and handling easier.
- * -   Custom errors are useful for distinguishing between different types of application-specific
- * problems.
- */
+  // Example 7.2: The same pattern written once: AppError subclasses only declare a code and status
+  const refactored = new NetworkError("Failed to connect to user service", 503);
+  console.log("7.2.", refactored.name, refactored.code, refactored.status, refactored instanceof Error);
+  // Output: 7.2. NetworkError NETWORK_ERROR 503 true
+
+  // Example 7.3: Using Custom Errors
+  // The input rules as a schema (04-schema-validator.js): `parse` throws one ValidationError
+  // listing every failing field, instead of a hand-written `if` per rule
+  const userDataSchema = schema.object({
+    username: schema.string().min(3),
+    email: schema.string().email(),
+  });
 
-// Example 7.1: Creating a Custom Error
-class NetworkError extends Error {
-  constructor(message, statusCode) {
-    super(message); // Call parent Error constructor
-    this.name = "NetworkError"; // Set the error name
-    this.statusCode = statusCode;
-    // Capture stack trace (important for custom errors)
-    if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, NetworkError);
+  function processUserData(input) {
+    const data = userDataSchema.parse(input);
+    // Simulate a network call
+    const isOnline = Math.random() > 0.5; // Simulate network status
+    if (!isOnline) {
+      throw new NetworkError("Failed to connect to user service", 503);
     }
+    return `User ${data.username} processed.`;
   }
-}
 
-class ValidationError extends Error {
-  constructor(message, fields) {
-    super(message);
-    this.name = "ValidationError";
-    this.fields = fields; // Specific data about validation failures
-    if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, ValidationError);
-    }
+  // One table of handlers instead of an `instanceof` ladder in every catch block
+  function reportUserDataError(error) {
+    matchError(error, {
+      ValidationError: (e) => console.error("Validation Error:", e.message, "Fields:", e.fields),
+      NetworkError: (e) => console.error("Network Error:", e.message, "Status:", e.statusCode),
+      default: (e) => console.error("Generic Error:", e.message),
+    });
   }
-}
 
-// Example 7.2: Using Custom Errors
-function processUserData(data) {
-  if (!data || !data.username || !data.email) {
-    throw new ValidationError("Missing required fields", ["username", "email"]);
-  }
-  if (data.username.length < 3) {
-    throw new ValidationError("Username too short", ["username"]);
-  }
-  // Simulate a network call
-  const isOnline = Math.random() > 0.5; // Simulate network status
-  if (!isOnline) {
-    throw new NetworkError("Failed to connect to user service", 503);
+  console.log("\n--- 7. Custom Error Types Example ---");
+  try {
+    processUserData({ username: "un", email: "test@example.com" }); // Will throw ValidationError
+  } catch (error) {
+    reportUserDataError(error);
   }
-  return `User ${data.username} processed.`;
-}
 
-console.log("\n--- 7. Custom Error Types Example ---");
-try {
-  processUserData({ username: "un", email: "test@example.com" }); // Will throw ValidationError
-} catch (error) {
-  if (error instanceof ValidationError) {
-    console.error("Validation Error:", error.message, "Fields:", error.fields);
-  } else if (error instanceof NetworkError) {
-    console.error("Network Error:", error.message, "Status:", error.statusCode);
-  } else {
-    console.error("Generic Error:", error.message);
+  try {
+    processUserData({ username: "validUser", email: "test@example.com" }); // Might throw NetworkError
+  } catch (error) {
+    reportUserDataError(error);
   }
-}
 
-try {
-  processUserData({ username: "validUser", email: "test@example.com" }); // Might throw NetworkError
-} catch (error) {
-  if (error instanceof ValidationError) {
-    console.error("Validation Error:", error.message, "Fields:", error.fields);
-  } else if (error instanceof NetworkError) {
-    console.error("Network Error:", error.message, "Status:", error.statusCode);
-  } else {
-    console.error("Generic Error:", error.message);
-  }
-}
+  // =========================================================================
+  // 8. Global Error Handling
+  // =========================================================================
+
+  /**
+   * **Global Error Handling:**
+   * -   For errors that are *not caught* by any `try...catch` block, global handlers can
+   * prevent the application from crashing and allow for logging or reporting.
+   *
+   * 8.1. **Browser Environment (`window.onerror`)**
+   * -   Catches uncaught synchronous errors and errors from scripts.
+   * -   `window.onerror = function(message, source, lineno, colno, error)`
+   *
+   * 8.2. **Node.js Environment (`process.on('uncaughtException')`)**
+   * -   Catches uncaught synchronous errors.
+   * -   **Warning:** This is a last resort. It's generally not recommended to continue
+   * application execution after `uncaughtException` as the application state might be
+   * corrupted. Best used for logging and then gracefully shutting down.
+   *
+   * 8.3. **Unhandled Promise Rejections (`unhandledrejection`)**
+   * -   Crucial for catching Promises that reject but don't have a `.catch()` handler.
+   * -   **Browser:** `window.addEventListener('unhandledrejection', event => { ... })`
+   * -   **Node.js:** `process.on('unhandledRejection', (reason, promise) => { ... })`
+   *
+   * 8.4. **A Reusable Reporter**
+   * -   `ErrorReporter` in 03-error-reporter.js installs all of these hooks at once
+   * (for `process` or `window`), deduplicates, rate-limits and ships reports to
+   * transports, and flushes them before a fatal exit.
+   */
+
+  // Example 8.1 (Browser - conceptual, run in browser console)
+  /*
+  window.onerror = function(message, source, lineno, colno, error) {
+    console.error('Global caught synchronous error:', message, source, lineno, colno);
+    // Send error to a logging service
+    return true; // Return true to prevent default browser error handling (e.g., logging to console)
+  };
+
+  // Simulate an uncaught synchronous error
+  // nonExistentFunction();
+  */
+
+  // Example 8.2 (Node.js - conceptual, run in Node.js environment)
+  /*
+  process.on('uncaughtException', (err) => {
+    console.error('Node.js: Uncaught synchronous exception:', err.message);
+    // Log the error, then gracefully exit
+    process.exit(1); // Exit with a failure code
+  });
 
-// =========================================================================
-// 8. Global Error Handling
-// =========================================================================
+  // Simulate an uncaught synchronous error in Node.js
+  // throw new Error("This is an uncaught sync error in Node.js!");
+  */
 
-/**
- * **Global Error Handling:**
- * -   For errors that are *not caught* by any `try...catch` block, global handlers can
- * prevent the application from crashing and allow for logging or reporting.
- *
- * 8.1. **Browser Environment (`window.onerror`)**
- * -   Catches uncaught synchronous errors and errors from scripts.
- * -   `window.onerror = function(message, source, lineno, colno, error)`
- *
- * 8.2. **Node.js Environment (`process.on('uncaughtException')`)**
- * -   Catches uncaught synchronous errors.
- * -   **Warning:** This is a last resort. It's generally not recommended to continue
- * application execution after `uncaughtException` as the application state might be
- * corrupted. Best used for logging and then gracefully shutting down.
- *
- * 8.3. **Unhandled Promise Rejections (`unhandledrejection`)**
- * -   Crucial for catching Promises that reject but don't have a `.catch()` handler.
- * -   **Browser:** `window.addEventListener('unhandledrejection', event => { ... })`
- * -   **Node.js:** `process.on('unhandledRejection', (reason, promise) => { ... })`
- */
+  // Example 8.3 (Unhandled Promise Rejection)
+  console.log("\n--- 8.3. Unhandled Promise Rejection Example ---");
 
-// Example 8.1 (Browser - conceptual, run in browser console)
-/*
-window.onerror = function(message, source, lineno, colno, error) {
-  console.error('Global caught synchronous error:', message, source, lineno, colno);
-  // Send error to a logging service
-  return true; // Return true to prevent default browser error handling (e.g., logging to console)
-};
-
-// Simulate an uncaught synchronous error
-// nonExistentFunction();
-*/
-
-// Example 8.2 (Node.js - conceptual, run in Node.js environment)
-/*
-process.on('uncaughtException', (err) => {
-  console.error('Node.js: Uncaught synchronous exception:', err.message);
-  // Log the error, then gracefully exit
-  process.exit(1); // Exit with a failure code
-});
-
-// Simulate an uncaught synchronous error in Node.js
-// throw new Error("This is an uncaught sync error in Node.js!");
-*/
-
-// Example 8.3 (Unhandled Promise Rejection)
-console.log("\n--- 8.3. Unhandled Promise Rejection Example ---");
-
-// Attach global unhandled rejection handler (conceptual, run in browser or Node.js)
-// In a browser:
-/*
-window.addEventListener('unhandledrejection', (event) => {
-  console.error('Global caught unhandled Promise rejection:', event.reason);
-  // event.promise is the Promise that was rejected
-});
-*/
-// In Node.js:
-/*
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Node.js: Unhandled Promise Rejection at:', promise, 'reason:', reason);
-  // Log the error, potentially send to monitoring
-});
-*/
-
-// Simulate an unhandled promise rejection
-Promise.reject(new Error("This promise was rejected but not caught!"));
-// This error will be caught by the global unhandledrejection handler
-// after the current microtask queue is empty.
+  // Attach global unhandled rejection handler (conceptual, run in browser or Node.js)
+  // In a browser:
+  /*
+  window.addEventListener('unhandledrejection', (event) => {
+    console.error('Global caught unhandled Promise rejection:', event.reason);
+    // event.promise is the Promise that was rejected
+  });
+  */
+  // In Node.js:
+  /*
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Node.js: Unhandled Promise Rejection at:', promise, 'reason:', reason);
+    // Log the error, potentially send to monitoring
+  });
+  */
+  // Or, with the reporter from 03-error-reporter.js (hooks both Node.js and browser events):
+  const reporter = new ErrorReporter().install();
+
+  // Simulate an unhandled promise rejection
+  Promise.reject(new Error("This promise was rejected but not caught!"));
+  // This error will be caught by the global unhandledrejection handler
+  // after the current microtask queue is empty.
+  // Output (printed last): [error] unhandledRejection: Error: This promise was rejected but not caught!
+
+  // Unhandled rejections are reported before the next timer runs, so by then the
+  // reporter has done its job: remove its hooks so it does not outlive the demo
+  setTimeout(() => reporter.shutdown(), 0);
+}
 
 // =========================================================================
 // 9. Best Practices for Error Handling
@@ -494,3 +519,8 @@ Promise.reject(new Error("This promise was rejected but not caught!"));
  * global error handlers further enhances the ability to diagnose, manage, and
  * recover from unexpected situations, leading to a more stable and user-friendly experience.
  */
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
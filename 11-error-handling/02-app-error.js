@@ -0,0 +1,324 @@
+/**
+ * File: 02-app-error.js
+ * Description: A structured error hierarchy for application code. `AppError` does the
+ * custom-error boilerplate from 01-error-handling.js once (name, stack trace) and adds
+ * stable error codes, `cause` chaining, `toJSON` / `fromJSON` round-tripping and an
+ * HTTP status for every error. `matchError` replaces `instanceof` ladders with a
+ * lookup table. `NetworkError` and `ValidationError` from 01-error-handling.js live
+ * here now, as subclasses.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Why a Base Class
+// =========================================================================
+
+/**
+ * **What every application error needs:**
+ * -   **`name` and a clean stack trace:** the two lines every custom error in
+ * 01-error-handling.js repeats. `AppError` sets them from `new.target`, so a
+ * subclass needs no boilerplate at all.
+ * -   **A stable `code`:** messages are for people and change over time; codes
+ * such as `"VALIDATION_FAILED"` are for programs (clients, logs, alerts) and
+ * never change once published. Each subclass declares `static code`.
+ * -   **An HTTP `status`:** what a server should answer when this error reaches
+ * the edge of the application (`static status`, 500 by default).
+ * -   **`cause`:** the lower-level error that led to this one (ES2022
+ * `new Error(message, { cause })`), so wrapping never loses the original.
+ * -   **Serialization:** `JSON.stringify(error)` of a plain Error gives `{}`.
+ * `toJSON()` keeps name, code, message, status, extra fields and the cause
+ * chain; `AppError.fromJSON()` turns that back into an instance of the right
+ * class, e.g. after it crossed a worker or network boundary.
+ */
+
+const registry = new Map(); // name -> class, for fromJSON
+const codes = new Map(); // code -> class, to keep codes unique
+
+// Fields that toJSON writes itself; everything else an instance owns is "extra"
+const STANDARD_FIELDS = new Set(["name", "code", "message", "status", "cause", "stack"]);
+
+/**
+ * Base class for every application error.
+ * @example
+ * class PaymentDeclinedError extends AppError {
+ *   static code = "PAYMENT_DECLINED";
+ *   static status = 402;
+ *   static { AppError.register(this); }
+ * }
+ */
+export class AppError extends Error {
+  static code = "APP_ERROR";
+  static status = 500;
+
+  /**
+   * @param {string} message
+   * @param {{ code?: string, status?: number, cause?: unknown }} [options] -
+   * `code` and `status` override the class defaults for this one instance.
+   */
+  constructor(message, { code, status, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = code ?? new.target.code;
+    this.status = status ?? new.target.status;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, new.target);
+    }
+  }
+
+  /**
+   * Makes a subclass known to `fromJSON` and `matchError` by code. Each code
+   * may belong to one class only, so codes stay stable and unambiguous.
+   * @param {typeof AppError} ErrorClass
+   * @returns {typeof AppError} The same class.
+   */
+  static register(ErrorClass) {
+    const owner = codes.get(ErrorClass.code);
+    if (owner && owner !== ErrorClass) {
+      throw new Error(`Error code "${ErrorClass.code}" is already used by ${owner.name}`);
+    }
+    codes.set(ErrorClass.code, ErrorClass);
+    registry.set(ErrorClass.name, ErrorClass);
+    return ErrorClass;
+  }
+
+  /**
+   * Wraps any thrown value in an AppError (or subclass) with `cause` set.
+   * AppErrors are returned unchanged unless `always` is set.
+   * @param {unknown} error
+   * @param {string} [message] - Defaults to the original message.
+   * @param {{ always?: boolean, code?: string, status?: number }} [options]
+   * @returns {AppError}
+   */
+  static wrap(error, message, { always = false, ...options } = {}) {
+    if (error instanceof AppError && !always) return error;
+    const text = message ?? (error instanceof Error ? error.message : String(error));
+    return new this(text, { ...options, cause: error });
+  }
+
+  /** A plain object with everything needed to rebuild the error; the stack is left out. */
+  toJSON() {
+    const json = { name: this.name, code: this.code, message: this.message, status: this.status };
+    for (const [key, value] of Object.entries(this)) {
+      if (!STANDARD_FIELDS.has(key)) json[key] = value;
+    }
+    if (this.cause !== undefined) json.cause = serializeCause(this.cause);
+    return json;
+  }
+
+  /**
+   * Rebuilds an error from `toJSON()` output. The class is found by name
+   * (then by code); unknown names become a plain AppError that keeps the
+   * original name and code.
+   * @param {object|string} json - The object, or the JSON text.
+   * @returns {AppError}
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const ErrorClass = registry.get(data.name) ?? codes.get(data.code) ?? AppError;
+    const cause = data.cause === undefined ? undefined : deserializeCause(data.cause);
+    // Skip the subclass constructor (its parameters differ per class), keep the prototype and a stack
+    const error = Reflect.construct(Error, [data.message, cause === undefined ? undefined : { cause }], ErrorClass);
+    for (const [key, value] of Object.entries(data)) {
+      if (key !== "cause" && key !== "message") error[key] = value;
+    }
+    return error;
+  }
+}
+AppError.register(AppError);
+
+function serializeCause(cause) {
+  if (cause instanceof AppError) return cause.toJSON();
+  if (cause instanceof Error) {
+    const json = { name: cause.name, message: cause.message };
+    if (cause.cause !== undefined) json.cause = serializeCause(cause.cause);
+    return json;
+  }
+  return cause;
+}
+
+function deserializeCause(data) {
+  if (data === null || typeof data !== "object" || typeof data.message !== "string") return data;
+  if (data.code !== undefined || registry.has(data.name)) return AppError.fromJSON(data);
+  // A built-in error: rebuild it with the matching constructor when there is one
+  const BuiltIn = globalThis[data.name]?.prototype instanceof Error ? globalThis[data.name] : Error;
+  const cause = data.cause === undefined ? undefined : { cause: deserializeCause(data.cause) };
+  const error = new BuiltIn(data.message, cause);
+  if (error.name !== data.name) error.name = data.name;
+  return error;
+}
+
+// =========================================================================
+// 2. The Application's Errors
+// =========================================================================
+
+/**
+ * A remote service failed or could not be reached. `statusCode` is what the
+ * remote service answered (if it answered); `status` is what *we* answer:
+ * 502 Bad Gateway, or 503 / 504 when the remote was unavailable / timed out.
+ */
+export class NetworkError extends AppError {
+  static code = "NETWORK_ERROR";
+  static status = 502;
+  static {
+    AppError.register(this);
+  }
+
+  constructor(message, statusCode, options = {}) {
+    const status = statusCode === 503 || statusCode === 504 ? statusCode : undefined;
+    super(message, { status, ...options });
+    this.statusCode = statusCode;
+  }
+}
+
+/** Input was rejected. `fields` lists the offending field names. */
+export class ValidationError extends AppError {
+  static code = "VALIDATION_FAILED";
+  static status = 400;
+  static {
+    AppError.register(this);
+  }
+
+  constructor(message, fields = [], options = {}) {
+    super(message, options);
+    this.fields = fields; // Specific data about validation failures
+  }
+}
+
+/** The thing asked for does not exist. */
+export class NotFoundError extends AppError {
+  static code = "NOT_FOUND";
+  static status = 404;
+  static {
+    AppError.register(this);
+  }
+}
+
+// =========================================================================
+// 3. Dispatching on Errors
+// =========================================================================
+
+/**
+ * Calls the handler for the most specific match instead of an `instanceof`
+ * ladder. Keys are checked in this order:
+ * 1.  the error's `code` (e.g. `"NETWORK_ERROR"`),
+ * 2.  its class name, then each parent class name (`ValidationError`,
+ * `AppError`, `Error`), so a handler for a base class catches subclasses,
+ * 3.  `default`.
+ * With no match and no `default`, the error is rethrown: nothing is
+ * swallowed by accident.
+ * @param {unknown} error
+ * @param {Object<string, (error: any) => any>} handlers
+ * @returns {any} The handler's return value.
+ */
+export function matchError(error, handlers) {
+  const keys = [];
+  if (error !== null && typeof error === "object") {
+    if (typeof error.code === "string") keys.push(error.code);
+    for (let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      keys.push(proto.constructor.name);
+    }
+  }
+  keys.push("default");
+
+  const key = keys.find((candidate) => Object.hasOwn(handlers, candidate));
+  if (key === undefined) throw error;
+  return handlers[key](error);
+}
+
+/**
+ * The response a server should send for an error. Only AppErrors with a
+ * status below 500 show their message; anything else becomes a generic
+ * "Internal error", so internals do not leak to clients.
+ * @param {unknown} error
+ * @returns {{ status: number, body: { error: { code: string, message: string } } }}
+ */
+export function toHttpResponse(error) {
+  if (error instanceof AppError && error.status < 500) {
+    const { name, status, cause, ...details } = error.toJSON();
+    return { status, body: { error: details } };
+  }
+  const status = error instanceof AppError ? error.status : 500;
+  const code = error instanceof AppError ? error.code : AppError.code;
+  return { status, body: { error: { code, message: "Internal error" } } };
+}
+
+/**
+ * The error followed by its causes, outermost first.
+ * @param {unknown} error
+ * @returns {unknown[]}
+ */
+export function causeChain(error) {
+  const chain = [];
+  const seen = new Set();
+  for (let current = error; current !== undefined && !seen.has(current); current = current?.cause) {
+    seen.add(current);
+    chain.push(current);
+  }
+  return chain;
+}
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export function runDemo() {
+  // Example 1: subclasses get name, code, status and stack trace from AppError
+  const invalid = new ValidationError("Username too short", ["username"]);
+  console.log(invalid.name, invalid.code, invalid.status, invalid instanceof AppError); // Output: ValidationError VALIDATION_FAILED 400 true
+  console.log(invalid.stack.split("\n")[1].includes("runDemo")); // Output: true
+
+  // Example 2: cause chaining keeps the low-level error
+  const request = () => {
+    throw new TypeError("socket hang up");
+  };
+  let network;
+  try {
+    request();
+  } catch (error) {
+    network = new NetworkError("User service is unavailable", 503, { cause: error });
+  }
+  console.log(causeChain(network).map((error) => error.name).join(" <- ")); // Output: NetworkError <- TypeError
+
+  // Example 3: toJSON / fromJSON round trip, cause included
+  const json = JSON.stringify(network);
+  console.log(json);
+  // Output: {"name":"NetworkError","code":"NETWORK_ERROR","message":"User service is unavailable","status":503,"statusCode":503,"cause":{"name":"TypeError","message":"socket hang up"}}
+  const restored = AppError.fromJSON(json);
+  console.log(restored instanceof NetworkError, restored.statusCode, restored.cause instanceof TypeError); // Output: true 503 true
+  console.log(restored.stack.split("\n")[0]); // Output: NetworkError: User service is unavailable
+
+  // Example 4: matchError instead of an instanceof ladder
+  const describe = (error) =>
+    matchError(error, {
+      ValidationError: (e) => `fix ${e.fields.join(", ")}`,
+      NETWORK_ERROR: (e) => `retry later (${e.statusCode})`,
+      AppError: (e) => `app error ${e.code}`,
+      default: (e) => `unexpected: ${e.message}`,
+    });
+  console.log(describe(invalid)); // Output: fix username
+  console.log(describe(restored)); // Output: retry later (503)
+  console.log(describe(new NotFoundError("No such user"))); // Output: app error NOT_FOUND
+  console.log(describe(new TypeError("x is not a function"))); // Output: unexpected: x is not a function
+
+  // Example 5: HTTP responses; server errors hide their message
+  console.log(JSON.stringify(toHttpResponse(invalid)));
+  // Output: {"status":400,"body":{"error":{"code":"VALIDATION_FAILED","message":"Username too short","fields":["username"]}}}
+  console.log(JSON.stringify(toHttpResponse(new Error("db password is hunter2"))));
+  // Output: {"status":500,"body":{"error":{"code":"APP_ERROR","message":"Internal error"}}}
+
+  // Example 6: codes are unique
+  try {
+    AppError.register(class DuplicateError extends AppError {
+      static code = "NOT_FOUND";
+    });
+  } catch (error) {
+    console.log(error.message); // Output: Error code "NOT_FOUND" is already used by NotFoundError
+  }
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
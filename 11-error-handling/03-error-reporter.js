@@ -0,0 +1,509 @@
+/**
+ * File: 03-error-reporter.js
+ * Description: An installable global error reporter, the working version of the
+ * commented-out snippets in section 8 of 01-error-handling.js. It hooks uncaught
+ * exceptions and unhandled promise rejections in Node.js (`process`) and in the
+ * browser (`window`), groups repeats of the same error by fingerprint, attaches
+ * breadcrumbs, rate-limits, and sends reports to pluggable transports (console,
+ * JSON-lines file, HTTP endpoint). `shutdown()` flushes everything before exit.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { AppError, NetworkError } from "./02-app-error.js";
+
+// =========================================================================
+// 1. What a Reporter Does
+// =========================================================================
+
+/**
+ * **The pieces:**
+ * -   **Hooks:** in Node.js, `process.on("uncaughtException")` and
+ * `process.on("unhandledRejection")`; in the browser, the `"error"` and
+ * `"unhandledrejection"` events on `window`. `install()` picks the right ones.
+ * -   **Fingerprint:** a short hash of the error's name, its message with
+ * numbers and ids blanked out, and the file:line where it was thrown. The same
+ * bug thrown a thousand times has one fingerprint.
+ * -   **Deduplication:** a fingerprint seen within `dedupeWindow` ms is only
+ * counted; the next report after the window carries the count.
+ * -   **Breadcrumbs:** the last few things that happened before the error
+ * (`addBreadcrumb`), attached to every report. Each captured error is itself
+ * added as a breadcrumb.
+ * -   **Rate limit:** at most `rateLimit.limit` reports per `rateLimit.interval`
+ * ms, so an error loop cannot flood the transports.
+ * -   **Transports:** objects with `send(report)` (may return a promise) and an
+ * optional `close()`. A failing transport never throws into the application.
+ * -   **Graceful shutdown:** after an uncaught exception the process state is
+ * unknown (see section 8.2 of 01-error-handling.js), so the reporter flushes
+ * the transports and exits with code 1. With `gracefulShutdown`, SIGINT and
+ * SIGTERM also flush before exiting.
+ */
+
+const DEFAULT_RATE_LIMIT = { limit: 10, interval: 60_000 };
+
+/** FNV-1a, 32-bit, as a hex string. Short, stable, good enough to group errors. */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    value ^= text.charCodeAt(index);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value.toString(16).padStart(8, "0");
+}
+
+/** Turns any thrown value into an Error; `Promise.reject("text")` is common. */
+function toError(value) {
+  if (value instanceof Error) return value;
+  const error = new Error(typeof value === "string" ? value : `Non-error value thrown: ${JSON.stringify(value)}`);
+  error.name = "NonError";
+  return error;
+}
+
+/** "file.js:42" for the first stack frame, or "" when there is none. */
+function topFrame(error) {
+  const frame = (error.stack ?? "").split("\n").find((line) => line.trim().startsWith("at "));
+  const match = frame?.match(/([^/\\\s(]+):(\d+):\d+\)?$/);
+  return match ? `${match[1]}:${match[2]}` : "";
+}
+
+/**
+ * The fingerprint of an error: name + normalized message + throw site.
+ * @param {unknown} value
+ * @returns {string} 8 hex characters.
+ */
+export function fingerprint(value) {
+  const error = toError(value);
+  const message = error.message
+    .replace(/\b[0-9a-f]{8,}\b/gi, "<id>")
+    .replace(/\d+/g, "<n>");
+  return hash(`${error.name}|${message}|${topFrame(error)}`);
+}
+
+/** AppErrors serialize themselves; other errors keep name, message, stack and cause. */
+function serializeError(error) {
+  const json = error instanceof AppError ? error.toJSON() : { name: error.name, message: error.message };
+  json.stack = error.stack;
+  if (!(error instanceof AppError) && error.cause !== undefined) {
+    json.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+  }
+  return json;
+}
+
+// =========================================================================
+// 2. The Reporter
+// =========================================================================
+
+export class ErrorReporter {
+  #transports;
+  #maxBreadcrumbs;
+  #dedupeWindow;
+  #rateLimit;
+  #now;
+  #exit;
+  #onTransportError;
+  #context;
+  #breadcrumbs = [];
+  #seen = new Map(); // fingerprint -> { lastReported, suppressed }
+  #window = { start: -Infinity, count: 0 };
+  #pending = new Set();
+  #stats = { captured: 0, sent: 0, deduplicated: 0, rateLimited: 0, transportErrors: 0 };
+  #nextId = 1;
+  #uninstall = null;
+  #closing = null;
+
+  /**
+   * @param {object} [options]
+   * @param {Array<{ name?: string, send: Function, close?: Function }>} [options.transports] -
+   * Defaults to a console transport.
+   * @param {number} [options.maxBreadcrumbs=20]
+   * @param {number} [options.dedupeWindow=60000] - ms during which repeats are only counted.
+   * @param {{ limit: number, interval: number }} [options.rateLimit] - Default 10 per minute.
+   * @param {object} [options.context] - Added to every report (app version, user id, ...).
+   * @param {() => number} [options.now] - Clock, for tests.
+   * @param {(code: number) => void} [options.exit] - Defaults to `process.exit`.
+   * @param {(error: Error, transport: object) => void} [options.onTransportError]
+   */
+  constructor({
+    transports = [consoleTransport()],
+    maxBreadcrumbs = 20,
+    dedupeWindow = 60_000,
+    rateLimit = DEFAULT_RATE_LIMIT,
+    context = {},
+    now = Date.now,
+    exit = (code) => process.exit(code),
+    onTransportError = (error, transport) =>
+      console.warn(`[error-reporter] transport ${transport.name ?? "(unnamed)"} failed: ${error.message}`),
+  } = {}) {
+    this.#transports = transports;
+    this.#maxBreadcrumbs = maxBreadcrumbs;
+    this.#dedupeWindow = dedupeWindow;
+    this.#rateLimit = rateLimit;
+    this.#context = context;
+    this.#now = now;
+    this.#exit = exit;
+    this.#onTransportError = onTransportError;
+  }
+
+  /** Counters: captured, sent, deduplicated, rateLimited, transportErrors. */
+  get stats() {
+    return { ...this.#stats };
+  }
+
+  get breadcrumbs() {
+    return this.#breadcrumbs.map((crumb) => ({ ...crumb }));
+  }
+
+  get installed() {
+    return this.#uninstall !== null;
+  }
+
+  /**
+   * Records something that happened, for the next reports. Only the last
+   * `maxBreadcrumbs` are kept.
+   * @param {{ category?: string, message: string, data?: object }} breadcrumb
+   */
+  addBreadcrumb({ category = "default", message, data }) {
+    this.#breadcrumbs.push({ timestamp: new Date(this.#now()).toISOString(), category, message, ...(data && { data }) });
+    if (this.#breadcrumbs.length > this.#maxBreadcrumbs) this.#breadcrumbs.shift();
+  }
+
+  /**
+   * Reports an error (or any thrown value) unless it is a recent duplicate or
+   * the rate limit is reached.
+   * @param {unknown} value
+   * @param {{ level?: "error" | "fatal" | "warning", source?: string, tags?: object, extra?: object }} [options]
+   * @returns {object | null} The report, or null when it was not sent.
+   */
+  capture(value, { level = "error", source = "manual", tags = {}, extra } = {}) {
+    if (this.#closing) return null;
+    this.#stats.captured++;
+    const error = toError(value);
+    const print = fingerprint(error);
+    const now = this.#now();
+
+    const seen = this.#seen.get(print);
+    if (seen && now - seen.lastReported < this.#dedupeWindow) {
+      seen.suppressed++;
+      this.#stats.deduplicated++;
+      return null;
+    }
+    if (now - this.#window.start >= this.#rateLimit.interval) this.#window = { start: now, count: 0 };
+    if (this.#window.count >= this.#rateLimit.limit) {
+      this.#stats.rateLimited++;
+      return null;
+    }
+    this.#window.count++;
+
+    const report = {
+      id: `ERR-${String(this.#nextId++).padStart(6, "0")}`,
+      timestamp: new Date(now).toISOString(),
+      level,
+      source,
+      fingerprint: print,
+      occurrences: 1 + (seen?.suppressed ?? 0), // Including repeats that were only counted
+      error: serializeError(error),
+      breadcrumbs: this.breadcrumbs,
+      context: this.#context,
+      tags,
+      ...(extra && { extra }),
+    };
+    this.#seen.set(print, { lastReported: now, suppressed: 0 });
+    this.addBreadcrumb({ category: "error", message: `${error.name}: ${error.message}` });
+    this.#dispatch(report);
+    this.#stats.sent++;
+    return report;
+  }
+
+  #dispatch(report) {
+    for (const transport of this.#transports) {
+      let sending;
+      try {
+        sending = Promise.resolve(transport.send(report));
+      } catch (error) {
+        sending = Promise.reject(error);
+      }
+      const tracked = sending
+        .catch((error) => {
+          this.#stats.transportErrors++;
+          this.#onTransportError(error, transport);
+        })
+        .finally(() => this.#pending.delete(tracked));
+      this.#pending.add(tracked);
+    }
+  }
+
+  /**
+   * Waits until every transport has finished sending, or `timeout` ms.
+   * @returns {Promise<boolean>} false when the timeout won.
+   */
+  async flush(timeout = 2000) {
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const drained = (async () => {
+      while (this.#pending.size > 0) await Promise.all([...this.#pending]);
+      return true;
+    })();
+    try {
+      return await Promise.race([drained, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Hooks the global error events of `target`: a Node.js `process` (the
+   * default in Node) or a browser `window` (the default in browsers).
+   * @param {object} [options]
+   * @param {object} [options.target]
+   * @param {"report" | "exit"} [options.unhandledRejections="report"] - "exit" shuts
+   * down after reporting, like Node's own default.
+   * @param {boolean} [options.gracefulShutdown=false] - Node.js: flush on SIGINT / SIGTERM.
+   * @returns {this}
+   */
+  install({ target = defaultTarget(), unhandledRejections = "report", gracefulShutdown = false } = {}) {
+    if (this.#uninstall) return this;
+    const listeners = [];
+    const listen = (event, listener) => {
+      if (typeof target.addEventListener === "function") target.addEventListener(event, listener);
+      else target.on(event, listener);
+      listeners.push([event, listener]);
+    };
+
+    if (typeof target.addEventListener === "function") {
+      // Browser: ErrorEvent carries the error; PromiseRejectionEvent carries the reason
+      listen("error", (event) => {
+        const { filename, lineno, colno } = event;
+        this.capture(event.error ?? new Error(event.message), { source: "window.error", extra: { filename, lineno, colno } });
+      });
+      listen("unhandledrejection", (event) => this.capture(event.reason, { source: "unhandledrejection" }));
+      listen("pagehide", () => this.flush()); // Last chance to send before the page goes away
+    } else {
+      listen("uncaughtException", (error, origin) => {
+        this.capture(error, { level: "fatal", source: origin ?? "uncaughtException" });
+        this.shutdown({ exitCode: 1 });
+      });
+      listen("unhandledRejection", (reason) => {
+        this.capture(reason, { source: "unhandledRejection" });
+        if (unhandledRejections === "exit") this.shutdown({ exitCode: 1 });
+      });
+      if (gracefulShutdown) {
+        for (const signal of ["SIGINT", "SIGTERM"]) {
+          listen(signal, () => {
+            this.addBreadcrumb({ category: "process", message: `Received ${signal}` });
+            this.shutdown({ exitCode: 0 });
+          });
+        }
+      }
+    }
+
+    this.#uninstall = () => {
+      for (const [event, listener] of listeners) {
+        if (typeof target.removeEventListener === "function") target.removeEventListener(event, listener);
+        else target.off(event, listener);
+      }
+    };
+    return this;
+  }
+
+  /** Removes the hooks installed by `install()`. */
+  uninstall() {
+    this.#uninstall?.();
+    this.#uninstall = null;
+  }
+
+  /**
+   * Stops reporting, flushes and closes the transports, then exits with
+   * `exitCode` if one is given. Safe to call more than once.
+   * @param {{ timeout?: number, exitCode?: number }} [options]
+   * @returns {Promise<object>} The final stats.
+   */
+  shutdown({ timeout = 2000, exitCode } = {}) {
+    this.#closing ??= (async () => {
+      this.uninstall();
+      await this.flush(timeout);
+      await Promise.allSettled(this.#transports.map((transport) => transport.close?.()));
+      if (exitCode !== undefined) this.#exit(exitCode);
+      return this.stats;
+    })();
+    return this.#closing;
+  }
+}
+
+/** `window` in a browser, `process` in Node.js. */
+function defaultTarget() {
+  return typeof window !== "undefined" ? window : process;
+}
+
+// =========================================================================
+// 3. Transports
+// =========================================================================
+
+/**
+ * Writes one line per report to the console (`console.error`), or the whole
+ * report as JSON with `format: "json"`.
+ */
+export function consoleTransport({ format = "pretty", output = console } = {}) {
+  return {
+    name: "console",
+    send(report) {
+      if (format === "json") {
+        output.error(JSON.stringify(report));
+        return;
+      }
+      const repeats = report.occurrences > 1 ? ` (x${report.occurrences})` : "";
+      output.error(`[${report.level}] ${report.source}: ${report.error.name}: ${report.error.message}${repeats}`);
+    },
+  };
+}
+
+/** Keeps reports in an array, for tests and demos. */
+export function memoryTransport() {
+  const reports = [];
+  return { name: "memory", reports, send: (report) => void reports.push(report) };
+}
+
+/**
+ * Appends each report as one JSON line to `path`. Writes happen in order;
+ * `close()` waits for the last one. Node.js only (the file system module is
+ * loaded on first use, so importing this module still works in a browser).
+ */
+export function jsonLinesTransport(path) {
+  let queue = Promise.resolve();
+  return {
+    name: `jsonl:${path}`,
+    send(report) {
+      const line = `${JSON.stringify(report)}\n`;
+      const write = queue.then(async () => {
+        const { appendFile } = await import("node:fs/promises");
+        await appendFile(path, line, "utf8");
+      });
+      queue = write.catch(() => {}); // One failed write must not block the next ones
+      return write;
+    },
+    close: () => queue,
+  };
+}
+
+/**
+ * POSTs each report as JSON to `url`. A non-2xx answer counts as a failure.
+ * `keepalive` lets a browser finish the request while the page unloads.
+ * @param {string} url
+ * @param {{ fetch?: Function, headers?: object, timeout?: number }} [options]
+ */
+export function httpTransport(url, { fetch = globalThis.fetch, headers = {}, timeout = 5000 } = {}) {
+  return {
+    name: `http:${url}`,
+    async send(report) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify(report),
+        keepalive: true,
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) {
+        throw new NetworkError(`Error endpoint answered ${response.status}`, response.status);
+      }
+    },
+  };
+}
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export async function runDemo() {
+  // Node.js modules for the demo only; the reporter itself also loads in a browser
+  const { EventEmitter } = await import("node:events");
+  const { readFile, rm } = await import("node:fs/promises");
+  const { tmpdir } = await import("node:os");
+  const { join } = await import("node:path");
+
+  let clock = Date.UTC(2026, 0, 1);
+  const memory = memoryTransport();
+  const reporter = new ErrorReporter({
+    transports: [memory],
+    now: () => clock,
+    rateLimit: { limit: 3, interval: 60_000 },
+    context: { app: "error-handling-lesson" },
+  });
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+  // Example 1: the unhandled rejection from section 8.3 of 01-error-handling.js, now reported
+  reporter.install();
+  reporter.addBreadcrumb({ category: "navigation", message: "Opened /checkout" });
+  const rejectUncaught = () => Promise.reject(new Error("This promise was rejected but not caught!"));
+  rejectUncaught();
+  rejectUncaught(); // Same fingerprint: counted, not sent again
+  await settle();
+  const [first] = memory.reports;
+  console.log(first.id, first.source, first.error.message); // Output: ERR-000001 unhandledRejection This promise was rejected but not caught!
+  console.log(first.breadcrumbs.map((crumb) => crumb.message)); // Output: [ 'Opened /checkout' ]
+  console.log(memory.reports.length, reporter.stats.deduplicated); // Output: 1 1
+
+  // Example 2: after the dedupe window, the report carries the repeat count
+  clock += 61_000;
+  rejectUncaught();
+  await settle();
+  console.log(memory.reports.at(-1).occurrences); // Output: 2
+
+  // Example 3: ids and numbers in messages do not split a fingerprint
+  const lookup = (id) => new Error(`User ${id} not found`);
+  console.log(fingerprint(lookup(41)) === fingerprint(lookup(42))); // Output: true
+
+  // Example 4: the rate limit (3 per minute here) drops the rest
+  for (const name of ["A", "B", "C"]) reporter.capture(new TypeError(`Problem ${name}`));
+  console.log(memory.reports.slice(-2).map((report) => report.error.message)); // Output: [ 'Problem A', 'Problem B' ]
+  console.log(reporter.stats.rateLimited); // Output: 1
+  consoleTransport().send(memory.reports.at(-1)); // Output: [error] manual: TypeError: Problem B
+
+  // Example 5: an uncaught exception is fatal: report, flush, exit(1)
+  reporter.uninstall();
+  clock += 61_000;
+  let exitCode;
+  const fakeProcess = new EventEmitter(); // Stands in for `process`, so nothing really exits
+  const fatal = new ErrorReporter({ transports: [memory], now: () => clock, exit: (code) => (exitCode = code) });
+  fatal.install({ target: fakeProcess });
+  fakeProcess.emit("uncaughtException", new RangeError("Invalid array length"), "uncaughtException");
+  await fatal.shutdown();
+  console.log(memory.reports.at(-1).level, exitCode, fatal.installed); // Output: fatal 1 false
+
+  // Example 6: JSON-lines file and HTTP transports
+  const file = join(tmpdir(), `error-reports-${process.pid}.jsonl`);
+  const requests = [];
+  const fakeFetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) });
+    return { ok: url.endsWith("/ok"), status: url.endsWith("/ok") ? 202 : 500 };
+  };
+  const failures = [];
+  const shipped = new ErrorReporter({
+    transports: [
+      jsonLinesTransport(file),
+      httpTransport("https://errors.example.com/ok", { fetch: fakeFetch }),
+      httpTransport("https://errors.example.com/down", { fetch: fakeFetch }),
+    ],
+    onTransportError: (error) => failures.push(error.message),
+  });
+  shipped.capture(new NetworkError("Payment service timed out", 504));
+  shipped.capture(new Error("Disk quota exceeded"));
+  const stats = await shipped.shutdown();
+  const lines = (await readFile(file, "utf8")).trim().split("\n");
+  await rm(file);
+  console.log(lines.length, JSON.parse(lines[0]).error.code, requests.length); // Output: 2 NETWORK_ERROR 4
+  console.log(stats.sent, stats.transportErrors, failures[0]); // Output: 2 2 Error endpoint answered 500
+
+  // Example 7: the browser hooks, with an EventTarget standing in for `window`
+  const fakeWindow = new EventTarget();
+  const browser = new ErrorReporter({ transports: [memory] }).install({ target: fakeWindow });
+  fakeWindow.dispatchEvent(Object.assign(new Event("error"), { error: new ReferenceError("x is not defined"), filename: "app.js", lineno: 3, colno: 7 }));
+  fakeWindow.dispatchEvent(Object.assign(new Event("unhandledrejection"), { reason: "plain string reason" }));
+  await browser.shutdown();
+  console.log(memory.reports.slice(-2).map((report) => `${report.source} ${report.error.name}`)); // Output: [ 'window.error ReferenceError', 'unhandledrejection NonError' ]
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
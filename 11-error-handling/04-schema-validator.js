@@ -0,0 +1,361 @@
+/**
+ * File: 04-schema-validator.js
+ * Description: A small declarative schema validator. Instead of a chain of
+ * hand-written `if` checks that each throw the first problem they find (like
+ * `processUserData` used to in 01-error-handling.js), a schema describes the
+ * expected shape once, `parse()` checks everything and throws one
+ * `ValidationError` listing every failure with its path (e.g. `address.zip`).
+ * Optional type coercion follows the conversion rules from
+ * 01-basics/02-type-conversion.js.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+import { ValidationError } from "./02-app-error.js";
+
+// =========================================================================
+// 1. The DSL
+// =========================================================================
+
+/**
+ * **Building blocks** (every method returns a new schema; schemas are immutable
+ * and can be shared):
+ * -   `schema.string()`, `.min(n)`, `.max(n)` (length), `.regex(pattern, message)`, `.email()`
+ * -   `schema.number()`, `.min(n)`, `.max(n)`, `.int()`
+ * -   `schema.boolean()`
+ * -   `schema.enum(["admin", "user"])`
+ * -   `schema.array(itemSchema)`, `.min(n)`, `.max(n)` (length)
+ * -   `schema.object({ key: schema, ... })`: unknown keys are dropped from the result
+ * -   Any schema: `.optional()` (may be `undefined`), `.refine(predicate, message)`
+ * for custom rules. A refinement runs only when the value already passed the
+ * built-in checks, so it never sees a value of the wrong type.
+ *
+ * **Coercion modes** (`parse(value, { coerce })`):
+ * -   `"none"` (default): the value must already have the right type.
+ * -   `"safe"`: only conversions that lose nothing. `"42"` and `" 42 "` become 42,
+ * but `""` and `"  "` do not become 0; `"true"` / `"false"` and 1 / 0 become
+ * booleans; numbers and booleans become strings.
+ * -   `"js"`: exactly `String(value)`, `Number(value)` and `Boolean(value)`,
+ * pitfalls included: `Number("")` and `Number(null)` are 0, `Boolean("0")` is
+ * true, `String(null)` is `"null"`. A conversion to NaN still fails.
+ */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** `["address", "zip"]` -> "address.zip"; `["tags", 1]` -> "tags[1]". */
+export function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === "number" ? `${text}[${key}]` : text ? `${text}.${key}` : key), "");
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isNaN(value)) return "NaN";
+  return typeof value;
+}
+
+const INVALID = Symbol("invalid");
+
+/**
+ * Base class of every schema. Subclasses implement `_parseType` (type check and
+ * coercion); the base class handles `optional`, checks and refinements.
+ */
+export class Schema {
+  /**
+   * @param {{ optional?: boolean, checks?: Array<{ test: Function, message: string|Function, path?: Array }> }} [config]
+   */
+  constructor(config = {}) {
+    this.config = { optional: false, checks: [], ...config };
+  }
+
+  /** A copy of this schema with some config changed. */
+  _with(changes) {
+    return new this.constructor({ ...this.config, ...changes });
+  }
+
+  /** Adds a check that runs after the type check. */
+  _check(test, message, path = []) {
+    return this._with({ checks: [...this.config.checks, { test, message, path }] });
+  }
+
+  optional() {
+    return this._with({ optional: true });
+  }
+
+  /**
+   * A custom rule.
+   * @param {(value: any) => boolean} predicate
+   * @param {string | { message: string, path?: Array<string|number> }} options -
+   * `path` puts the issue on a child (e.g. `["confirmPassword"]` on an object schema).
+   */
+  refine(predicate, options) {
+    const { message, path = [] } = typeof options === "string" ? { message: options } : options;
+    return this._check(predicate, message, path);
+  }
+
+  /**
+   * Internal: validates `value` at `path`, recording issues in `context.issues`.
+   * @returns {any} The (coerced) value, or INVALID.
+   */
+  _run(value, path, context) {
+    if (value === undefined) {
+      if (this.config.optional) return undefined;
+      context.issues.push({ path, code: "required", message: "Required" });
+      return INVALID;
+    }
+    const parsed = this._parseType(value, path, context);
+    if (parsed === INVALID) return INVALID;
+
+    let valid = true;
+    for (const { test, message, path: subPath } of this.config.checks) {
+      if (!test(parsed)) {
+        const text = typeof message === "function" ? message(parsed) : message;
+        context.issues.push({ path: [...path, ...subPath], code: "custom", message: text });
+        valid = false;
+      }
+    }
+    return valid ? parsed : INVALID;
+  }
+
+  _typeIssue(expected, value, path, context) {
+    context.issues.push({ path, code: "invalid_type", message: `Expected ${expected}, received ${describeType(value)}` });
+    return INVALID;
+  }
+
+  /**
+   * Validates and returns the value (coerced, unknown object keys dropped).
+   * @param {unknown} value
+   * @param {{ coerce?: "none" | "safe" | "js" }} [options]
+   * @returns {any}
+   * @throws {ValidationError} With `fields` (the failing paths) and `issues`
+   * (`{ path, code, message }` for every failure).
+   */
+  parse(value, options) {
+    const result = this.safeParse(value, options);
+    if (!result.success) throw result.error;
+    return result.data;
+  }
+
+  /**
+   * Like `parse`, but returns `{ success: true, data }` or `{ success: false, error }`.
+   */
+  safeParse(value, { coerce = "none" } = {}) {
+    if (!["none", "safe", "js"].includes(coerce)) {
+      throw new TypeError(`Unknown coercion mode "${coerce}" (use "none", "safe" or "js")`);
+    }
+    const context = { coerce, issues: [] };
+    const data = this._run(value, [], context);
+    if (context.issues.length === 0) return { success: true, data };
+
+    const issues = context.issues.map((issue) => ({ ...issue, path: formatPath(issue.path) }));
+    const fields = [...new Set(issues.map((issue) => issue.path))];
+    const message = issues.map((issue) => `${issue.path || "(root)"}: ${issue.message}`).join("; ");
+    const error = new ValidationError(message, fields);
+    error.issues = issues;
+    return { success: false, error };
+  }
+}
+
+// =========================================================================
+// 2. Primitive Schemas
+// =========================================================================
+
+export class StringSchema extends Schema {
+  _parseType(value, path, context) {
+    if (typeof value === "string") return value;
+    if (context.coerce === "js") return String(value);
+    if (context.coerce === "safe" && (typeof value === "boolean" || Number.isFinite(value))) return String(value);
+    return this._typeIssue("string", value, path, context);
+  }
+
+  min(length) {
+    return this._check((value) => value.length >= length, `Must be at least ${length} character${length === 1 ? "" : "s"}`);
+  }
+
+  max(length) {
+    return this._check((value) => value.length <= length, `Must be at most ${length} character${length === 1 ? "" : "s"}`);
+  }
+
+  regex(pattern, message = `Must match ${pattern}`) {
+    return this._check((value) => {
+      pattern.lastIndex = 0; // A /g or /y pattern would otherwise remember its last position
+      return pattern.test(value);
+    }, message);
+  }
+
+  email() {
+    return this.regex(EMAIL, "Must be a valid email address");
+  }
+}
+
+export class NumberSchema extends Schema {
+  _parseType(value, path, context) {
+    let number = value;
+    if (typeof value !== "number") {
+      if (context.coerce === "js") number = Number(value);
+      else if (context.coerce === "safe" && typeof value === "string" && value.trim() !== "") number = Number(value);
+      else return this._typeIssue("number", value, path, context);
+    }
+    // NaN is a number, but never a valid one (Number("abc"), Number(undefined), 0 / 0)
+    if (Number.isNaN(number)) return this._typeIssue("number", value, path, context);
+    return number;
+  }
+
+  min(minimum) {
+    return this._check((value) => value >= minimum, `Must be at least ${minimum}`);
+  }
+
+  max(maximum) {
+    return this._check((value) => value <= maximum, `Must be at most ${maximum}`);
+  }
+
+  int() {
+    return this._check(Number.isInteger, "Must be an integer");
+  }
+}
+
+const SAFE_BOOLEANS = new Map([["true", true], ["false", false], [1, true], [0, false]]);
+
+export class BooleanSchema extends Schema {
+  _parseType(value, path, context) {
+    if (typeof value === "boolean") return value;
+    if (context.coerce === "js") return Boolean(value);
+    if (context.coerce === "safe" && SAFE_BOOLEANS.has(value)) return SAFE_BOOLEANS.get(value);
+    return this._typeIssue("boolean", value, path, context);
+  }
+}
+
+export class EnumSchema extends Schema {
+  _parseType(value, path, context) {
+    const { values } = this.config;
+    if (values.includes(value)) return value;
+    // Coercion only helps when the allowed values are numbers and the input is their text
+    if (context.coerce !== "none" && typeof value === "string") {
+      const match = values.find((allowed) => typeof allowed === "number" && String(allowed) === value.trim());
+      if (match !== undefined) return match;
+    }
+    context.issues.push({ path, code: "invalid_enum", message: `Must be one of: ${values.join(", ")}` });
+    return INVALID;
+  }
+}
+
+// =========================================================================
+// 3. Composite Schemas
+// =========================================================================
+
+export class ArraySchema extends Schema {
+  _parseType(value, path, context) {
+    if (!Array.isArray(value)) return this._typeIssue("array", value, path, context);
+    // Check every item (not just up to the first failure), so all issues are reported
+    const items = value.map((item, index) => this.config.item._run(item, [...path, index], context));
+    return items.includes(INVALID) ? INVALID : items;
+  }
+
+  min(length) {
+    return this._check((value) => value.length >= length, `Must contain at least ${length} items`);
+  }
+
+  max(length) {
+    return this._check((value) => value.length <= length, `Must contain at most ${length} items`);
+  }
+}
+
+export class ObjectSchema extends Schema {
+  _parseType(value, path, context) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return this._typeIssue("object", value, path, context);
+    }
+    const result = {};
+    let valid = true;
+    for (const [key, schema] of Object.entries(this.config.shape)) {
+      const parsed = schema._run(value[key], [...path, key], context);
+      if (parsed === INVALID) valid = false;
+      else if (parsed !== undefined) result[key] = parsed;
+    }
+    return valid ? result : INVALID;
+  }
+
+  /** The shape, for building related schemas (`schema.object({ ...user.shape, id })`). */
+  get shape() {
+    return this.config.shape;
+  }
+}
+
+/** Entry points of the DSL. */
+export const schema = {
+  string: () => new StringSchema(),
+  number: () => new NumberSchema(),
+  boolean: () => new BooleanSchema(),
+  enum: (values) => new EnumSchema({ values }),
+  array: (item) => new ArraySchema({ item }),
+  object: (shape) => new ObjectSchema({ shape }),
+};
+
+// =========================================================================
+// 4. Demo
+// =========================================================================
+
+export function runDemo() {
+  const user = schema.object({
+    username: schema.string().min(3).max(20).regex(/^\w+$/, "Only letters, digits and _"),
+    email: schema.string().email(),
+    age: schema.number().int().min(13).optional(),
+    role: schema.enum(["admin", "user"]),
+    tags: schema.array(schema.string().min(1)).max(3),
+    address: schema.object({
+      city: schema.string(),
+      zip: schema.string().regex(/^\d{5}$/, "Must be 5 digits"),
+    }),
+  });
+
+  // Example 1: valid input; unknown keys are dropped
+  const valid = user.parse({
+    username: "unais",
+    email: "unais@example.com",
+    role: "admin",
+    tags: ["js"],
+    address: { city: "Pune", zip: "41100" },
+    isAdmin: true,
+  });
+  console.log(Object.keys(valid).join(",")); // Output: username,email,role,tags,address
+
+  // Example 2: every failure is collected, each with its path
+  try {
+    user.parse({ username: "un!", email: "nope", age: 12.5, role: "root", tags: ["a", ""], address: { zip: "4110" } });
+  } catch (error) {
+    console.log(error instanceof ValidationError, error.code); // Output: true VALIDATION_FAILED
+    console.log(error.fields.join(" "));
+    // Output: username email age role tags[1] address.city address.zip
+    for (const { path, message } of error.issues) console.log(`${path}: ${message}`);
+    // Output:
+    // username: Only letters, digits and _
+    // email: Must be a valid email address
+    // age: Must be an integer
+    // age: Must be at least 13
+    // role: Must be one of: admin, user
+    // tags[1]: Must be at least 1 character
+    // address.city: Required
+    // address.zip: Must be 5 digits
+  }
+
+  // Example 3: refinements, including one that reports on a child path
+  const signup = schema
+    .object({ password: schema.string().min(8), confirm: schema.string() })
+    .refine((value) => value.password === value.confirm, { message: "Passwords do not match", path: ["confirm"] });
+  console.log(signup.safeParse({ password: "hunter22", confirm: "hunter2" }).error.message); // Output: confirm: Passwords do not match
+
+  // Example 4: coercion modes, following 01-basics/02-type-conversion.js
+  const age = schema.number();
+  const flag = schema.boolean();
+  console.log(age.safeParse("42").success, age.parse("42", { coerce: "safe" })); // Output: false 42
+  console.log(age.safeParse("", { coerce: "safe" }).error.message); // Output: (root): Expected number, received string
+  console.log(age.parse("", { coerce: "js" }), age.parse(null, { coerce: "js" })); // Output: 0 0
+  console.log(age.safeParse("789z", { coerce: "js" }).success); // Output: false
+  console.log(flag.parse("0", { coerce: "js" }), flag.parse("false", { coerce: "safe" })); // Output: true false
+  console.log(schema.string().parse(null, { coerce: "js" })); // Output: null
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
@@ -0,0 +1,241 @@
+/**
+ * File: 05-result.js
+ * Description: A `Result` type (also known as Either): a value that is either
+ * `Ok(value)` or `Err(error)`. Functions return failures instead of throwing
+ * them or answering ad-hoc `{ success, message }` objects, so callers always
+ * handle errors the same way, and `fromPromise` / `toPromise` convert between
+ * Results and Promises at the edges.
+ * Date: 2026-10-19
+ */
+
+import { isMain } from "../tools/is-main.js";
+
+// =========================================================================
+// 1. Errors as Values
+// =========================================================================
+
+/**
+ * **Three ways to report failure, and why a Result helps:**
+ * -   **Throwing / rejecting:** the failure is invisible in the signature; a
+ * caller who forgets `try...catch` or `.catch()` crashes (or hits the global
+ * handlers of 01-error-handling.js, section 8).
+ * -   **`{ success: false, message }` objects:** visible, but every function
+ * invents its own shape, and nothing stops `result.token` being read when
+ * `success` is false.
+ * -   **`Result`:** one shape everywhere. The value is only reachable through
+ * `match`, `map`, `unwrapOr` & co, which make the caller decide what happens
+ * on failure.
+ *
+ * **Vocabulary:**
+ * -   `ok(value)` / `err(error)`: build a Result.
+ * -   `map(fn)`: transform the value (errors pass through); `mapErr(fn)`: transform the error.
+ * -   `flatMap(fn)`: chain a step that itself returns a Result (like `.then` returning a promise).
+ * -   `unwrapOr(fallback)`, `unwrap()` (throws the error), `match({ ok, err })`.
+ * -   `Result.fromPromise(promise)`: a promise that always *fulfills*, with a Result.
+ * -   `result.toPromise()`: back to a promise that rejects on `Err`.
+ * -   `Result.try(fn)`: runs a throwing function and captures the outcome.
+ * -   `Result.all(results)`: `Ok` of all values, or the first `Err`.
+ */
+
+export class Result {
+  #ok;
+  #value;
+  #error;
+
+  /** Use `Result.ok` / `Result.err`; the constructor is an implementation detail. */
+  constructor(isOk, payload) {
+    this.#ok = isOk;
+    if (isOk) this.#value = payload;
+    else this.#error = payload;
+  }
+
+  static ok(value) {
+    return new Result(true, value);
+  }
+
+  static err(error) {
+    return new Result(false, error);
+  }
+
+  /**
+   * Waits for a promise (or a function returning one) and never rejects.
+   * @param {Promise<any> | (() => Promise<any>)} source
+   * @param {(reason: unknown) => any} [mapError] - E.g. to wrap plain objects in Errors.
+   * @returns {Promise<Result>}
+   */
+  static async fromPromise(source, mapError = (reason) => reason) {
+    try {
+      return Result.ok(await (typeof source === "function" ? source() : source));
+    } catch (reason) {
+      return Result.err(mapError(reason));
+    }
+  }
+
+  /**
+   * Calls a function that may throw.
+   * @param {() => any} fn
+   * @param {(error: unknown) => any} [mapError]
+   * @returns {Result}
+   */
+  static try(fn, mapError = (error) => error) {
+    try {
+      return Result.ok(fn());
+    } catch (error) {
+      return Result.err(mapError(error));
+    }
+  }
+
+  /**
+   * `Ok` with every value (in order), or the first `Err`.
+   * @param {Iterable<Result>} results
+   * @returns {Result}
+   */
+  static all(results) {
+    const values = [];
+    for (const result of results) {
+      if (result.isErr) return result;
+      values.push(result.#value);
+    }
+    return Result.ok(values);
+  }
+
+  static isResult(value) {
+    return value instanceof Result;
+  }
+
+  get isOk() {
+    return this.#ok;
+  }
+
+  get isErr() {
+    return !this.#ok;
+  }
+
+  map(fn) {
+    return this.#ok ? Result.ok(fn(this.#value)) : this;
+  }
+
+  mapErr(fn) {
+    return this.#ok ? this : Result.err(fn(this.#error));
+  }
+
+  /**
+   * Chains a step that returns a Result. The first `Err` short-circuits the chain.
+   * @param {(value: any) => Result} fn
+   * @returns {Result}
+   */
+  flatMap(fn) {
+    if (!this.#ok) return this;
+    const next = fn(this.#value);
+    if (!(next instanceof Result)) {
+      throw new TypeError("flatMap callback must return a Result (use map for plain values)");
+    }
+    return next;
+  }
+
+  /**
+   * Calls `handlers.ok(value)` or `handlers.err(error)` and returns what it returns.
+   * @param {{ ok: (value: any) => any, err: (error: any) => any }} handlers
+   */
+  match({ ok, err }) {
+    return this.#ok ? ok(this.#value) : err(this.#error);
+  }
+
+  unwrapOr(fallback) {
+    return this.#ok ? this.#value : fallback;
+  }
+
+  /** The value; on `Err`, throws the error (wrapped in an Error if it is not one). */
+  unwrap() {
+    if (this.#ok) return this.#value;
+    throw toThrowable(this.#error);
+  }
+
+  /** The error; throws on `Ok`. */
+  unwrapErr() {
+    if (!this.#ok) return this.#error;
+    throw new TypeError("Called unwrapErr on an Ok result");
+  }
+
+  /** A promise fulfilled with the value, or rejected with the error. */
+  toPromise() {
+    return this.#ok ? Promise.resolve(this.#value) : Promise.reject(toThrowable(this.#error));
+  }
+
+  toJSON() {
+    return this.#ok ? { ok: true, value: this.#value } : { ok: false, error: this.#error };
+  }
+
+  /** Makes `console.log(result)` print `Ok(...)` / `Err(...)` in Node.js. */
+  [Symbol.for("nodejs.util.inspect.custom")](depth, options, inspect) {
+    const payload = inspect(this.#ok ? this.#value : this.#error, { ...options, depth: options.depth === null ? null : options.depth - 1 });
+    return `${this.#ok ? "Ok" : "Err"}(${payload})`;
+  }
+}
+
+/** Errors are thrown as they are; anything else is wrapped, keeping the original as `cause`. */
+function toThrowable(error) {
+  if (error instanceof Error) return error;
+  const message = typeof error?.message === "string" ? error.message : String(error);
+  return new Error(message, { cause: error });
+}
+
+export const ok = Result.ok;
+export const err = Result.err;
+
+// =========================================================================
+// 2. Demo
+// =========================================================================
+
+export async function runDemo() {
+  const parseAge = (text) => {
+    const age = Number(text);
+    return Number.isInteger(age) && age >= 0 ? ok(age) : err(new RangeError(`Not an age: "${text}"`));
+  };
+  const checkAdult = (age) => (age >= 18 ? ok(age) : err(new RangeError(`${age} is under 18`)));
+
+  // Example 1: map and flatMap run only on Ok; the first Err short-circuits
+  console.log(parseAge("42").map((age) => age + 1)); // Output: Ok(43)
+  console.log(parseAge("42").flatMap(checkAdult).isOk); // Output: true
+  console.log(parseAge("12").flatMap(checkAdult).unwrapErr().message); // Output: 12 is under 18
+  console.log(parseAge("abc").flatMap(checkAdult).unwrapErr().message); // Output: Not an age: "abc"
+
+  // Example 2: match and unwrapOr make the caller handle both cases
+  const describe = (text) =>
+    parseAge(text).match({ ok: (age) => `age ${age}`, err: (error) => `invalid (${error.message})` });
+  console.log(describe("30"), "|", describe("-1")); // Output: age 30 | invalid (Not an age: "-1")
+  console.log(parseAge("oops").unwrapOr(0)); // Output: 0
+
+  // Example 3: promises in, Results out, and back
+  const fetchUser = (id) =>
+    new Promise((resolve, reject) => {
+      setTimeout(() => (id === 1 ? resolve({ id, name: "Unais" }) : reject(new Error("User not found"))), 10);
+    });
+  const found = await Result.fromPromise(fetchUser(1));
+  const missing = await Result.fromPromise(() => fetchUser(2));
+  console.log(found.map((user) => user.name).unwrapOr("nobody"), missing.isErr); // Output: Unais true
+  try {
+    await missing.toPromise();
+  } catch (error) {
+    console.log("Rejected with:", error.message); // Output: Rejected with: User not found
+  }
+
+  // Example 4: Result.try and Result.all
+  const parsed = ["1", "2", "3"].map((text) => Result.try(() => JSON.parse(text)));
+  console.log(Result.all(parsed).unwrap()); // Output: [ 1, 2, 3 ]
+  console.log(Result.all([ok(1), Result.try(() => JSON.parse("{")), ok(3)]).isErr); // Output: true
+
+  // Example 5: plain-object failures become Errors when thrown
+  const legacy = err({ success: false, message: "Invalid credentials" });
+  try {
+    legacy.unwrap();
+  } catch (error) {
+    console.log(error instanceof Error, error.message, error.cause.success); // Output: true Invalid credentials false
+  }
+  console.log(JSON.stringify(ok({ id: 1 }))); // Output: {"ok":true,"value":{"id":1}}
+}
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
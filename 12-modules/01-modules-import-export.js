@@ -6,6 +6,10 @@
  * Date: 2025-05-22
  */
 
+// A module may import itself: `thisModule` is this file's namespace object (see section 4.1)
+import * as thisModule from "./01-modules-import-export.js";
+import { isMain } from "../tools/is-main.js";
+
 // =========================================================================
 // 1. Introduction: The Need for Modules
 // =========================================================================
@@ -283,6 +287,34 @@ loadModuleButton.addEventListener('click', async () => {
  * -   Requires files to end with `.mjs` or for `package.json` to have `"type": "module"` for ES Modules.
  */
 
+// -------------------------------------------------------------------------
+// 4.1. This Repository as a Package
+// -------------------------------------------------------------------------
+
+/**
+ * **4.1. Importing the Lessons:**
+ * -   The root `package.json` sets `"type": "module"`, so every lesson is an ES module,
+ * and its `"exports"` field maps the package name to `index.js`, which re-exports the
+ * reusable pieces (`createCounter`, `customMap`, `AuthService`, `NetworkError`, ...).
+ * -   Importing a module runs its top-level code once. So lessons keep their examples
+ * in an exported `runDemo()` and only call it when they are the program being run:
+ * `if (isMain(import.meta.url)) runDemo();` (`tools/is-main.js`).
+ * -   Importing a lesson therefore never prints anything:
+ *
+ * import { createCounter, AuthService } from "javascript-learning"; // Via package.json "exports"
+ * import { runDemo } from "javascript-learning/04-function/02-closure.js"; // A single lesson
+ * runDemo(); // Prints that lesson's examples on demand
+ */
+
+// Example 4.1: The namespace object holds live bindings to every export, including `default`
+/** Runs the examples above, in order. */
+export function runDemo() {
+  console.log("4.1 Exports:", Object.keys(thisModule).join(", ")); // Output: 4.1 Exports: Calculator, PI, add, default, divide, multiply, runDemo, subtract
+  console.log("4.1 add(2, 3):", thisModule.add(2, 3)); // Output: 4.1 add(2, 3): 5
+  console.log("4.1 default is Logger:", thisModule.default === Logger); // Output: 4.1 default is Logger: true
+  thisModule.default("Called through the namespace object."); // Output: [LOG]: Called through the namespace object.
+}
+
 // =========================================================================
 // 5. Best Practices for Modules
 // =========================================================================
@@ -357,3 +389,8 @@ loadModuleButton.addEventListener('click', async () => {
  * Mastering the various forms of `import` and `export` and adhering to best practices
  * is essential for building professional-grade JavaScript projects.
  */
+
+// Run the demo only when this file is executed directly, not when imported
+if (isMain(import.meta.url)) {
+  runDemo();
+}
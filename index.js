@@ -0,0 +1,170 @@
+/**
+ * File: index.js
+ * Description: The package entry point. Re-exports the reusable pieces of the
+ * lessons, so they can be imported without running any demo:
+ *   import { createCounter, AuthService, NetworkError } from "javascript-learning";
+ * A single lesson (and its `runDemo()`) is importable by path as well:
+ *   import { runDemo } from "javascript-learning/04-function/02-closure.js";
+ * Date: 2026-10-19
+ */
+
+// Basics
+export {
+  Input,
+  InputError,
+  interactiveSource,
+  isInteractive,
+  loadAnswers,
+  parseChoice,
+  parseNumber,
+  parseText,
+  parseYesNo,
+  promptSource,
+  readlineSource,
+  scriptedSource,
+} from "./01-basics/10-user-input.js";
+export {
+  describeValue,
+  explainComparison,
+  formatSteps,
+  isLooselyEqual,
+  isStrictlyEqual,
+  parseLiteral,
+  sameValueZero,
+  specType,
+  toNumber,
+  toPrimitive,
+  toString,
+} from "./01-basics/11-abstract-operations.js";
+export { BitFlags, explainBitwise, formatBits } from "./01-basics/12-bit-flags.js";
+export { Rule, RuleError, formatRuleTrace } from "./01-basics/13-rule-engine.js";
+
+// Objects
+export { DeepEqualError, assertDeepEqual, deepEqual, diff, formatKeyPath } from "./03-objects/03-deep-equal.js";
+
+// Functions
+export { createCounter } from "./04-function/02-closure.js";
+export { customFilter, customFind, customMap, customReduce } from "./04-function/05-custom-map-filter-find-reduce.js";
+export {
+  compose,
+  curry,
+  debounce,
+  memoize,
+  once,
+  partial,
+  pipe,
+  pipeAsync,
+  throttle,
+} from "./04-function/08-functional-toolkit.js";
+export { arrayPolyfills, groupBy, installArrayPolyfills } from "./04-function/09-array-method-polyfills.js";
+
+// JavaScript execution
+export { ParseError, outline, parse, tokenize } from "./05-javascript-execution/01-tokenizer-and-parser.js";
+export { renderStep, renderSteps, visualize } from "./05-javascript-execution/02-execution-context-visualizer.js";
+
+// Asynchronous JavaScript and promises
+export {
+  PROMISIFY_CUSTOM,
+  StepError,
+  callbackify,
+  parallel,
+  promisify,
+  series,
+  waterfall,
+} from "./06-asynchronus-javascript/03-callback-utilities.js";
+export {
+  RetryError,
+  TimeoutError,
+  allSettledWithKeys,
+  any,
+  pool,
+  race,
+  retry,
+  sleep,
+  withTimeout,
+} from "./07-promises/05-promise-utilities.js";
+export { MyPromise, createPromiseClass } from "./07-promises/06-my-promise.js";
+export { formatSnapshot, formatTrace, simulate } from "./07-promises/07-event-loop-simulator.js";
+
+// Classes
+export { AuthError, AuthService, JsonFileUserStore, MemoryUserStore } from "./10-classes/04-auth-service.js";
+export { AccessControl, PermissionDeniedError } from "./10-classes/05-auth-permissions.js";
+export {
+  Book,
+  Cart,
+  Electronics,
+  Inventory,
+  Order,
+  OutOfStockError,
+  Product,
+  buyXGetY,
+  categoryOff,
+  checkout,
+  percentageOff,
+} from "./10-classes/06-shop.js";
+export { CurrencyMismatchError, Money } from "./10-classes/07-money.js";
+export {
+  Battle,
+  GameCharacter,
+  antidote,
+  createRng,
+  defaultStrategy,
+  formatEvent,
+  healingPotion,
+  poison,
+  stun,
+} from "./10-classes/08-battle.js";
+export {
+  BankAccount,
+  BankError,
+  InsufficientFundsError,
+  InvalidAmountError,
+  Statement,
+} from "./10-classes/09-bank-account.js";
+export {
+  DimensionMismatchError,
+  Quantity,
+  QuantityParseError,
+  Temperature,
+  UnitRegistry,
+  UnknownUnitError,
+  convert,
+  createDefaultRegistry,
+  defaultRegistry,
+  parseQuantity,
+  quantity,
+} from "./10-classes/10-units.js";
+
+// Error handling
+export {
+  AppError,
+  NetworkError,
+  NotFoundError,
+  ValidationError,
+  causeChain,
+  matchError,
+  toHttpResponse,
+} from "./11-error-handling/02-app-error.js";
+export {
+  ErrorReporter,
+  consoleTransport,
+  fingerprint,
+  httpTransport,
+  jsonLinesTransport,
+  memoryTransport,
+} from "./11-error-handling/03-error-reporter.js";
+export {
+  ArraySchema,
+  BooleanSchema,
+  EnumSchema,
+  NumberSchema,
+  ObjectSchema,
+  Schema,
+  StringSchema,
+  formatPath,
+  schema,
+} from "./11-error-handling/04-schema-validator.js";
+export { Result, err, ok } from "./11-error-handling/05-result.js";
+
+// Tools
+export { isMain } from "./tools/is-main.js";
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * File: check-functional-toolkit.js
+ * Description: Checks the helpers from 04-function/08-functional-toolkit.js: debounce
+ * and throttle under fake timers (tools/fake-timers.js), so their leading and trailing
+ * calls are verified at exact virtual times instead of by waiting, plus memoize's
+ * cache keys and curry's arity.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   node tools/check-functional-toolkit.js
+ *
+ * Exit code is 0 when every check passes, 1 when some fail.
+ */
+
+import assert from "node:assert/strict";
+
+import { curry, debounce, memoize, throttle } from "../04-function/08-functional-toolkit.js";
+import { installFakeTimers } from "./fake-timers.js";
+
+/** A function that records each call as `[time, ...args]`. */
+function recorder() {
+  const calls = [];
+  const fn = (...args) => {
+    calls.push([Date.now(), ...args]);
+  };
+  return { fn, calls };
+}
+
+const checks = [
+  ["debounce calls once, with the latest arguments, after the quiet period", async (clock) => {
+    const { fn, calls } = recorder();
+    const debounced = debounce(fn, 100);
+    debounced("a");
+    await clock.tick(50);
+    debounced("b"); // Restarts the quiet period
+    await clock.tick(99);
+    assert.deepEqual(calls, []);
+    await clock.tick(1);
+    assert.deepEqual(calls, [[150, "b"]]);
+    assert.equal(clock.pending(), 0);
+  }],
+  ["debounce with leading calls at once and skips a trailing call nobody asked for", async (clock) => {
+    const { fn, calls } = recorder();
+    const debounced = debounce(fn, 100, { leading: true });
+    debounced("a");
+    assert.deepEqual(calls, [[0, "a"]]);
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"]]);
+    debounced("b"); // A new burst leads again
+    assert.deepEqual(calls, [[0, "a"], [100, "b"]]);
+  }],
+  ["debounce with leading and trailing calls at both ends of a burst", async (clock) => {
+    const { fn, calls } = recorder();
+    const debounced = debounce(fn, 100, { leading: true, trailing: true });
+    debounced("a");
+    await clock.tick(30);
+    debounced("b");
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"], [130, "b"]]);
+  }],
+  ["debounce without trailing only leads", async (clock) => {
+    const { fn, calls } = recorder();
+    const debounced = debounce(fn, 100, { leading: true, trailing: false });
+    debounced("a");
+    debounced("b");
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"]]);
+  }],
+  ["debounce cancel drops the pending call and flush runs it now", async (clock) => {
+    const { fn, calls } = recorder();
+    const debounced = debounce(fn, 100);
+    debounced("a");
+    debounced.cancel();
+    assert.equal(clock.pending(), 0);
+    debounced("b");
+    await clock.tick(40);
+    debounced.flush();
+    assert.deepEqual(calls, [[40, "b"]]);
+    assert.equal(clock.pending(), 0);
+  }],
+  ["throttle leads, then trails once per window with the latest arguments", async (clock) => {
+    const { fn, calls } = recorder();
+    const throttled = throttle(fn, 100);
+    throttled("a");
+    throttled("b");
+    throttled("c");
+    assert.deepEqual(calls, [[0, "a"]]);
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"], [100, "c"]]);
+    throttled("d"); // Inside the window the trailing call opened
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"], [100, "c"], [200, "d"]]);
+    await clock.tick(100);
+    assert.equal(clock.pending(), 0);
+  }],
+  ["throttle without leading waits for the end of the window", async (clock) => {
+    const { fn, calls } = recorder();
+    const throttled = throttle(fn, 100, { leading: false });
+    throttled("a");
+    throttled("b");
+    assert.deepEqual(calls, []);
+    await clock.tick(100);
+    assert.deepEqual(calls, [[100, "b"]]);
+  }],
+  ["throttle without trailing drops the calls made inside the window", async (clock) => {
+    const { fn, calls } = recorder();
+    const throttled = throttle(fn, 100, { trailing: false });
+    throttled("a");
+    throttled("b");
+    await clock.tick(100);
+    throttled("c");
+    assert.deepEqual(calls, [[0, "a"], [100, "c"]]);
+  }],
+  ["throttle cancel drops the trailing call", async (clock) => {
+    const { fn, calls } = recorder();
+    const throttled = throttle(fn, 100);
+    throttled("a");
+    throttled("b");
+    throttled.cancel();
+    await clock.tick(100);
+    assert.deepEqual(calls, [[0, "a"]]);
+    assert.equal(clock.pending(), 0);
+  }],
+  ["memoize keys on the first argument by default", async () => {
+    let runs = 0;
+    const add = memoize((a, b) => (runs++, a + b));
+    assert.equal(add(1, 2), 3);
+    assert.equal(add(1, 100), 3); // Same key, cached result
+    assert.equal(runs, 1);
+    assert.deepEqual([...add.cache.keys()], [1]);
+  }],
+  ["memoize keys objects by identity and builds keys with a resolver", async () => {
+    let runs = 0;
+    const size = memoize((list) => (runs++, list.length));
+    size([1, 2]);
+    size([1, 2]); // A different array, so a different key
+    assert.equal(runs, 2);
+
+    const add = memoize((a, b) => a + b, { resolver: (a, b) => `${a},${b}` });
+    assert.equal(add(1, 2), 3);
+    assert.equal(add(1, 100), 101);
+    assert.deepEqual([...add.cache.keys()], ["1,2", "1,100"]);
+  }],
+  ["memoize evicts the oldest entry past maxSize", async () => {
+    const square = memoize((n) => n * n, { maxSize: 2 });
+    [1, 2, 3].forEach((n) => square(n));
+    assert.deepEqual([...square.cache.keys()], [2, 3]);
+  }],
+  ["curry waits for fn.length arguments, in any grouping", async () => {
+    const volume = curry((l, w, h) => l * w * h);
+    assert.equal(volume(2)(3)(4), 24);
+    assert.equal(volume(2, 3)(4), 24);
+    assert.equal(volume(2)(3, 4), 24);
+    assert.equal(typeof volume(2)(3), "function");
+  }],
+  ["curry takes an explicit arity for default and rest parameters", async () => {
+    const greet = (greeting, name = "you") => `${greeting}, ${name}`;
+    assert.equal(curry(greet)("Hi"), "Hi, you"); // greet.length is 1
+    assert.equal(curry(greet, 2)("Hi")("Ann"), "Hi, Ann");
+    const sum = curry((...numbers) => numbers.reduce((a, b) => a + b, 0), 3);
+    assert.equal(sum(1)(2)(3), 6);
+  }],
+];
+
+async function main() {
+  let passed = 0;
+  let failed = 0;
+  for (const [name, check] of checks) {
+    const clock = installFakeTimers();
+    try {
+      await check(clock);
+      passed++;
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${name}: ${error.message}`);
+    } finally {
+      clock.uninstall();
+    }
+  }
+  console.log(`Toolkit checks: ${passed}/${passed + failed} passed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * File: check-promise-utilities.js
+ * Description: Checks the utilities from 07-promises/05-promise-utilities.js under fake
+ * timers (tools/fake-timers.js), so timeouts and backoff delays are verified instantly
+ * and deterministically instead of by waiting.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   node tools/check-promise-utilities.js
+ *
+ * Exit code is 0 when every check passes, 1 when some fail.
+ */
+
+import assert from "node:assert/strict";
+
+import { allSettledWithKeys, any, pool, race, retry, sleep, withTimeout } from "../07-promises/05-promise-utilities.js";
+import { installFakeTimers } from "./fake-timers.js";
+
+/**
+ * **Why fake timers?** Checking a 30-second timeout with real timers takes 30
+ * seconds and is flaky on a busy machine. With fake timers, `clock.tick(ms)`
+ * moves a virtual clock and runs the due timers right away, in order, so the
+ * checks are instant and deterministic.
+ */
+const checks = [
+  ["sleep resolves only after the full delay", async (clock) => {
+    let done = false;
+    sleep(1000).then(() => {
+      done = true;
+    });
+    await clock.tick(999);
+    assert.equal(done, false);
+    await clock.tick(1);
+    assert.equal(done, true);
+  }],
+  ["sleep rejects and clears its timer when aborted", async (clock) => {
+    const controller = new AbortController();
+    const sleeping = sleep(1000, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(sleeping, { name: "AbortError" });
+    assert.equal(clock.pending(), 0);
+  }],
+  ["withTimeout rejects at the deadline and aborts the task", async (clock) => {
+    let taskSignal;
+    const outcome = withTimeout((signal) => {
+      taskSignal = signal;
+      return sleep(5000, { signal });
+    }, 100).catch((error) => error);
+    await clock.tick(100);
+    assert.equal((await outcome).name, "TimeoutError");
+    assert.equal(taskSignal.aborted, true);
+    assert.equal(clock.pending(), 0);
+  }],
+  ["withTimeout passes the value through and clears its timer", async (clock) => {
+    const result = withTimeout(sleep(50).then(() => "ok"), 100);
+    await clock.tick(50);
+    assert.equal(await result, "ok");
+    assert.equal(clock.pending(), 0);
+  }],
+  ["retry backs off exponentially", async (clock) => {
+    const calls = [];
+    const result = retry(async (attempt) => {
+      calls.push(clock.now());
+      if (attempt < 3) throw new Error("flaky");
+      return "done";
+    }, { attempts: 3, delay: 100 });
+    await clock.tick(300);
+    assert.equal(await result, "done");
+    assert.deepEqual(calls, [0, 100, 300]);
+  }],
+  ["retry applies jitter from the random source", async (clock) => {
+    const calls = [];
+    const result = retry(async (attempt) => {
+      calls.push(clock.now());
+      if (attempt < 3) throw new Error("flaky");
+      return "done";
+    }, { attempts: 3, delay: 100, jitter: "full", random: () => 0.5 });
+    await clock.tick(150);
+    assert.equal(await result, "done");
+    assert.deepEqual(calls, [0, 50, 150]);
+  }],
+  ["retry gives up with every error collected", async (clock) => {
+    const outcome = retry(() => Promise.reject(new Error("down")), { attempts: 3, delay: 10 }).catch((error) => error);
+    await clock.runAll();
+    const error = await outcome;
+    assert.equal(error.name, "RetryError");
+    assert.equal(error.errors.length, 3);
+    assert.equal(error.cause.message, "down");
+  }],
+  ["retry rethrows errors that should not be retried", async () => {
+    let calls = 0;
+    const outcome = retry(() => {
+      calls++;
+      throw new TypeError("bad input");
+    }, { shouldRetry: (error) => !(error instanceof TypeError) });
+    await assert.rejects(outcome, TypeError);
+    assert.equal(calls, 1);
+  }],
+  ["retry rejects fewer than one attempt before calling fn", async () => {
+    let calls = 0;
+    const outcome = retry(() => calls++, { attempts: 0 });
+    await assert.rejects(outcome, RangeError);
+    assert.equal(calls, 0);
+  }],
+  ["pool never exceeds its concurrency and keeps the order", async (clock) => {
+    let active = 0;
+    let maxActive = 0;
+    const task = (value, ms) => async () => {
+      maxActive = Math.max(maxActive, ++active);
+      await sleep(ms);
+      active--;
+      return value;
+    };
+    const result = pool([task("a", 300), task("b", 100), task("c", 100), task("d", 100)], 2);
+    await clock.tick(300);
+    assert.deepEqual(await result, ["a", "b", "c", "d"]);
+    assert.equal(maxActive, 2);
+  }],
+  ["pool stops at the first failure and aborts running tasks", async (clock) => {
+    const signals = [];
+    let started = 0;
+    const task = (ms, ok) => (signal) => {
+      started++;
+      signals.push(signal);
+      return sleep(ms, { signal }).then(() => {
+        if (!ok) throw new Error("task failed");
+      });
+    };
+    const outcome = pool([task(100, false), task(500, true), task(100, true)], 2).catch((error) => error);
+    await clock.tick(100);
+    assert.equal((await outcome).message, "task failed");
+    assert.equal(started, 2);
+    assert.equal(signals[1].aborted, true);
+  }],
+  ["pool rejects a concurrency below 1 instead of throwing", async () => {
+    let started = 0;
+    const result = pool([async () => started++], 0);
+    await assert.rejects(result, { name: "RangeError", message: "Concurrency must be at least 1, got 0" });
+    assert.equal(started, 0);
+  }],
+  ["allSettledWithKeys keeps the keys", async (clock) => {
+    const result = allSettledWithKeys({ user: sleep(10).then(() => "alice"), posts: Promise.reject(new Error("500")) });
+    await clock.tick(10);
+    const { user, posts } = await result;
+    assert.deepEqual(user, { status: "fulfilled", value: "alice" });
+    assert.equal(posts.status, "rejected");
+  }],
+  ["any resolves with the first success and aborts the rest", async (clock) => {
+    const signals = [];
+    const mirror = (ms, ok) => (signal) => {
+      signals.push(signal);
+      return sleep(ms, { signal }).then(() => {
+        if (!ok) throw new Error("mirror down");
+        return ms;
+      });
+    };
+    const result = any([mirror(50, false), mirror(100, true), mirror(200, true)]);
+    await clock.tick(100);
+    assert.equal(await result, 100);
+    assert.ok(signals.every((signal) => signal.aborted));
+    assert.equal(clock.pending(), 0);
+  }],
+  ["race rejects as soon as the caller aborts", async (clock) => {
+    const controller = new AbortController();
+    const outcome = race([sleep(1000), sleep(2000)], { signal: controller.signal }).catch((error) => error);
+    await clock.tick(10);
+    controller.abort(new Error("user left"));
+    assert.equal((await outcome).message, "user left");
+  }],
+];
+
+async function main() {
+  let passed = 0;
+  let failed = 0;
+  for (const [name, check] of checks) {
+    const clock = installFakeTimers();
+    try {
+      await check(clock);
+      passed++;
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${name}: ${error.message}`);
+    } finally {
+      clock.uninstall();
+    }
+  }
+  console.log(`Fake-timer checks: ${passed}/${passed + failed} passed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,135 @@
+/**
+ * File: fake-timers.js
+ * Description: A minimal fake clock for checking timer-based code without waiting.
+ * `installFakeTimers()` replaces the global `setTimeout`, `clearTimeout`,
+ * `setInterval`, `clearInterval` and `Date.now` with versions driven by a virtual
+ * clock; `tick(ms)` moves the clock forward and runs the timers that come due,
+ * letting promise callbacks settle between them. `uninstall()` restores the real ones.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   const clock = installFakeTimers();
+ *   try {
+ *     const done = sleep(1000);
+ *     await clock.tick(1000); // Resolves `done` without waiting a second
+ *   } finally {
+ *     clock.uninstall();
+ *   }
+ */
+
+/**
+ * Installs fake timers on `globalThis`. Only one set can be installed at a time.
+ * @param {{ now?: number }} [options] - Starting time in ms (default 0).
+ * @returns {{
+ *   now: () => number,
+ *   pending: () => number,
+ *   tick: (ms: number) => Promise<void>,
+ *   runAll: (options?: { limit?: number }) => Promise<void>,
+ *   uninstall: () => void,
+ * }}
+ */
+export function installFakeTimers({ now = 0 } = {}) {
+  if (globalThis.setTimeout.isFake) {
+    throw new Error("Fake timers are already installed");
+  }
+
+  const real = {
+    setTimeout: globalThis.setTimeout,
+    clearTimeout: globalThis.clearTimeout,
+    setInterval: globalThis.setInterval,
+    clearInterval: globalThis.clearInterval,
+    dateNow: Date.now,
+  };
+  // setImmediate is left real: it fires only after every queued promise callback has run
+  const flushMicrotasks = () => new Promise((resolve) => globalThis.setImmediate(resolve));
+
+  let current = now;
+  let nextId = 1;
+  const timers = new Map(); // id -> { id, at, callback, args, interval }
+
+  function schedule(callback, delay, args, interval) {
+    const id = nextId++;
+    const wait = Math.max(0, Number(delay) || 0);
+    timers.set(id, { id, at: current + wait, callback, args, interval: interval ? Math.max(1, wait) : 0 });
+    return id;
+  }
+
+  const fakeSetTimeout = (callback, delay, ...args) => schedule(callback, delay, args, false);
+  const fakeSetInterval = (callback, delay, ...args) => schedule(callback, delay, args, true);
+  const fakeClear = (id) => {
+    timers.delete(id);
+  };
+  fakeSetTimeout.isFake = true;
+
+  globalThis.setTimeout = fakeSetTimeout;
+  globalThis.clearTimeout = fakeClear;
+  globalThis.setInterval = fakeSetInterval;
+  globalThis.clearInterval = fakeClear;
+  Date.now = () => current;
+
+  /** The earliest timer due at or before `limit`; ties run in scheduling order. */
+  function nextDue(limit) {
+    let next;
+    for (const timer of timers.values()) {
+      if (timer.at <= limit && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  async function runTimer(timer) {
+    current = timer.at;
+    if (timer.interval) {
+      timer.at += timer.interval;
+    } else {
+      timers.delete(timer.id);
+    }
+    timer.callback(...timer.args);
+    await flushMicrotasks();
+  }
+
+  return {
+    now: () => current,
+
+    /** Number of timers still scheduled. */
+    pending: () => timers.size,
+
+    /**
+     * Moves the clock forward by `ms`, running every timer that comes due,
+     * in time order, including timers scheduled by those timers.
+     */
+    async tick(ms) {
+      const target = current + ms;
+      await flushMicrotasks();
+      for (let timer = nextDue(target); timer; timer = nextDue(target)) {
+        await runTimer(timer);
+      }
+      current = target;
+      await flushMicrotasks();
+    },
+
+    /**
+     * Runs timers until none are left. Intervals never run out, so the
+     * `limit` stops runaway loops with an error.
+     */
+    async runAll({ limit = 1000 } = {}) {
+      await flushMicrotasks();
+      for (let count = 0; timers.size > 0; count++) {
+        if (count >= limit) {
+          throw new Error(`runAll() stopped after ${limit} timers; is an interval still running?`);
+        }
+        await runTimer(nextDue(Infinity));
+      }
+    },
+
+    uninstall() {
+      globalThis.setTimeout = real.setTimeout;
+      globalThis.clearTimeout = real.clearTimeout;
+      globalThis.setInterval = real.setInterval;
+      globalThis.clearInterval = real.clearInterval;
+      Date.now = real.dateNow;
+      timers.clear();
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * File: is-main.js
+ * Description: `isMain(import.meta.url)` tells a module whether it is the
+ * program Node.js was started with (`node path/to/lesson.js`) or was merely
+ * imported. Lessons use it to run their `runDemo()` only in the first case,
+ * so importing a lesson never prints anything.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   if (isMain(import.meta.url)) {
+ *     runDemo();
+ *   }
+ */
+
+// Loaded only under Node.js, so lessons that import this module also load in a browser
+const node = globalThis.process?.versions?.node
+  ? {
+      ...(await import("node:fs")),
+      ...(await import("node:path")),
+      ...(await import("node:url")),
+    }
+  : null;
+
+/** Resolves symlinks, so `node ./link-to-lesson.js` still counts as the lesson itself. */
+function canonicalPath(path) {
+  try {
+    return node.realpathSync(path);
+  } catch {
+    return node.resolve(path);
+  }
+}
+
+/**
+ * @param {string} moduleUrl - The caller's `import.meta.url`.
+ * @returns {boolean} false under `node -e`, `node --eval`, the REPL, `node -`
+ * (stdin) or a browser, where there is no script path to compare with.
+ */
+export function isMain(moduleUrl) {
+  const script = globalThis.process?.argv?.[1];
+  if (!node || !script || !moduleUrl.startsWith("file:")) return false;
+  return canonicalPath(script) === canonicalPath(node.fileURLToPath(moduleUrl));
+}
@@ -0,0 +1,338 @@
+/**
+ * File: lesson-annotations.js
+ * Description: Parses the `// Output: ...` annotations written next to
+ * `console.log` calls in the lesson files and compares them with the output
+ * that was actually printed. Used by `run-lessons.js`.
+ * Date: 2026-10-19
+ */
+
+// =========================================================================
+// 1. Annotation Shapes
+// =========================================================================
+
+/**
+ * **Supported annotation shapes:**
+ * -   **Inline:** `console.log(x); // Output: 10`
+ * The annotation applies to the statement that ends on the same line.
+ * -   **Block (line comments):**
+ * ```
+ * colors.forEach((color) => console.log(color));
+ * // Output:
+ * // red
+ * // green
+ * ```
+ * The annotation applies to the paragraph of code directly above it.
+ * -   **Block (block comment):** `/* Output: ... *\/` spanning several lines.
+ * -   A qualifier such as `// Output (after 2 seconds):` is allowed.
+ * -   Annotations that follow commented-out code (`// loopWithVar();`) are
+ * skipped, because nothing ran there to compare against.
+ */
+
+const OUTPUT_MARKER = /\/\/\s*Output(?:\s*\([^)]*\))?:\s?(.*)$/;
+const BLOCK_OUTPUT_MARKER = /^\s*\/\*\s*Output(?:\s*\([^)]*\))?:\s?(.*)$/;
+const SECTION_BANNER = /^\s*\/\/\s*[=-]{3,}/;
+
+/**
+ * Removes string literals and comments from a single line of code so that
+ * brackets inside them are not counted. Good enough for lesson files; it
+ * does not try to be a full tokenizer.
+ * @param {string} line - A line of source code.
+ * @returns {string} The line with strings blanked out and comments removed.
+ */
+function stripStringsAndComments(line) {
+  let result = "";
+  let quote = null;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+
+    if (quote) {
+      if (char === "\\") {
+        index++; // Skip the escaped character
+      } else if (char === quote) {
+        quote = null;
+        result += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+      result += char;
+    } else if (char === "/" && line[index + 1] === "/") {
+      break; // Rest of the line is a comment
+    } else if (char === "/" && line[index + 1] === "*") {
+      const end = line.indexOf("*/", index + 2);
+      if (end === -1) break;
+      index = end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Counts how many brackets a line opens minus how many it closes.
+ * @param {string} code - A line that already went through `stripStringsAndComments`.
+ * @returns {number} Positive when the line leaves brackets open.
+ */
+function bracketBalance(code) {
+  let balance = 0;
+  for (const char of code) {
+    if (char === "(" || char === "[" || char === "{") balance++;
+    if (char === ")" || char === "]" || char === "}") balance--;
+  }
+  return balance;
+}
+
+// =========================================================================
+// 2. Parsing
+// =========================================================================
+
+/**
+ * Classifies every source line once so the parser can walk backwards cheaply.
+ * @param {string[]} lines - Source lines.
+ * @returns {Array<{ kind: "blank" | "comment" | "code", code: string }>}
+ */
+function classifyLines(lines) {
+  let inBlockComment = false;
+
+  return lines.map((line) => {
+    const trimmed = line.trim();
+
+    if (inBlockComment) {
+      if (trimmed.includes("*/")) inBlockComment = false;
+      return { kind: "comment", code: "" };
+    }
+    if (trimmed === "") return { kind: "blank", code: "" };
+    if (trimmed.startsWith("//")) return { kind: "comment", code: "" };
+    if (trimmed.startsWith("/*") || trimmed.startsWith("*")) {
+      if (!trimmed.includes("*/")) inBlockComment = true;
+      return { kind: "comment", code: "" };
+    }
+
+    return { kind: "code", code: stripStringsAndComments(line).trim() };
+  });
+}
+
+/**
+ * Finds the first line of the code that an annotation refers to.
+ * -   `statement` mode stops at the start of the statement ending at `endIndex`.
+ * -   `paragraph` mode keeps going up to the previous blank or comment line,
+ * so one `// Output:` block can cover several `console.log` calls.
+ * @param {Array} info - Result of `classifyLines`.
+ * @param {Set<number>} annotated - Indexes of lines carrying an annotation.
+ * @param {number} endIndex - Index of the last code line.
+ * @param {"statement" | "paragraph"} mode - How far to walk back.
+ * @returns {number} Index of the first line in range.
+ */
+function findRangeStart(info, annotated, endIndex, mode) {
+  let depth = 0;
+
+  for (let index = endIndex; index >= 0; index--) {
+    depth -= bracketBalance(info[index].code);
+    if (depth > 0) continue;
+
+    const previous = info[index - 1];
+    if (!previous || previous.kind !== "code" || annotated.has(index - 1)) {
+      return index;
+    }
+    if (mode === "statement" && /[;{}]$/.test(previous.code)) {
+      return index;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Extracts every `Output:` annotation from a lesson's source.
+ * @param {string} source - The file contents.
+ * @returns {Array<{ line: number, kind: "inline" | "block", expected: string[], range: [number, number] }>}
+ * Line numbers are 1-based, matching stack traces.
+ */
+export function parseAnnotations(source) {
+  const lines = source.split(/\r?\n/);
+  const info = classifyLines(lines);
+  const annotations = [];
+  const annotated = new Set();
+
+  // First pass: find the annotations and the lines they occupy
+  const found = [];
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const blockMatch = line.match(BLOCK_OUTPUT_MARKER);
+
+    if (blockMatch) {
+      const expected = [];
+      let last = index;
+      const first = blockMatch[1].replace(/\*\/\s*$/, "");
+      if (first.trim()) expected.push(first);
+      if (!line.includes("*/")) {
+        while (++last < lines.length && !lines[last].includes("*/")) {
+          expected.push(lines[last]);
+        }
+        const closing = (lines[last] ?? "").replace(/\*\/.*$/, "");
+        if (closing.trim()) expected.push(closing);
+      }
+      found.push({ index, last, kind: "block", expected });
+      index = last;
+      continue;
+    }
+
+    const match = line.match(OUTPUT_MARKER);
+    if (!match) continue;
+
+    const before = line.slice(0, match.index).trim();
+    if (before.startsWith("//") || (info[index].kind === "comment" && before)) {
+      continue; // Annotation on commented-out code or inside a doc comment
+    }
+
+    if (before) {
+      found.push({ index, last: index, kind: "inline", expected: [match[1]] });
+      continue;
+    }
+
+    // A comment line starting with `// Output:` opens a block
+    const expected = match[1].trim() ? [match[1]] : [];
+    const takeEveryLine = expected.length === 0;
+    let last = index;
+    while (last + 1 < lines.length) {
+      const next = lines[last + 1];
+      const body = next.match(/^\s*\/\/(.*)$/);
+      if (!body || SECTION_BANNER.test(next) || OUTPUT_MARKER.test(next)) break;
+      if (!takeEveryLine && !/^\s{2,}\S/.test(body[1])) break;
+      expected.push(body[1]);
+      last++;
+    }
+    found.push({ index, last, kind: "block", expected });
+  }
+
+  for (const annotation of found) {
+    for (let index = annotation.index; index <= annotation.last; index++) {
+      if (annotation.kind === "block") annotated.add(index);
+    }
+    if (annotation.kind === "inline") annotated.add(annotation.index);
+  }
+
+  // Second pass: work out which lines of code each annotation describes
+  for (const { index, kind, expected } of found) {
+    const endIndex = kind === "inline" ? index : index - 1;
+    if (endIndex < 0 || info[endIndex].kind !== "code") continue;
+    if (expected.every((text) => !text.trim())) continue;
+
+    const mode = kind === "inline" ? "statement" : "paragraph";
+    const startIndex = findRangeStart(info, annotated, endIndex, mode);
+    annotations.push({
+      line: index + 1,
+      kind,
+      expected: expected.map((text) => text.trim()).filter(Boolean),
+      range: [startIndex + 1, endIndex + 1],
+    });
+  }
+
+  return annotations;
+}
+
+// =========================================================================
+// 3. Comparing Expected and Actual Output
+// =========================================================================
+
+/**
+ * Normalizes printed values so that cosmetic differences between what
+ * `console.log` prints and what a human writes in a comment do not count:
+ * quote style, spacing inside brackets, and trailing commas.
+ * @param {string} text - Expected or actual output.
+ * @returns {string} The normalized text.
+ */
+export function normalizeOutput(text) {
+  return text
+    .replace(/"/g, "'")
+    .replace(/\s+/g, " ")
+    .replace(/,\s*([\]}])/g, "$1")
+    .replace(/([[{(])\s+/g, "$1")
+    .replace(/\s+([\]})])/g, "$1")
+    .replace(/\s*,\s*/g, ", ")
+    .trim();
+}
+
+/**
+ * Builds the versions of an annotation worth comparing against:
+ * the text itself, the text without a trailing `(explanation)`, and a
+ * quoted string without its quotes.
+ * @param {string} expected - The annotation text.
+ * @returns {string[]} Normalized candidates (possibly empty when the whole
+ * annotation is an explanation such as "(a random number)").
+ */
+function candidatesFor(expected) {
+  const candidates = new Set();
+  const normalized = normalizeOutput(expected);
+  if (/^\(.*\)$/.test(normalized)) return [];
+
+  candidates.add(normalized);
+  const withoutNote = normalized.replace(/\s+\([^()]*(?:\([^()]*\)[^()]*)*\)$/, "");
+  candidates.add(withoutNote);
+
+  for (const candidate of [...candidates]) {
+    const quoted = candidate.match(/^'(.*)'$/);
+    if (quoted) candidates.add(quoted[1]);
+  }
+
+  return [...candidates].filter(Boolean);
+}
+
+/**
+ * Checks one line of output against one expected line. The annotation may
+ * leave out the label printed before the value (`console.log("Sum:", sum); // Output: 6`),
+ * so a match at the end of the actual output also counts, but only when what
+ * comes before it is such a label: text ending in ":" or "=". Otherwise
+ * `// Output: true` would match any line that happens to end in " true".
+ * @param {string} actual - A line that was printed.
+ * @param {string} expected - The annotated text.
+ * @returns {boolean}
+ */
+function lineMatches(actual, expected) {
+  const normalizedActual = normalizeOutput(actual);
+  return candidatesFor(expected).some(
+    (candidate) =>
+      normalizedActual === candidate ||
+      (normalizedActual.endsWith(` ${candidate}`) &&
+        /[:=]$/.test(normalizedActual.slice(0, -candidate.length - 1)))
+  );
+}
+
+/**
+ * Decides whether an annotation can be checked at all.
+ * @param {{ expected: string[] }} annotation
+ * @returns {boolean} False when the annotation only describes the output
+ * (e.g. "(a random number between 1 and 10)").
+ */
+export function isCheckable(annotation) {
+  return annotation.expected.some((text) => candidatesFor(text).length > 0);
+}
+
+/**
+ * Compares an annotation with the output lines recorded for its range.
+ * -   Inline annotations pass when any printed line matches.
+ * -   Block annotations compare line by line, and failing that as one string
+ * (objects are often printed on one line but annotated across several).
+ * @param {{ kind: string, expected: string[] }} annotation
+ * @param {string[]} actualLines - Output lines printed from the annotated range.
+ * @returns {boolean}
+ */
+export function outputMatches(annotation, actualLines) {
+  if (actualLines.length === 0) return false;
+
+  if (annotation.kind === "inline") {
+    return actualLines.some((line) => lineMatches(line, annotation.expected[0]));
+  }
+
+  const { expected } = annotation;
+  const sameShape =
+    expected.length === actualLines.length &&
+    expected.every((line, index) => lineMatches(actualLines[index], line));
+
+  return sameShape || lineMatches(actualLines.join(" "), expected.join(" "));
+}
@@ -0,0 +1,105 @@
+/**
+ * File: lesson-capture.js
+ * Description: Preload module for `run-lessons.js`. It is loaded with
+ * `node --import` in front of a lesson, records every console call together
+ * with the lesson lines that led to it, and writes the recording to the file
+ * named by `LESSON_CAPTURE_FILE` when the process exits.
+ * Date: 2026-10-19
+ */
+
+import { createHook, executionAsyncId } from "node:async_hooks";
+import { writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { format } from "node:util";
+
+const lessonFile = resolve(process.argv[1]);
+const captureFile = process.env.LESSON_CAPTURE_FILE;
+
+const records = [];
+const errors = [];
+
+// =========================================================================
+// 1. Mapping a Call Back to Lesson Lines
+// =========================================================================
+
+/**
+ * Returns the lesson line numbers currently on the call stack.
+ * @returns {number[]}
+ */
+function lessonLinesOnStack() {
+  const previousLimit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const stack = new Error().stack ?? "";
+  Error.stackTraceLimit = previousLimit;
+
+  const lines = [];
+  for (const frame of stack.split("\n").slice(1)) {
+    const match = frame.match(/\(?([^()\s]+):(\d+):\d+\)?$/);
+    if (!match) continue;
+
+    const location = match[1].startsWith("file:")
+      ? fileURLToPath(match[1])
+      : match[1];
+    if (location === lessonFile) lines.push(Number(match[2]));
+  }
+  return lines;
+}
+
+/**
+ * Callbacks of timers and promises run on an empty stack, so the lines that
+ * scheduled them are remembered per async resource. A `setTimeout` inside a
+ * function called on line 162 therefore still counts as output of line 162.
+ */
+const originLines = new Map();
+
+createHook({
+  init(asyncId) {
+    const lines = [
+      ...lessonLinesOnStack(),
+      ...(originLines.get(executionAsyncId()) ?? []),
+    ];
+    if (lines.length > 0) originLines.set(asyncId, lines);
+  },
+  destroy(asyncId) {
+    originLines.delete(asyncId);
+  },
+}).enable();
+
+// =========================================================================
+// 2. Recording Console Output
+// =========================================================================
+
+for (const method of ["log", "info", "debug", "warn", "error", "dir"]) {
+  console[method] = (...args) => {
+    const lines = new Set([
+      ...lessonLinesOnStack(),
+      ...(originLines.get(executionAsyncId()) ?? []),
+    ]);
+    records.push({ method, text: format(...args), lines: [...lines] });
+  };
+}
+
+process.on("uncaughtException", (error) => {
+  errors.push({ type: "uncaughtException", message: String(error?.stack ?? error) });
+  process.exitCode = 1;
+});
+
+process.on("unhandledRejection", (reason) => {
+  errors.push({
+    type: "unhandledRejection",
+    message: String(reason?.stack ?? format(reason)),
+  });
+});
+
+// The runner sends SIGTERM on timeout; exit normally so the recording is saved
+process.on("SIGTERM", () => {
+  errors.push({ type: "timeout", message: "Lesson did not finish in time." });
+  process.exit(124);
+});
+
+process.on("exit", () => {
+  if (captureFile) {
+    writeFileSync(captureFile, JSON.stringify({ records, errors }));
+  }
+});
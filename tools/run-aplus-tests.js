@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * File: run-aplus-tests.js
+ * Description: Runs the official Promises/A+ compliance suite against `MyPromise`
+ * from 07-promises/06-my-promise.js. The suite's test files (promises-aplus-tests
+ * 2.1.2) are vendored in vendor/promises-aplus, so it works offline and needs no
+ * install: the runner gives them the mocha-style globals they expect on top of
+ * Node's built-in test runner (`node:test`).
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   node tools/run-aplus-tests.js                                # vendored suite
+ *   node tools/run-aplus-tests.js --suite=<dir>                  # a promises-aplus-tests package elsewhere
+ *   node --test-reporter=dot tools/run-aplus-tests.js            # any node:test reporter
+ *   npm run test:aplus                                           # same, with the dot reporter
+ *
+ * Exit code is 0 when every test passes, 1 when some fail, 2 when the suite is missing.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync, readdirSync } from "node:fs";
+import Module, { createRequire } from "node:module";
+import { resolve } from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { aplusAdapter } from "../07-promises/06-my-promise.js";
+
+const repoRoot = resolve(fileURLToPath(import.meta.url), "..", "..");
+const defaultSuite = resolve(repoRoot, "vendor/promises-aplus");
+const TIMEOUT = 200; // ms per test, as in the suite's own mocha setup
+
+function parseArgs(argv) {
+  const options = { suite: process.env.APLUS_TESTS_DIR ?? defaultSuite };
+  for (const arg of argv) {
+    const [name, value] = arg.split("=");
+    if (name === "--suite") options.suite = resolve(value);
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+/**
+ * Mocha passes `done` as the first argument when a test or hook declares one;
+ * node:test passes it second. A second `done()` is a failure in mocha, but in
+ * node:test it would cancel every remaining test, so it is reported here instead.
+ */
+function withDone(fn) {
+  if (fn.length === 0) return () => fn();
+  return (t, done) => {
+    let called = false;
+    fn((error) => {
+      if (called) {
+        console.error(`✗ done() called multiple times in "${t.name}"`);
+        process.exitCode = 1;
+        return;
+      }
+      called = true;
+      done(error);
+    });
+  };
+}
+
+/**
+ * The part of sinon the suite uses (only 2.2.6 needs it): stubs that return or
+ * throw, spies, and assertions on their calls and call order.
+ */
+function createSinon() {
+  let callCount = 0;
+  const fake = (behavior = () => undefined) => {
+    const calls = [];
+    const fn = function (...args) {
+      calls.push({ args, order: ++callCount });
+      return behavior(...args);
+    };
+    fn.calls = calls;
+    return fn;
+  };
+  const same = (expected) => ({ test: (actual) => actual === expected });
+
+  return {
+    spy: () => fake(),
+    stub() {
+      let result = () => undefined;
+      const stub = fake(() => result());
+      stub.returns = (value) => ((result = () => value), stub);
+      stub.throws = (error) => (
+        (result = () => {
+          throw error;
+        }),
+        stub
+      );
+      return stub;
+    },
+    match: { same },
+    assert: {
+      calledWith(spy, ...matchers) {
+        const matches = ({ args }) => matchers.every((matcher, index) => matcher.test(args[index]));
+        assert.ok(spy.calls.some(matches), "expected a call with the given arguments");
+      },
+      notCalled(spy) {
+        assert.equal(spy.calls.length, 0, "expected no calls");
+      },
+      callOrder(...spies) {
+        const firstCalls = spies.map((spy) => spy.calls[0]?.order ?? Infinity);
+        assert.ok(firstCalls.every((order, index) => index === 0 || order > firstCalls[index - 1]), "expected calls in order");
+      },
+    },
+  };
+}
+
+function main() {
+  const { suite } = parseArgs(process.argv.slice(2));
+  const testsDir = resolve(suite, "lib/tests");
+  if (!existsSync(testsDir)) {
+    console.error(`Promises/A+ suite not found in ${suite}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  // The test files are CommonJS and use mocha's globals; `adapter` is how the suite finds the implementation
+  Object.assign(globalThis, {
+    adapter: aplusAdapter,
+    describe: (name, fn) => describe(name, fn),
+    it: (name, fn) => it(name, { timeout: TIMEOUT }, withDone(fn)),
+    specify: (name, fn) => it(name, { timeout: TIMEOUT }, withDone(fn)),
+    beforeEach: (fn) => beforeEach(withDone(fn)),
+    afterEach: (fn) => afterEach(withDone(fn)),
+  });
+
+  // Hand the suite the sinon stand-in instead of looking for the package
+  const sinon = createSinon();
+  const load = Module._load;
+  Module._load = function (request, ...rest) {
+    return request === "sinon" ? sinon : load.call(this, request, ...rest);
+  };
+
+  const requireFromSuite = createRequire(resolve(testsDir, "index.js"));
+  for (const file of readdirSync(testsDir).filter((name) => name.endsWith(".js")).sort()) {
+    requireFromSuite(resolve(testsDir, file));
+  }
+}
+
+main();
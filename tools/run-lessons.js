@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * File: run-lessons.js
+ * Description: Command-line runner that executes every numbered lesson file
+ * (`NN-topic/NN-*.js`), captures its console output, and reports each
+ * `// Output: ...` annotation that does not match what the code really prints.
+ * Date: 2026-10-19
+ *
+ * Usage:
+ *   node tools/run-lessons.js                  # check every lesson
+ *   node tools/run-lessons.js 04-function      # only lessons whose path contains "04-function"
+ *   node tools/run-lessons.js --verbose        # also list the annotations that passed
+ *   node tools/run-lessons.js --json           # machine-readable report
+ *   node tools/run-lessons.js --timeout=5000   # per-lesson time limit in ms (default 10000)
+ *
+ * Each lesson is reported as PASS, FAIL, or NONE when it ran cleanly but has no
+ * checkable annotations, so nothing it printed was verified.
+ *
+ * Exit code is 1 when any annotation diverges or a lesson throws, 0 otherwise.
+ */
+
+import { spawn } from "node:child_process";
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  isCheckable,
+  outputMatches,
+  parseAnnotations,
+} from "./lesson-annotations.js";
+
+const repoRoot = resolve(fileURLToPath(import.meta.url), "..", "..");
+const captureModule = new URL("./lesson-capture.js", import.meta.url).href;
+
+// =========================================================================
+// 1. Discovering Lessons
+// =========================================================================
+
+/**
+ * Lists the numbered lesson files, e.g. `04-function/05-custom-map-filter-find-reduce.js`.
+ * @param {string} root - Repository root.
+ * @returns {string[]} Absolute paths in lesson order.
+ */
+export function discoverLessons(root = repoRoot) {
+  const numbered = /^\d{2}-/;
+
+  return readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && numbered.test(entry.name))
+    .map((entry) => entry.name)
+    .sort()
+    .flatMap((folder) =>
+      readdirSync(join(root, folder))
+        .filter((file) => numbered.test(file) && file.endsWith(".js"))
+        .sort()
+        .map((file) => join(root, folder, file))
+    );
+}
+
+// =========================================================================
+// 2. Running One Lesson in Isolation
+// =========================================================================
+
+/**
+ * Runs a lesson in its own Node process with the capture module preloaded.
+ * A separate process keeps globals, prototypes patched by the lesson
+ * (e.g. `Array.prototype.customReduce`) and pending timers from leaking
+ * into the next lesson.
+ * @param {string} file - Absolute path of the lesson.
+ * @param {{ timeout: number }} options
+ * @returns {Promise<{ records: Array, errors: Array }>}
+ */
+export function runLesson(file, { timeout = 10000 } = {}) {
+  const workDir = mkdtempSync(join(tmpdir(), "lesson-"));
+  const captureFile = join(workDir, "capture.json");
+
+  return new Promise((resolvePromise) => {
+    const child = spawn(
+      process.execPath,
+      ["--no-warnings", "--import", captureModule, file],
+      {
+        cwd: repoRoot,
+        env: { ...process.env, LESSON_CAPTURE_FILE: captureFile },
+        stdio: ["ignore", "ignore", "pipe"],
+      }
+    );
+
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+
+    const timer = setTimeout(() => child.kill("SIGTERM"), timeout);
+
+    child.on("close", () => {
+      clearTimeout(timer);
+      let capture = { records: [], errors: [] };
+      try {
+        capture = JSON.parse(readFileSync(captureFile, "utf8"));
+      } catch {
+        // The process died before writing its capture (e.g. a syntax error)
+        capture.errors.push({ type: "crash", message: stderr.trim() });
+      }
+      rmSync(workDir, { recursive: true, force: true });
+      resolvePromise(capture);
+    });
+  });
+}
+
+// =========================================================================
+// 3. Checking Annotations
+// =========================================================================
+
+/**
+ * Runs a lesson and checks each of its annotations.
+ * @param {string} file - Absolute path of the lesson.
+ * @param {{ timeout: number }} options
+ * @returns {Promise<{ file: string, checked: number, skipped: number, results: Array, errors: Array, warnings: Array }>}
+ */
+export async function checkLesson(file, options) {
+  const annotations = parseAnnotations(readFileSync(file, "utf8"));
+  const { records, errors } = await runLesson(file, options);
+  const checkable = annotations.filter(isCheckable);
+  const results = [];
+  const skipped = annotations.length - checkable.length;
+
+  // A record lists its lines from the most specific (the console call itself) to
+  // the least (whatever scheduled it, e.g. an earlier `await`). It belongs to the
+  // annotations around its most specific annotated line, so output after an
+  // `await` is not also claimed by the annotation on that `await`.
+  const inRange = (line, [start, end]) => line >= start && line <= end;
+  const ownerLines = records.map((record) =>
+    record.lines.find((line) => checkable.some((annotation) => inRange(line, annotation.range)))
+  );
+
+  for (const annotation of checkable) {
+    const actual = records
+      .filter((record, index) => ownerLines[index] !== undefined && inRange(ownerLines[index], annotation.range))
+      .flatMap((record) => record.text.split("\n"));
+
+    results.push({
+      line: annotation.line,
+      expected: annotation.expected,
+      actual,
+      passed: outputMatches(annotation, actual),
+    });
+  }
+
+  return {
+    file: relative(repoRoot, file),
+    checked: results.length,
+    skipped,
+    results,
+    errors: errors.filter((error) => error.type !== "unhandledRejection"),
+    warnings: errors.filter((error) => error.type === "unhandledRejection"),
+  };
+}
+
+// =========================================================================
+// 4. Reporting
+// =========================================================================
+
+function formatLines(lines) {
+  return lines.length > 0 ? lines.join("\n             ") : "(no output)";
+}
+
+/**
+ * Prints a human-readable report.
+ * @param {Array} reports - Results of `checkLesson`.
+ * @param {{ verbose: boolean }} options
+ */
+function printReport(reports, { verbose }) {
+  let failed = 0;
+  let total = 0;
+  let unchecked = 0;
+
+  for (const report of reports) {
+    const failures = report.results.filter((result) => !result.passed);
+    total += report.checked;
+    failed += failures.length;
+
+    // A lesson without checkable annotations ran, but nothing it printed was verified
+    let status = failures.length === 0 && report.errors.length === 0 ? "PASS" : "FAIL";
+    if (report.checked === 0) {
+      unchecked++;
+      if (status === "PASS") status = "NONE";
+    }
+    const summary =
+      report.checked > 0
+        ? `${report.checked - failures.length}/${report.checked} annotations match`
+        : "no checkable annotations";
+    console.log(`${status} ${report.file} (${summary})`);
+
+    for (const error of report.errors) {
+      console.log(`  ${error.type}: ${error.message.split("\n")[0]}`);
+    }
+    for (const warning of report.warnings) {
+      console.log(`  warning (${warning.type}): ${warning.message.split("\n")[0]}`);
+    }
+    for (const result of report.results) {
+      if (result.passed && !verbose) continue;
+      console.log(`  ${result.passed ? "ok  " : "diff"} line ${result.line}`);
+      if (result.passed) continue;
+      console.log(`    expected: ${formatLines(result.expected)}`);
+      console.log(`    actual:   ${formatLines(result.actual)}`);
+    }
+  }
+
+  console.log(
+    `\n${reports.length} lessons (${unchecked} with no checkable annotations), ` +
+      `${total} annotations checked, ${failed} diverge.`
+  );
+}
+
+/**
+ * Parses command-line flags.
+ * @param {string[]} argv - Arguments after the script name.
+ */
+function parseArgs(argv) {
+  const options = { filters: [], json: false, verbose: false, timeout: 10000 };
+
+  for (const arg of argv) {
+    if (arg === "--json") options.json = true;
+    else if (arg === "--verbose") options.verbose = true;
+    else if (arg.startsWith("--timeout=")) options.timeout = Number(arg.slice(10));
+    else options.filters.push(arg);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const lessons = discoverLessons().filter(
+    (file) =>
+      options.filters.length === 0 ||
+      options.filters.some((filter) => relative(repoRoot, file).includes(filter))
+  );
+
+  // Lessons run one after another: several of them wait on real timers and
+  // printing in order keeps the report readable.
+  const reports = [];
+  for (const file of lessons) {
+    reports.push(await checkLesson(file, options));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    printReport(reports, options);
+  }
+
+  const broken = reports.some(
+    (report) =>
+      report.errors.length > 0 || report.results.some((result) => !result.passed)
+  );
+  process.exitCode = broken ? 1 : 0;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}